@@ -1,23 +1,41 @@
-const CACHE_NAME = 'contract-crown-v1';
+// The build appends a hash of the built files, so every deploy gets a fresh cache
+const CACHE_NAME = 'contract-crown-v2';
 
-// Only cache essential static files that we know exist
+// Static files served from public/ that we know exist
 const urlsToCache = [
   '/',
   '/manifest.json',
-  '/favicon.ico'
+  '/favicon.ico',
+  '/favicon.webp',
+  '/icons/icon-192x192.webp',
+  '/icons/icon-512x512.webp'
 ];
 
+// Written by the build: every page, script and stylesheet, so the offline game works without a connection
+const PRECACHE_MANIFEST_URL = '/precache-manifest.json';
+
+/**
+ * Get the built files to precache
+ * The manifest does not exist in development, where only the static files are cached.
+ * @returns {Promise<Array>} URLs to cache
+ */
+function getBuildFiles() {
+  return fetch(PRECACHE_MANIFEST_URL, { cache: 'no-store' })
+    .then((response) => (response.ok ? response.json() : []))
+    .catch(() => []);
+}
+
 self.addEventListener('install', (event) => {
   console.log('[SW] Installing service worker');
   event.waitUntil(
     caches.open(CACHE_NAME)
-      .then((cache) => {
+      .then(async (cache) => {
         console.log('[SW] Caching essential files');
-        // Only cache files that definitely exist
-        return cache.addAll(urlsToCache.filter(url => {
-          // Skip caching files that might not exist in development
-          return url === '/' || url === '/manifest.json' || url === '/favicon.ico';
-        }));
+        await cache.addAll(urlsToCache);
+
+        const buildFiles = await getBuildFiles();
+        console.log(`[SW] Precaching ${buildFiles.length} built files`);
+        await cache.addAll(buildFiles);
       })
       .catch((error) => {
         console.error('[SW] Failed to cache files:', error);
@@ -33,6 +51,17 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Pages come from the network when online so they stay current, and from the cache when offline.
+  // The query string is ignored so game.html?offline=true is served from the cached game.html.
+  if (event.request.mode === 'navigate') {
+    event.respondWith(
+      fetch(event.request)
+        .catch(() => caches.match(event.request, { ignoreSearch: true })
+          .then((response) => response || caches.match('/')))
+    );
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then((response) => {
@@ -67,13 +96,6 @@ self.addEventListener('fetch', (event) => {
           })
           .catch((error) => {
             console.log('[SW] Fetch failed for:', event.request.url, error);
-
-            // Return a fallback for navigation requests
-            if (event.request.mode === 'navigate') {
-              return caches.match('/');
-            }
-
-            // For other requests, just let them fail
             throw error;
           });
       })
@@ -3,6 +3,8 @@
  * Manages all card-related UI operations and game logic
  */
 
+import { getValidCards, isValidPlay, sortCards } from '../../../shared/rules.js';
+
 export class CardManager {
     constructor(gameState, uiManager) {
         this.gameState = gameState;
@@ -186,12 +188,9 @@ export class CardManager {
 
         // Check suit following rules
         const leadSuit = state.leadSuit;
-        if (leadSuit && leadSuit !== card.suit) {
-            const cardsOfLeadSuit = this.gameState.getCardsOfSuit(leadSuit);
-            if (cardsOfLeadSuit.length > 0) {
-                this.uiManager.addGameMessage(`You must follow suit: ${leadSuit}`, 'warning');
-                return false;
-            }
+        if (!isValidPlay(state.playerHand || [], card, leadSuit)) {
+            this.uiManager.addGameMessage(`You must follow suit: ${leadSuit}`, 'warning');
+            return false;
         }
 
         return true;
@@ -209,21 +208,8 @@ export class CardManager {
             return [];
         }
 
-        const leadSuit = state.leadSuit;
-        
-        // If no lead suit, all cards are valid
-        if (!leadSuit) {
-            return [...playerHand];
-        }
-
-        // Must follow suit if possible
-        const cardsOfLeadSuit = playerHand.filter(card => card.suit === leadSuit);
-        if (cardsOfLeadSuit.length > 0) {
-            return cardsOfLeadSuit;
-        }
-
-        // If can't follow suit, all remaining cards are valid
-        return [...playerHand];
+        // Must follow suit if possible, otherwise any card is valid
+        return getValidCards(playerHand, state.leadSuit);
     }
 
     /**
@@ -387,6 +373,17 @@ export class CardManager {
         }, 3000);
     }
 
+    /**
+     * Mark a suggested card in the player's hand until the hand is next rendered
+     * @param {Object} card - Card to mark
+     */
+    highlightHintCard(card) {
+        document.querySelectorAll('#player-hand .card').forEach(cardElement => {
+            const isHint = cardElement.dataset.suit === card.suit && cardElement.dataset.rank === card.rank;
+            cardElement.classList.toggle('hinted', isHint);
+        });
+    }
+
     /**
      * Get card count by suit in player's hand
      * @returns {Object} Object with suit counts
@@ -461,18 +458,6 @@ export class CardManager {
      * @returns {Array} Sorted cards
      */
     sortCardsBySuit(cards) {
-        const suitOrder = ['Spades', 'Hearts', 'Diamonds', 'Clubs'];
-        const rankOrder = ['7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-        
-        return [...cards].sort((a, b) => {
-            // First sort by suit
-            const suitComparison = suitOrder.indexOf(a.suit) - suitOrder.indexOf(b.suit);
-            if (suitComparison !== 0) {
-                return suitComparison;
-            }
-            
-            // Then sort by rank within the same suit
-            return rankOrder.indexOf(a.rank) - rankOrder.indexOf(b.rank);
-        });
+        return sortCards(cards);
     }
 }
\ No newline at end of file
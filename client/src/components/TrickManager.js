@@ -3,12 +3,15 @@
  * Manages trick logic, card evaluation, and score calculation
  */
 
+import {
+    STANDARD_RULES, getValidCards, isValidPlay, determineTrickWinner, calculateRoundScores, isGameOver
+} from '../../../shared/rules.js';
+
 export class TrickManager {
     constructor(gameState, uiManager) {
         this.gameState = gameState;
         this.uiManager = uiManager;
         this.onTrickComplete = null; // Callback for trick completion
-        this.onNewRoundStart = null; // Callback for new round start
         
         // Set up UI callback for next round
         this.uiManager.setNextRoundCallback((roundWinner) => this.startNextRound(roundWinner));
@@ -22,14 +25,6 @@ export class TrickManager {
         this.onTrickComplete = callback;
     }
 
-    /**
-     * Set callback for new round start events
-     * @param {Function} callback - Function to call when new round starts
-     */
-    setNewRoundStartCallback(callback) {
-        this.onNewRoundStart = callback;
-    }
-
     /**
      * Add a card to the current trick
      * @param {string} playerId - Player who played the card
@@ -59,7 +54,7 @@ export class TrickManager {
             return;
         }
 
-        const winner = this.determineTrickWinner(trick.cardsPlayed, trick.leadSuit, state.trumpSuit);
+        const winner = this.determineTrickWinner(trick.cardsPlayed, state.trumpSuit);
         
         if (winner) {
             this.handleTrickWon(winner, trick);
@@ -69,69 +64,17 @@ export class TrickManager {
     /**
      * Determine the winner of a trick
      * @param {Array} cardsPlayed - Cards played in the trick
-     * @param {string} leadSuit - Lead suit of the trick
      * @param {string} trumpSuit - Current trump suit
      * @returns {Object} Winner information
      */
-    determineTrickWinner(cardsPlayed, leadSuit, trumpSuit) {
+    determineTrickWinner(cardsPlayed, trumpSuit) {
         if (!cardsPlayed || cardsPlayed.length === 0) return null;
 
-        let winningCard = null;
-        let winningPlayer = null;
-
-        // Card rank values (higher number = stronger card)
-        const rankValues = {
-            '7': 1, '8': 2, '9': 3, '10': 4,
-            'J': 5, 'Q': 6, 'K': 7, 'A': 8
-        };
-
-        for (const play of cardsPlayed) {
-            const { playerId, card } = play;
-            
-            if (!winningCard) {
-                winningCard = card;
-                winningPlayer = playerId;
-                continue;
-            }
-
-            // Trump cards beat non-trump cards
-            const isCurrentTrump = card.suit === trumpSuit;
-            const isWinningTrump = winningCard.suit === trumpSuit;
-
-            if (isCurrentTrump && !isWinningTrump) {
-                winningCard = card;
-                winningPlayer = playerId;
-            } else if (!isCurrentTrump && isWinningTrump) {
-                // Winning card remains trump
-                continue;
-            } else if (isCurrentTrump && isWinningTrump) {
-                // Both trump - higher rank wins
-                if (rankValues[card.rank] > rankValues[winningCard.rank]) {
-                    winningCard = card;
-                    winningPlayer = playerId;
-                }
-            } else {
-                // Neither trump - must follow lead suit
-                const isCurrentLeadSuit = card.suit === leadSuit;
-                const isWinningLeadSuit = winningCard.suit === leadSuit;
-
-                if (isCurrentLeadSuit && !isWinningLeadSuit) {
-                    winningCard = card;
-                    winningPlayer = playerId;
-                } else if (isCurrentLeadSuit && isWinningLeadSuit) {
-                    // Both lead suit - higher rank wins
-                    if (rankValues[card.rank] > rankValues[winningCard.rank]) {
-                        winningCard = card;
-                        winningPlayer = playerId;
-                    }
-                }
-                // If current card is not lead suit and winning card is, winning card stays
-            }
-        }
+        const { playerId, card } = determineTrickWinner(cardsPlayed, trumpSuit);
 
         return {
-            playerId: winningPlayer,
-            card: winningCard,
+            playerId,
+            card,
             cardsWon: cardsPlayed.map(play => play.card)
         };
     }
@@ -184,18 +127,6 @@ export class TrickManager {
                 return state.players[playerId].teamAssignment;
             }
             
-            // Fallback for demo mode
-            if (state.isDemoMode) {
-                const team1Players = ['human_player', 'bot_2'];
-                const team2Players = ['bot_1', 'bot_3'];
-                
-                if (team1Players.includes(playerId)) {
-                    return 1;
-                } else if (team2Players.includes(playerId)) {
-                    return 2;
-                }
-            }
-            
             // Final fallback
             return 1;
         };
@@ -310,20 +241,23 @@ export class TrickManager {
         
         const declaringTeamScore = scores[trumpDeclaringTeam];
         const nonDeclaringTeamScore = scores[nonDeclaringTeam];
-        
-        // Trump declaring team needs more than 4 tricks (5 or more) to win
-        // Non-declaring team needs 4 or more tricks to win
-        if (declaringTeamScore >= 5) {
+        const { declaringTeamMadeContract, challengingTeamMadeContract } = calculateRoundScores({
+            declaringTeamTricks: declaringTeamScore,
+            challengingTeamTricks: nonDeclaringTeamScore
+        });
+        const { declaringTeamMinTricks, challengingTeamMinTricks } = STANDARD_RULES;
+
+        if (declaringTeamMadeContract) {
             return {
                 teamKey: trumpDeclaringTeam,
                 teamName: trumpDeclaringTeam === 'team1' ? 'Team 1' : 'Team 2',
-                reason: `Trump declaring team won ${declaringTeamScore} tricks (needed 5+)`
+                reason: `Trump declaring team won ${declaringTeamScore} tricks (needed ${declaringTeamMinTricks}+)`
             };
-        } else if (nonDeclaringTeamScore >= 4) {
+        } else if (challengingTeamMadeContract) {
             return {
                 teamKey: nonDeclaringTeam,
                 teamName: nonDeclaringTeam === 'team1' ? 'Team 1' : 'Team 2',
-                reason: `Non-declaring team won ${nonDeclaringTeamScore} tricks (needed 4+)`
+                reason: `Non-declaring team won ${nonDeclaringTeamScore} tricks (needed ${challengingTeamMinTricks}+)`
             };
         }
         
@@ -374,10 +308,8 @@ export class TrickManager {
         const state = this.gameState.getState();
         const roundScores = state.roundScores || { team1: 0, team2: 0 };
         
-        // Game ends when a team reaches 52 points
-        const pointsToWin = 52;
-        
-        return roundScores.team1 >= pointsToWin || roundScores.team2 >= pointsToWin;
+        // Game ends when a team reaches the target score
+        return isGameOver(roundScores, STANDARD_RULES.targetScore);
     }
 
     /**
@@ -423,23 +355,10 @@ export class TrickManager {
         // Reset trick for new round
         this.gameState.resetTrickForNewRound();
 
-        // Deal new cards for the new round
-        if (state.isDemoMode) {
-            // For demo mode, we need to call the DemoGameManager to setup new round
-            // This will be handled by the GameManager
-            const declarerName = this.gameState.getPlayerNameById(nextTrumpDeclarer);
-            this.uiManager.addGameMessage(`Round ${state.currentRound + 1} begins! ${declarerName} will declare trump.`, 'success');
-            
-            // Trigger new round setup callback
-            if (this.onNewRoundStart) {
-                this.onNewRoundStart(nextTrumpDeclarer);
-            }
-        } else {
-            // For multiplayer, server handles card dealing
-            const declarerName = this.gameState.getPlayerNameById(nextTrumpDeclarer);
-            this.uiManager.addGameMessage(`Round ${state.currentRound + 1} begins! ${declarerName} will declare trump.`, 'success');
-            this.uiManager.updateUI();
-        }
+        // The server handles card dealing
+        const declarerName = this.gameState.getPlayerNameById(nextTrumpDeclarer);
+        this.uiManager.addGameMessage(`Round ${state.currentRound + 1} begins! ${declarerName} will declare trump.`, 'success');
+        this.uiManager.updateUI();
     }
 
     /**
@@ -498,17 +417,10 @@ export class TrickManager {
      */
     mustFollowSuit(playerId, card) {
         const state = this.gameState.getState();
-        const leadSuit = state.leadSuit;
-        
-        if (!leadSuit || card.suit === leadSuit) {
-            return true; // No lead suit or card matches lead suit
-        }
-
-        // Check if player has cards of lead suit
         const playerHand = state.playerHand || [];
-        const cardsOfLeadSuit = playerHand.filter(c => c.suit === leadSuit);
-        
-        return cardsOfLeadSuit.length === 0; // Can play any card if no lead suit cards
+
+        // Any card while leading or void in the lead suit, otherwise the lead suit
+        return isValidPlay(playerHand, card, state.leadSuit);
     }
 
     /**
@@ -518,20 +430,8 @@ export class TrickManager {
     getValidCardsForTrick() {
         const state = this.gameState.getState();
         const playerHand = state.playerHand || [];
-        const leadSuit = state.leadSuit;
-        
-        if (!leadSuit) {
-            // No lead suit - all cards valid
-            return [...playerHand];
-        }
-
-        // Must follow lead suit if possible
-        const cardsOfLeadSuit = playerHand.filter(card => card.suit === leadSuit);
-        if (cardsOfLeadSuit.length > 0) {
-            return cardsOfLeadSuit;
-        }
 
-        // Can't follow suit - all cards valid
-        return [...playerHand];
+        // Must follow lead suit if possible, otherwise all cards are valid
+        return getValidCards(playerHand, state.leadSuit);
     }
 }
\ No newline at end of file
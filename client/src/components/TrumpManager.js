@@ -3,6 +3,8 @@
  * Handles trump suit selection, validation, and UI interactions
  */
 
+import { SUITS, sortCards } from '../../../shared/rules.js';
+
 export class TrumpManager {
     constructor(gameState, uiManager) {
         this.gameState = gameState;
@@ -262,13 +264,8 @@ export class TrumpManager {
      */
     dealRemainingCards() {
         const state = this.gameState.getState();
-        
-        // In demo mode, we already have all 8 cards
-        if (state.isDemoMode) {
-            return;
-        }
 
-        // For real games, this would be handled by the server
+        // The server deals the cards
         // Here we just update the UI to show full hands
         Object.keys(state.players).forEach(playerId => {
             this.gameState.updatePlayer(playerId, { handSize: 8 });
@@ -350,8 +347,7 @@ export class TrumpManager {
      * @returns {boolean} True if valid
      */
     isValidTrumpSuit(suit) {
-        const validSuits = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-        return validSuits.includes(suit);
+        return SUITS.includes(suit);
     }
 
     /**
@@ -423,18 +419,6 @@ export class TrumpManager {
      * @returns {Array} Sorted cards
      */
     sortCardsBySuit(cards) {
-        const suitOrder = ['Spades', 'Hearts', 'Diamonds', 'Clubs'];
-        const rankOrder = ['7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-        
-        return [...cards].sort((a, b) => {
-            // First sort by suit
-            const suitComparison = suitOrder.indexOf(a.suit) - suitOrder.indexOf(b.suit);
-            if (suitComparison !== 0) {
-                return suitComparison;
-            }
-            
-            // Then sort by rank within the same suit
-            return rankOrder.indexOf(a.rank) - rankOrder.indexOf(b.rank);
-        });
+        return sortCards(cards);
     }
 }
\ No newline at end of file
@@ -179,7 +179,9 @@ export class UIManager {
                 
                 // Show team from current player's perspective
                 const teamLabel = playerTeam === currentUserTeam ? 'Team A' : 'Team B';
-                const botIndicator = player.isBot ? '🤖 ' : '';
+                const botIndicator = player.isBot || player.botSubstitute ? '🤖 ' : '';
+                const crownIndicator = playerId === state.crownHolder ? '👑 ' : '';
+                const dealerIndicator = playerId === state.dealerUserId ? ' (D)' : '';
                 
                 // Debug logging for team assignments
                 console.log(`[UIManager] Team assignment debug:`, {
@@ -192,7 +194,7 @@ export class UIManager {
                     isBot: player.isBot
                 });
                 
-                nameElement.innerHTML = `<div class="player-display">${teamLabel} - ${botIndicator}${displayName}</div>`;
+                nameElement.innerHTML = `<div class="player-display">${teamLabel} - ${crownIndicator}${botIndicator}${displayName}${dealerIndicator}</div>`;
             }
 
             if (cardsElement) {
@@ -312,6 +314,55 @@ export class UIManager {
         }
     }
 
+    /**
+     * Show the countdown ring on the seat of the player whose clock is running
+     * @param {string} playerId - Player on the clock
+     * @param {number} remainingSeconds - Seconds left before the server plays for them
+     * @param {number} timeLimit - Full length of the turn in seconds
+     */
+    updateTurnTimer(playerId, remainingSeconds, timeLimit) {
+        const position = this.getPlayerPosition(playerId).toLowerCase();
+        const playerArea = document.getElementById(`player-${position}`);
+        if (!playerArea) {
+            return;
+        }
+
+        // Only one seat is on the clock at a time
+        document.querySelectorAll('.turn-timer-ring').forEach(ring => {
+            if (!playerArea.contains(ring)) {
+                ring.remove();
+            }
+        });
+
+        let ring = playerArea.querySelector('.turn-timer-ring');
+        if (!ring) {
+            ring = document.createElement('div');
+            ring.className = 'turn-timer-ring';
+            ring.setAttribute('role', 'timer');
+            ring.innerHTML = `
+                <svg viewBox="0 0 36 36" aria-hidden="true">
+                    <circle class="turn-timer-track" cx="18" cy="18" r="16"></circle>
+                    <circle class="turn-timer-progress" cx="18" cy="18" r="16" pathLength="100"></circle>
+                </svg>
+                <span class="turn-timer-seconds"></span>
+            `;
+            (playerArea.querySelector('.player-info') || playerArea).appendChild(ring);
+        }
+
+        const fraction = timeLimit > 0 ? Math.max(0, Math.min(1, remainingSeconds / timeLimit)) : 0;
+        ring.querySelector('.turn-timer-progress').style.strokeDashoffset = String(100 - fraction * 100);
+        ring.querySelector('.turn-timer-seconds').textContent = String(remainingSeconds);
+        ring.classList.toggle('low-time', remainingSeconds <= 5);
+        ring.setAttribute('aria-label', `${remainingSeconds} seconds left for ${this.getPlayerNameById(playerId)}`);
+    }
+
+    /**
+     * Remove the countdown ring from every seat
+     */
+    clearTurnTimer() {
+        document.querySelectorAll('.turn-timer-ring').forEach(ring => ring.remove());
+    }
+
     /**
      * Get player name by ID
      * @param {string} playerId - Player ID
@@ -320,18 +371,7 @@ export class UIManager {
     getPlayerNameById(playerId) {
         const state = this.gameState.getState();
         
-        // Check if it's demo mode with hardcoded names
-        if (state.isDemoMode) {
-            const nameMap = {
-                'human_player': 'You',
-                'bot_1': 'Bot 1',
-                'bot_2': 'Bot 2', 
-                'bot_3': 'Bot 3'
-            };
-            return nameMap[playerId] || 'Unknown Player';
-        }
-        
-        // For multiplayer, get from players data
+        // Get from players data
         if (state.players && state.players[playerId]) {
             return state.players[playerId].username || 'Unknown Player';
         }
@@ -400,13 +440,14 @@ export class UIManager {
 
     /**
      * Update connection status display
-     * @param {string} status - Connection status (connected, connecting, disconnected)
+     * @param {string} status - Connection status (connected, connecting, disconnected, offline)
      */
     updateConnectionStatus(status) {
         const statusMap = {
             connected: { text: 'Connected', class: 'connected' },
             connecting: { text: 'Connecting...', class: 'connecting' },
-            disconnected: { text: 'Disconnected', class: 'disconnected' }
+            disconnected: { text: 'Disconnected', class: 'disconnected' },
+            offline: { text: 'Offline', class: 'connected' }
         };
 
         const statusInfo = statusMap[status] || statusMap.disconnected;
@@ -564,20 +605,7 @@ export class UIManager {
      * @returns {string} Position (Bottom, Left, Top, Right)
      */
     getPlayerPosition(playerId) {
-        const state = this.gameState.getState();
-        
-        // For demo mode, use hardcoded positions
-        if (state.isDemoMode) {
-            const positionMap = {
-                'human_player': 'Bottom',
-                'bot_1': 'Left',
-                'bot_2': 'Top',
-                'bot_3': 'Right'
-            };
-            return positionMap[playerId] || 'Bottom';
-        }
-        
-        // For multiplayer mode, calculate relative positions
+        // Calculate positions relative to the current user
         return this.getRelativePlayerPosition(playerId);
     }
 
@@ -796,18 +824,6 @@ export class UIManager {
             return state.players[playerId].teamAssignment;
         }
         
-        // For demo mode, use hardcoded assignments
-        if (state.isDemoMode) {
-            const team1Players = ['human_player', 'bot_2'];
-            const team2Players = ['bot_1', 'bot_3'];
-            
-            if (team1Players.includes(playerId)) {
-                return 1;
-            } else if (team2Players.includes(playerId)) {
-                return 2;
-            }
-        }
-        
         // Fallback: determine by position (for backward compatibility)
         const position = this.getPlayerPosition(playerId);
         return (position === 'Bottom' || position === 'Top') ? 1 : 2;
@@ -1297,6 +1313,59 @@ export class UIManager {
         }
     }
 
+    /**
+     * Show the game-over modal with the final result
+     * @param {Object} summary - { title, score, series } texts, series omitted outside a series
+     */
+    showGameOverModal({ title, score, series }) {
+        const modal = document.getElementById('game-over-modal');
+        if (!modal) {
+            console.error('[UIManager] Game over modal not found');
+            return;
+        }
+
+        document.getElementById('game-over-title').textContent = title;
+        document.getElementById('game-over-score').textContent = score;
+
+        const seriesElement = document.getElementById('game-over-series');
+        seriesElement.textContent = series || '';
+        seriesElement.classList.toggle('hidden', !series);
+
+        modal.classList.remove('hidden');
+    }
+
+    /**
+     * Switch the rematch controls on the game-over modal
+     * @param {string} mode - 'propose' to ask for a rematch, 'respond' to a proposal,
+     *                        'waiting' for the others, or 'none' for spectators
+     * @param {string} status - Vote status shown under the result
+     */
+    setRematchControls(mode, status = '') {
+        const visibleIn = {
+            'rematch-options': ['propose'],
+            'rematch-btn': ['propose'],
+            'rematch-swap-btn': ['propose'],
+            'rematch-accept-btn': ['respond'],
+            'rematch-decline-btn': ['respond', 'waiting']
+        };
+
+        for (const [id, modes] of Object.entries(visibleIn)) {
+            document.getElementById(id)?.classList.toggle('hidden', !modes.includes(mode));
+        }
+
+        const statusElement = document.getElementById('rematch-status');
+        if (statusElement) {
+            statusElement.textContent = status;
+        }
+    }
+
+    /**
+     * Hide the game-over modal
+     */
+    hideGameOverModal() {
+        document.getElementById('game-over-modal')?.classList.add('hidden');
+    }
+
     /**
      * Set callback for next round trigger
      * @param {Function} callback - Function to call when next round should start
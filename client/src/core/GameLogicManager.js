@@ -132,19 +132,12 @@ export class GameLogicManager {
         this.manager.uiManager.showToast(`Adding ${count} bot${count > 1 ? 's' : ''}...`, 'system', { compact: true });
 
         if (this.manager.isHost) {
-            this.addBotsLocally(count);
+            // One difficulty per bot seat, picked in the bot management panel
+            const difficulties = this.manager.uiManager.getBotDifficulties().slice(0, count);
+            this.addBotsLocally(count, difficulties);
 
             if (this.manager.socketManager && this.manager.socketManager.isReady()) {
-                const botData = this.createBotData(count);
-                const eventData = {
-                    roomId: this.manager.roomId,
-                    type: 'bots-added',
-                    bots: botData,
-                    players: this.manager.players,
-                    message: `Host added ${count} bot${count > 1 ? 's' : ''}`
-                };
-                
-                this.manager.socketManager.emit('room-update', eventData);
+                this.manager.socketManager.addBots(difficulties);
             }
         } else {
             this.manager.uiManager.showToast('Only the host can add bots', 'warning', { compact: true });
@@ -166,19 +159,14 @@ export class GameLogicManager {
             this.removeBotsLocally();
 
             if (this.manager.socketManager && this.manager.socketManager.isReady()) {
-                this.manager.socketManager.emit('room-update', {
-                    roomId: this.manager.roomId,
-                    type: 'bots-removed',
-                    players: this.manager.players,
-                    message: `Host removed ${botCount} bot${botCount > 1 ? 's' : ''}`
-                });
+                this.manager.socketManager.removeBots();
             }
         } else {
             this.manager.uiManager.showToast('Only the host can remove bots', 'warning', { compact: true });
         }
     }
 
-    addBotsLocally(count) {
+    addBotsLocally(count, difficulties = []) {
         const botNames = ['Bot Alpha', 'Bot Beta', 'Bot Gamma', 'Bot Delta'];
         
         for (let i = 0; i < count; i++) {
@@ -188,6 +176,7 @@ export class GameLogicManager {
                 user_id: botId,
                 username: botNames[i] || `Bot ${i + 1}`,
                 isBot: true,
+                botDifficulty: difficulties[i] || 'medium',
                 isReady: true,
                 isConnected: true,
                 teamAssignment: null
@@ -205,23 +194,4 @@ export class GameLogicManager {
         this.manager.updatePlayersDisplay();
         this.manager.uiManager.showToast(`Removed ${botCount} bot${botCount > 1 ? 's' : ''} locally`, 'success', { compact: true });
     }
-
-    createBotData(count) {
-        const botData = [];
-        const botNames = ['Bot Alpha', 'Bot Beta', 'Bot Gamma', 'Bot Delta'];
-        
-        for (let i = 0; i < count; i++) {
-            const botId = `bot_${Date.now()}_${i}`;
-            botData.push({
-                userId: botId,
-                username: botNames[i] || `Bot ${i + 1}`,
-                isReady: true,
-                isConnected: true,
-                teamAssignment: null,
-                isBot: true
-            });
-        }
-        
-        return botData;
-    }
 }
\ No newline at end of file
@@ -8,8 +8,8 @@ import { UIManager } from '../components/UIManager.js';
 import { CardManager } from '../components/CardManager.js';
 import { TrumpManager } from '../components/TrumpManager.js';
 import { TrickManager } from '../components/TrickManager.js';
-import { DemoGameManager } from './DemoGameManager.js';
 import { WebSocketGameManager } from './WebSocketGameManager.js';
+import { OfflineGameManager } from './OfflineGameManager.js';
 import { AuthManager } from './auth.js';
 import { getErrorHandler } from './ErrorHandler.js';
 
@@ -18,16 +18,20 @@ export class GameManager {
         this.authManager = new AuthManager();
         this.gameState = new GameState();
         this.errorHandler = getErrorHandler(this.authManager);
+
+        // Offline games run in the browser and need no account
+        this.isOfflineMode = new URLSearchParams(window.location.search).get('offline') === 'true';
         
         // Initialize managers
-        this.uiManager = new UIManager(this.gameState, this.authManager);
+        // Offline games seat the human as human_player, so the UI must not take the ID from the session
+        this.uiManager = new UIManager(this.gameState, this.isOfflineMode ? null : this.authManager);
         this.cardManager = new CardManager(this.gameState, this.uiManager);
         this.trumpManager = new TrumpManager(this.gameState, this.uiManager);
         this.trickManager = new TrickManager(this.gameState, this.uiManager);
         
-        // Game mode managers (initialized based on mode)
-        this.demoGameManager = null;
+        // Demo and multiplayer games are both run by the server
         this.webSocketGameManager = null;
+        this.offlineGameManager = null;
         
         this.currentGameManager = null;
         this.isDemoMode = false;
@@ -38,6 +42,11 @@ export class GameManager {
      */
     async init() {
         try {
+            if (this.isOfflineMode) {
+                await this.initOfflineGame();
+                return;
+            }
+
             // Check authentication
             if (!this.authManager.isAuthenticated()) {
                 this.errorHandler?.handleAuthError('User not authenticated');
@@ -53,43 +62,26 @@ export class GameManager {
             this.setupEventListeners();
             this.uiManager.showLoading('Initializing game...');
 
-            // Initialize appropriate game manager
-            if (this.isDemoMode) {
-                this.demoGameManager = new DemoGameManager(
-                    this.gameState,
-                    this.uiManager,
-                    this.cardManager,
-                    this.trumpManager,
-                    this.trickManager
-                );
-                this.currentGameManager = this.demoGameManager;
-                
-                // Set up specific callbacks for demo mode
-                this.cardManager.setCardPlayCallback((card) => this.demoGameManager.handleCardPlay(card));
-                this.trumpManager.setTrumpDeclarationCallback((suit) => this.demoGameManager.handleTrumpDeclaration(suit));
-                
-                await this.demoGameManager.init(gameId);
-            } else {
-                this.webSocketGameManager = new WebSocketGameManager(
-                    this.gameState,
-                    this.uiManager,
-                    this.cardManager,
-                    this.trumpManager,
-                    this.trickManager,
-                    this.authManager
-                );
-                this.currentGameManager = this.webSocketGameManager;
-                
-                // Set up specific callbacks for multiplayer mode
-                console.log('[GameManager] Setting up multiplayer callbacks');
-                this.cardManager.setCardPlayCallback((card) => {
-                    console.log('[GameManager] Card play callback triggered:', card);
-                    return this.webSocketGameManager.handleCardPlay(card);
-                });
-                this.trumpManager.setTrumpDeclarationCallback((suit) => this.webSocketGameManager.handleTrumpDeclaration(suit));
-                
-                await this.webSocketGameManager.init(gameId);
-            }
+            // Initialize game manager
+            this.webSocketGameManager = new WebSocketGameManager(
+                this.gameState,
+                this.uiManager,
+                this.cardManager,
+                this.trumpManager,
+                this.trickManager,
+                this.authManager
+            );
+            this.currentGameManager = this.webSocketGameManager;
+
+            // Set up game action callbacks
+            console.log('[GameManager] Setting up game callbacks');
+            this.cardManager.setCardPlayCallback((card) => {
+                console.log('[GameManager] Card play callback triggered:', card);
+                return this.webSocketGameManager.handleCardPlay(card);
+            });
+            this.trumpManager.setTrumpDeclarationCallback((suit) => this.webSocketGameManager.handleTrumpDeclaration(suit));
+
+            await this.webSocketGameManager.init(gameId, { spectate: urlParams.get('spectate') === '1' });
 
             // Initial UI update
             this.uiManager.updateUI();
@@ -100,6 +92,31 @@ export class GameManager {
         }
     }
 
+    /**
+     * Initialize a single-player game that runs without the server
+     */
+    async initOfflineGame() {
+        const urlParams = new URLSearchParams(window.location.search);
+
+        this.setupEventListeners();
+        this.uiManager.showLoading('Loading offline game...');
+
+        this.offlineGameManager = new OfflineGameManager(
+            this.gameState,
+            this.uiManager,
+            this.cardManager,
+            this.trumpManager,
+            this.trickManager,
+            this.authManager
+        );
+        this.currentGameManager = this.offlineGameManager;
+
+        this.cardManager.setCardPlayCallback((card) => this.offlineGameManager.handleCardPlay(card));
+        this.trumpManager.setTrumpDeclarationCallback((suit) => this.offlineGameManager.handleTrumpDeclaration(suit));
+
+        await this.offlineGameManager.init(urlParams.get('gameId'));
+    }
+
     /**
      * Set up global event listeners
      */
@@ -178,7 +195,9 @@ export class GameManager {
             }
 
             // Navigate back to appropriate page
-            if (this.isDemoMode) {
+            if (this.isOfflineMode) {
+                window.location.href = this.authManager.isAuthenticated() ? '/dashboard.html' : '/login.html';
+            } else if (this.isDemoMode) {
                 window.location.href = '/dashboard.html';
             } else {
                 window.location.href = '/waiting-room.html';
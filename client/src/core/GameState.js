@@ -3,6 +3,8 @@
  * Centralized state management for the Contract Crown game
  */
 
+import { isSameCard, sortCards } from '../../../shared/rules.js';
+
 export class GameState {
     constructor() {
         this.state = {
@@ -18,7 +20,9 @@ export class GameState {
             trumpSuit: null,
             trumpDeclarer: 'player1',
             scores: { team1: 0, team2: 0 }, // Trick scores for current round
-            roundScores: { team1: 0, team2: 0 }, // Round wins
+            roundScores: { team1: 0, team2: 0 }, // Game points across rounds
+            scoreHistory: [], // Per-round score ledger
+            playedCards: [], // Cards from completed tricks this round
             playerHand: [
                 // Initial 4 cards for trump declaration (sorted by suit)
                 { suit: 'Spades', rank: 'J' },
@@ -118,6 +122,9 @@ export class GameState {
      * Clear current trick
      */
     clearTrick() {
+        const finishedCards = (this.state.currentTrick?.cardsPlayed || []).map(play => play.card);
+        this.state.playedCards = [...(this.state.playedCards || []), ...finishedCards];
+
         this.state.currentTrick = {
             trickNumber: (this.state.currentTrick?.trickNumber || 0) + 1,
             cardsPlayed: [],
@@ -131,6 +138,7 @@ export class GameState {
      * Reset trick for new round
      */
     resetTrickForNewRound() {
+        this.state.playedCards = [];
         this.state.currentTrick = {
             trickNumber: 1,
             cardsPlayed: [],
@@ -196,9 +204,7 @@ export class GameState {
      * @returns {boolean} True if card exists in hand
      */
     hasCard(card) {
-        return this.state.playerHand.some(c =>
-            c.suit === card.suit && c.rank === card.rank
-        );
+        return this.state.playerHand.some(c => isSameCard(c, card));
     }
 
     /**
@@ -216,19 +222,7 @@ export class GameState {
      * @returns {Array} Sorted cards
      */
     sortCardsBySuit(cards) {
-        const suitOrder = ['Spades', 'Hearts', 'Diamonds', 'Clubs'];
-        const rankOrder = ['7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-        
-        return [...cards].sort((a, b) => {
-            // First sort by suit
-            const suitComparison = suitOrder.indexOf(a.suit) - suitOrder.indexOf(b.suit);
-            if (suitComparison !== 0) {
-                return suitComparison;
-            }
-            
-            // Then sort by rank within the same suit
-            return rankOrder.indexOf(a.rank) - rankOrder.indexOf(b.rank);
-        });
+        return sortCards(cards);
     }
 
     /**
@@ -252,7 +246,9 @@ export class GameState {
             trumpSuit: null,
             trumpDeclarer: null,
             scores: { team1: 0, team2: 0 }, // Trick scores for current round
-            roundScores: { team1: 0, team2: 0 }, // Round wins
+            roundScores: { team1: 0, team2: 0 }, // Game points across rounds
+            scoreHistory: [], // Per-round score ledger
+            playedCards: [], // Cards from completed tricks this round
             playerHand: [],
             selectedCard: null,
             isMyTurn: false,
@@ -0,0 +1,453 @@
+/**
+ * OfflineGameEngine - Contract Crown games for a single player without a server
+ * Runs the shared rules the server uses (deal, suit following, trick resolution, contract
+ * scoring and the Crown Rule) and adds turn order, bots and saving around them.
+ * The whole game lives in a plain JSON state object so it can be saved and resumed.
+ */
+
+import {
+    SUITS, CARD_VALUES, TRICKS_PER_ROUND, TRUMP_DECLARATION_CARDS, STANDARD_RULES,
+    createDeck, shuffleDeck, dealHands, isValidDeal, isSameCard, getValidCards,
+    determineTrickWinner, calculateRoundScores, getNextRoundSeats, isGameOver, getGameWinner
+} from '../../../shared/rules.js';
+import { chooseLeadCard, chooseFollowCard } from '../../../shared/botStrategy.js';
+
+const MAX_DEAL_ATTEMPTS = 100;
+
+export const OFFLINE_GAME_RULES = STANDARD_RULES;
+
+export const OFFLINE_BOT_NAMES = ['Bot Alice', 'Bot Bob', 'Bot Charlie'];
+
+export class OfflineGameEngine {
+    /**
+     * @param {Object} state - Saved game state from toJSON
+     * @param {Object} options - Engine options
+     * @param {Function} [options.random] - Random number generator used for shuffling
+     */
+    constructor(state, { random = Math.random } = {}) {
+        this.state = state;
+        this.random = random;
+    }
+
+    /**
+     * Create a new offline game and deal the first round
+     * The human sits in seat 0 partnered with the bot opposite; the first dealer is drawn at random.
+     * @param {Object} options - Game options
+     * @param {string} options.gameId - Game ID
+     * @param {Object} options.human - Human player { id, username }
+     * @param {Array} [options.botNames] - Names for the three bots
+     * @param {Object} [options.rules] - Rule overrides
+     * @param {Function} [options.random] - Random number generator used for shuffling
+     * @returns {OfflineGameEngine} Engine for the new game
+     */
+    static createGame({ gameId, human, botNames = OFFLINE_BOT_NAMES, rules = {}, random = Math.random }) {
+        const createdAt = new Date().toISOString();
+        const players = [
+            { id: human.id, username: human.username || 'You', isBot: false },
+            ...botNames.map((name, index) => ({ id: `bot_${index + 1}`, username: name, isBot: true }))
+        ].map((player, seat) => ({ ...player, teamAssignment: seat % 2 === 0 ? 1 : 2 }));
+
+        const dealerSeat = Math.floor(random() * players.length);
+
+        const engine = new OfflineGameEngine({
+            gameId,
+            createdAt,
+            updatedAt: createdAt,
+            rules: { ...OFFLINE_GAME_RULES, ...rules },
+            players,
+            phase: 'trump_declaration',
+            roundNumber: 1,
+            dealerSeat,
+            // The player to the dealer's left declares first
+            declarerSeat: (dealerSeat + 1) % players.length,
+            hands: {},
+            trumpSuit: null,
+            currentTrick: null,
+            turnSeat: null,
+            playedCards: [],
+            trickScores: { team1: 0, team2: 0 },
+            roundScores: { team1: 0, team2: 0 },
+            scoreHistory: [],
+            lastRound: null,
+            winner: null
+        }, { random });
+
+        engine.dealRound();
+        return engine;
+    }
+
+    /**
+     * Shuffle and deal 8 cards to every player, redealing hands with 3+ Aces or 3+ Sevens
+     */
+    dealRound() {
+        let hands = null;
+
+        for (let attempt = 0; attempt < MAX_DEAL_ATTEMPTS && !hands; attempt++) {
+            const dealtHands = dealHands(shuffleDeck(createDeck(), this.random), this.state.players.length);
+            const dealt = Object.fromEntries(this.state.players.map((player, seat) => [player.id, dealtHands[seat]]));
+
+            if (!this.state.rules.redealRule || isValidDeal(dealt)) {
+                hands = dealt;
+            }
+        }
+
+        if (!hands) {
+            throw new Error(`Failed to find valid card distribution after ${MAX_DEAL_ATTEMPTS} attempts`);
+        }
+
+        Object.assign(this.state, {
+            phase: 'trump_declaration',
+            hands,
+            trumpSuit: null,
+            currentTrick: { trickNumber: 1, cardsPlayed: [], leadSuit: null },
+            turnSeat: this.state.declarerSeat,
+            playedCards: [],
+            trickScores: { team1: 0, team2: 0 }
+        });
+        this.touch();
+    }
+
+    /**
+     * Get a player's seat
+     * @param {string} playerId - Player ID
+     * @returns {number} Seat index, -1 if the player is not in the game
+     */
+    getSeat(playerId) {
+        return this.state.players.findIndex(player => player.id === playerId);
+    }
+
+    /**
+     * Get a player by ID
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Player
+     */
+    getPlayer(playerId) {
+        return this.state.players.find(player => player.id === playerId) || null;
+    }
+
+    /**
+     * Get a player's team key
+     * @param {string} playerId - Player ID
+     * @returns {string} team1 or team2
+     */
+    getTeamKey(playerId) {
+        return `team${this.getPlayer(playerId)?.teamAssignment}`;
+    }
+
+    /**
+     * Get the player declaring trump this round
+     * @returns {string} Player ID
+     */
+    getTrumpDeclarer() {
+        return this.state.players[this.state.declarerSeat].id;
+    }
+
+    /**
+     * Get the dealer for this round
+     * @returns {string} Player ID
+     */
+    getDealer() {
+        return this.state.players[this.state.dealerSeat].id;
+    }
+
+    /**
+     * Get the player who has to act next
+     * @returns {string|null} Player ID, or null between rounds
+     */
+    getCurrentTurnPlayer() {
+        if (!['trump_declaration', 'playing'].includes(this.state.phase)) {
+            return null;
+        }
+        return this.state.players[this.state.turnSeat].id;
+    }
+
+    /**
+     * Get the cards a player can see: only the first 4 until trump is declared
+     * @param {string} playerId - Player ID
+     * @returns {Array} Cards
+     */
+    getVisibleHand(playerId) {
+        const hand = this.state.hands[playerId] || [];
+        return this.state.phase === 'trump_declaration' ? hand.slice(0, TRUMP_DECLARATION_CARDS) : [...hand];
+    }
+
+    /**
+     * Declare trump for the round
+     * @param {string} playerId - Declaring player ID
+     * @param {string} trumpSuit - Suit to declare
+     * @returns {Object} Declaration result with the player leading the first trick
+     */
+    declareTrump(playerId, trumpSuit) {
+        if (this.state.phase !== 'trump_declaration') {
+            throw new Error('Trump can only be declared before the first trick');
+        }
+        if (playerId !== this.getTrumpDeclarer()) {
+            throw new Error('Only the trump declarer can declare trump');
+        }
+        if (!SUITS.includes(trumpSuit)) {
+            throw new Error(`Invalid trump suit: ${trumpSuit}`);
+        }
+
+        // The declarer leads the first trick
+        Object.assign(this.state, {
+            trumpSuit,
+            phase: 'playing',
+            turnSeat: this.state.declarerSeat
+        });
+        this.touch();
+
+        return { trumpSuit, declarerId: playerId, leaderId: playerId };
+    }
+
+    /**
+     * Get the cards a player may play into the current trick
+     * @param {string} playerId - Player ID
+     * @returns {Array} Valid cards
+     */
+    getValidCards(playerId) {
+        return getValidCards(this.state.hands[playerId] || [], this.state.currentTrick?.leadSuit);
+    }
+
+    /**
+     * Play a card, resolving the trick and the round when they are complete
+     * @param {string} playerId - Player ID
+     * @param {Object} card - Card to play
+     * @returns {Object} Play result with nextPlayerId, and trick and round results when completed
+     */
+    playCard(playerId, card) {
+        if (this.state.phase !== 'playing') {
+            throw new Error('Wait for trump to be declared before playing');
+        }
+        if (playerId !== this.getCurrentTurnPlayer()) {
+            throw new Error("It's not your turn to play");
+        }
+
+        const hand = this.state.hands[playerId];
+        const cardIndex = hand.findIndex(c => isSameCard(c, card));
+        if (cardIndex === -1) {
+            throw new Error('That card is not in your hand');
+        }
+
+        const trick = this.state.currentTrick;
+        if (!this.getValidCards(playerId).some(c => isSameCard(c, card))) {
+            throw new Error(`You must follow suit: ${trick.leadSuit}`);
+        }
+
+        const [playedCard] = hand.splice(cardIndex, 1);
+        trick.cardsPlayed.push({ playerId, card: playedCard });
+        if (!trick.leadSuit) {
+            trick.leadSuit = playedCard.suit;
+        }
+
+        const result = { playerId, card: playedCard, nextPlayerId: null, trick: null, round: null };
+
+        if (trick.cardsPlayed.length < this.state.players.length) {
+            this.state.turnSeat = (this.state.turnSeat + 1) % this.state.players.length;
+            result.nextPlayerId = this.getCurrentTurnPlayer();
+            this.touch();
+            return result;
+        }
+
+        // Trick complete: the winner leads the next one
+        const winnerId = this.determineTrickWinner(trick.cardsPlayed, this.state.trumpSuit);
+        const winnerTeam = this.getTeamKey(winnerId);
+        this.state.trickScores[winnerTeam]++;
+        this.state.playedCards.push(...trick.cardsPlayed.map(play => play.card));
+        this.state.turnSeat = this.getSeat(winnerId);
+
+        result.trick = {
+            trickNumber: trick.trickNumber,
+            cardsPlayed: trick.cardsPlayed,
+            winnerId,
+            winnerTeam,
+            scores: { ...this.state.trickScores }
+        };
+
+        if (trick.trickNumber < TRICKS_PER_ROUND) {
+            this.state.currentTrick = { trickNumber: trick.trickNumber + 1, cardsPlayed: [], leadSuit: null };
+            result.nextPlayerId = winnerId;
+        } else {
+            this.state.currentTrick = null;
+            result.round = this.completeRound();
+        }
+
+        this.touch();
+        return result;
+    }
+
+    /**
+     * Determine the winner of a trick: highest trump, otherwise highest card of the lead suit
+     * @param {Array} cardsPlayed - Cards in play order ({ playerId, card })
+     * @param {string} trumpSuit - Declared trump suit
+     * @returns {string} Winning player ID
+     */
+    determineTrickWinner(cardsPlayed, trumpSuit) {
+        return determineTrickWinner(cardsPlayed, trumpSuit).playerId;
+    }
+
+    /**
+     * Score the finished round and check whether the game is over
+     * @returns {Object} Round result shaped like the server's round complete event
+     */
+    completeRound() {
+        const { rules, trickScores } = this.state;
+        const declarerId = this.getTrumpDeclarer();
+        const declaringTeamKey = this.getTeamKey(declarerId);
+        const challengingTeamKey = declaringTeamKey === 'team1' ? 'team2' : 'team1';
+
+        const {
+            declaringTeamScore,
+            challengingTeamScore,
+            declaringTeamMadeContract,
+            challengingTeamMadeContract
+        } = calculateRoundScores({
+            declaringTeamTricks: trickScores[declaringTeamKey],
+            challengingTeamTricks: trickScores[challengingTeamKey]
+        }, rules);
+
+        const roundPoints = {
+            [declaringTeamKey]: declaringTeamScore,
+            [challengingTeamKey]: challengingTeamScore
+        };
+        const roundScores = {
+            team1: this.state.roundScores.team1 + roundPoints.team1,
+            team2: this.state.roundScores.team2 + roundPoints.team2
+        };
+
+        const teamName = (teamKey) => `Team ${teamKey.replace('team', '')}`;
+        const roundWinner = declaringTeamMadeContract
+            ? {
+                teamKey: declaringTeamKey,
+                teamName: teamName(declaringTeamKey),
+                points: roundPoints[declaringTeamKey],
+                reason: `Trump declaring team won ${trickScores[declaringTeamKey]} tricks (needed ${rules.declaringTeamMinTricks}+)`
+            }
+            : {
+                teamKey: challengingTeamKey,
+                teamName: teamName(challengingTeamKey),
+                points: roundPoints[challengingTeamKey],
+                reason: `Challenging team won ${trickScores[challengingTeamKey]} tricks (needed ${rules.challengingTeamMinTricks}+)`
+            };
+
+        this.state.scoreHistory.push({
+            roundNumber: this.state.roundNumber,
+            trumpSuit: this.state.trumpSuit,
+            trumpDeclarer: declarerId,
+            declaringTeam: declaringTeamKey,
+            tricks: { ...trickScores },
+            points: roundPoints,
+            totals: roundScores,
+            declaringTeamMadeContract,
+            challengingTeamMadeContract
+        });
+        this.state.roundScores = roundScores;
+
+        const gameComplete = isGameOver(roundScores, rules.targetScore);
+        if (gameComplete) {
+            // A tie at or over the target leaves no winner
+            this.state.winner = getGameWinner(roundScores, rules.targetScore);
+        }
+
+        this.state.lastRound = {
+            roundWinner,
+            trickScores: { ...trickScores },
+            roundPoints,
+            roundScores,
+            crownRetained: declaringTeamMadeContract,
+            gameComplete
+        };
+        this.state.phase = gameComplete ? 'game_over' : 'round_complete';
+
+        return this.state.lastRound;
+    }
+
+    /**
+     * Deal the next round
+     * Crown Rule: the dealer moves one seat to the left and a declaring team that made its
+     * contract keeps the declaration, otherwise it passes to the outgoing dealer's left.
+     * @returns {Object} New round details
+     */
+    startNextRound() {
+        if (this.state.phase !== 'round_complete') {
+            throw new Error('The current round is not finished');
+        }
+
+        const crownRetained = Boolean(this.state.lastRound?.crownRetained);
+
+        Object.assign(this.state, getNextRoundSeats({
+            dealerSeat: this.state.dealerSeat,
+            declarerSeat: this.state.declarerSeat,
+            crownRetained
+        }, this.state.players.length));
+        this.state.roundNumber++;
+        this.dealRound();
+
+        return {
+            roundNumber: this.state.roundNumber,
+            dealerId: this.getDealer(),
+            trumpDeclarer: this.getTrumpDeclarer(),
+            crownRetained
+        };
+    }
+
+    /**
+     * Choose trump for a bot: the suit it holds most of in its first 4 cards,
+     * breaking ties on the strength of those cards
+     * @param {string} playerId - Bot player ID
+     * @returns {string} Trump suit
+     */
+    chooseBotTrump(playerId) {
+        const initialCards = this.getVisibleHand(playerId).slice(0, TRUMP_DECLARATION_CARDS);
+        const strength = (suit) => {
+            const cards = initialCards.filter(card => card.suit === suit);
+            return cards.length * 100 + cards.reduce((sum, card) => sum + CARD_VALUES[card.rank], 0);
+        };
+
+        return SUITS.reduce((best, suit) => strength(suit) > strength(best) ? suit : best);
+    }
+
+    /**
+     * Choose a card for a bot with the bot strategy the server's BotAI uses
+     * Offline bots play at full strength: they always draw trump as the declaring side
+     * and go for tricks they cannot be sure of.
+     * @param {string} playerId - Bot player ID
+     * @returns {Object} Card to play
+     */
+    chooseBotCard(playerId) {
+        const validCards = this.getValidCards(playerId);
+        if (validCards.length === 1) {
+            return validCards[0];
+        }
+
+        const cardsPlayed = this.state.currentTrick?.cardsPlayed || [];
+        const situation = {
+            hand: this.state.hands[playerId] || [],
+            cardsPlayed,
+            trumpSuit: this.state.trumpSuit,
+            isDeclaringTeam: this.getTeamKey(playerId) === this.getTeamKey(this.getTrumpDeclarer()),
+            partnerId: this.state.players[(this.getSeat(playerId) + 2) % this.state.players.length].id,
+            seenCards: [...this.state.playedCards, ...cardsPlayed.map(play => play.card)],
+            aggressiveness: 1,
+            riskiness: 1
+        };
+
+        return cardsPlayed.length === 0
+            ? chooseLeadCard(validCards, situation)
+            : chooseFollowCard(validCards, situation);
+    }
+
+    /**
+     * Record that the game changed
+     */
+    touch() {
+        this.state.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Get a copy of the game state for saving
+     * @returns {Object} Game state
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.state));
+    }
+}
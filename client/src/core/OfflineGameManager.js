@@ -0,0 +1,491 @@
+/**
+ * OfflineGameManager - Handles single-player games without a server
+ * Runs the game with OfflineGameEngine and three bots in the browser and saves
+ * progress to IndexedDB after every move so the game can be resumed.
+ */
+
+import { OfflineGameEngine } from './OfflineGameEngine.js';
+import { OfflineGameStore } from './OfflineGameStore.js';
+
+const HUMAN_PLAYER_ID = 'human_player';
+const BOT_TURN_DELAY = 1200;
+const TRICK_DISPLAY_DELAY = 2000;
+
+export class OfflineGameManager {
+    constructor(gameState, uiManager, cardManager, trumpManager, trickManager, authManager) {
+        this.gameState = gameState;
+        this.uiManager = uiManager;
+        this.cardManager = cardManager;
+        this.trumpManager = trumpManager;
+        this.trickManager = trickManager;
+        this.authManager = authManager;
+
+        this.store = new OfflineGameStore();
+        this.engine = null;
+        this.pendingTimeout = null;
+
+        this.setupCallbacks();
+    }
+
+    /**
+     * Set up manager callbacks
+     */
+    setupCallbacks() {
+        this.uiManager.setNextRoundCallback(() => this.handleNextRound());
+    }
+
+    /**
+     * Initialize offline game, resuming a saved game when there is one
+     * @param {string} gameId - Saved game ID, or null for the latest unfinished game
+     */
+    async init(gameId) {
+        try {
+            const savedGame = await this.loadSavedGame(gameId);
+
+            if (savedGame) {
+                this.engine = new OfflineGameEngine(savedGame);
+                this.uiManager.addGameMessage('Resumed your offline game', 'success');
+            } else {
+                this.createGame();
+                this.uiManager.addGameMessage('Offline game started against 3 bots', 'success');
+            }
+
+            console.log('[OfflineGameManager] Initializing offline game:', this.engine.state.gameId);
+
+            this.uiManager.updateConnectionStatus('offline');
+            this.syncState();
+            this.renderCurrentTrick();
+            this.uiManager.hideLoading();
+
+            this.continueGame();
+
+        } catch (error) {
+            console.error('[OfflineGameManager] Failed to initialize:', error);
+            this.uiManager.showError('Failed to start offline game');
+        }
+    }
+
+    /**
+     * Load a saved game from IndexedDB
+     * @param {string} gameId - Game ID, or null for the latest unfinished game
+     * @returns {Promise<Object|null>} Saved game state
+     */
+    async loadSavedGame(gameId) {
+        if (!this.store.isAvailable()) {
+            return null;
+        }
+
+        try {
+            return gameId
+                ? await this.store.loadGame(gameId)
+                : await this.store.getLatestUnfinishedGame();
+        } catch (error) {
+            console.warn('[OfflineGameManager] Could not load saved game:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Deal a new game and save it
+     */
+    createGame() {
+        this.engine = OfflineGameEngine.createGame({
+            gameId: `offline_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            human: {
+                id: HUMAN_PLAYER_ID,
+                username: this.authManager?.getUsername() || 'You'
+            }
+        });
+        this.saveGame();
+
+        // Keep the game ID in the address so a reload resumes this game
+        const url = new URL(window.location.href);
+        url.searchParams.set('gameId', this.engine.state.gameId);
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * Save the game to IndexedDB
+     * @returns {Promise<void>}
+     */
+    saveGame() {
+        if (!this.store.isAvailable()) {
+            return Promise.resolve();
+        }
+
+        return this.store.saveGame(this.engine.toJSON()).catch(error => {
+            console.warn('[OfflineGameManager] Failed to save game:', error);
+        });
+    }
+
+    /**
+     * Copy the engine state into the shared game state and refresh the UI
+     * @param {Object} overrides - State to apply on top of the engine state
+     */
+    syncState(overrides = {}) {
+        const state = this.engine.toJSON();
+        const currentTurnPlayer = this.engine.getCurrentTurnPlayer();
+        const trumpDeclarer = this.engine.getTrumpDeclarer();
+
+        // Players are kept in seat order so screen positions follow the table
+        const players = Object.fromEntries(state.players.map((player, seatPosition) => [player.id, {
+            username: player.username,
+            seatPosition,
+            isBot: player.isBot,
+            teamAssignment: player.teamAssignment,
+            isConnected: true,
+            handSize: this.engine.getVisibleHand(player.id).length
+        }]));
+
+        this.gameState.updateState({
+            gameId: state.gameId,
+            isOfflineMode: true,
+            currentUserId: HUMAN_PLAYER_ID,
+            currentPlayer: HUMAN_PLAYER_ID,
+            players,
+            playerHand: this.gameState.sortCardsBySuit(this.engine.getVisibleHand(HUMAN_PLAYER_ID)),
+            gamePhase: state.phase,
+            status: state.phase === 'game_over' ? 'completed' : 'in_progress',
+            currentRound: state.roundNumber,
+            trumpSuit: state.trumpSuit,
+            trumpDeclarer,
+            crownHolder: trumpDeclarer,
+            dealerUserId: this.engine.getDealer(),
+            currentTurnPlayer,
+            isMyTurn: currentTurnPlayer === HUMAN_PLAYER_ID,
+            currentTrick: state.currentTrick || { trickNumber: 1, cardsPlayed: [], leadSuit: null },
+            leadSuit: state.currentTrick?.leadSuit || null,
+            playedCards: state.playedCards,
+            scores: state.trickScores,
+            roundScores: state.roundScores,
+            scoreHistory: state.scoreHistory,
+            targetScore: state.rules.targetScore,
+            selectedCard: null,
+            ...overrides
+        });
+
+        this.cardManager.renderPlayerHand();
+        this.uiManager.updateUI();
+        this.cardManager.updateCardPlayability();
+    }
+
+    /**
+     * Put the cards of the trick in progress back on the table after a reload
+     */
+    renderCurrentTrick() {
+        (this.engine.state.currentTrick?.cardsPlayed || []).forEach(play => {
+            this.cardManager.renderPlayedCard(play.playerId, play.card, this.getPlayerPosition(play.playerId));
+        });
+    }
+
+    /**
+     * Prompt the human or hand the turn to a bot, depending on where the game is
+     */
+    continueGame() {
+        this.clearPendingTimeout();
+
+        const { phase } = this.engine.state;
+        const turnPlayer = this.engine.getCurrentTurnPlayer();
+
+        switch (phase) {
+            case 'trump_declaration':
+                if (turnPlayer === HUMAN_PLAYER_ID) {
+                    this.uiManager.addGameMessage('Your turn to declare trump!', 'info');
+                    this.schedule(() => this.trumpManager.showTrumpDeclarationModal(), 1000);
+                } else {
+                    this.uiManager.addGameMessage(`Waiting for ${this.getDisplayName(turnPlayer)} to declare trump...`, 'info');
+                    this.schedule(() => this.playBotTurn(), BOT_TURN_DELAY);
+                }
+                break;
+            case 'playing':
+                if (turnPlayer !== HUMAN_PLAYER_ID) {
+                    this.schedule(() => this.playBotTurn(), BOT_TURN_DELAY);
+                }
+                break;
+            case 'round_complete':
+                this.showRoundComplete();
+                break;
+            case 'game_over':
+                this.showRoundComplete();
+                this.showGameOver();
+                break;
+        }
+    }
+
+    /**
+     * Declare trump or play a card for the bot whose turn it is
+     */
+    playBotTurn() {
+        const playerId = this.engine.getCurrentTurnPlayer();
+        if (!playerId || playerId === HUMAN_PLAYER_ID) {
+            return;
+        }
+
+        try {
+            if (this.engine.state.phase === 'trump_declaration') {
+                this.applyBotTrumpDeclaration(playerId, this.engine.chooseBotTrump(playerId));
+            } else {
+                this.applyCardPlay(playerId, this.engine.chooseBotCard(playerId));
+            }
+        } catch (error) {
+            console.error('[OfflineGameManager] Bot turn failed:', error);
+        }
+    }
+
+    /**
+     * Handle trump declaration from the human player
+     * @param {string} suit - Trump suit declared
+     */
+    async handleTrumpDeclaration(suit) {
+        console.log('[OfflineGameManager] Declaring trump:', suit);
+
+        try {
+            this.engine.declareTrump(HUMAN_PLAYER_ID, suit);
+        } catch (error) {
+            this.syncState();
+            throw error;
+        }
+
+        // The declarer leads, so the human plays first once all 8 cards are in hand
+        this.saveGame();
+        this.syncState();
+    }
+
+    /**
+     * Apply a bot's trump declaration
+     * @param {string} playerId - Bot player ID
+     * @param {string} suit - Trump suit
+     */
+    applyBotTrumpDeclaration(playerId, suit) {
+        this.engine.declareTrump(playerId, suit);
+        this.saveGame();
+        this.syncState();
+
+        const declarerName = this.getDisplayName(playerId);
+        this.uiManager.showTrumpDeclaredToast(suit, declarerName);
+        this.uiManager.addGameMessage('All cards dealt! Trick-taking begins!', 'success');
+        this.uiManager.addGameMessage(`${declarerName} leads the first trick`, 'info');
+
+        this.continueGame();
+    }
+
+    /**
+     * Handle card play from human player
+     * @param {Object} card - Card played
+     */
+    async handleCardPlay(card) {
+        console.log('[OfflineGameManager] Playing card:', card);
+
+        try {
+            this.applyCardPlay(HUMAN_PLAYER_ID, card);
+        } catch (error) {
+            // The card was removed optimistically, so restore the engine's view of the hand
+            console.warn('[OfflineGameManager] Card play rejected:', error.message);
+            this.syncState();
+            this.uiManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Play a card and show the result, pausing on completed tricks
+     * @param {string} playerId - Player ID
+     * @param {Object} card - Card to play
+     */
+    applyCardPlay(playerId, card) {
+        const result = this.engine.playCard(playerId, card);
+        this.saveGame();
+
+        this.cardManager.renderPlayedCard(playerId, result.card, this.getPlayerPosition(playerId));
+        this.uiManager.addGameMessage(`${this.getDisplayName(playerId)} played ${result.card.rank} of ${result.card.suit}`, 'info');
+
+        if (!result.trick) {
+            this.syncState();
+            this.continueGame();
+            return;
+        }
+
+        // Leave the full trick on the table for a moment before the winner leads
+        this.syncState({ currentTurnPlayer: null, isMyTurn: false });
+        this.uiManager.updateScoreDisplay(true);
+
+        const winnerId = result.trick.winnerId;
+        this.uiManager.addGameMessage(
+            winnerId === HUMAN_PLAYER_ID ? 'You win the trick' : `${this.getDisplayName(winnerId)} wins the trick`,
+            'success'
+        );
+
+        this.schedule(() => {
+            this.uiManager.clearPlayedCards();
+            this.syncState();
+            this.continueGame();
+        }, TRICK_DISPLAY_DELAY);
+    }
+
+    /**
+     * Show the round result and the round summary modal
+     */
+    showRoundComplete() {
+        const lastRound = this.engine.state.lastRound;
+        if (!lastRound) {
+            return;
+        }
+
+        this.uiManager.updateRoundScoreDisplay(true);
+
+        this.uiManager.addGameMessage('Round complete!', 'success');
+        this.uiManager.addGameMessage(
+            `Tricks won - Team 1: ${lastRound.trickScores.team1}, Team 2: ${lastRound.trickScores.team2}`,
+            'info'
+        );
+        this.uiManager.addGameMessage(
+            `${lastRound.roundWinner.teamName} wins the round and scores ${lastRound.roundWinner.points} points!`,
+            'success'
+        );
+        this.uiManager.addGameMessage(
+            lastRound.crownRetained ? 'The declaring team keeps the crown' : 'The declaring team loses the crown',
+            'info'
+        );
+
+        // The game over flow takes over from the round summary
+        if (lastRound.gameComplete) {
+            return;
+        }
+
+        this.schedule(() => {
+            this.uiManager.showCongratulationsModal(
+                lastRound.roundWinner,
+                lastRound.trickScores,
+                lastRound.roundScores
+            );
+        }, 2000);
+    }
+
+    /**
+     * Handle next round start once the round summary closes
+     */
+    handleNextRound() {
+        if (!this.engine || this.engine.state.phase !== 'round_complete') {
+            return;
+        }
+
+        const round = this.engine.startNextRound();
+        this.saveGame();
+
+        this.uiManager.clearPlayedCards();
+        this.uiManager.hideCongratulationsModal();
+        this.syncState();
+
+        this.uiManager.addGameMessage(`Round ${round.roundNumber} begins!`, 'success');
+        this.uiManager.addGameMessage(`${this.getDisplayName(round.dealerId)} dealt this round`, 'info');
+
+        const crownName = this.getDisplayName(round.trumpDeclarer);
+        this.uiManager.addGameMessage(
+            round.crownRetained ? `👑 ${crownName} kept the crown` : `👑 The crown passes to ${crownName}`,
+            'info'
+        );
+
+        this.continueGame();
+    }
+
+    /**
+     * Show the final result and offer a new game
+     */
+    showGameOver() {
+        const { roundScores, scoreHistory, winner } = this.engine.state;
+        const myTeam = this.engine.getTeamKey(HUMAN_PLAYER_ID);
+        const otherTeam = myTeam === 'team1' ? 'team2' : 'team1';
+
+        let message;
+        if (!winner) {
+            message = `Game Over! It's a draw at ${roundScores.team1} points`;
+        } else if (winner === myTeam) {
+            message = `Game Over! Your team wins ${roundScores[myTeam]} - ${roundScores[otherTeam]}`;
+        } else {
+            message = `Game Over! The bots win ${roundScores[otherTeam]} - ${roundScores[myTeam]}`;
+        }
+
+        this.uiManager.addGameMessage(message, 'success');
+
+        // Summarize every round from the score ledger
+        scoreHistory.forEach(round => {
+            this.uiManager.addGameMessage(
+                `Round ${round.roundNumber}: Team 1 +${round.points.team1}, Team 2 +${round.points.team2} (${round.totals.team1} - ${round.totals.team2})`,
+                'info'
+            );
+        });
+
+        this.schedule(() => {
+            if (confirm(`${message}\n\nStart a new offline game?`)) {
+                this.startNewGame();
+            }
+        }, 3000);
+    }
+
+    /**
+     * Replace the finished game with a new one
+     */
+    startNewGame() {
+        const finishedGameId = this.engine.state.gameId;
+        if (this.store.isAvailable()) {
+            this.store.deleteGame(finishedGameId).catch(error => {
+                console.warn('[OfflineGameManager] Failed to delete finished game:', error);
+            });
+        }
+
+        this.uiManager.clearPlayedCards();
+        this.createGame();
+        this.syncState();
+        this.uiManager.addGameMessage('New offline game started', 'success');
+
+        this.continueGame();
+    }
+
+    /**
+     * Get a player's name as shown to the human
+     * @param {string} playerId - Player ID
+     * @returns {string} Player name
+     */
+    getDisplayName(playerId) {
+        return playerId === HUMAN_PLAYER_ID ? 'You' : this.gameState.getPlayerNameById(playerId);
+    }
+
+    /**
+     * Get player position on screen
+     * @param {string} playerId - Player ID
+     * @returns {string} Screen position (bottom, left, top, right)
+     */
+    getPlayerPosition(playerId) {
+        return this.uiManager.getPlayerPosition(playerId).toLowerCase();
+    }
+
+    /**
+     * Run the next step of the game after a delay
+     * @param {Function} callback - Step to run
+     * @param {number} delay - Delay in milliseconds
+     */
+    schedule(callback, delay) {
+        this.clearPendingTimeout();
+        this.pendingTimeout = setTimeout(() => {
+            this.pendingTimeout = null;
+            callback();
+        }, delay);
+    }
+
+    /**
+     * Cancel the scheduled game step
+     */
+    clearPendingTimeout() {
+        if (this.pendingTimeout) {
+            clearTimeout(this.pendingTimeout);
+            this.pendingTimeout = null;
+        }
+    }
+
+    /**
+     * Cleanup offline game resources
+     */
+    cleanup() {
+        console.log('[OfflineGameManager] Cleaning up offline game');
+        this.clearPendingTimeout();
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * OfflineGameStore - Saves offline games in IndexedDB so they can be resumed
+ * Each game is stored as the OfflineGameEngine state, keyed by game ID.
+ */
+
+const DB_NAME = 'contract-crown-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'games';
+
+export class OfflineGameStore {
+    constructor(indexedDB = globalThis.indexedDB) {
+        this.indexedDB = indexedDB;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean} True if games can be saved
+     */
+    isAvailable() {
+        return Boolean(this.indexedDB);
+    }
+
+    /**
+     * Open the database, creating the games store on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.isAvailable()) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'gameId' });
+                        store.createIndex('updatedAt', 'updatedAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Let the next call try again
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the games store
+     * @param {string} mode - Transaction mode (readonly, readwrite)
+     * @param {Function} operation - Receives the object store and returns a request
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save a game
+     * @param {Object} game - Game state from OfflineGameEngine.toJSON
+     */
+    async saveGame(game) {
+        await this.run('readwrite', store => store.put(game));
+    }
+
+    /**
+     * Load a game
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object|null>} Game state, or null if not saved
+     */
+    async loadGame(gameId) {
+        const game = await this.run('readonly', store => store.get(gameId));
+        return game || null;
+    }
+
+    /**
+     * Get the most recently played game that is not finished
+     * @returns {Promise<Object|null>} Game state, or null if there is nothing to resume
+     */
+    async getLatestUnfinishedGame() {
+        const games = await this.run('readonly', store => store.getAll());
+
+        return games
+            .filter(game => game.phase !== 'game_over')
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))[0] || null;
+    }
+
+    /**
+     * Delete a game
+     * @param {string} gameId - Game ID
+     */
+    async deleteGame(gameId) {
+        await this.run('readwrite', store => store.delete(gameId));
+    }
+}
@@ -199,4 +199,31 @@ export class RoomManager {
             throw error;
         }
     }
+
+    /**
+     * Create a demo game against three bots
+     */
+    async createDemoGame() {
+        try {
+            const response = await fetch(`${this.apiBase}/games/demo`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.authManager ? this.authManager.getToken() : localStorage.getItem('auth_token')}`
+                }
+            });
+
+            if (!response.ok) {
+                this.errorHandler?.handleHttpAuthError(response, `${this.apiBase}/games/demo`);
+                const errorData = await response.json();
+                throw new Error(errorData.message || 'Failed to create demo game');
+            }
+
+            const data = await response.json();
+            return data.game;
+        } catch (error) {
+            console.error('Error creating demo game:', error);
+            throw error;
+        }
+    }
 }
\ No newline at end of file
@@ -80,6 +80,23 @@ export class SocketEventHandler {
             this.manager.markSuccessfulUpdate();
         });
 
+        socketManager.on('spectators-updated', (data) => {
+            this.manager.handleSpectatorsUpdate(data.spectators);
+        });
+
+        // Chat events
+        socketManager.on('chat-message', (message) => {
+            this.manager.uiManager.addChatMessage(message);
+        });
+
+        socketManager.on('chat-history', (data) => {
+            this.manager.uiManager.setChatHistory(data.messages);
+        });
+
+        socketManager.on('chat-error', (error) => {
+            this.manager.uiManager.showChatError(error.message || 'Message could not be sent');
+        });
+
         // Team management events
         socketManager.on('teams-shuffled', (data) => {
             this.handleTeamsShuffled(data);
@@ -123,14 +140,7 @@ export class SocketEventHandler {
         console.log('[SocketEventHandler] Successfully joined room via socket:', data);
 
         if (data.players) {
-            const mappedPlayers = data.players.map(player => ({
-                id: player.userId,
-                user_id: player.userId,
-                username: player.username,
-                isReady: player.isReady,
-                teamAssignment: player.teamAssignment,
-                isConnected: player.isConnected !== false
-            }));
+            const mappedPlayers = data.players.map(player => this.mapServerPlayer(player));
 
             if (!this.manager.roomData) {
                 this.manager.roomData = {};
@@ -141,6 +151,28 @@ export class SocketEventHandler {
 
             this.manager.updateRoomDisplay();
         }
+
+        if (data.spectators) {
+            this.manager.handleSpectatorsUpdate(data.spectators);
+        }
+
+        this.manager.socketManager?.requestChatHistory();
+    }
+
+    /**
+     * Map a player from the server's room state to the shape the waiting room uses
+     */
+    mapServerPlayer(player) {
+        return {
+            id: player.userId,
+            user_id: player.userId,
+            username: player.username,
+            isReady: player.isReady,
+            teamAssignment: player.teamAssignment,
+            isConnected: player.isConnected !== false,
+            isBot: Boolean(player.isBot),
+            botDifficulty: player.botDifficulty
+        };
     }
 
     handleRoomUpdated(data) {
@@ -148,7 +180,7 @@ export class SocketEventHandler {
 
         if (data.type === 'bots-added' || data.type === 'bots-removed') {
             if (data.players) {
-                this.manager.players = data.players;
+                this.manager.players = data.players.map(player => this.mapServerPlayer(player));
                 this.manager.updatePlayersDisplay();
             }
 
@@ -194,6 +194,12 @@ export class SocketManager {
         this.socket.on('game:round_scores', (data) => this.emit('gameRoundScores', data));
         this.socket.on('game:complete', (data) => this.emit('gameComplete', data));
         
+        // Quick-match queue events
+        this.socket.on('matchmaking:queued', (data) => this.emit('matchmakingQueued', data));
+        this.socket.on('matchmaking:matched', (data) => this.emit('matchmakingMatched', data));
+        this.socket.on('matchmaking:left', (data) => this.emit('matchmakingLeft', data));
+        this.socket.on('matchmaking:error', (data) => this.emit('matchmakingError', data));
+        
         // User events
         this.socket.on('userStatsUpdated', (data) => this.emit('userStatsUpdated', data));
         
@@ -7,9 +7,10 @@
 import { getErrorHandler } from './ErrorHandler.js';
 
 export class WaitingRoomSocketManager {
-    constructor(authManager, roomId) {
+    constructor(authManager, roomId, { spectate = false } = {}) {
         this.authManager = authManager;
         this.roomId = roomId;
+        this.isSpectator = spectate;
         this.socket = null;
         this.eventListeners = new Map();
         this.errorHandler = getErrorHandler(authManager);
@@ -256,6 +257,11 @@ export class WaitingRoomSocketManager {
             this.emit('player-reconnected', data);
         });
 
+        this.socket.on('spectators-updated', (data) => {
+            console.log('[WaitingRoomSocketManager] Spectators updated:', data);
+            this.emit('spectators-updated', data);
+        });
+
         // Room events
         this.socket.on('waiting-room-joined', (data) => {
             console.log('[WaitingRoomSocketManager] Room joined successfully:', data);
@@ -344,6 +350,26 @@ export class WaitingRoomSocketManager {
             this.emit('room-updated', data);
         });
 
+        // Bot additions and removals made by the host
+        this.socket.on('room-updated', (data) => {
+            console.log('[WaitingRoomSocketManager] Room bots updated:', data);
+            this.emit('room-updated', data);
+        });
+
+        // Chat events
+        this.socket.on('chat-message', (data) => {
+            this.emit('chat-message', data);
+        });
+
+        this.socket.on('chat-history', (data) => {
+            this.emit('chat-history', data);
+        });
+
+        this.socket.on('chat-error', (data) => {
+            console.warn('[WaitingRoomSocketManager] Chat error:', data);
+            this.emit('chat-error', data);
+        });
+
         // Status confirmation events
         this.socket.on('ready-status-confirmed', (data) => {
             console.log('[WaitingRoomSocketManager] Ready status confirmed:', data);
@@ -402,7 +428,8 @@ export class WaitingRoomSocketManager {
             this.socket.emit('join-waiting-room', {
                 roomId: this.roomId,
                 userId: this.currentUser.user_id || this.currentUser.id,
-                username: this.currentUser.username
+                username: this.currentUser.username,
+                spectate: this.isSpectator
             });
 
             // Set timeout for join attempt (increased to 15 seconds)
@@ -476,6 +503,63 @@ export class WaitingRoomSocketManager {
         this.socket.emit('assign-team', eventData);
     }
 
+    /**
+     * Ask the server to fill the empty seats with bots
+     * @param {Array<string>} botDifficulties - Difficulty for each bot seat
+     */
+    addBots(botDifficulties = []) {
+        if (!this.isConnected || !this.socket || !this.isJoined) {
+            console.warn('[WaitingRoomSocketManager] Cannot add bots - not connected or joined');
+            return;
+        }
+
+        this.socket.emit('room-update', {
+            roomId: this.roomId,
+            type: 'bots-added',
+            botDifficulties
+        });
+    }
+
+    /**
+     * Ask the server to remove all bots from the room
+     */
+    removeBots() {
+        if (!this.isConnected || !this.socket || !this.isJoined) {
+            console.warn('[WaitingRoomSocketManager] Cannot remove bots - not connected or joined');
+            return;
+        }
+
+        this.socket.emit('room-update', {
+            roomId: this.roomId,
+            type: 'bots-removed'
+        });
+    }
+
+    /**
+     * Send a chat message to the room
+     * @param {string} text - Message text
+     */
+    sendChatMessage(text) {
+        if (!this.isConnected || !this.socket || !this.isJoined) {
+            this.emit('chat-error', { message: 'Not connected to room' });
+            return;
+        }
+
+        this.socket.emit('chat-message', {
+            roomId: this.roomId,
+            text
+        });
+    }
+
+    /**
+     * Request the room's chat history
+     */
+    requestChatHistory() {
+        if (!this.isConnected || !this.socket) return;
+
+        this.socket.emit('chat-history', { roomId: this.roomId });
+    }
+
 
 
     /**
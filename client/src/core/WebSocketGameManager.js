@@ -4,6 +4,8 @@
  */
 
 import { getErrorHandler } from './ErrorHandler.js';
+import { ChatPanel } from '../ui/components/ChatPanel.js';
+import { ToastManager } from '../ui/components/ToastManager.js';
 
 export class WebSocketGameManager {
     constructor(gameState, uiManager, cardManager, trumpManager, trickManager, authManager) {
@@ -17,6 +19,8 @@ export class WebSocketGameManager {
         
         this.socket = null;
         this.gameId = null;
+        this.isSpectator = false;
+        this.rematchControls = { mode: 'none', status: '' };
         
         this.setupCallbacks();
     }
@@ -35,17 +39,32 @@ export class WebSocketGameManager {
     /**
      * Initialize WebSocket game
      * @param {string} gameId - Game ID
+     * @param {Object} options - { spectate } to watch without a seat
      */
-    async init(gameId) {
+    async init(gameId, { spectate = false } = {}) {
         try {
             this.gameId = gameId;
+            this.isSpectator = spectate;
             
             if (!gameId) {
                 throw new Error('No game ID provided');
             }
+
+            // Room chat carries on from the waiting room
+            this.chatPanel = new ChatPanel({
+                currentUserId: this.authManager.getUserId(),
+                onSend: (text) => this.sendChatMessage(text)
+            });
             
             console.log('[WebSocketGameManager] Initializing multiplayer game:', gameId);
             
+            if (!spectate) {
+                document.querySelectorAll('.hint-btn').forEach(button => {
+                    button.addEventListener('click', () => this.requestHint());
+                });
+            }
+            this.setupGameOverControls();
+            
             // Initialize WebSocket connection
             await this.initializeWebSocket();
             
@@ -157,6 +176,7 @@ export class WebSocketGameManager {
     setupGameEventListeners() {
         // Room events
         this.socket.on('room-joined', (data) => this.handleRoomJoined(data));
+        this.socket.on('spectator-joined', (data) => this.handleSpectatorJoined(data));
         this.socket.on('player-joined', (data) => this.handlePlayerJoined(data));
         this.socket.on('player-left', (data) => this.handlePlayerLeft(data));
         this.socket.on('player-ready-changed', (data) => this.handlePlayerReadyChanged(data));
@@ -171,11 +191,31 @@ export class WebSocketGameManager {
         this.socket.on('game:trick_won', (data) => this.handleTrickWon(data));
         this.socket.on('game:round_scores', (data) => this.handleRoundScores(data));
         this.socket.on('game:error', (data) => this.handleGameError(data));
+        this.socket.on('game:play_rejected', (data) => this.handlePlayRejected(data));
         this.socket.on('bots-added', (data) => this.handleBotsAdded(data));
         this.socket.on('game:next_trick', (data) => this.handleNextTrick(data));
         this.socket.on('game:round_complete', (data) => this.handleRoundComplete(data));
         this.socket.on('game:new_round', (data) => this.handleNewRound(data));
+        this.socket.on('game:trump_timeout', (data) => this.handleTrumpTimeout(data));
+        this.socket.on('game:turn_timer', (data) => this.handleTurnTimer(data));
+        this.socket.on('game:turn_timeout', (data) => this.handleTurnTimeout(data));
+        this.socket.on('game:seat_substituted', (data) => this.handleSeatSubstituted(data));
+        this.socket.on('game:seat_restored', (data) => this.handleSeatRestored(data));
+        this.socket.on('game:hint', (data) => this.handleHint(data));
+        this.socket.on('game:hint_error', (data) => this.handleHintError(data));
         this.socket.on('game:complete', (data) => this.handleGameComplete(data));
+        this.socket.on('game:rematch_update', (data) => this.handleRematchUpdate(data));
+        this.socket.on('game:rematch_cancelled', (data) => this.handleRematchCancelled(data));
+        this.socket.on('game:rematch_start', (data) => this.handleRematchStart(data));
+        this.socket.on('game:rematch_error', (data) => this.handleRematchError(data));
+        this.socket.on('game:force_ended', (data) => this.handleGameForceEnded(data));
+        this.socket.on('game:kicked', (data) => this.handleKicked(data));
+        this.socket.on('achievement:unlocked', (data) => this.handleAchievementUnlocked(data));
+
+        // Chat events
+        this.socket.on('chat-message', (message) => this.chatPanel?.addMessage(message));
+        this.socket.on('chat-history', (data) => this.chatPanel?.setMessages(data.messages));
+        this.socket.on('chat-error', (error) => this.chatPanel?.showError(error.message || 'Message could not be sent'));
     }
 
     /**
@@ -200,7 +240,8 @@ export class WebSocketGameManager {
         this.socket.emit('join-game-room', {
             gameId: this.gameId,
             userId: userId,
-            username: username
+            username: username,
+            spectate: this.isSpectator
         });
 
         // Request initial game state
@@ -217,7 +258,7 @@ export class WebSocketGameManager {
      * @param {Object} card - Card played
      */
     async handleCardPlay(card) {
-        if (!this.socket) return;
+        if (!this.socket || this.isSpectator) return;
         
         console.log('[WebSocketGameManager] Playing card:', card);
         
@@ -234,7 +275,7 @@ export class WebSocketGameManager {
      * @param {string} suit - Trump suit declared
      */
     async handleTrumpDeclaration(suit) {
-        if (!this.socket) return;
+        if (!this.socket || this.isSpectator) return;
         
         console.log('[WebSocketGameManager] Declaring trump:', suit);
         
@@ -249,6 +290,85 @@ export class WebSocketGameManager {
         });
     }
 
+    /**
+     * Ask the server which card or trump suit a bot would pick for this turn
+     */
+    requestHint() {
+        if (!this.socket || this.isSpectator) return;
+
+        document.querySelectorAll('.hint-btn').forEach(button => {
+            button.disabled = true;
+        });
+        this.socket.emit('game:request_hint', { gameId: this.gameId });
+    }
+
+    /**
+     * Wire up the rematch and navigation buttons on the game-over modal
+     */
+    setupGameOverControls() {
+        const bestOf = () => Number(document.getElementById('rematch-best-of')?.value);
+        const bindings = {
+            'rematch-btn': () => this.voteRematch({ swapPartners: false, bestOf: bestOf() }),
+            'rematch-swap-btn': () => this.voteRematch({ swapPartners: true, bestOf: bestOf() }),
+            'rematch-accept-btn': () => this.voteRematch(),
+            'rematch-decline-btn': () => this.voteRematch({ accept: false }),
+            'game-over-replay-btn': () => {
+                window.location.href = `/replay.html?gameId=${encodeURIComponent(this.gameId)}`;
+            },
+            'game-over-leave-btn': () => {
+                window.location.href = '/waiting-room.html';
+            }
+        };
+
+        for (const [id, handler] of Object.entries(bindings)) {
+            document.getElementById(id)?.addEventListener('click', handler);
+        }
+    }
+
+    /**
+     * Vote on a rematch; the first acceptance proposes its options to the table
+     * @param {Object} vote - { accept, swapPartners, bestOf }
+     */
+    voteRematch(vote = {}) {
+        if (!this.socket || this.isSpectator) return;
+
+        this.socket.emit('game:rematch_vote', { gameId: this.gameId, accept: true, ...vote });
+    }
+
+    /**
+     * Show or hide the hint buttons from the game's house rules and hints used so far
+     */
+    updateHintButtons() {
+        const state = this.gameState.getState();
+        const currentUserId = this.authManager.getUserId();
+        const rules = state.rules || {};
+        const hintsRemaining = Math.max(0, (rules.hintsPerGame || 0) - (state.players?.[currentUserId]?.hintsUsed || 0));
+        const hintsEnabled = !this.isSpectator && !rules.ranked && rules.hintsPerGame > 0;
+
+        const isMyTurn = state.gamePhase === 'trump_declaration'
+            ? state.trumpDeclarer === currentUserId && !state.trumpSuit
+            : state.gamePhase === 'playing' && state.currentTurnPlayer === currentUserId;
+
+        document.querySelectorAll('.hint-btn').forEach(button => {
+            button.classList.toggle('hidden', !hintsEnabled);
+            button.disabled = !isMyTurn || hintsRemaining === 0;
+            button.textContent = `💡 Hint (${hintsRemaining})`;
+        });
+    }
+
+    /**
+     * Send a chat message to the game room
+     * @param {string} text - Message text
+     */
+    sendChatMessage(text) {
+        if (!this.socket) return;
+
+        this.socket.emit('chat-message', {
+            roomId: this.gameId,
+            text
+        });
+    }
+
     /**
      * Handle trick completion
      * @param {Object} winner - Trick winner
@@ -261,6 +381,15 @@ export class WebSocketGameManager {
 
     // WebSocket Event Handlers
 
+    /**
+     * Handle joining a game as a spectator
+     * @param {Object} data - Room data without any hands
+     */
+    handleSpectatorJoined(data) {
+        this.handleRoomJoined(data);
+        this.uiManager.addGameMessage('You are watching this game as a spectator', 'info');
+    }
+
     /**
      * Handle room joined event
      * @param {Object} data - Room data
@@ -268,6 +397,7 @@ export class WebSocketGameManager {
     handleRoomJoined(data) {
         console.log('[WebSocketGameManager] Room joined:', data);
         this.uiManager.hideLoading();
+        this.socket.emit('chat-history', { roomId: this.gameId });
         this.uiManager.addGameMessage(`Joined game room with ${data.playerCount} players`, 'success');
 
         // Update game state with room data
@@ -456,6 +586,13 @@ export class WebSocketGameManager {
     handleGameStateUpdate(data) {
         console.log('[WebSocketGameManager] Game state update:', data);
 
+        if (data.joinedRoom && data.series) {
+            const seriesText = this.describeSeries(data.series);
+            if (seriesText) {
+                this.uiManager.addGameMessage(seriesText, 'info');
+            }
+        }
+
         // Extract game phase first
         const gamePhase = data.phase || 'playing';
 
@@ -565,6 +702,7 @@ export class WebSocketGameManager {
         // Update UI after card rendering so it doesn't override player cards
         this.uiManager.updateUI();
         this.uiManager.hideLoading();
+        this.updateHintButtons();
 
         // Handle specific game phases
         console.log('[WebSocketGameManager] Trump declaration check:', {
@@ -739,6 +877,7 @@ export class WebSocketGameManager {
      */
     handleTrickWon(data) {
         console.log('[WebSocketGameManager] Trick won:', data);
+        this.uiManager.clearTurnTimer();
         
         const playerName = this.gameState.getPlayerNameById(data.winnerId);
         this.uiManager.addGameMessage(
@@ -795,6 +934,40 @@ export class WebSocketGameManager {
         this.uiManager.showError(data.message || 'A game error occurred');
     }
 
+    /**
+     * Handle a card play rejected by the server
+     * @param {Object} data - Rejection data with error code and authoritative hand
+     */
+    handlePlayRejected(data) {
+        console.warn('[WebSocketGameManager] Card play rejected:', data);
+
+        // The card was removed optimistically, so restore the server's view of the hand
+        const stateUpdate = {
+            selectedCard: null,
+            currentTurnPlayer: data.currentTurnPlayer,
+            isMyTurn: (data.currentTurnPlayer === this.authManager.getUserId())
+        };
+        if (Array.isArray(data.hand)) {
+            stateUpdate.playerHand = this.gameState.sortCardsBySuit([...data.hand]);
+        }
+        this.gameState.updateState(stateUpdate);
+
+        this.cardManager.renderPlayerHand();
+        this.cardManager.updateCardPlayability();
+        this.uiManager.updateTurnIndicators();
+
+        const messages = {
+            TURN_VIOLATION: "It's not your turn to play",
+            SUIT_FOLLOWING_VIOLATION: data.leadSuit ? `You must follow suit: ${data.leadSuit}` : 'You must follow suit',
+            CARD_NOT_IN_HAND: 'That card is not in your hand',
+            TRUMP_NOT_DECLARED: 'Wait for trump to be declared before playing',
+            PLAYER_MISMATCH: 'You can only play your own cards'
+        };
+        const message = messages[data.code] || data.message || 'Invalid card play';
+
+        this.uiManager.showError(message);
+    }
+
     /**
      * Handle bots added event
      * @param {Object} data - Bots added data
@@ -873,10 +1046,12 @@ export class WebSocketGameManager {
      */
     handleRoundComplete(data) {
         console.log('[WebSocketGameManager] Round complete:', data);
+        this.uiManager.clearTurnTimer();
         
         // Update game state with round results
         this.gameState.updateState({
             roundScores: data.roundScores,
+            scoreHistory: data.scoreHistory || [],
             lastRoundWinner: data.roundWinner,
             scores: { team1: 0, team2: 0 } // Reset trick scores for display
         });
@@ -891,8 +1066,26 @@ export class WebSocketGameManager {
             `Tricks won - Team 1: ${data.trickScores.team1}, Team 2: ${data.trickScores.team2}`,
             'info'
         );
-        this.uiManager.addGameMessage(`${data.roundWinner.teamName} wins the round!`, 'success');
+        this.uiManager.addGameMessage(
+            `${data.roundWinner.teamName} wins the round and scores ${data.roundWinner.points ?? data.tricksWon} points!`,
+            'success'
+        );
+        if (data.crownRetained !== undefined) {
+            this.uiManager.addGameMessage(
+                data.crownRetained ? 'The declaring team keeps the crown' : 'The declaring team loses the crown',
+                'info'
+            );
+        }
+        if (data.dealSeed) {
+            // Players can check SHA-256 of the seed against the hash shown when the cards were dealt
+            this.uiManager.addGameMessage(`Deal seed revealed: ${data.dealSeed} (hash ${data.dealSeedHash})`, 'info');
+        }
         
+        // The game over flow takes over from the round summary
+        if (data.gameComplete) {
+            return;
+        }
+
         // Show congratulations modal
         setTimeout(() => {
             this.uiManager.showCongratulationsModal(
@@ -919,6 +1112,103 @@ export class WebSocketGameManager {
         }
     }
 
+    /**
+     * Handle trump declaration timeout event
+     * @param {Object} data - Timeout data with the trump declared on the player's behalf
+     */
+    handleTrumpTimeout(data) {
+        console.log('[WebSocketGameManager] Trump declaration timed out:', data);
+        this.uiManager.clearTurnTimer();
+        this.uiManager.addGameMessage(
+            `${data.playerName} ran out of time - ${data.trumpSuit} declared as trump`,
+            'warning'
+        );
+    }
+
+    /**
+     * Handle turn clock ticks for the player who has to act
+     * @param {Object} data - Timer data with the player on the clock and seconds remaining
+     */
+    handleTurnTimer(data) {
+        if (data.remainingSeconds <= 0) {
+            this.uiManager.clearTurnTimer();
+            return;
+        }
+        this.uiManager.updateTurnTimer(data.playerId, data.remainingSeconds, data.timeLimit);
+    }
+
+    /**
+     * Handle card play timeout event
+     * @param {Object} data - Timeout data with the card played on the player's behalf
+     */
+    handleTurnTimeout(data) {
+        console.log('[WebSocketGameManager] Turn timed out:', data);
+        this.uiManager.clearTurnTimer();
+
+        const isMe = data.playerId === this.authManager.getUserId();
+        const cardText = `${data.card.rank} of ${data.card.suit}`;
+        this.uiManager.addGameMessage(
+            isMe ? `You ran out of time - ${cardText} was played for you` : `${data.playerName} ran out of time - ${cardText} played`,
+            'warning'
+        );
+    }
+
+    /**
+     * Handle a bot taking over a disconnected player's seat
+     * @param {Object} data - Seat data with the player the bot is playing for
+     */
+    handleSeatSubstituted(data) {
+        this.gameState.updatePlayer(data.playerId, { botSubstitute: true, isConnected: false });
+        this.uiManager.updatePlayerInfo();
+        this.uiManager.addGameMessage(`🤖 A bot is playing for ${data.playerName} until they reconnect`, 'warning');
+    }
+
+    /**
+     * Handle a reconnected player taking their seat back from the bot
+     * @param {Object} data - Seat data with the returning player
+     */
+    handleSeatRestored(data) {
+        this.gameState.updatePlayer(data.playerId, { botSubstitute: false, isConnected: true });
+        this.uiManager.updatePlayerInfo();
+
+        const isMe = data.playerId === this.authManager.getUserId();
+        this.uiManager.addGameMessage(
+            isMe ? 'Welcome back - you have your seat back from the bot' : `${data.playerName} is back and takes over from the bot`,
+            'info'
+        );
+    }
+
+    /**
+     * Handle a hint from the server by marking the suggested card or trump suit
+     * @param {Object} data - Hint with the card or trump suit, the bot's explanation and hints left
+     */
+    handleHint(data) {
+        console.log('[WebSocketGameManager] Hint received:', data);
+
+        if (data.card) {
+            this.cardManager.highlightHintCard(data.card);
+        } else if (data.trumpSuit) {
+            const option = document.querySelector(`.trump-option[data-suit="${data.trumpSuit}"]`);
+            if (option) {
+                option.classList.add('recommended');
+                this.trumpManager.selectTrumpSuit(option);
+            }
+        }
+
+        this.uiManager.addGameMessage(`💡 ${data.explanation}`, 'info', 6000);
+        this.updateHintButtons();
+    }
+
+    /**
+     * Handle a hint request the server turned down
+     * @param {Object} data - Error data with the reason and hints left
+     */
+    handleHintError(data) {
+        console.warn('[WebSocketGameManager] Hint refused:', data);
+        this.uiManager.addGameMessage(data.message || 'No hint available', 'warning');
+        this.updateHintButtons();
+    }
+
     /**
      * Handle new round event
      * @param {Object} data - New round data
@@ -930,10 +1220,34 @@ export class WebSocketGameManager {
         this.uiManager.clearPlayedCards();
         this.uiManager.hideCongratulationsModal();
         
+        // Track who deals and who holds the crown for this round
+        this.gameState.updateState({
+            crownHolder: data.crownHolder || data.trumpDeclarer,
+            dealerUserId: data.dealerUserId
+        });
+        this.uiManager.updatePlayerInfo();
+
         // Show new round message
         this.uiManager.addGameMessage(`Round ${data.roundNumber} begins!`, 'success');
         
         const currentUserId = this.authManager.getUserId();
+        if (data.dealerName) {
+            const dealerName = data.dealerUserId === currentUserId ? 'You' : data.dealerName;
+            this.uiManager.addGameMessage(`${dealerName} dealt this round`, 'info');
+        }
+
+        if (data.dealSeedHash) {
+            this.uiManager.addGameMessage(`Deal hash ${data.dealSeedHash.slice(0, 16)}… - the seed is revealed after the round`, 'info');
+        }
+
+        if (data.crownRetained !== undefined) {
+            const crownName = data.crownHolder === currentUserId ? 'You' : data.trumpDeclarerName;
+            const crownMessage = data.crownRetained
+                ? `👑 ${crownName} kept the crown`
+                : `👑 The crown passes to ${crownName}`;
+            this.uiManager.addGameMessage(crownMessage, 'info');
+        }
+
         if (data.trumpDeclarer === currentUserId) {
             this.uiManager.addGameMessage('Your turn to declare trump!', 'info');
         } else {
@@ -947,18 +1261,169 @@ export class WebSocketGameManager {
      */
     handleGameComplete(data) {
         console.log('[WebSocketGameManager] Game complete:', data);
+        this.uiManager.clearTurnTimer();
         
-        // Show game over message
-        this.uiManager.addGameMessage(`Game Over! ${data.winner} wins with ${data.finalScore} points`, 'success');
+        this.gameState.updateState({
+            roundScores: data.finalScores,
+            scoreHistory: data.scoreHistory || [],
+            gamePhase: 'game_over'
+        });
+        this.uiManager.updateRoundScoreDisplay(true);
+
+        // Show game over message; a tie at or over the target is a draw
+        const result = data.winner ? `${data.winner} wins` : "It's a draw";
+        this.uiManager.addGameMessage(`Game Over! ${result} with ${data.finalScore} points`, 'success');
+
+        // Summarize every round from the score ledger
+        (data.scoreHistory || []).forEach(round => {
+            this.uiManager.addGameMessage(
+                `Round ${round.roundNumber}: Team 1 +${round.points.team1}, Team 2 +${round.points.team2} (${round.totals.team1} - ${round.totals.team2})`,
+                'info'
+            );
+        });
         
-        // Show game over modal or redirect after delay
+        const seriesText = this.describeSeries(data.series);
+        if (seriesText) {
+            this.uiManager.addGameMessage(seriesText, 'info');
+        }
+
+        this.updateRematchControls(this.isSpectator ? 'none' : 'propose');
+        document.getElementById('game-over-replay-btn')?.classList.toggle('hidden', this.isSpectator);
+
+        // Show the result and the rematch vote once the last trick has been seen
         setTimeout(() => {
-            if (confirm(`Game Over! ${data.winner} wins with ${data.finalScore} points\n\nReturn to waiting room?`)) {
-                window.location.href = '/waiting-room.html';
-            }
+            this.uiManager.showGameOverModal({
+                title: `Game Over! ${result}`,
+                score: `Final score ${data.finalScore}`,
+                series: seriesText
+            });
+        }, 3000);
+    }
+
+    /**
+     * Describe a series score
+     * @param {Object|null} series - Series { bestOf, gameNumber, score }, with a winner once the game is counted
+     * @returns {string} Series summary, empty outside a series
+     */
+    describeSeries(series) {
+        if (!series || series.bestOf <= 1) {
+            return '';
+        }
+
+        const score = `Team 1 ${series.score.team1} - ${series.score.team2} Team 2`;
+        if (series.winner) {
+            return `${series.winner === 'team1' ? 'Team 1' : 'Team 2'} wins the best-of-${series.bestOf} series, ${score}`;
+        }
+        if ('winner' in series) {
+            return `Best-of-${series.bestOf} series after game ${series.gameNumber}: ${score}`;
+        }
+        return `Game ${series.gameNumber} of a best-of-${series.bestOf} series: ${score}`;
+    }
+
+    /**
+     * Switch the game-over modal's rematch controls and remember them
+     * @param {string} mode - 'propose', 'respond', 'waiting' or 'none'
+     * @param {string} status - Vote status text
+     */
+    updateRematchControls(mode, status = '') {
+        this.rematchControls = { mode, status };
+        this.uiManager.setRematchControls(mode, status);
+    }
+
+    /**
+     * Handle a rematch vote: show who proposed what and who the table is waiting for
+     * @param {Object} data - Vote with the proposal, accepted player IDs and players still to answer
+     */
+    handleRematchUpdate(data) {
+        const players = this.gameState.getState().players || {};
+        const name = playerId => players[playerId]?.username || 'A player';
+        const { proposal, accepted, waitingFor } = data;
+        const waitingText = waitingFor.length > 0
+            ? `Waiting for ${waitingFor.map(name).join(', ')}`
+            : 'Everyone accepted - starting the rematch...';
+
+        if (this.isSpectator) {
+            this.updateRematchControls('none', waitingText);
+        } else if (accepted.includes(this.authManager.getUserId())) {
+            this.updateRematchControls('waiting', waitingText);
+        } else {
+            const partners = proposal.swapPartners ? 'swapped partners' : 'the same partners';
+            this.updateRematchControls('respond', `${name(proposal.proposedBy)} proposes a rematch with ${partners}`);
+        }
+    }
+
+    /**
+     * Handle a rematch proposal being declined or dropped
+     * @param {Object} data - Cancellation with the reason
+     */
+    handleRematchCancelled(data) {
+        this.uiManager.addGameMessage(data.message, 'warning');
+        this.updateRematchControls(this.isSpectator ? 'none' : 'propose', data.message);
+    }
+
+    /**
+     * Handle the rematch starting by moving the players to the new game
+     * @param {Object} data - Rematch with the new game ID and its series
+     */
+    handleRematchStart(data) {
+        this.updateRematchControls('none', 'Starting the rematch...');
+
+        if (this.isSpectator) {
+            this.uiManager.addGameMessage('The players have started a rematch', 'info');
+            return;
+        }
+
+        window.location.href = `game.html?gameId=${encodeURIComponent(data.nextGameId)}${data.isDemo ? '&demo=true' : ''}`;
+    }
+
+    /**
+     * Handle a rematch vote the server refused
+     * @param {Object} data - Error data with the reason
+     */
+    handleRematchError(data) {
+        console.warn('[WebSocketGameManager] Rematch vote refused:', data);
+        this.updateRematchControls(this.rematchControls.mode, data.message);
+    }
+
+    /**
+     * Handle an admin ending the game; players go back to their room, spectators to the dashboard
+     * @param {Object} data - Ended game with its room ID and the reason
+     */
+    handleGameForceEnded(data) {
+        this.uiManager.addGameMessage(data.reason || 'The game was ended', 'error');
+
+        const destination = data.roomId && !this.isSpectator
+            ? `/waiting-room.html?room=${encodeURIComponent(data.roomId)}`
+            : '/dashboard.html';
+        setTimeout(() => {
+            window.location.href = destination;
         }, 3000);
     }
 
+    /**
+     * Handle an admin removing this player from the table
+     * @param {Object} data - Game ID and the reason
+     */
+    handleKicked(data) {
+        this.uiManager.addGameMessage(data.reason || 'You were removed from the table', 'error');
+        setTimeout(() => {
+            window.location.href = '/dashboard.html';
+        }, 3000);
+    }
+
+    /**
+     * Handle one of this player's achievements unlocking
+     * @param {Object} data - Game ID and the unlocked achievement
+     */
+    handleAchievementUnlocked(data) {
+        if (!data?.achievement) return;
+
+        if (!this.toastManager) {
+            this.toastManager = new ToastManager();
+        }
+        this.toastManager.showAchievementUnlocked(data.achievement);
+    }
+
     /**
      * Get player position on screen
      * @param {string} playerId - Player ID
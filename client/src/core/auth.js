@@ -685,6 +685,13 @@ class AuthManager {
             return true;
         }
 
+        // Account roles are ranked, each one includes the ones before it
+        const accountRoles = ['player', 'moderator', 'admin'];
+        const required = accountRoles.indexOf(roleOrPermission);
+        if (required !== -1 && accountRoles.indexOf(user.role || 'player') >= required) {
+            return true;
+        }
+
         // Check permissions
         if (user.permissions && user.permissions.includes(roleOrPermission)) {
             return true;
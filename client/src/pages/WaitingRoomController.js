@@ -21,7 +21,9 @@ export class WaitingRoomController {
         this.roomData = null;
         this.isHost = false;
         this.isReady = false;
+        this.isSpectator = false;
         this.players = [];
+        this.spectators = [];
         this.teams = { A: [], B: [] };
         
         this.connectionHealthTimer = null;
@@ -51,6 +53,7 @@ export class WaitingRoomController {
             console.log('[WaitingRoomController] Start game callback called');
             this.handleStartGame();
         });
+        this.uiManager.setChatSendCallback((text) => this.socketManager?.sendChatMessage(text));
     }
 
     async initialize() {
@@ -64,7 +67,9 @@ export class WaitingRoomController {
             }
 
             this.currentUser = user;
+            this.uiManager.setChatUser(user.user_id || user.id);
             this.roomId = this.parseRoomIdFromURL();
+            this.isSpectator = new URLSearchParams(window.location.search).get('spectate') === '1';
             
             if (!this.roomId) {
                 this.showError('Invalid room ID. Redirecting to dashboard...');
@@ -130,7 +135,8 @@ export class WaitingRoomController {
                 (p.id === currentUserId || p.user_id === currentUserId)
             );
 
-            if (!isUserInRoom) {
+            // Spectators watch over WebSocket without taking a seat
+            if (!isUserInRoom && !this.isSpectator) {
                 await this.joinRoom();
             }
 
@@ -169,7 +175,7 @@ export class WaitingRoomController {
         const currentUserId = this.currentUser.user_id || this.currentUser.id;
         const roomOwnerId = this.roomData.owner;
         
-        this.isHost = String(roomOwnerId) === String(currentUserId);
+        this.isHost = !this.isSpectator && String(roomOwnerId) === String(currentUserId);
         
         if (this.isHost) {
             this.uiManager.showHostControls(true, false, this.roomData?.status || 'waiting');
@@ -180,7 +186,7 @@ export class WaitingRoomController {
 
     async initializeSocketManager() {
         try {
-            this.socketManager = new WaitingRoomSocketManager(this.authManager, this.roomId);
+            this.socketManager = new WaitingRoomSocketManager(this.authManager, this.roomId, { spectate: this.isSpectator });
             this.socketEventHandler.setupEventListeners(this.socketManager);
             await this.socketManager.connect();
         } catch (error) {
@@ -235,6 +241,7 @@ export class WaitingRoomController {
 
         const displayCode = this.roomData.roomCode || this.roomData.code || this.roomData.inviteCode || this.roomData.id || this.roomId;
         this.uiManager.setRoomCode(displayCode);
+        this.uiManager.setGameRules(this.roomData.settings?.rules);
 
         this.players = this.roomData.players || [];
         this.updatePlayersDisplay();
@@ -258,6 +265,7 @@ export class WaitingRoomController {
 
         const botCount = this.players.filter(player => player.isBot).length;
         this.uiManager.updateBotCount(botCount);
+        this.uiManager.updateBotDifficultyPicker(Math.max(0, 4 - this.players.filter(player => !player.isBot).length));
 
         const currentPlayer = this.players.find(player =>
             player.id === currentUserId || player.user_id === currentUserId
@@ -277,6 +285,8 @@ export class WaitingRoomController {
 
     async handleReadyToggle(slotNumber) {
         console.log('[WaitingRoomController] handleReadyToggle called with slot:', slotNumber);
+        if (this.isSpectator) return;
+
         try {
             const currentUserId = this.currentUser.user_id || this.currentUser.id;
             const currentPlayer = this.players.find(player =>
@@ -574,6 +584,12 @@ export class WaitingRoomController {
         console.log('[WaitingRoomController] Host transfer:', data);
     }
 
+    handleSpectatorsUpdate(spectators = []) {
+        this.spectators = spectators;
+        const currentUserId = this.currentUser?.user_id || this.currentUser?.id;
+        this.uiManager.updateSpectators(spectators, currentUserId);
+    }
+
     handleReadyStatusChange(playerId, isReady) {
         const playerIndex = this.players.findIndex(player =>
             player.id === playerId || player.user_id === playerId
@@ -608,7 +624,7 @@ export class WaitingRoomController {
             this.uiManager.showGameStartingToast();
         }
 
-        const redirectUrl = data?.redirectUrl || `game.html?room=${this.roomId}`;
+        const redirectUrl = this.getGameUrl(data?.redirectUrl);
         this.uiManager.showStartGameLoading();
 
         setTimeout(() => {
@@ -617,12 +633,17 @@ export class WaitingRoomController {
     }
 
     handleNavigateToGame(data) {
-        const redirectUrl = data?.redirectUrl || `game.html?room=${this.roomId}`;
+        const redirectUrl = this.getGameUrl(data?.redirectUrl);
         this.uiManager.showToast('Navigating to game...', 'info', { compact: true });
         this.cleanup();
         window.location.href = redirectUrl;
     }
 
+    getGameUrl(redirectUrl) {
+        const url = redirectUrl || `game.html?room=${this.roomId}`;
+        return this.isSpectator ? `${url}${url.includes('?') ? '&' : '?'}spectate=1` : url;
+    }
+
     async cleanup() {
         if (this.connectionHealthTimer) {
             clearInterval(this.connectionHealthTimer);
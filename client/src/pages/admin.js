@@ -0,0 +1,469 @@
+/**
+ * Admin Console Page - Contract Crown PWA
+ * Lists live rooms, games and connections from the server and runs the admin actions on them
+ */
+
+import { AuthManager } from '../core/auth.js';
+import { getErrorHandler } from '../core/ErrorHandler.js';
+
+const REFRESH_INTERVAL_MS = 10000;
+
+/**
+ * Escape text for use in generated markup, usernames and reasons come from players
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+function formatTime(value) {
+    return value ? new Date(value).toLocaleString() : '-';
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function formatScores(scores) {
+    return scores ? `${scores.team1 ?? 0} - ${scores.team2 ?? 0}` : '-';
+}
+
+class AdminConsoleController {
+    constructor() {
+        this.authManager = new AuthManager();
+        this.errorHandler = getErrorHandler(this.authManager);
+
+        this.selectedGameId = null;
+        this.refreshTimer = null;
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.init();
+    }
+
+    initializeElements() {
+        this.elements = {
+            usernameDisplay: document.getElementById('username-display'),
+            refreshBtn: document.getElementById('refresh-btn'),
+            backBtn: document.getElementById('back-to-dashboard-btn'),
+            message: document.getElementById('admin-message'),
+            overview: document.getElementById('admin-overview'),
+            alerts: document.getElementById('admin-alerts'),
+            gamesList: document.getElementById('admin-games-list'),
+            noGames: document.getElementById('admin-no-games'),
+            gameSection: document.getElementById('admin-game-section'),
+            gameId: document.getElementById('admin-game-id'),
+            gameState: document.getElementById('admin-game-state'),
+            gamePlayers: document.getElementById('admin-game-players'),
+            gameSockets: document.getElementById('admin-game-sockets'),
+            runDiagnosticsBtn: document.getElementById('run-diagnostics-btn'),
+            endGameBtn: document.getElementById('end-game-btn'),
+            diagnostics: document.getElementById('admin-diagnostics'),
+            usersList: document.getElementById('admin-users-list'),
+            backupsList: document.getElementById('admin-backups-list'),
+            noBackups: document.getElementById('admin-no-backups'),
+            createBackupBtn: document.getElementById('create-backup-btn'),
+            backupDetails: document.getElementById('admin-backup-details')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.backBtn?.addEventListener('click', () => {
+            window.location.href = '/dashboard.html';
+        });
+        this.elements.refreshBtn?.addEventListener('click', () => this.refresh());
+        this.elements.runDiagnosticsBtn?.addEventListener('click', () => this.runDiagnostics());
+        this.elements.endGameBtn?.addEventListener('click', () => this.endGame());
+        this.elements.createBackupBtn?.addEventListener('click', () => this.createBackup());
+
+        // Rows are re-rendered on every refresh, so actions are handled on the containers
+        this.elements.gamesList?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-game-id]');
+            if (row) {
+                this.selectGame(row.dataset.gameId);
+            }
+        });
+        this.elements.gamePlayers?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-kick-user-id]');
+            if (button) {
+                this.kickPlayer(button.dataset.kickUserId, button.dataset.username);
+            }
+        });
+        for (const list of [this.elements.gameSockets, this.elements.usersList]) {
+            list?.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-disconnect-user-id]');
+                if (button) {
+                    this.disconnectUser(button.dataset.disconnectUserId, button.dataset.username);
+                }
+            });
+        }
+        this.elements.backupsList?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-backup-name]');
+            if (row) {
+                this.showBackup(row.dataset.backupName);
+            }
+        });
+    }
+
+    async init() {
+        if (!this.authManager.isAuthenticated()) {
+            this.errorHandler?.handleAuthError('User not authenticated');
+            return;
+        }
+
+        if (this.elements.usernameDisplay) {
+            this.elements.usernameDisplay.textContent = this.authManager.getUsername();
+        }
+
+        if (await this.refresh()) {
+            this.refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+        }
+    }
+
+    /**
+     * Call an admin API endpoint
+     * A 403 means the account is not an admin, which is shown on the page rather than
+     * treated as an expired session.
+     * @param {string} url - API endpoint
+     * @param {Object} [options] - { method, body }
+     * @returns {Promise<Object>} Response data
+     */
+    async request(url, { method = 'GET', body } = {}) {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.authManager.getToken()}`
+            },
+            ...(body && { body: JSON.stringify(body) })
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            this.errorHandler?.handleHttpAuthError(response, url);
+        }
+        if (response.status === 403) {
+            throw new Error('Admin access is required for this page');
+        }
+        if (!response.ok) {
+            throw new Error(data.message || data.error || `Request failed (${response.status})`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Reload every panel, and the selected table
+     * @returns {Promise<boolean>} False if the console could not be loaded
+     */
+    async refresh() {
+        try {
+            // Monitoring and performance figures are optional, the console works without them
+            const [dashboard, performance, games, users, backups] = await Promise.all([
+                this.request('/api/monitoring/dashboard').catch(() => null),
+                this.request('/api/performance/summary').catch(() => null),
+                this.request('/api/admin/games'),
+                this.request('/api/admin/users'),
+                this.request('/api/admin/backups')
+            ]);
+
+            this.renderOverview(dashboard?.dashboard, performance?.performance, games.games);
+            this.renderGames(games.games);
+            this.renderUsers(users.users);
+            this.renderBackups(backups.backups);
+
+            if (this.selectedGameId) {
+                await this.loadGame(this.selectedGameId);
+            }
+            return true;
+        } catch (error) {
+            console.error('[Admin] Refresh failed:', error);
+            this.showMessage(error.message, 'error');
+            if (error.message.startsWith('Admin access')) {
+                clearInterval(this.refreshTimer);
+            }
+            return false;
+        }
+    }
+
+    renderOverview(dashboard, performance, games) {
+        const websocket = dashboard?.websocketHealth || {};
+        const stats = [
+            ['Uptime', `${Math.round((dashboard?.overview?.uptime || 0) / 60000)} min`],
+            ['Connections', websocket.activeConnections ?? '-'],
+            ['Average latency', `${Math.round(websocket.averageLatency || 0)} ms`],
+            ['Live tables', games.length],
+            ['Games in play', games.filter(game => game.status === 'in_progress' || game.phase === 'playing' || game.phase === 'trump_declaration').length],
+            ['Operation p95', performance ? `${Math.round(performance.latency?.p95 || 0)} ms` : '-'],
+            ['Errors (window)', performance?.overview?.totalErrors ?? '-']
+        ];
+
+        this.elements.overview.innerHTML = stats.map(([label, value]) => `
+            <div class="admin-stat">
+                <div class="admin-stat-label">${label}</div>
+                <div class="admin-stat-value">${escapeHtml(value)}</div>
+            </div>
+        `).join('');
+
+        const alerts = [...(dashboard?.alerts || []), ...(performance?.alerts || [])];
+        this.elements.alerts.innerHTML = alerts.map(alert => `
+            <li class="admin-alert ${escapeHtml(alert.severity)}">${escapeHtml(alert.message)}</li>
+        `).join('');
+    }
+
+    renderGames(games) {
+        this.elements.noGames.classList.toggle('hidden', games.length > 0);
+
+        this.elements.gamesList.innerHTML = games.map(game => {
+            const humans = game.players.filter(player => !player.isBot);
+            const connected = humans.filter(player => player.isConnected).length;
+            return `
+                <tr class="admin-row${game.gameId === this.selectedGameId ? ' selected' : ''}" data-game-id="${escapeHtml(game.gameId)}">
+                    <td>
+                        <span class="admin-id">${escapeHtml(game.gameId)}</span>
+                        ${game.isDemo ? '<span class="admin-badge">Demo</span>' : ''}
+                        ${game.series ? `<span class="admin-badge">Game ${game.series.gameNumber} of ${game.series.bestOf}</span>` : ''}
+                    </td>
+                    <td>${escapeHtml(game.phase || game.status)}</td>
+                    <td>${game.players.length} seated, ${connected}/${humans.length} humans connected${game.spectatorCount ? `, ${game.spectatorCount} watching` : ''}</td>
+                    <td>${game.round ?? '-'}</td>
+                    <td>${formatScores(game.gameScores)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async selectGame(gameId) {
+        this.selectedGameId = gameId;
+        this.elements.diagnostics.classList.add('hidden');
+        this.elements.gamesList.querySelectorAll('[data-game-id]').forEach(row => {
+            row.classList.toggle('selected', row.dataset.gameId === gameId);
+        });
+
+        try {
+            await this.loadGame(gameId);
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async loadGame(gameId) {
+        let game;
+        try {
+            ({ game } = await this.request(`/api/admin/games/${encodeURIComponent(gameId)}`));
+        } catch (error) {
+            // The game ended since the list was loaded
+            this.selectedGameId = null;
+            this.elements.gameSection.classList.add('hidden');
+            throw error;
+        }
+
+        this.elements.gameSection.classList.remove('hidden');
+        this.elements.gameId.textContent = game.gameId;
+
+        const table = game.table || {};
+        const usernames = Object.fromEntries(game.players.map(player => [player.userId, player.username]));
+        const stats = [
+            ['Phase', game.phase || game.status],
+            ['Round', game.round ?? '-'],
+            ['Trump', table.trumpSuit || '-'],
+            ['Declarer', usernames[table.trumpDeclarer] || '-'],
+            ['Turn', usernames[table.currentTurnPlayer] || '-'],
+            ['Tricks', formatScores(table.trickScores)],
+            ['Game score', formatScores(game.gameScores)],
+            ['State version', table.version ?? '-']
+        ];
+        this.elements.gameState.innerHTML = stats.map(([label, value]) => `
+            <div class="admin-stat">
+                <div class="admin-stat-label">${label}</div>
+                <div class="admin-stat-value">${escapeHtml(value)}</div>
+            </div>
+        `).join('');
+
+        this.elements.gamePlayers.innerHTML = game.players.map(player => {
+            const connection = player.isBot
+                ? 'Bot'
+                : `${player.isConnected ? 'Connected' : 'Disconnected'}${player.botSubstitute ? ' (bot playing)' : ''}`;
+            return `
+                <tr>
+                    <td>${escapeHtml(player.username)}${String(player.userId) === String(game.hostId) ? ' <span class="admin-badge">Host</span>' : ''}</td>
+                    <td>${player.teamAssignment ? `Team ${player.teamAssignment}` : '-'}</td>
+                    <td>${connection}</td>
+                    <td>${table.handSizes?.[player.userId] ?? '-'}</td>
+                    <td>
+                        ${!player.isBot && !game.kickedUserIds.includes(player.userId)
+                            ? `<button class="btn btn-secondary btn-sm" data-kick-user-id="${escapeHtml(player.userId)}" data-username="${escapeHtml(player.username)}">Kick</button>`
+                            : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        this.elements.gameSockets.innerHTML = game.sockets.map(socket => `
+            <tr>
+                <td>${escapeHtml(socket.username)}${game.spectators.some(spectator => spectator.userId === socket.userId) ? ' <span class="admin-badge">Watching</span>' : ''}</td>
+                <td><span class="admin-id">${escapeHtml(socket.socketId)}</span></td>
+                <td>${formatTime(socket.connectedAt)}</td>
+                <td><button class="btn btn-secondary btn-sm" data-disconnect-user-id="${escapeHtml(socket.userId)}" data-username="${escapeHtml(socket.username)}">Disconnect</button></td>
+            </tr>
+        `).join('');
+    }
+
+    renderUsers(users) {
+        this.elements.usersList.innerHTML = users.map(user => `
+            <tr>
+                <td>${escapeHtml(user.username)}</td>
+                <td>${escapeHtml(user.role)}</td>
+                <td>${user.rooms.map(room => `<span class="admin-id">${escapeHtml(room)}</span>`).join(' ') || '-'}</td>
+                <td>${formatTime(user.connectedAt)}</td>
+                <td>
+                    ${user.userId !== this.authManager.getUserId()
+                        ? `<button class="btn btn-secondary btn-sm" data-disconnect-user-id="${escapeHtml(user.userId)}" data-username="${escapeHtml(user.username)}">Disconnect</button>`
+                        : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderBackups(backups) {
+        this.elements.noBackups.classList.toggle('hidden', backups.length > 0);
+        this.elements.backupsList.innerHTML = backups.map(backup => `
+            <tr class="admin-row" data-backup-name="${escapeHtml(backup.name)}">
+                <td><span class="admin-id">${escapeHtml(backup.name)}</span></td>
+                <td>${escapeHtml(backup.type)}</td>
+                <td>${formatBytes(backup.size)}</td>
+                <td>${formatTime(backup.createdAt)}</td>
+            </tr>
+        `).join('');
+    }
+
+    async endGame() {
+        const gameId = this.selectedGameId;
+        if (!gameId || !window.confirm('End this game for everyone at the table? No one wins it.')) {
+            return;
+        }
+
+        try {
+            await this.request(`/api/admin/games/${encodeURIComponent(gameId)}/end`, { method: 'POST' });
+            this.selectedGameId = null;
+            this.elements.gameSection.classList.add('hidden');
+            this.showMessage('Game ended', 'success');
+            await this.refresh();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async kickPlayer(userId, username) {
+        const gameId = this.selectedGameId;
+        if (!gameId || !window.confirm(`Remove ${username} from this table?`)) {
+            return;
+        }
+
+        try {
+            const result = await this.request(
+                `/api/admin/games/${encodeURIComponent(gameId)}/players/${encodeURIComponent(userId)}/kick`,
+                { method: 'POST' }
+            );
+            this.showMessage(`${username} was removed${result.replacedByBot ? ', a bot plays their seat' : ''}`, 'success');
+            await this.refresh();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async disconnectUser(userId, username) {
+        if (!window.confirm(`Disconnect ${username}? Their client will reconnect on its own.`)) {
+            return;
+        }
+
+        try {
+            await this.request(`/api/admin/users/${encodeURIComponent(userId)}/disconnect`, { method: 'POST' });
+            this.showMessage(`${username} was disconnected`, 'success');
+            await this.refresh();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async runDiagnostics() {
+        const gameId = this.selectedGameId;
+        if (!gameId) {
+            return;
+        }
+
+        this.elements.runDiagnosticsBtn.disabled = true;
+        try {
+            const { diagnostic } = await this.request(`/api/diagnostics/lobby/${encodeURIComponent(gameId)}`, { method: 'POST' });
+            const recommendations = diagnostic.recommendations || [];
+
+            this.elements.diagnostics.innerHTML = `
+                <h3>Diagnostics: ${escapeHtml(diagnostic.summary?.overallStatus || diagnostic.status)}</h3>
+                <ul>
+                    ${Object.entries(diagnostic.tests || {}).map(([name, test]) => `
+                        <li><strong>${escapeHtml(name)}</strong>: ${escapeHtml(test.status)}${test.error ? ` - ${escapeHtml(test.error)}` : ''}</li>
+                    `).join('')}
+                </ul>
+                ${recommendations.length === 0 ? '' : `
+                    <h3>Recommendations</h3>
+                    <ul>
+                        ${recommendations.map(item => `<li><strong>${escapeHtml(item.issue)}</strong>: ${escapeHtml(item.recommendation)}</li>`).join('')}
+                    </ul>
+                `}
+            `;
+            this.elements.diagnostics.classList.remove('hidden');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        } finally {
+            this.elements.runDiagnosticsBtn.disabled = false;
+        }
+    }
+
+    async createBackup() {
+        this.elements.createBackupBtn.disabled = true;
+        try {
+            const { backups } = await this.request('/api/admin/backups', { method: 'POST' });
+            this.renderBackups(backups);
+            this.showMessage('Backup created', 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        } finally {
+            this.elements.createBackupBtn.disabled = false;
+        }
+    }
+
+    async showBackup(name) {
+        try {
+            const { backup } = await this.request(`/api/admin/backups/${encodeURIComponent(name)}`);
+            this.elements.backupDetails.innerHTML = `
+                <h3>${escapeHtml(backup.name)}</h3>
+                <ul>
+                    ${backup.collections.map(collection => `<li>${escapeHtml(collection.name)}: ${collection.count} documents</li>`).join('')}
+                </ul>
+            `;
+            this.elements.backupDetails.classList.remove('hidden');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    showMessage(text, type = 'info') {
+        this.elements.message.textContent = text;
+        this.elements.message.className = `admin-message ${type}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new AdminConsoleController();
+});
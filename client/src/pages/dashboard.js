@@ -38,6 +38,7 @@ class DashboardManager {
         // Header elements
         this.elements.usernameDisplay = document.getElementById('username-display');
         this.elements.logoutBtn = document.getElementById('logout-btn');
+        this.elements.adminBtn = document.getElementById('admin-btn');
         
         // Connection status
         this.elements.statusIndicator = document.getElementById('status-indicator');
@@ -45,10 +46,29 @@ class DashboardManager {
         // Room management
         this.elements.createRoomBtn = document.getElementById('create-room-btn');
         this.elements.singlePlayerBtn = document.getElementById('single-player-btn');
+        this.elements.offlineGameBtn = document.getElementById('offline-game-btn');
         this.elements.roomCodeInput = document.getElementById('room-code-input');
         this.elements.joinRoomBtn = document.getElementById('join-room-btn');
         this.elements.roomsList = document.getElementById('rooms-list');
         this.elements.noRooms = document.getElementById('no-rooms');
+
+        // Quick match
+        this.elements.quickMatchBtn = document.getElementById('quick-match-btn');
+        this.elements.quickMatchStatus = document.getElementById('quick-match-status');
+        this.elements.quickMatchStatusText = document.getElementById('quick-match-status-text');
+        this.elements.leaveQueueBtn = document.getElementById('leave-queue-btn');
+        this.elements.quickMatchModal = document.getElementById('quick-match-modal');
+        this.elements.quickMatchForm = document.getElementById('quick-match-form');
+        this.elements.closeQuickMatchBtn = document.getElementById('close-quick-match-btn');
+        this.elements.cancelQuickMatchBtn = document.getElementById('cancel-quick-match-btn');
+        this.elements.quickMatchRanked = document.getElementById('quick-match-ranked');
+        this.elements.quickMatchBots = document.getElementById('quick-match-bots');
+        this.elements.quickMatchError = document.getElementById('quick-match-error');
+
+        // Ranked ladder
+        this.elements.playerRating = document.getElementById('player-rating');
+        this.elements.leaderboardList = document.getElementById('leaderboard-list');
+        this.elements.noLeaderboard = document.getElementById('no-leaderboard');
         
 
         
@@ -73,6 +93,11 @@ class DashboardManager {
     setupEventListeners() {
         // Logout
         this.elements.logoutBtn.addEventListener('click', () => this.handleLogout());
+
+        // Admin console
+        this.elements.adminBtn?.addEventListener('click', () => {
+            window.location.href = 'admin.html';
+        });
         
         // Create room modal
         this.elements.createRoomBtn.addEventListener('click', () => this.showCreateRoomModal());
@@ -81,6 +106,10 @@ class DashboardManager {
         
         // Single player
         this.elements.singlePlayerBtn.addEventListener('click', () => this.handleCreateDemoRoom());
+        this.elements.offlineGameBtn.addEventListener('click', () => {
+            // Offline games run in the browser, an unfinished one is resumed
+            window.location.href = 'game.html?offline=true';
+        });
         
         // Room code input and join
         this.elements.roomCodeInput.addEventListener('input', () => this.handleRoomCodeInput());
@@ -95,6 +124,22 @@ class DashboardManager {
         
         // Create room form
         this.elements.createRoomForm.addEventListener('submit', (e) => this.handleCreateRoom(e));
+
+        // Quick match
+        this.elements.quickMatchBtn.addEventListener('click', () => this.showQuickMatchModal());
+        this.elements.closeQuickMatchBtn.addEventListener('click', () => this.hideQuickMatchModal());
+        this.elements.cancelQuickMatchBtn.addEventListener('click', () => this.hideQuickMatchModal());
+        this.elements.leaveQueueBtn.addEventListener('click', () => this.handleLeaveQueue());
+        this.elements.quickMatchForm.addEventListener('submit', (e) => this.handleQuickMatch(e));
+        this.elements.quickMatchModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.quickMatchModal) {
+                this.hideQuickMatchModal();
+            }
+        });
+        // Ranked tables are never filled with bots, they would not be rated
+        this.elements.quickMatchRanked.addEventListener('change', () => {
+            this.elements.quickMatchBots.disabled = this.elements.quickMatchRanked.checked;
+        });
         
         // Socket event listeners
         this.setupSocketListeners();
@@ -121,6 +166,15 @@ class DashboardManager {
             console.log('[Dashboard] Room deleted via WebSocket:', data);
             this.handleRoomDeleted(data);
         });
+
+        // Quick-match queue
+        this.socketManager.on('matchmakingQueued', (status) => this.handleMatchmakingQueued(status));
+        this.socketManager.on('matchmakingMatched', (match) => {
+            console.log('[Dashboard] Quick match found:', match);
+            window.location.href = `waiting-room.html?room=${match.roomId}`;
+        });
+        this.socketManager.on('matchmakingLeft', (data) => this.handleMatchmakingLeft(data));
+        this.socketManager.on('matchmakingError', (error) => this.handleMatchmakingError(error));
         
 
         
@@ -161,6 +215,7 @@ class DashboardManager {
             if (this.currentUser && this.elements.usernameDisplay) {
                 this.elements.usernameDisplay.textContent = this.currentUser.username;
                 console.log('[Dashboard] User display updated:', this.currentUser.username);
+                this.elements.adminBtn?.classList.toggle('hidden', !this.authManager.hasRole('admin'));
             } else {
                 console.error('[Dashboard] Missing user data or username display element');
             }
@@ -202,6 +257,9 @@ class DashboardManager {
             
             // Load rooms
             await this.loadRooms();
+
+            // The ladder is secondary, so a failure here does not block the dashboard
+            this.loadRatings().catch(error => console.warn('[Dashboard] Failed to load ratings:', error));
             
         } catch (error) {
             console.error('Error loading dashboard data:', error);
@@ -221,6 +279,65 @@ class DashboardManager {
         }
     }
 
+    async loadRatings() {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.authManager.getToken()}`
+        };
+        const userId = this.authManager.getUserId();
+
+        const [leaderboardResponse, ratingResponse] = await Promise.all([
+            fetch('/api/statistics/leaderboard', { headers }),
+            userId ? fetch(`/api/statistics/user/${encodeURIComponent(userId)}/rating`, { headers }) : null
+        ]);
+
+        if (ratingResponse?.ok) {
+            const { data } = await ratingResponse.json();
+            this.updatePlayerRating(data);
+        }
+
+        if (!leaderboardResponse.ok) {
+            throw new Error('Failed to fetch leaderboard');
+        }
+        const { data: leaderboard } = await leaderboardResponse.json();
+        this.updateLeaderboard(leaderboard || []);
+    }
+
+    formatTrend(trend) {
+        if (trend > 0) return `<span class="rating-trend up" title="Last 5 ranked games">▲ +${trend}</span>`;
+        if (trend < 0) return `<span class="rating-trend down" title="Last 5 ranked games">▼ ${trend}</span>`;
+        return '<span class="rating-trend flat" title="Last 5 ranked games">–</span>';
+    }
+
+    updatePlayerRating(rating) {
+        if (!this.elements.playerRating || !rating) return;
+
+        this.elements.playerRating.innerHTML = `
+            <span class="player-rating-value">${rating.rating}</span>
+            ${this.formatTrend(rating.trend)}
+            <span class="player-rating-details">
+                Your rating${rating.provisional ? ' (provisional)' : ''} ·
+                ${rating.rankedGamesPlayed} ranked · ${rating.casualGamesPlayed} casual
+            </span>
+        `;
+        this.elements.playerRating.classList.remove('hidden');
+    }
+
+    updateLeaderboard(leaderboard) {
+        const currentUserId = this.authManager.getUserId();
+
+        this.elements.noLeaderboard.classList.toggle('hidden', leaderboard.length > 0);
+        this.elements.leaderboardList.innerHTML = leaderboard.map(entry => `
+            <li class="leaderboard-item${entry.userId === currentUserId ? ' current-player' : ''}">
+                <span class="leaderboard-rank">${entry.rank}</span>
+                <span class="leaderboard-name">${entry.username}</span>
+                <span class="leaderboard-games">${entry.rankedGamesPlayed} games · ${entry.winRate}%</span>
+                <span class="leaderboard-rating">${entry.rating}</span>
+                ${this.formatTrend(entry.trend)}
+            </li>
+        `).join('');
+    }
+
     handleRoomCodeInput() {
         const code = this.elements.roomCodeInput.value.trim().toUpperCase();
         const isValid = code.length >= 3; // Minimum code length
@@ -289,6 +406,9 @@ class DashboardManager {
         const isWaiting = room.status === 'waiting';
         const canJoin = isWaiting && room.players.length < room.maxPlayers;
         const isOwner = room.owner === (this.currentUser.user_id || this.currentUser.id);
+        const currentUserId = this.currentUser.user_id || this.currentUser.id;
+        const isSeated = room.players.some(p => p.id === currentUserId);
+        const canSpectate = room.settings?.allowSpectators !== false && !canJoin && !isSeated;
         const roomCode = room.roomCode || room.code || room.inviteCode;
         
         return `
@@ -306,6 +426,7 @@ class DashboardManager {
                 </div>
                 <div class="room-actions">
                     ${canJoin ? `<button class="btn btn-primary btn-sm join-room-btn" data-room-id="${room.id}">Join</button>` : ''}
+                    ${canSpectate ? `<button class="btn btn-secondary btn-sm watch-room-btn" data-room-id="${room.id}" data-status="${room.status}">Watch</button>` : ''}
                     ${isOwner ? `<button class="btn btn-secondary btn-sm delete-room-btn" data-room-id="${room.id}">Delete</button>` : ''}
                 </div>
             </div>
@@ -321,6 +442,13 @@ class DashboardManager {
             });
         });
         
+        // Watch room buttons
+        document.querySelectorAll('.watch-room-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.handleWatchRoom(e.target.dataset.roomId, e.target.dataset.status);
+            });
+        });
+        
         // Delete room buttons
         document.querySelectorAll('.delete-room-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -352,7 +480,18 @@ class DashboardManager {
         const roomData = {
             name: formData.get('roomName').trim(),
             maxPlayers: parseInt(formData.get('maxPlayers')),
-            isPrivate: formData.get('isPrivate') === 'on'
+            isPrivate: formData.get('isPrivate') === 'on',
+            allowSpectators: formData.get('allowSpectators') === 'on',
+            rules: {
+                targetScore: parseInt(formData.get('targetScore')),
+                declaringTeamMinTricks: parseInt(formData.get('declaringTeamMinTricks')),
+                challengingTeamMinTricks: parseInt(formData.get('challengingTeamMinTricks')),
+                trumpDeclarationTimeout: parseInt(formData.get('trumpDeclarationTimeout')),
+                botSubstitutionDelay: parseInt(formData.get('botSubstitutionDelay')),
+                hintsPerGame: parseInt(formData.get('hintsPerGame')),
+                redealRule: formData.get('redealRule') === 'on',
+                ranked: formData.get('ranked') === 'on'
+            }
         };
 
         // Validate
@@ -401,6 +540,12 @@ class DashboardManager {
         }
     }
 
+    handleWatchRoom(roomId, status) {
+        // Spectators skip the seat reservation and only follow the room over WebSocket
+        const page = status === 'waiting' ? 'waiting-room.html' : 'game.html';
+        window.location.href = `${page}?room=${roomId}&spectate=1`;
+    }
+
     async handleDeleteRoom(roomId) {
         if (!confirm('Are you sure you want to delete this room?')) {
             return;
@@ -421,13 +566,13 @@ class DashboardManager {
         try {
             this.showLoading(true);
             
-            // Generate a simple demo game ID
-            const demoGameId = `demo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            // The server stores the demo game and seats three bots
+            const demoGame = await this.roomManager.createDemoGame();
             
-            console.log('[Dashboard] Creating demo room with ID:', demoGameId);
+            console.log('[Dashboard] Created demo game with ID:', demoGame.id);
             
             // Navigate directly to game page with demo game ID
-            window.location.href = `game.html?gameId=${demoGameId}&demo=true`;
+            window.location.href = `game.html?gameId=${demoGame.id}&demo=true`;
             
         } catch (error) {
             console.error('Create demo room error:', error);
@@ -436,6 +581,75 @@ class DashboardManager {
         }
     }
 
+    showQuickMatchModal() {
+        this.elements.quickMatchModal.classList.remove('hidden');
+        this.clearQuickMatchError();
+    }
+
+    hideQuickMatchModal() {
+        this.elements.quickMatchModal.classList.add('hidden');
+        this.clearQuickMatchError();
+    }
+
+    handleQuickMatch(e) {
+        e.preventDefault();
+
+        if (!this.socketManager.isSocketConnected()) {
+            this.showQuickMatchError('Not connected to the server, please try again');
+            return;
+        }
+
+        const formData = new FormData(this.elements.quickMatchForm);
+        const ranked = formData.get('ranked') === 'on';
+        this.socketManager.emitToServer('matchmaking:join', {
+            partner: formData.get('partner').trim() || null,
+            ranked,
+            allowBots: !ranked && formData.get('allowBots') === 'on'
+        });
+
+        this.hideQuickMatchModal();
+        this.showQuickMatchStatus('Joining the queue...');
+    }
+
+    handleLeaveQueue() {
+        this.socketManager.emitToServer('matchmaking:leave');
+        this.hideQuickMatchStatus();
+    }
+
+    handleMatchmakingQueued(status) {
+        if (status.status === 'waiting_for_partner') {
+            this.showQuickMatchStatus(`Waiting for ${status.partner} to queue with you...`);
+            return;
+        }
+
+        const mode = status.ranked ? 'ranked' : 'casual';
+        const party = status.players.length > 1 ? ` with ${status.players.join(' and ')}` : '';
+        this.showQuickMatchStatus(`Searching for a ${mode} table${party}...`);
+    }
+
+    handleMatchmakingLeft(data) {
+        this.hideQuickMatchStatus();
+        if (data?.reason) {
+            this.showError(data.reason);
+        }
+    }
+
+    handleMatchmakingError(error) {
+        this.hideQuickMatchStatus();
+        this.showError(error.message || 'Failed to join the queue');
+    }
+
+    showQuickMatchStatus(message) {
+        this.elements.quickMatchStatusText.textContent = message;
+        this.elements.quickMatchStatus.classList.remove('hidden');
+        this.elements.quickMatchBtn.disabled = true;
+    }
+
+    hideQuickMatchStatus() {
+        this.elements.quickMatchStatus.classList.add('hidden');
+        this.elements.quickMatchBtn.disabled = false;
+    }
+
     handleRoomCreated(room) {
         this.hideCreateRoomModal();
         
@@ -503,6 +717,16 @@ class DashboardManager {
         this.elements.formError.classList.add('hidden');
     }
 
+    showQuickMatchError(message) {
+        this.elements.quickMatchError.textContent = message;
+        this.elements.quickMatchError.classList.remove('hidden');
+    }
+
+    clearQuickMatchError() {
+        this.elements.quickMatchError.textContent = '';
+        this.elements.quickMatchError.classList.add('hidden');
+    }
+
     showError(message) {
         // For now, use alert - could be replaced with a toast notification system
         alert(message);
@@ -31,6 +31,15 @@ class GamePageController {
     }
 }
 
+// Register the service worker here too, so the offline game is cached for players who come straight to this page
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch((registrationError) => {
+            console.log('SW registration failed: ', registrationError);
+        });
+    });
+}
+
 // Initialize game when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.gamePageController = new GamePageController();
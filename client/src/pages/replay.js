@@ -0,0 +1,464 @@
+/**
+ * Replay Page - Contract Crown PWA
+ * Steps through a recorded game deal by deal and trick by trick
+ */
+
+import { AuthManager } from '../core/auth.js';
+import { GameState } from '../core/GameState.js';
+import { getErrorHandler } from '../core/ErrorHandler.js';
+import { CardManager } from '../components/CardManager.js';
+import { determineTrickWinner } from '../../../shared/rules.js';
+
+const POSITIONS = ['bottom', 'left', 'top', 'right'];
+const SUIT_SYMBOLS = {
+    Hearts: '♥',
+    Diamonds: '♦',
+    Clubs: '♣',
+    Spades: '♠'
+};
+const PLAYBACK_INTERVAL_MS = 1200;
+
+class ReplayPageController {
+    constructor() {
+        this.authManager = new AuthManager();
+        this.errorHandler = getErrorHandler(this.authManager);
+        this.gameState = new GameState();
+
+        // Replays only render cards, so the card manager needs no UI manager
+        this.cardManager = new CardManager(this.gameState, null);
+
+        this.replay = null;
+        this.steps = [];
+        this.stepIndex = 0;
+        this.positions = {};
+        this.teamNumbers = {};
+        this.playbackTimer = null;
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.init();
+    }
+
+    initializeElements() {
+        this.elements = {
+            backBtn: document.getElementById('back-to-dashboard-btn'),
+            currentRound: document.getElementById('current-round'),
+            currentTrick: document.getElementById('current-trick-counter'),
+            trumpSuit: document.getElementById('trump-suit'),
+            playerHand: document.getElementById('player-hand'),
+            caption: document.getElementById('replay-caption'),
+            prevRoundBtn: document.getElementById('replay-prev-round-btn'),
+            prevBtn: document.getElementById('replay-prev-btn'),
+            playBtn: document.getElementById('replay-play-btn'),
+            nextBtn: document.getElementById('replay-next-btn'),
+            nextRoundBtn: document.getElementById('replay-next-round-btn'),
+            progress: document.getElementById('replay-progress')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.backBtn?.addEventListener('click', () => {
+            window.location.href = '/dashboard.html';
+        });
+        this.elements.prevBtn?.addEventListener('click', () => this.goToStep(this.stepIndex - 1));
+        this.elements.nextBtn?.addEventListener('click', () => this.goToStep(this.stepIndex + 1));
+        this.elements.prevRoundBtn?.addEventListener('click', () => this.goToRound(-1));
+        this.elements.nextRoundBtn?.addEventListener('click', () => this.goToRound(1));
+        this.elements.playBtn?.addEventListener('click', () => this.togglePlayback());
+        this.elements.progress?.addEventListener('input', (e) => this.goToStep(parseInt(e.target.value)));
+    }
+
+    async init() {
+        try {
+            if (!this.authManager.isAuthenticated()) {
+                this.errorHandler?.handleAuthError('User not authenticated');
+                return;
+            }
+
+            const gameId = new URLSearchParams(window.location.search).get('gameId');
+            if (!gameId) {
+                this.setCaption('No game selected for replay');
+                return;
+            }
+
+            this.replay = await this.fetchReplay(gameId);
+            this.setupPlayers();
+            this.steps = this.buildSteps();
+
+            if (this.steps.length === 0) {
+                this.setCaption('This game has no recorded plays yet');
+                return;
+            }
+
+            this.elements.progress.max = this.steps.length - 1;
+            this.goToStep(0);
+        } catch (error) {
+            console.error('[Replay] Failed to load replay:', error);
+            this.setCaption(error.message || 'Failed to load replay');
+        }
+    }
+
+    /**
+     * Fetch the replay log for a game
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object>} Replay data
+     */
+    async fetchReplay(gameId) {
+        const url = `/api/games/${encodeURIComponent(gameId)}/replay`;
+        const response = await fetch(url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.authManager.getToken()}`
+            }
+        });
+
+        if (!response.ok) {
+            this.errorHandler?.handleHttpAuthError(response, url);
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.message || 'Failed to load replay');
+        }
+
+        const data = await response.json();
+        return data.replay;
+    }
+
+    /**
+     * Seat players around the table with the viewer at the bottom
+     */
+    setupPlayers() {
+        const players = [...this.replay.players].sort((a, b) => a.seatPosition - b.seatPosition);
+        const viewerIndex = Math.max(0, players.findIndex(p => p.userId === this.authManager.getUserId()));
+
+        const statePlayers = {};
+        players.forEach((player, index) => {
+            const position = POSITIONS[(index - viewerIndex + players.length) % players.length];
+            this.positions[player.userId] = position;
+            statePlayers[player.userId] = {
+                username: player.username,
+                seatPosition: player.seatPosition,
+                teamId: player.teamId
+            };
+
+            const nameElement = document.getElementById(`player-${position}-name`);
+            if (nameElement) {
+                nameElement.textContent = player.username;
+            }
+        });
+
+        this.replay.teams.forEach(team => {
+            this.teamNumbers[team.teamId] = team.teamNumber;
+        });
+
+        this.viewerId = players[viewerIndex]?.userId;
+        this.gameState.updateState({ gameId: this.replay.gameId, players: statePlayers });
+    }
+
+    /**
+     * Flatten rounds into the individual steps the viewer moves through
+     * @returns {Array} Replay steps
+     */
+    buildSteps() {
+        const steps = [];
+
+        this.replay.rounds.forEach((round, roundIndex) => {
+            steps.push({ type: 'deal', roundIndex, trickIndex: -1, playCount: 0 });
+
+            if (round.trumpSuit) {
+                steps.push({ type: 'trump', roundIndex, trickIndex: -1, playCount: 0 });
+            }
+
+            round.tricks.forEach((trick, trickIndex) => {
+                trick.plays.forEach((play, index) => {
+                    steps.push({ type: 'play', roundIndex, trickIndex, playCount: index + 1 });
+                });
+
+                if (trick.plays.length === 4) {
+                    steps.push({ type: 'trick_won', roundIndex, trickIndex, playCount: 4 });
+                }
+            });
+
+            if (round.scores) {
+                steps.push({ type: 'round_complete', roundIndex, trickIndex: round.tricks.length, playCount: 0 });
+            }
+        });
+
+        return steps;
+    }
+
+    /**
+     * Move to a replay step and redraw the table
+     * @param {number} index - Step index
+     */
+    goToStep(index) {
+        if (index < 0 || index >= this.steps.length) {
+            this.stopPlayback();
+            return;
+        }
+
+        this.stepIndex = index;
+        this.renderStep(this.steps[index]);
+    }
+
+    /**
+     * Jump to the start of the previous or next round
+     * @param {number} direction - -1 for previous, 1 for next
+     */
+    goToRound(direction) {
+        const currentRound = this.steps[this.stepIndex]?.roundIndex ?? 0;
+        const targetRound = currentRound + direction;
+        const targetIndex = this.steps.findIndex(step => step.roundIndex === targetRound);
+
+        if (targetIndex !== -1) {
+            this.goToStep(targetIndex);
+        }
+    }
+
+    togglePlayback() {
+        if (this.playbackTimer) {
+            this.stopPlayback();
+            return;
+        }
+
+        if (this.stepIndex >= this.steps.length - 1) {
+            this.goToStep(0);
+        }
+
+        this.playbackTimer = setInterval(() => this.goToStep(this.stepIndex + 1), PLAYBACK_INTERVAL_MS);
+        this.elements.playBtn.textContent = '⏸ Pause';
+    }
+
+    stopPlayback() {
+        if (this.playbackTimer) {
+            clearInterval(this.playbackTimer);
+            this.playbackTimer = null;
+        }
+        if (this.elements.playBtn) {
+            this.elements.playBtn.textContent = '▶ Play';
+        }
+    }
+
+    /**
+     * Draw the table as it looked at a replay step
+     * @param {Object} step - Replay step
+     */
+    renderStep(step) {
+        const round = this.replay.rounds[step.roundIndex];
+        const trick = round.tricks[step.trickIndex];
+        const trumpSuit = step.type === 'deal' ? null : round.trumpSuit;
+
+        this.gameState.updateState({ trumpSuit, currentRound: round.roundNumber });
+
+        this.elements.currentRound.textContent = round.roundNumber;
+        this.elements.currentTrick.textContent = trick ? trick.trickNumber : '-';
+        this.elements.progress.value = this.stepIndex;
+
+        this.renderTrumpSuit(trumpSuit);
+        this.renderDeclarer(round.trumpDeclarer);
+
+        // Cards on the table for the current trick
+        this.cardManager.clearPlayedCards();
+        if (trick && step.playCount > 0) {
+            trick.plays.slice(0, step.playCount).forEach(play => {
+                this.cardManager.renderPlayedCard(play.playerId, play.card, this.positions[play.playerId]);
+            });
+
+            if (step.type === 'trick_won') {
+                const winner = this.getTrickWinner(trick, round.trumpSuit);
+                document.querySelector(`#played-card-${this.positions[winner]} .played-card`)?.classList.add('winner');
+            }
+        }
+
+        this.renderHand(round, step);
+        this.renderScores(step);
+        this.setCaption(this.describeStep(step, round, trick));
+    }
+
+    /**
+     * Winner of a completed trick, falling back to the client rules for older logs
+     * @param {Object} trick - Replay trick
+     * @param {string} trumpSuit - Trump suit for the round
+     * @returns {string} Winning player ID
+     */
+    getTrickWinner(trick, trumpSuit) {
+        if (trick.winner) {
+            return trick.winner;
+        }
+
+        return trick.plays.length > 0 ? determineTrickWinner(trick.plays, trumpSuit).playerId : undefined;
+    }
+
+    /**
+     * Render the viewer's hand, minus any cards already played this round
+     * @param {Object} round - Replay round
+     * @param {Object} step - Replay step
+     */
+    renderHand(round, step) {
+        const container = this.elements.playerHand;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const dealtHand = round.hands?.[this.viewerId];
+        if (!dealtHand) return;
+
+        const playedCards = this.getPlayedCards(round, step, this.viewerId);
+        const hand = dealtHand.filter(card =>
+            !playedCards.some(played => played.suit === card.suit && played.rank === card.rank)
+        );
+
+        this.cardManager.sortCardsBySuit(hand).forEach((card, index) => {
+            container.appendChild(this.cardManager.createCardElement(card, index));
+        });
+    }
+
+    /**
+     * Cards a player has played in a round up to a step
+     * @param {Object} round - Replay round
+     * @param {Object} step - Replay step
+     * @param {string} playerId - Player ID
+     * @returns {Array} Played cards
+     */
+    getPlayedCards(round, step, playerId) {
+        return round.tricks
+            .flatMap((trick, trickIndex) => {
+                if (trickIndex < step.trickIndex) return trick.plays;
+                if (trickIndex === step.trickIndex) return trick.plays.slice(0, step.playCount);
+                return [];
+            })
+            .filter(play => play.playerId === playerId)
+            .map(play => play.card);
+    }
+
+    /**
+     * Render trick counts for the round and game points so far
+     * @param {Object} step - Replay step
+     */
+    renderScores(step) {
+        const round = this.replay.rounds[step.roundIndex];
+        const tricks = { 1: 0, 2: 0 };
+        const points = { 1: 0, 2: 0 };
+
+        round.tricks.forEach((trick, trickIndex) => {
+            const completed = trickIndex < step.trickIndex ||
+                (trickIndex === step.trickIndex && step.type === 'trick_won');
+            if (!completed) return;
+
+            const winner = this.getTrickWinner(trick, round.trumpSuit);
+            const teamNumber = this.teamNumbers[this.gameState.getState().players[winner]?.teamId];
+            if (teamNumber) {
+                tricks[teamNumber]++;
+            }
+        });
+
+        this.replay.rounds.forEach((pastRound, roundIndex) => {
+            const scored = roundIndex < step.roundIndex ||
+                (roundIndex === step.roundIndex && step.type === 'round_complete');
+            if (!scored || !pastRound.scores) return;
+
+            const declaringTeam = this.teamNumbers[pastRound.declaringTeamId];
+            const challengingTeam = declaringTeam === 1 ? 2 : 1;
+            if (!declaringTeam) return;
+
+            points[declaringTeam] += pastRound.scores.declaringTeamScore || 0;
+            points[challengingTeam] += pastRound.scores.challengingTeamScore || 0;
+        });
+
+        [1, 2].forEach(teamNumber => {
+            const trickScore = document.querySelector(`#team-${teamNumber}-score .score-value`);
+            const gameScore = document.querySelector(`#team-${teamNumber}-game-score .score-value`);
+            if (trickScore) trickScore.textContent = tricks[teamNumber];
+            if (gameScore) gameScore.textContent = points[teamNumber];
+        });
+    }
+
+    renderTrumpSuit(trumpSuit) {
+        if (!this.elements.trumpSuit) return;
+
+        if (trumpSuit) {
+            this.elements.trumpSuit.innerHTML = `
+                <span class="trump-symbol ${trumpSuit.toLowerCase()}">${SUIT_SYMBOLS[trumpSuit]}</span>
+                <span class="trump-name">${trumpSuit}</span>
+            `;
+        } else {
+            this.elements.trumpSuit.innerHTML = `
+                <span class="trump-symbol">?</span>
+                <span class="trump-name">Not Declared</span>
+            `;
+        }
+    }
+
+    renderDeclarer(declarerId) {
+        Object.entries(this.positions).forEach(([playerId, position]) => {
+            document.getElementById(`player-${position}-name`)?.classList.toggle('declarer', playerId === declarerId);
+        });
+    }
+
+    /**
+     * Describe what happened at a step
+     * @param {Object} step - Replay step
+     * @param {Object} round - Replay round
+     * @param {Object} trick - Replay trick for the step, if any
+     * @returns {string} Caption text
+     */
+    describeStep(step, round, trick) {
+        const name = (playerId) => this.gameState.getPlayerNameById(playerId);
+
+        switch (step.type) {
+            case 'deal':
+                return round.dealerUserId
+                    ? `Round ${round.roundNumber}: ${name(round.dealerUserId)} deals`
+                    : `Round ${round.roundNumber}: cards dealt`;
+            case 'trump':
+                return `${name(round.trumpDeclarer)} declares ${round.trumpSuit} as trump`;
+            case 'play': {
+                const play = trick.plays[step.playCount - 1];
+                return `${name(play.playerId)} plays ${play.card.rank}${SUIT_SYMBOLS[play.card.suit]}`;
+            }
+            case 'trick_won':
+                return `${name(this.getTrickWinner(trick, round.trumpSuit))} wins trick ${trick.trickNumber}`;
+            case 'round_complete': {
+                const { declaringTeamTricks, challengingTeamTricks } = round.teamTricks || {};
+                const result = round.scores.declaringTeamMadeContract ? 'made' : 'missed';
+                return `Round ${round.roundNumber} complete: declarers ${result} their contract (${declaringTeamTricks} - ${challengingTeamTricks} tricks)${this.describeDealCheck(round)}`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Describe whether the round's revealed seed reproduces its deal
+     * @param {Object} round - Replay round
+     * @returns {string} Caption suffix
+     */
+    describeDealCheck(round) {
+        if (round.dealVerified === null || round.dealVerified === undefined) {
+            return '';
+        }
+        return round.dealVerified
+            ? ` · deal verified from seed ${round.dealSeed}`
+            : ' · deal does not match its revealed seed';
+    }
+
+    setCaption(text) {
+        if (this.elements.caption) {
+            this.elements.caption.textContent = text;
+        }
+    }
+
+    cleanup() {
+        this.stopPlayback();
+    }
+}
+
+// Initialize replay when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.replayPageController = new ReplayPageController();
+});
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', () => {
+    if (window.replayPageController) {
+        window.replayPageController.cleanup();
+    }
+});
@@ -8,11 +8,14 @@ import {
     LoadingManager,
     ModalManager,
     EventHandlerManager,
-    TeamManager
+    TeamManager,
+    ChatPanel
 } from './components/index.js';
 import { AccessibilityManager } from './components/AccessibilityManager.js';
 import { ResponsiveLayoutManager } from './components/ResponsiveLayoutManager.js';
 
+const BOT_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
 export class WaitingRoomOrchestrator {
     constructor() {
         this.elements = this.initializeElements();
@@ -22,6 +25,10 @@ export class WaitingRoomOrchestrator {
     initializeElements() {
         return {
             roomCode: document.getElementById('room-code'),
+            gameRulesList: document.getElementById('game-rules-list'),
+            spectatorsSection: document.getElementById('spectators-section'),
+            spectatorsList: document.getElementById('spectators-list'),
+            spectatorCount: document.getElementById('spectator-count'),
             copyCodeBtn: document.getElementById('copy-code-btn'),
             connectionStatus: document.getElementById('connection-status'),
             statusIndicator: document.getElementById('status-indicator'),
@@ -49,7 +56,8 @@ export class WaitingRoomOrchestrator {
             errorMessage: document.getElementById('error-message'),
             closeErrorBtn: document.getElementById('close-error-btn'),
             errorOkBtn: document.getElementById('error-ok-btn'),
-            botCountDisplay: document.getElementById('bot-count-display')
+            botCountDisplay: document.getElementById('bot-count-display'),
+            botDifficultyPicker: document.getElementById('bot-difficulty-picker')
         };
     }
 
@@ -62,6 +70,7 @@ export class WaitingRoomOrchestrator {
         this.teamManager = new TeamManager();
         this.accessibilityManager = new AccessibilityManager(this.elements);
         this.responsiveManager = new ResponsiveLayoutManager(this.elements);
+        this.chatPanel = new ChatPanel();
         this.eventHandler = new EventHandlerManager(this.elements, {
             onCopyRoomCode: () => this.copyRoomCode(),
             onReadyToggle: (slotNumber) => this.onReadyToggle && this.onReadyToggle(slotNumber),
@@ -108,6 +117,41 @@ export class WaitingRoomOrchestrator {
         }
     }
 
+    /**
+     * Show one difficulty picker per seat a bot would fill, keeping earlier picks
+     */
+    updateBotDifficultyPicker(seatCount) {
+        const picker = this.elements.botDifficultyPicker;
+        if (!picker || picker.children.length === seatCount) return;
+
+        const previous = this.getBotDifficulties();
+        picker.innerHTML = '';
+
+        for (let i = 0; i < seatCount; i++) {
+            const label = document.createElement('label');
+            label.className = 'bot-difficulty-option';
+            label.textContent = `Bot ${i + 1}`;
+
+            const select = document.createElement('select');
+            select.className = 'bot-difficulty-select';
+            BOT_DIFFICULTIES.forEach(difficulty => {
+                const option = document.createElement('option');
+                option.value = difficulty;
+                option.textContent = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+                select.appendChild(option);
+            });
+            select.value = previous[i] || 'medium';
+
+            label.appendChild(select);
+            picker.appendChild(label);
+        }
+    }
+
+    getBotDifficulties() {
+        const selects = this.elements.botDifficultyPicker?.querySelectorAll('.bot-difficulty-select') || [];
+        return Array.from(selects, select => select.value);
+    }
+
     showHostControls(isHost, canStart, roomStatus) {
         const hostControls = this.elements.hostControls;
         const startButton = this.elements.startGameBtn;
@@ -171,6 +215,60 @@ export class WaitingRoomOrchestrator {
         }
     }
 
+    setGameRules(rules) {
+        const list = this.elements.gameRulesList;
+        if (!list || !rules) return;
+
+        const timeout = rules.trumpDeclarationTimeout > 0
+            ? `${rules.trumpDeclarationTimeout}s to declare trump`
+            : 'No trump declaration limit';
+        const substitution = rules.botSubstitutionDelay > 0
+            ? `Bots play for players disconnected over ${rules.botSubstitutionDelay}s`
+            : 'No bot stand-ins for disconnected players';
+        let hints = `${rules.hintsPerGame} hint${rules.hintsPerGame === 1 ? '' : 's'} per player`;
+        if (rules.ranked) {
+            hints = 'Ranked game, no hints';
+        } else if (!rules.hintsPerGame) {
+            hints = 'No hints';
+        }
+        const items = [
+            `First to ${rules.targetScore} points`,
+            `Declarers need ${rules.declaringTeamMinTricks} tricks`,
+            `Challengers need ${rules.challengingTeamMinTricks} tricks`,
+            rules.redealRule ? 'Redeal on 3+ Aces or Sevens' : 'No redeals',
+            timeout,
+            substitution,
+            hints
+        ];
+
+        list.innerHTML = '';
+        items.forEach(text => {
+            const item = document.createElement('li');
+            item.className = 'rule-item';
+            item.textContent = text;
+            list.appendChild(item);
+        });
+    }
+
+    updateSpectators(spectators = [], currentUserId = null) {
+        const { spectatorsSection, spectatorsList, spectatorCount } = this.elements;
+        if (!spectatorsSection || !spectatorsList) return;
+
+        spectatorsSection.classList.toggle('hidden', spectators.length === 0);
+        if (spectatorCount) {
+            spectatorCount.textContent = `(${spectators.length})`;
+        }
+
+        spectatorsList.innerHTML = '';
+        spectators.forEach(spectator => {
+            const item = document.createElement('li');
+            item.className = 'spectator-item';
+            item.classList.toggle('is-current-user', String(spectator.userId) === String(currentUserId));
+            item.textContent = spectator.username;
+            spectatorsList.appendChild(item);
+        });
+    }
+
     async copyRoomCode() {
         const roomCode = this.elements.roomCode?.textContent;
         
@@ -238,6 +336,26 @@ export class WaitingRoomOrchestrator {
         }
     }
 
+    setChatSendCallback(callback) {
+        this.chatPanel.setSendCallback(callback);
+    }
+
+    setChatUser(userId) {
+        this.chatPanel.setCurrentUser(userId);
+    }
+
+    setChatHistory(messages) {
+        this.chatPanel.setMessages(messages);
+    }
+
+    addChatMessage(message) {
+        this.chatPanel.addMessage(message);
+    }
+
+    showChatError(message) {
+        this.chatPanel.showError(message);
+    }
+
     setTeamAssignmentCallback(callback) {
         this.onTeamAssignment = callback;
         this.teamManager.setTeamAssignmentCallback(callback);
@@ -0,0 +1,195 @@
+/**
+ * ChatPanel - Collapsible room chat shared by the waiting room and game pages
+ */
+export class ChatPanel {
+    constructor(options = {}) {
+        const {
+            currentUserId = null,
+            maxLength = 200,
+            onSend = null
+        } = options;
+
+        this.currentUserId = currentUserId;
+        this.maxLength = maxLength;
+        this.onSend = onSend;
+        this.isOpen = false;
+        this.unreadCount = 0;
+        this.messageIds = new Set();
+
+        this.elements = {};
+        this.initializeContainer();
+    }
+
+    /**
+     * Initialize chat panel markup
+     */
+    initializeContainer() {
+        let container = document.getElementById('chat-panel');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'chat-panel';
+            document.body.appendChild(container);
+        }
+
+        container.className = 'chat-panel collapsed';
+        container.innerHTML = `
+            <button type="button" class="chat-toggle-btn" aria-expanded="false" aria-controls="chat-panel-body">
+                <span class="chat-toggle-icon" aria-hidden="true">💬</span>
+                <span class="chat-toggle-text">Chat</span>
+                <span class="chat-unread-badge hidden" aria-label="Unread messages">0</span>
+            </button>
+            <div class="chat-panel-body" id="chat-panel-body">
+                <ul class="chat-messages" aria-live="polite" aria-label="Chat messages"></ul>
+                <div class="chat-error hidden" role="alert"></div>
+                <form class="chat-form" autocomplete="off">
+                    <input type="text" class="chat-input" maxlength="${this.maxLength}"
+                        placeholder="Say something to the table..." aria-label="Chat message">
+                    <button type="submit" class="btn btn-primary btn-sm chat-send-btn">Send</button>
+                </form>
+            </div>
+        `;
+
+        this.elements = {
+            container,
+            toggleBtn: container.querySelector('.chat-toggle-btn'),
+            unreadBadge: container.querySelector('.chat-unread-badge'),
+            messagesList: container.querySelector('.chat-messages'),
+            error: container.querySelector('.chat-error'),
+            form: container.querySelector('.chat-form'),
+            input: container.querySelector('.chat-input'),
+            sendBtn: container.querySelector('.chat-send-btn')
+        };
+
+        this.elements.toggleBtn.addEventListener('click', () => this.toggle());
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+    }
+
+    /**
+     * Send the typed message through the send callback
+     */
+    handleSubmit() {
+        const text = this.elements.input.value.trim();
+        if (!text) return;
+
+        if (text.length > this.maxLength) {
+            this.showError(`Messages must be ${this.maxLength} characters or less`);
+            return;
+        }
+
+        this.hideError();
+        if (this.onSend) {
+            this.onSend(text);
+        }
+        this.elements.input.value = '';
+    }
+
+    setSendCallback(callback) {
+        this.onSend = callback;
+    }
+
+    setCurrentUser(userId) {
+        this.currentUserId = userId;
+    }
+
+    /**
+     * Replace the message list with the room's history
+     */
+    setMessages(messages = []) {
+        this.elements.messagesList.innerHTML = '';
+        this.messageIds.clear();
+        messages.forEach(message => this.renderMessage(message));
+        this.scrollToLatest();
+    }
+
+    /**
+     * Append a single new message
+     */
+    addMessage(message) {
+        if (!this.renderMessage(message)) return;
+
+        this.scrollToLatest();
+
+        const isOwnMessage = String(message.userId) === String(this.currentUserId);
+        if (!this.isOpen && !isOwnMessage) {
+            this.unreadCount++;
+            this.updateUnreadBadge();
+        }
+    }
+
+    renderMessage(message) {
+        if (!message || this.messageIds.has(message.messageId)) {
+            return false;
+        }
+        this.messageIds.add(message.messageId);
+
+        const item = document.createElement('li');
+        item.className = 'chat-message';
+        item.classList.toggle('own-message', String(message.userId) === String(this.currentUserId));
+        item.classList.toggle('spectator-message', Boolean(message.isSpectator));
+
+        const author = document.createElement('span');
+        author.className = 'chat-author';
+        author.textContent = message.isSpectator ? `${message.username} (watching)` : message.username;
+
+        const text = document.createElement('span');
+        text.className = 'chat-text';
+        text.textContent = message.text;
+
+        const time = document.createElement('time');
+        time.className = 'chat-time';
+        time.dateTime = message.timestamp;
+        time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        item.append(author, text, time);
+        this.elements.messagesList.appendChild(item);
+        return true;
+    }
+
+    scrollToLatest() {
+        const list = this.elements.messagesList;
+        list.scrollTop = list.scrollHeight;
+    }
+
+    /**
+     * Open or collapse the panel
+     */
+    toggle(open = !this.isOpen) {
+        this.isOpen = open;
+        this.elements.container.classList.toggle('collapsed', !open);
+        this.elements.toggleBtn.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            this.unreadCount = 0;
+            this.updateUnreadBadge();
+            this.scrollToLatest();
+            this.elements.input.focus();
+        }
+    }
+
+    updateUnreadBadge() {
+        const badge = this.elements.unreadBadge;
+        badge.textContent = this.unreadCount > 9 ? '9+' : String(this.unreadCount);
+        badge.classList.toggle('hidden', this.unreadCount === 0);
+    }
+
+    setEnabled(enabled) {
+        this.elements.input.disabled = !enabled;
+        this.elements.sendBtn.disabled = !enabled;
+    }
+
+    showError(message) {
+        this.elements.error.textContent = message;
+        this.elements.error.classList.remove('hidden');
+    }
+
+    hideError() {
+        this.elements.error.classList.add('hidden');
+    }
+
+    cleanup() {
+        this.elements.container?.remove();
+    }
+}
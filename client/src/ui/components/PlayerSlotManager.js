@@ -48,6 +48,7 @@ export class PlayerSlotManager {
         const readyText = slot.querySelector('.ready-text');
         const readyIndicator = slot.querySelector('.ready-indicator');
         const hostBadge = slot.querySelector('.host-badge');
+        const difficultyBadge = slot.querySelector('.bot-difficulty-badge');
         const avatarPlaceholder = slot.querySelector('.avatar-placeholder');
         const readyBtn = slot.querySelector('.ready-btn');
         
@@ -55,6 +56,10 @@ export class PlayerSlotManager {
         if (readyText) readyText.textContent = 'Not Ready';
         if (readyIndicator) readyIndicator.style.background = '';
         if (hostBadge) hostBadge.classList.add('hidden');
+        if (difficultyBadge) {
+            difficultyBadge.className = 'bot-difficulty-badge hidden';
+            difficultyBadge.textContent = '';
+        }
         if (avatarPlaceholder) {
             avatarPlaceholder.textContent = position;
             avatarPlaceholder.style.fontSize = '';
@@ -114,6 +119,12 @@ export class PlayerSlotManager {
             hostBadge.classList.remove('hidden');
         }
 
+        const difficultyBadge = slot.querySelector('.bot-difficulty-badge');
+        if (player.isBot && player.botDifficulty && difficultyBadge) {
+            difficultyBadge.textContent = player.botDifficulty;
+            difficultyBadge.className = `bot-difficulty-badge difficulty-${player.botDifficulty}`;
+        }
+
         if (readyBtn && !player.isBot) {
             const isCurrentUser = currentUserId && (player.id === currentUserId || player.user_id === currentUserId);
             
@@ -151,6 +151,16 @@ export class ToastManager {
         });
     }
 
+    /**
+     * Show achievement unlocked toast
+     */
+    showAchievementUnlocked(achievement) {
+        return this.show(`Achievement unlocked: ${achievement.name}`, 'achievement', {
+            icon: '🏆',
+            duration: 5000
+        });
+    }
+
     /**
      * Clear all toast messages
      */
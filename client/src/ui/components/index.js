@@ -11,4 +11,5 @@ export { ModalManager } from './ModalManager.js';
 export { EventHandlerManager } from './EventHandlerManager.js';
 export { TeamManager } from './TeamManager.js';
 export { AccessibilityManager } from './AccessibilityManager.js';
-export { ResponsiveLayoutManager } from './ResponsiveLayoutManager.js';
\ No newline at end of file
+export { ResponsiveLayoutManager } from './ResponsiveLayoutManager.js';
+export { ChatPanel } from './ChatPanel.js';
\ No newline at end of file
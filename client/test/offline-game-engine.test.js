@@ -0,0 +1,192 @@
+/**
+ * Offline Game Engine Tests
+ * The client rules engine has to play whole games without the server
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { OfflineGameEngine } from '../src/core/OfflineGameEngine.js';
+import { isValidDeal } from '../../shared/rules.js';
+
+// Small seeded generator so deals are repeatable
+const createRandom = (seed) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+const createEngine = (seed = 1) => OfflineGameEngine.createGame({
+    gameId: 'offline-test',
+    human: { id: 'human_player', username: 'alice' },
+    random: createRandom(seed)
+});
+
+const playBotTurn = (engine) => {
+    const playerId = engine.getCurrentTurnPlayer();
+    if (engine.state.phase === 'trump_declaration') {
+        return engine.declareTrump(playerId, engine.chooseBotTrump(playerId));
+    }
+    return engine.playCard(playerId, engine.chooseBotCard(playerId));
+};
+
+const playRound = (engine) => {
+    while (['trump_declaration', 'playing'].includes(engine.state.phase)) {
+        playBotTurn(engine);
+    }
+    return engine.state.lastRound;
+};
+
+describe('OfflineGameEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = createEngine();
+    });
+
+    it('should deal the whole deck with no hand breaking the redeal rule', () => {
+        const hands = Object.values(engine.state.hands);
+        const cards = hands.flat().map(card => `${card.rank}${card.suit}`);
+
+        expect(hands.every(hand => hand.length === 8)).toBe(true);
+        expect(new Set(cards).size).toBe(32);
+        expect(isValidDeal(engine.state.hands)).toBe(true);
+    });
+
+    it('should seat the human with the bot opposite and let the dealer\'s left declare', () => {
+        expect(engine.state.players.map(player => player.teamAssignment)).toEqual([1, 2, 1, 2]);
+        expect(engine.state.declarerSeat).toBe((engine.state.dealerSeat + 1) % 4);
+        expect(engine.state.phase).toBe('trump_declaration');
+        expect(engine.getCurrentTurnPlayer()).toBe(engine.getTrumpDeclarer());
+        expect(engine.getVisibleHand('human_player')).toHaveLength(4);
+    });
+
+    it('should only accept trump from the declarer, who then leads the first trick', () => {
+        const declarer = engine.getTrumpDeclarer();
+        const otherPlayer = engine.state.players.find(player => player.id !== declarer).id;
+
+        expect(() => engine.declareTrump(otherPlayer, 'Hearts')).toThrow('Only the trump declarer');
+        expect(() => engine.declareTrump(declarer, 'Stars')).toThrow('Invalid trump suit');
+
+        engine.declareTrump(declarer, 'Hearts');
+
+        expect(engine.state.trumpSuit).toBe('Hearts');
+        expect(engine.getCurrentTurnPlayer()).toBe(declarer);
+        expect(engine.getVisibleHand('human_player')).toHaveLength(8);
+    });
+
+    it('should enforce turn order and suit following', () => {
+        const declarer = engine.getTrumpDeclarer();
+        engine.declareTrump(declarer, 'Hearts');
+
+        const nextPlayer = engine.state.players[(engine.state.declarerSeat + 1) % 4].id;
+        expect(() => engine.playCard(nextPlayer, engine.state.hands[nextPlayer][0])).toThrow("It's not your turn");
+
+        const lead = engine.state.hands[declarer][0];
+        engine.playCard(declarer, lead);
+
+        const offSuit = engine.state.hands[nextPlayer].find(card => card.suit !== lead.suit);
+        const canFollow = engine.state.hands[nextPlayer].some(card => card.suit === lead.suit);
+        if (canFollow && offSuit) {
+            expect(() => engine.playCard(nextPlayer, offSuit)).toThrow(`You must follow suit: ${lead.suit}`);
+        }
+        expect(engine.getValidCards(nextPlayer).every(card => !canFollow || card.suit === lead.suit)).toBe(true);
+    });
+
+    it('should give the trick to the highest trump, otherwise the highest card of the lead suit', () => {
+        const trick = [
+            { playerId: 'a', card: { suit: 'Spades', rank: '10' } },
+            { playerId: 'b', card: { suit: 'Spades', rank: 'A' } },
+            { playerId: 'c', card: { suit: 'Clubs', rank: 'A' } },
+            { playerId: 'd', card: { suit: 'Spades', rank: 'K' } }
+        ];
+        expect(engine.determineTrickWinner(trick, 'Hearts')).toBe('b');
+
+        trick[2].card = { suit: 'Hearts', rank: '7' };
+        expect(engine.determineTrickWinner(trick, 'Hearts')).toBe('c');
+    });
+
+    it('should score only teams that reach their minimum tricks', () => {
+        engine.declareTrump(engine.getTrumpDeclarer(), 'Hearts');
+        const declaringTeam = engine.getTeamKey(engine.getTrumpDeclarer());
+        const challengingTeam = declaringTeam === 'team1' ? 'team2' : 'team1';
+
+        engine.state.trickScores = { [declaringTeam]: 4, [challengingTeam]: 4 };
+        const round = engine.completeRound();
+
+        expect(round.roundPoints).toEqual({ [declaringTeam]: 0, [challengingTeam]: 4 });
+        expect(round.roundWinner.teamKey).toBe(challengingTeam);
+        expect(round.crownRetained).toBe(false);
+        expect(engine.state.scoreHistory).toHaveLength(1);
+        expect(engine.state.phase).toBe('round_complete');
+    });
+
+    it('should keep the declarer after a made contract and pass the crown to the dealer\'s left otherwise', () => {
+        const declarerSeat = engine.state.declarerSeat;
+        const dealerSeat = engine.state.dealerSeat;
+        engine.state.phase = 'round_complete';
+        engine.state.lastRound = { crownRetained: true };
+
+        engine.startNextRound();
+        expect(engine.state.dealerSeat).toBe((dealerSeat + 1) % 4);
+        expect(engine.state.declarerSeat).toBe(declarerSeat);
+
+        engine.state.phase = 'round_complete';
+        engine.state.lastRound = { crownRetained: false };
+
+        engine.startNextRound();
+        expect(engine.state.dealerSeat).toBe((dealerSeat + 2) % 4);
+        expect(engine.state.declarerSeat).toBe((dealerSeat + 2) % 4);
+        expect(engine.state.roundNumber).toBe(3);
+        expect(engine.state.phase).toBe('trump_declaration');
+    });
+
+    it('should hand a lost crown to the outgoing dealer\'s left after real rounds', () => {
+        const finishRound = (declaringTricks) => {
+            engine.declareTrump(engine.getTrumpDeclarer(), 'Hearts');
+            const declaringTeam = engine.getTeamKey(engine.getTrumpDeclarer());
+            const challengingTeam = declaringTeam === 'team1' ? 'team2' : 'team1';
+            engine.state.trickScores = { [declaringTeam]: declaringTricks, [challengingTeam]: 8 - declaringTricks };
+            engine.completeRound();
+            return engine.startNextRound();
+        };
+        const seatId = (seat) => engine.state.players[seat % 4].id;
+        const firstDealerSeat = engine.state.dealerSeat;
+
+        // The first declarer makes the contract, keeps the crown, then loses it
+        expect(finishRound(5)).toMatchObject({ crownRetained: true, trumpDeclarer: seatId(firstDealerSeat + 1) });
+        const nextRound = finishRound(3);
+
+        expect(nextRound).toMatchObject({
+            crownRetained: false,
+            dealerId: seatId(firstDealerSeat + 2),
+            trumpDeclarer: seatId(firstDealerSeat + 2)
+        });
+        expect(engine.getCurrentTurnPlayer()).toBe(seatId(firstDealerSeat + 2));
+    });
+
+    it('should play all 8 tricks of a round with bots', () => {
+        const round = playRound(engine);
+
+        expect(round.trickScores.team1 + round.trickScores.team2).toBe(8);
+        expect(Object.values(engine.state.hands).every(hand => hand.length === 0)).toBe(true);
+        expect(engine.state.playedCards).toHaveLength(32);
+    });
+
+    it('should play a whole game to the target score and resume from saved state', () => {
+        for (let rounds = 0; engine.state.phase !== 'game_over' && rounds < 200; rounds++) {
+            playRound(engine);
+            if (engine.state.phase === 'round_complete') {
+                // Saved and loaded between rounds, like a reload would
+                engine = new OfflineGameEngine(engine.toJSON(), { random: createRandom(rounds + 2) });
+                engine.startNextRound();
+            }
+        }
+
+        const { roundScores, scoreHistory, winner } = engine.state;
+        expect(engine.state.phase).toBe('game_over');
+        expect(Math.max(roundScores.team1, roundScores.team2)).toBeGreaterThanOrEqual(52);
+        expect(scoreHistory[scoreHistory.length - 1].totals).toEqual(roundScores);
+        if (roundScores.team1 !== roundScores.team2) {
+            expect(winner).toBe(roundScores.team1 > roundScores.team2 ? 'team1' : 'team2');
+        }
+        expect(() => engine.startNextRound()).toThrow('not finished');
+    });
+});
@@ -1,7 +1,51 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+/**
+ * Write precache-manifest.json listing every built file, so the service worker can
+ * cache the whole app at install time and the offline game works without a connection.
+ * The service worker's cache name gets a hash of the build, so each deploy installs a
+ * new worker that replaces the previous build's cache.
+ */
+function precacheManifest() {
+  let buildHash = '';
+
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const fileNames = Object.keys(bundle).filter(fileName => !fileName.endsWith('.map')).sort();
+      const hash = createHash('sha256');
+      for (const fileName of fileNames) {
+        const output = bundle[fileName];
+        hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source);
+      }
+      buildHash = hash.digest('hex').slice(0, 8);
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify(fileNames.map(fileName => `/${fileName}`), null, 2)
+      });
+    },
+    writeBundle(options) {
+      // sw.js is copied as-is from public/, so the hash is stamped on the written copy
+      const swPath = resolve(options.dir, 'sw.js');
+      if (!existsSync(swPath)) {
+        return;
+      }
+
+      const source = readFileSync(swPath, 'utf8');
+      writeFileSync(swPath, source.replace(/const CACHE_NAME = '([^']+)';/, `const CACHE_NAME = '$1-${buildHash}';`));
+    }
+  };
+}
 
 export default defineConfig({
+  plugins: [precacheManifest()],
   server: {
     port: 5173,
     strictPort: false, // Allow trying another port if 5173 is in use
@@ -11,6 +55,10 @@ export default defineConfig({
       port: 5173, // Ensure HMR uses the same port
       host: 'localhost'
     },
+    fs: {
+      // The game rules are shared with the server from ../shared
+      allow: ['.', '../shared']
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:3030',
@@ -52,7 +100,9 @@ export default defineConfig({
         register: resolve(__dirname, 'register.html'),
         dashboard: resolve(__dirname, 'dashboard.html'),
         waitingRoom: resolve(__dirname, 'waiting-room.html'),
-        game: resolve(__dirname, 'game.html')
+        game: resolve(__dirname, 'game.html'),
+        replay: resolve(__dirname, 'replay.html'),
+        admin: resolve(__dirname, 'admin.html')
       }
     }
   },
@@ -87,7 +87,15 @@ class LokiDBConnection {
                 },
                 gameTricks: { 
                     unique: ['trick_id'],
-                    indices: ['trick_id', 'round_id']
+                    indices: ['trick_id', 'round_id', 'game_id']
+                },
+                cardPlays: {
+                    unique: ['play_id'],
+                    indices: ['play_id', 'trick_id', 'round_id', 'game_id', 'player_id']
+                },
+                gameEvents: {
+                    unique: ['event_id'],
+                    indices: ['event_id', 'game_id', 'round_id', 'event_type']
                 },
                 rooms: { 
                     unique: ['room_id', 'invite_code'],
@@ -100,6 +108,14 @@ class LokiDBConnection {
                 userSessions: { 
                     unique: ['session_id'],
                     indices: ['session_id', 'user_id', 'expires_at', 'token_hash']
+                },
+                userAchievements: {
+                    unique: ['user_achievement_id'],
+                    indices: ['user_achievement_id', 'user_id', 'achievement_id']
+                },
+                ratingHistory: {
+                    unique: ['rating_history_id'],
+                    indices: ['rating_history_id', 'user_id', 'game_id', 'created_at']
                 }
             };
 
@@ -231,6 +247,63 @@ class LokiDBConnection {
         }
     }
 
+    /**
+     * List the backups written by createBackup, newest first
+     * @returns {Promise<Array>} Backup files as { name, type, size, createdAt }
+     */
+    async listBackups() {
+        const backupPath = path.join(this.dbPath, 'backups');
+        let files;
+        try {
+            files = await fs.readdir(backupPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const backups = [];
+        for (const name of files.filter(file => /^backup_.+\.json$/.test(file))) {
+            const stats = await fs.stat(path.join(backupPath, name));
+            backups.push({
+                name,
+                type: name.split('_')[1],
+                size: stats.size,
+                createdAt: stats.mtime.toISOString()
+            });
+        }
+
+        return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Summarize a backup's contents without restoring it
+     * @param {string} name - Backup file name as returned by listBackups
+     * @returns {Promise<Object|null>} { name, collections: [{ name, count }] } or null if not found
+     */
+    async getBackupSummary(name) {
+        if (path.basename(name) !== name || !/^backup_.+\.json$/.test(name)) {
+            return null;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(this.dbPath, 'backups', name), 'utf8'));
+            return {
+                name,
+                collections: (data.collections || []).map(collection => ({
+                    name: collection.name,
+                    count: collection.data?.length || 0
+                }))
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
     async restoreFromBackup(backupFilePath) {
         try {
             const data = await fs.readFile(backupFilePath, 'utf8');
@@ -11,8 +11,12 @@ class LokiDBInitializer {
             'gamePlayers',
             'gameRounds',
             'gameTricks',
+            'cardPlays',
+            'gameEvents',
             'roomPlayers',
-            'userSessions'
+            'userSessions',
+            'userAchievements',
+            'ratingHistory'
         ];
     }
 
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+import lokiConnection from '../database/loki-db.js';
+import User, { USER_ROLES } from '../src/models/User.js';
+
+const USAGE = `
+User Role CLI
+
+Usage: node scripts/set-user-role.js <username|email> <role>
+
+Roles: ${USER_ROLES.join(', ')}
+
+Moderators can view the monitoring, diagnostics and performance endpoints;
+admins can also change their configuration, reset them and seed users.
+`;
+
+async function setUserRole() {
+    const [identifier, role] = process.argv.slice(2);
+
+    if (!identifier || !role || identifier === '--help') {
+        console.log(USAGE);
+        process.exit(identifier === '--help' ? 0 : 1);
+    }
+
+    if (!USER_ROLES.includes(role)) {
+        console.error(`[Roles] Unknown role "${role}", expected one of: ${USER_ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    try {
+        await lokiConnection.initialize();
+
+        const user = identifier.includes('@')
+            ? await User.findByEmail(identifier)
+            : await User.findByUsername(identifier);
+
+        if (!user) {
+            console.error(`[Roles] No user found for ${identifier}`);
+            await lokiConnection.close();
+            process.exit(1);
+        }
+
+        const previousRole = user.role;
+        await user.updateRole(role);
+        await lokiConnection.close();
+
+        console.log(`[Roles] ${user.username} is now ${role} (was ${previousRole})`);
+    } catch (error) {
+        console.error('[Roles] Changing role failed:', error.message);
+        process.exit(1);
+    }
+}
+
+setUserRole();
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import BotSimulator from '../src/services/BotSimulator.js';
+
+const USAGE = `
+Bot Simulation CLI
+
+Usage: node scripts/simulate-bots.js [options]
+
+Options:
+  --games <n>                  Number of games to play (default: 1000)
+  --seed <n>                   Random seed, the same seed replays the same games (default: 1)
+  --team1 <personality:level>  Bots for team 1, e.g. aggressive:hard (default: balanced:medium)
+  --team2 <personality:level>  Bots for team 2 (default: balanced:medium)
+  --target-score <n>           Game target score house rule
+  --no-redeal                  Turn off the 3+ Aces / 3+ Sevens redeal rule
+  --format <json|csv>          Output format (default: json)
+  --output <file>              Write the results to a file instead of stdout
+  --verbose                    Keep the engine and bot logging
+  --help                       Show this help
+
+Personalities: aggressive, balanced, conservative
+Levels: easy, medium, hard, expert
+`;
+
+/**
+ * Parse command line arguments into simulation options
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+    const options = { games: 1000, seed: 1, teams: [], rules: {}, format: 'json', output: null, verbose: false, help: false };
+
+    const parseTeam = (value) => {
+        const [personality, difficulty] = (value || '').split(':');
+        return { personality: personality || undefined, difficulty: difficulty || undefined };
+    };
+
+    const parseInteger = (flag, value) => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error(`${flag} must be a whole number`);
+        }
+        return number;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const flag = args[i];
+
+        switch (flag) {
+            case '--games':
+                options.games = parseInteger(flag, args[++i]);
+                break;
+            case '--seed':
+                options.seed = parseInteger(flag, args[++i]);
+                break;
+            case '--team1':
+                options.teams[0] = parseTeam(args[++i]);
+                break;
+            case '--team2':
+                options.teams[1] = parseTeam(args[++i]);
+                break;
+            case '--target-score':
+                options.rules.targetScore = args[++i];
+                break;
+            case '--no-redeal':
+                options.rules.redealRule = false;
+                break;
+            case '--format':
+                options.format = args[++i];
+                if (!['json', 'csv'].includes(options.format)) {
+                    throw new Error('--format must be json or csv');
+                }
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return options;
+}
+
+async function simulateBots() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[Simulate] ${error.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    // The engine and bots log every deal and decision, which drowns out thousands of games
+    const originalLog = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+
+    let stats;
+    const startTime = Date.now();
+    try {
+        const simulator = new BotSimulator({ seed: options.seed, rules: options.rules, teams: options.teams });
+        stats = simulator.run(options.games);
+    } catch (error) {
+        console.error('[Simulate] Simulation failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log = originalLog;
+    }
+
+    const output = options.format === 'csv'
+        ? BotSimulator.toCsv(stats)
+        : JSON.stringify(stats, null, 2);
+
+    if (options.output) {
+        await fs.writeFile(options.output, `${output}\n`);
+        console.log(`[Simulate] Played ${stats.games} games in ${Date.now() - startTime}ms, results written to ${options.output}`);
+    } else {
+        console.log(output);
+    }
+}
+
+simulateBots();
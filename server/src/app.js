@@ -14,6 +14,11 @@ import waitingRoomsRoutes from './routes/waiting-rooms.js';
 import usersRoutes from './routes/users.js';
 import gamesRoutes from './routes/games.js';
 import testAuthRoutes from './routes/test-auth.js';
+import seedRoutes from './routes/seed.js';
+import websocketReliabilityRoutes from './routes/websocketReliability.js';
+import adminRoutes from './routes/admin.js';
+import statisticsRoutes from './routes/statistics.js';
+import { authenticateToken, requireRole } from './middleware/authMiddleware.js';
 
 // ES module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -120,6 +125,10 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
     next();
   });
 
+  // Operational endpoints: moderators can inspect the server, only admins can change it
+  const moderatorOnly = [authenticateToken, requireRole('moderator')];
+  const adminOnly = [authenticateToken, requireRole('admin')];
+
   // Development mode proxy to Vite dev server
   if (process.env.NODE_ENV === 'development' && process.env.VITE_DEV_SERVER_URL) {
     console.log(`[Proxy] Setting up development proxy to ${process.env.VITE_DEV_SERVER_URL}`);
@@ -198,7 +207,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // WebSocket detailed status endpoint (for admin/monitoring)
-  app.get('/api/websocket/detailed-status', (req, res) => {
+  app.get('/api/websocket/detailed-status', moderatorOnly, (req, res) => {
     try {
       const stats = req.connectionStatusManager ?
         req.connectionStatusManager.getDetailedStats() :
@@ -221,7 +230,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Periodic reconciliation status endpoint
-  app.get('/api/reconciliation/status', (req, res) => {
+  app.get('/api/reconciliation/status', moderatorOnly, (req, res) => {
     try {
       const status = req.periodicReconciliationService ?
         req.periodicReconciliationService.getStatus() :
@@ -241,7 +250,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Force reconciliation for a specific room
-  app.post('/api/reconciliation/force/:gameId', async (req, res) => {
+  app.post('/api/reconciliation/force/:gameId', adminOnly, async (req, res) => {
     try {
       const { gameId } = req.params;
 
@@ -271,7 +280,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Update reconciliation configuration
-  app.put('/api/reconciliation/config', (req, res) => {
+  app.put('/api/reconciliation/config', adminOnly, (req, res) => {
     try {
       if (!req.periodicReconciliationService) {
         return res.status(503).json({
@@ -299,7 +308,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Reset reconciliation statistics
-  app.post('/api/reconciliation/reset-stats', (req, res) => {
+  app.post('/api/reconciliation/reset-stats', adminOnly, (req, res) => {
     try {
       if (!req.periodicReconciliationService) {
         return res.status(503).json({
@@ -327,7 +336,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   // Monitoring API endpoints
 
   // Get comprehensive monitoring dashboard
-  app.get('/api/monitoring/dashboard', (req, res) => {
+  app.get('/api/monitoring/dashboard', moderatorOnly, (req, res) => {
     try {
       if (!req.monitoringService) {
         return res.status(503).json({
@@ -353,7 +362,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Get monitoring metrics export
-  app.get('/api/monitoring/metrics', (req, res) => {
+  app.get('/api/monitoring/metrics', moderatorOnly, (req, res) => {
     try {
       if (!req.monitoringService) {
         return res.status(503).json({
@@ -379,7 +388,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Get room diagnostics
-  app.get('/api/monitoring/room/:gameId/diagnostics', (req, res) => {
+  app.get('/api/monitoring/room/:gameId/diagnostics', moderatorOnly, (req, res) => {
     try {
       const { gameId } = req.params;
 
@@ -408,7 +417,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Reset monitoring metrics
-  app.post('/api/monitoring/reset', (req, res) => {
+  app.post('/api/monitoring/reset', adminOnly, (req, res) => {
     try {
       if (!req.monitoringService) {
         return res.status(503).json({
@@ -436,7 +445,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   // Diagnostic Tools API endpoints
 
   // Run comprehensive lobby diagnostics
-  app.post('/api/diagnostics/lobby/:gameId', async (req, res) => {
+  app.post('/api/diagnostics/lobby/:gameId', moderatorOnly, async (req, res) => {
     try {
       const { gameId } = req.params;
 
@@ -464,7 +473,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Run connection test for a user
-  app.post('/api/diagnostics/connection/:userId', async (req, res) => {
+  app.post('/api/diagnostics/connection/:userId', moderatorOnly, async (req, res) => {
     try {
       const { userId } = req.params;
 
@@ -492,7 +501,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Get diagnostic result by ID
-  app.get('/api/diagnostics/result/:diagnosticId', (req, res) => {
+  app.get('/api/diagnostics/result/:diagnosticId', moderatorOnly, (req, res) => {
     try {
       const { diagnosticId } = req.params;
 
@@ -528,7 +537,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Get all diagnostic results
-  app.get('/api/diagnostics/results', (req, res) => {
+  app.get('/api/diagnostics/results', moderatorOnly, (req, res) => {
     try {
       if (!req.diagnosticTools) {
         return res.status(503).json({
@@ -558,7 +567,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   // Performance Monitor API endpoints
 
   // Get performance summary
-  app.get('/api/performance/summary', (req, res) => {
+  app.get('/api/performance/summary', moderatorOnly, (req, res) => {
     try {
       if (!req.performanceMonitor) {
         return res.status(503).json({
@@ -584,7 +593,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Get room performance profile
-  app.get('/api/performance/room/:gameId', (req, res) => {
+  app.get('/api/performance/room/:gameId', moderatorOnly, (req, res) => {
     try {
       const { gameId } = req.params;
 
@@ -621,7 +630,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Get user performance profile
-  app.get('/api/performance/user/:userId', (req, res) => {
+  app.get('/api/performance/user/:userId', moderatorOnly, (req, res) => {
     try {
       const { userId } = req.params;
 
@@ -658,7 +667,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Export performance data
-  app.get('/api/performance/export', (req, res) => {
+  app.get('/api/performance/export', moderatorOnly, (req, res) => {
     try {
       if (!req.performanceMonitor) {
         return res.status(503).json({
@@ -684,7 +693,7 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   });
 
   // Reset performance metrics
-  app.post('/api/performance/reset', (req, res) => {
+  app.post('/api/performance/reset', adminOnly, (req, res) => {
     try {
       if (!req.performanceMonitor) {
         return res.status(503).json({
@@ -729,6 +738,18 @@ function setupRoutes(app, io, socketManager, connectionStatusManager, periodicRe
   // Games routes
   app.use('/api/games', gamesRoutes);
 
+  // Statistics and achievements routes
+  app.use('/api/statistics', statisticsRoutes);
+
+  // Default user seeding routes (admin only)
+  app.use('/api/seed', seedRoutes);
+
+  // Websocket reliability monitoring routes
+  app.use('/api/websocket-reliability', websocketReliabilityRoutes);
+
+  // Admin console routes (admin only)
+  app.use('/api/admin', adminRoutes);
+
   // API routes placeholder for other endpoints
   app.use('/api', (req, res, next) => {
     res.status(404).json({
@@ -1,5 +1,5 @@
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import User, { USER_ROLES } from '../models/User.js';
 import UserSession from '../models/UserSession.js';
 
 // Authentication middleware that validates JWT tokens and sessions
@@ -134,23 +134,41 @@ export const requireAuth = (req, res, next) => {
     next();
 };
 
-// Middleware to check if user is admin (placeholder for future implementation)
-export const requireAdmin = (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication required'
-        });
+// Middleware factory restricting a route to users holding a role or a more privileged one
+// (player < moderator < admin). Use after authenticateToken so req.user is loaded fresh from the
+// database and a role change applies from the next request.
+export const requireRole = (role) => {
+    if (!USER_ROLES.includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
     }
-    
-    // TODO: Implement admin role checking
-    // For now, all authenticated users are considered admins
-    next();
+
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        if (!User.hasRole(req.user, role)) {
+            console.warn(`[Auth] ${req.user.username} (${req.user.role || 'player'}) denied ${req.method} ${req.originalUrl}: requires ${role}`);
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions'
+            });
+        }
+
+        next();
+    };
 };
 
+// Middleware to check if user is admin
+export const requireAdmin = requireRole('admin');
+
 export default {
     authenticateToken,
     optionalAuth,
     requireAuth,
+    requireRole,
     requireAdmin
 };
@@ -1,5 +1,5 @@
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import User, { USER_ROLES } from '../models/User.js';
 import UserSession from '../models/UserSession.js';
 
 /**
@@ -92,6 +92,7 @@ export const authenticateSocket = async (socket, next) => {
     socket.userId = user.user_id;
     socket.username = user.username;
     socket.email = user.email;
+    socket.userRole = user.role;
     socket.user = user;
     socket.session = session;
 
@@ -171,7 +172,6 @@ export const authorizeSocket = (allowedRoles = []) => {
         return next();
       }
 
-      // Check if user has required role (extend this based on your user model)
       const userRole = socket.userRole || 'player'; // Default role
 
       if (!allowedRoles.includes(userRole)) {
@@ -192,6 +192,35 @@ export const authorizeSocket = (allowedRoles = []) => {
   };
 };
 
+/**
+ * Guard for socket events restricted to a role or a more privileged one (player < moderator < admin)
+ * The Socket.IO counterpart of requireRole for HTTP routes.
+ * @param {string} role - Minimum role required
+ * @returns {Function} Middleware function
+ */
+export const requireSocketRole = (role) => {
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  return (socket, next) => {
+    const userRole = socket.userRole || 'player';
+
+    if (!User.hasRole({ role: userRole }, role)) {
+      console.warn(`[SocketAuth] ${socket.username} (${userRole}) denied an event that requires ${role}`);
+      const error = new Error('Insufficient permissions');
+      error.data = {
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: role,
+        current: userRole
+      };
+      return next(error);
+    }
+
+    next();
+  };
+};
+
 /**
  * Middleware to validate game room access
  * @param {Object} socket - Socket.IO socket instance
@@ -278,6 +307,7 @@ export const rateLimitSocket = (maxEvents = 100, windowMs = 60000) => {
 export default {
   authenticateSocket,
   authorizeSocket,
+  requireSocketRole,
   validateGameAccess,
   rateLimitSocket
 };
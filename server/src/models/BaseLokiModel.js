@@ -333,9 +333,13 @@ class BaseLokiModel {
             gamePlayers: 'game_player_id',
             gameRounds: 'round_id',
             gameTricks: 'trick_id',
+            cardPlays: 'play_id',
+            gameEvents: 'event_id',
             rooms: 'room_id',
             roomPlayers: 'id',
-            userSessions: 'session_id'
+            userSessions: 'session_id',
+            userAchievements: 'user_achievement_id',
+            ratingHistory: 'rating_history_id'
         };
         
         return primaryKeys[this.collectionName] || 'id';
@@ -0,0 +1,74 @@
+import { v4 as uuidv4 } from 'uuid';
+import BaseLokiModel from './BaseLokiModel.js';
+
+/**
+ * CardPlay Model
+ * Records every individual card played in a game using LokiJS
+ */
+class CardPlay extends BaseLokiModel {
+    constructor(playData = {}) {
+        super('cardPlays', playData);
+        this.play_id = playData.play_id || uuidv4();
+        this.game_id = playData.game_id;
+        this.round_id = playData.round_id;
+        this.trick_id = playData.trick_id;
+        this.player_id = playData.player_id;
+        this.card = playData.card;
+        this.play_order = playData.play_order;
+        this.played_at = playData.played_at;
+    }
+
+    /**
+     * Find plays for a trick in play order
+     * @param {string} trickId - Trick ID
+     * @returns {Promise<CardPlay[]>} Plays ordered by position
+     */
+    static async findByTrickId(trickId) {
+        try {
+            const playModel = new CardPlay();
+            const plays = await playModel.find({ trick_id: trickId });
+
+            return plays.map(playData => new CardPlay(playData))
+                        .sort((a, b) => a.play_order - b.play_order);
+        } catch (error) {
+            console.error('[CardPlay] FindByTrickId error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find every play in a round
+     * @param {string} roundId - Round ID
+     * @returns {Promise<CardPlay[]>} Plays ordered by time played
+     */
+    static async findByRoundId(roundId) {
+        try {
+            const playModel = new CardPlay();
+            const plays = await playModel.find({ round_id: roundId });
+
+            return plays.map(playData => new CardPlay(playData))
+                        .sort((a, b) => new Date(a.played_at) - new Date(b.played_at));
+        } catch (error) {
+            console.error('[CardPlay] FindByRoundId error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert to API response format
+     */
+    toApiResponse() {
+        return {
+            id: this.play_id,
+            gameId: this.game_id,
+            roundId: this.round_id,
+            trickId: this.trick_id,
+            playerId: this.player_id,
+            card: this.card,
+            playOrder: this.play_order,
+            playedAt: this.played_at
+        };
+    }
+}
+
+export default CardPlay;
@@ -1,5 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
 import BaseLokiModel from './BaseLokiModel.js';
+import { normalizeGameRules } from '../utils/gameRules.js';
 
 /**
  * Game Model
@@ -17,7 +18,13 @@ class Game extends BaseLokiModel {
         this.completed_at = gameData.completed_at;
         this.winning_team_id = gameData.winning_team_id;
         this.target_score = gameData.target_score || 52;
+        this.rules = gameData.rules || null;
         this.is_demo_mode = gameData.is_demo_mode || false;
+        this.deal_seeds = gameData.deal_seeds || null; // Seeds replayed round by round in a rematch
+        this.deal_seat_offsets = gameData.deal_seat_offsets || null; // Seats each replayed deal's hands move clockwise
+        this.room_id = gameData.room_id || null; // Room a rematch was played from, live games otherwise share the room ID
+        this.previous_game_id = gameData.previous_game_id || null; // Game this one is a rematch of
+        this.series = gameData.series || null; // { seriesId, bestOf, gameNumber, score } for a best-of-N series
         
         // These will be populated separately
         this.teams = [];
@@ -32,6 +39,7 @@ class Game extends BaseLokiModel {
     static async createFromRoom(roomData) {
         try {
             const { roomId, hostId, players, teams } = roomData;
+            const rules = normalizeGameRules(roomData.rules);
 
             if (!roomId || !hostId || !players || !teams) {
                 throw new Error('Missing required room data for game creation');
@@ -56,7 +64,8 @@ class Game extends BaseLokiModel {
                 status: 'in_progress',
                 host_id: hostId,
                 started_at: new Date().toISOString(),
-                target_score: 52,
+                target_score: rules.targetScore,
+                rules,
                 is_demo_mode: false
             };
 
@@ -417,7 +426,10 @@ class Game extends BaseLokiModel {
             completedAt: this.completed_at,
             winningTeamId: this.winning_team_id,
             targetScore: this.target_score,
+            rules: normalizeGameRules({ ...this.rules, targetScore: this.target_score }),
             isDemoMode: this.is_demo_mode,
+            previousGameId: this.previous_game_id,
+            series: this.series,
             teams: this.teams,
             players: this.players
         };
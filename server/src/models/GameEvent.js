@@ -0,0 +1,91 @@
+import { v4 as uuidv4 } from 'uuid';
+import BaseLokiModel from './BaseLokiModel.js';
+
+/**
+ * GameEvent Model
+ * Append-only log of deals, trump declarations and card plays used to replay a game
+ */
+class GameEvent extends BaseLokiModel {
+    constructor(eventData = {}) {
+        super('gameEvents', eventData);
+        this.event_id = eventData.event_id || uuidv4();
+        this.game_id = eventData.game_id;
+        this.round_id = eventData.round_id || null;
+        this.trick_id = eventData.trick_id || null;
+        this.player_id = eventData.player_id || null;
+        this.event_type = eventData.event_type;
+        this.sequence = eventData.sequence;
+        this.data = eventData.data || {};
+        this.created_at = eventData.created_at;
+    }
+
+    /**
+     * Append an event to a game's log
+     * @param {string} gameId - Game ID
+     * @param {string} eventType - Event type (deal, round_started, trump_declared, card_played, trick_won, round_complete, game_complete)
+     * @param {Object} details - Optional roundId, trickId, playerId and event data
+     * @returns {Promise<GameEvent>} Recorded event
+     */
+    static async record(gameId, eventType, details = {}) {
+        try {
+            const { roundId = null, trickId = null, playerId = null, data = {} } = details;
+            const eventModel = new GameEvent();
+
+            // Sequence numbers keep events ordered even when timestamps collide
+            const sequence = (await eventModel.count({ game_id: gameId })) + 1;
+
+            const eventData = await eventModel.create({
+                event_id: uuidv4(),
+                game_id: gameId,
+                round_id: roundId,
+                trick_id: trickId,
+                player_id: playerId,
+                event_type: eventType,
+                sequence,
+                data
+            });
+
+            return new GameEvent(eventData);
+        } catch (error) {
+            console.error('[GameEvent] Record error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find every event in a game
+     * @param {string} gameId - Game ID
+     * @returns {Promise<GameEvent[]>} Events in the order they happened
+     */
+    static async findByGameId(gameId) {
+        try {
+            const eventModel = new GameEvent();
+            const events = await eventModel.find({ game_id: gameId });
+
+            return events.map(eventData => new GameEvent(eventData))
+                         .sort((a, b) => a.sequence - b.sequence);
+        } catch (error) {
+            console.error('[GameEvent] FindByGameId error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert to API response format
+     */
+    toApiResponse() {
+        return {
+            id: this.event_id,
+            gameId: this.game_id,
+            roundId: this.round_id,
+            trickId: this.trick_id,
+            playerId: this.player_id,
+            type: this.event_type,
+            sequence: this.sequence,
+            data: this.data,
+            createdAt: this.created_at
+        };
+    }
+}
+
+export default GameEvent;
@@ -17,6 +17,9 @@ class GameRound extends BaseLokiModel {
         this.declaring_team_id = roundData.declaring_team_id;
         this.declaring_team_tricks_won = roundData.declaring_team_tricks_won || 0;
         this.challenging_team_tricks_won = roundData.challenging_team_tricks_won || 0;
+        this.deal_seed = roundData.deal_seed || null;
+        this.deal_seed_hash = roundData.deal_seed_hash || null;
+        this.deal_seat_offset = roundData.deal_seat_offset || 0; // Seats each hand moved when a rematch replayed the seed
         this.round_completed_at = roundData.round_completed_at;
         this.created_at = roundData.created_at;
     }
@@ -29,9 +32,7 @@ class GameRound extends BaseLokiModel {
     static async findById(roundId) {
         try {
             const roundModel = new GameRound();
-            const roundData = await roundModel.findOne({ 
-                selector: { round_id: roundId }
-            });
+            const roundData = await roundModel.findOne({ round_id: roundId });
 
             if (!roundData) {
                 return null;
@@ -52,11 +53,9 @@ class GameRound extends BaseLokiModel {
     static async findCurrentRound(gameId) {
         try {
             const roundModel = new GameRound();
-            const rounds = await roundModel.find({ 
-                selector: {
-                    game_id: gameId,
-                    round_completed_at: null
-                }
+            const rounds = await roundModel.find({
+                game_id: gameId,
+                round_completed_at: null
             });
 
             if (rounds.length === 0) {
@@ -238,6 +237,9 @@ class GameRound extends BaseLokiModel {
             declaringTeamId: this.declaring_team_id,
             declaringTeamTricksWon: this.declaring_team_tricks_won,
             challengingTeamTricksWon: this.challenging_team_tricks_won,
+            dealSeedHash: this.deal_seed_hash,
+            // The seed stays secret until the round is over
+            dealSeed: this.isCompleted() ? this.deal_seed : null,
             isCompleted: this.isCompleted(),
             duration: this.getDuration(),
             createdAt: this.created_at,
@@ -0,0 +1,120 @@
+import { v4 as uuidv4 } from 'uuid';
+import BaseLokiModel from './BaseLokiModel.js';
+
+/**
+ * GameTrick Model
+ * Handles trick creation and resolution in the database using LokiJS
+ */
+class GameTrick extends BaseLokiModel {
+    constructor(trickData = {}) {
+        super('gameTricks', trickData);
+        this.trick_id = trickData.trick_id || uuidv4();
+        this.round_id = trickData.round_id;
+        this.game_id = trickData.game_id;
+        this.trick_number = trickData.trick_number;
+        this.leading_player_id = trickData.leading_player_id;
+        this.cards_played = trickData.cards_played || [];
+        this.winning_player_id = trickData.winning_player_id || null;
+        this.completed_at = trickData.completed_at || null;
+        this.created_at = trickData.created_at;
+    }
+
+    /**
+     * Find trick by ID
+     * @param {string} trickId - Trick ID
+     * @returns {Promise<GameTrick|null>} GameTrick instance or null if not found
+     */
+    static async findById(trickId) {
+        try {
+            const trickModel = new GameTrick();
+            const trickData = await trickModel.findOne({ trick_id: trickId });
+
+            if (!trickData) {
+                return null;
+            }
+
+            return new GameTrick(trickData);
+        } catch (error) {
+            console.error('[GameTrick] FindById error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find all tricks for a round
+     * @param {string} roundId - Round ID
+     * @returns {Promise<GameTrick[]>} Tricks ordered by trick number
+     */
+    static async findByRoundId(roundId) {
+        try {
+            const trickModel = new GameTrick();
+            const tricks = await trickModel.find({ round_id: roundId });
+
+            return tricks.map(trickData => new GameTrick(trickData))
+                         .sort((a, b) => a.trick_number - b.trick_number);
+        } catch (error) {
+            console.error('[GameTrick] FindByRoundId error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the trick currently in progress for a round
+     * @param {string} roundId - Round ID
+     * @returns {Promise<GameTrick|null>} Latest incomplete trick or null
+     */
+    static async findCurrentTrick(roundId) {
+        try {
+            const tricks = await GameTrick.findByRoundId(roundId);
+            const openTricks = tricks.filter(trick => !trick.completed_at);
+
+            return openTricks.length > 0 ? openTricks[openTricks.length - 1] : null;
+        } catch (error) {
+            console.error('[GameTrick] FindCurrentTrick error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Count completed tricks in a round
+     * @param {string} roundId - Round ID
+     * @returns {Promise<number>} Number of completed tricks
+     */
+    static async countCompleted(roundId) {
+        try {
+            const tricks = await GameTrick.findByRoundId(roundId);
+            return tricks.filter(trick => trick.completed_at).length;
+        } catch (error) {
+            console.error('[GameTrick] CountCompleted error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if trick is completed
+     * @returns {boolean} True if a winner has been recorded
+     */
+    isCompleted() {
+        return this.completed_at !== null;
+    }
+
+    /**
+     * Convert to API response format
+     */
+    toApiResponse() {
+        return {
+            id: this.trick_id,
+            roundId: this.round_id,
+            gameId: this.game_id,
+            trickNumber: this.trick_number,
+            leadingPlayerId: this.leading_player_id,
+            cardsPlayed: this.cards_played,
+            winningPlayerId: this.winning_player_id,
+            isCompleted: this.isCompleted(),
+            createdAt: this.created_at,
+            completedAt: this.completed_at
+        };
+    }
+}
+
+export default GameTrick;
@@ -0,0 +1,101 @@
+import { v4 as uuidv4 } from 'uuid';
+import BaseLokiModel from './BaseLokiModel.js';
+
+/**
+ * RatingHistory Model
+ * A player's skill rating before and after each ranked game
+ */
+class RatingHistory extends BaseLokiModel {
+    constructor(historyData = {}) {
+        super('ratingHistory', historyData);
+        this.rating_history_id = historyData.rating_history_id || uuidv4();
+        this.user_id = historyData.user_id;
+        this.game_id = historyData.game_id;
+        this.game_started_at = historyData.game_started_at || null;
+        this.rating_before = historyData.rating_before;
+        this.rating_after = historyData.rating_after;
+        this.deviation = historyData.deviation;
+        this.won = Boolean(historyData.won);
+        this.created_at = historyData.created_at;
+    }
+
+    /**
+     * Record a player's rating change from a ranked game
+     * @param {Object} entry - userId, gameId, gameStartedAt, ratingBefore, ratingAfter, deviation and won
+     * @returns {Promise<RatingHistory>} Recorded entry
+     */
+    static async record({ userId, gameId, gameStartedAt = null, ratingBefore, ratingAfter, deviation, won }) {
+        try {
+            const historyModel = new RatingHistory();
+            const created = await historyModel.create({
+                rating_history_id: uuidv4(),
+                user_id: userId,
+                game_id: gameId,
+                game_started_at: gameStartedAt,
+                rating_before: ratingBefore,
+                rating_after: ratingAfter,
+                deviation,
+                won: Boolean(won)
+            });
+
+            return new RatingHistory(created);
+        } catch (error) {
+            console.error('[RatingHistory] Record error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a player's most recent rating changes
+     * @param {string} userId - User ID
+     * @param {number} limit - Maximum number of entries
+     * @returns {Promise<RatingHistory[]>} Entries, newest first
+     */
+    static async findByUserId(userId, limit = 20) {
+        try {
+            const historyModel = new RatingHistory();
+            const entries = await historyModel.find({ user_id: userId });
+
+            // Entries come back in insertion order; reversing first keeps same-millisecond entries newest first
+            return entries.reverse()
+                          .map(entry => new RatingHistory(entry))
+                          .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+                          .slice(0, limit);
+        } catch (error) {
+            console.error('[RatingHistory] FindByUserId error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a game has already been rated
+     * @param {string} gameId - Game ID
+     * @param {string|null} gameStartedAt - When the game started, telling apart games played under one ID
+     * @returns {Promise<boolean>} True if any player's rating changed from the game
+     */
+    static async hasGame(gameId, gameStartedAt = null) {
+        try {
+            const historyModel = new RatingHistory();
+            return (await historyModel.count({ game_id: gameId, game_started_at: gameStartedAt })) > 0;
+        } catch (error) {
+            console.error('[RatingHistory] HasGame error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert to API response format
+     */
+    toApiResponse() {
+        return {
+            gameId: this.game_id,
+            ratingBefore: Math.round(this.rating_before),
+            ratingAfter: Math.round(this.rating_after),
+            change: Math.round(this.rating_after) - Math.round(this.rating_before),
+            won: this.won,
+            createdAt: this.created_at
+        };
+    }
+}
+
+export default RatingHistory;
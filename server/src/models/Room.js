@@ -2,6 +2,7 @@ import { v4 as uuidv4 } from 'uuid';
 import BaseLokiModel from './BaseLokiModel.js';
 import User from './User.js';
 import Game from './Game.js';
+import { normalizeGameRules } from '../utils/gameRules.js';
 
 class Room extends BaseLokiModel {
     constructor(roomData = {}) {
@@ -18,7 +19,8 @@ class Room extends BaseLokiModel {
         this.settings = roomData.settings || {
             timeLimit: 30,
             allowSpectators: true,
-            autoStart: false
+            autoStart: false,
+            rules: normalizeGameRules()
         };
         this.created_at = roomData.created_at;
         this.updated_at = roomData.updated_at;
@@ -85,7 +87,7 @@ class Room extends BaseLokiModel {
     // Static methods for database operations
     static async create(roomData) {
         try {
-            const { name, maxPlayers, isPrivate, ownerId } = roomData;
+            const { name, maxPlayers, isPrivate, ownerId, rules, allowSpectators = true } = roomData;
 
             // Validate required fields
             if (!name || !name.trim()) {
@@ -100,6 +102,8 @@ class Room extends BaseLokiModel {
                 throw new Error('Max players must be between 2 and 6');
             }
 
+            const gameRules = normalizeGameRules(rules);
+
             // Generate 5-digit room code for all rooms (not just private ones)
             let roomCode;
             try {
@@ -124,8 +128,9 @@ class Room extends BaseLokiModel {
                 game_state: null,
                 settings: {
                     timeLimit: 30,
-                    allowSpectators: true,
-                    autoStart: false
+                    allowSpectators: allowSpectators !== false,
+                    autoStart: false,
+                    rules: gameRules
                 },
                 version: 1
             };
@@ -425,7 +430,7 @@ class Room extends BaseLokiModel {
     canUserJoin(userId) {
         // Check if room is waiting for players
         if (this.status !== 'waiting') {
-            return { canJoin: false, reason: 'Room is not accepting new players' };
+            return { canJoin: false, reason: 'Room is not accepting new players', canSpectate: this.allowsSpectators() };
         }
 
         // Check if user is already in room - this is now allowed for rejoining
@@ -435,12 +440,43 @@ class Room extends BaseLokiModel {
 
         // Check if room is full
         if (this.players.length >= this.max_players) {
-            return { canJoin: false, reason: 'Room is full' };
+            return { canJoin: false, reason: 'Room is full', canSpectate: this.allowsSpectators() };
         }
 
         return { canJoin: true };
     }
 
+    /**
+     * Check whether the room admits spectators
+     * Rooms created before the setting existed allow them
+     * @returns {boolean} True if spectators may watch
+     */
+    allowsSpectators() {
+        return this.settings?.allowSpectators !== false;
+    }
+
+    /**
+     * Check whether a user can watch this room without taking a seat
+     * @param {string} userId - User ID
+     * @returns {Object} { canSpectate, reason }
+     */
+    canUserSpectate(userId) {
+        if (!this.allowsSpectators()) {
+            return { canSpectate: false, reason: 'This room does not allow spectators' };
+        }
+
+        if (!['waiting', 'playing'].includes(this.status)) {
+            return { canSpectate: false, reason: 'Room is not open to spectators' };
+        }
+
+        // Seated players follow the game from their own seat
+        if (this.players.some(p => String(p.id) === String(userId))) {
+            return { canSpectate: false, reason: 'Players cannot spectate their own room' };
+        }
+
+        return { canSpectate: true };
+    }
+
     // Reactive query methods
     static subscribeToRoom(subscriptionId, roomId, callback) {
         try {
@@ -531,7 +567,10 @@ class Room extends BaseLokiModel {
             updatedAt: this.updated_at,
             startedAt: this.started_at,
             gameState: this.game_state,
-            settings: this.settings,
+            settings: {
+                ...this.settings,
+                rules: this.getGameRules()
+            },
             teams,
             gameStartInfo,
             version: this.version,
@@ -921,6 +960,45 @@ class Room extends BaseLokiModel {
         }
     }
 
+    /**
+     * Seat players in fixed partnerships, e.g. tables formed by matchmaking
+     * @param {Object} teams - Player IDs per team ({ team1: [], team2: [] })
+     * @returns {Promise<Room>} Updated room instance
+     */
+    async assignTeams(teams) {
+        try {
+            const teamNumberFor = (userId) => {
+                if (teams.team1.includes(userId)) return 1;
+                if (teams.team2.includes(userId)) return 2;
+                return null;
+            };
+
+            const roomPlayersModel = new (await import('./RoomPlayer.js')).default();
+            const allRoomPlayers = await roomPlayersModel.find({ room_id: this.room_id });
+
+            await Promise.all(allRoomPlayers.map(roomPlayer =>
+                roomPlayersModel.updateById(roomPlayer.id, { team_assignment: teamNumberFor(roomPlayer.user_id) })
+            ));
+
+            // Increment room version to track state change
+            await this.updateById(this.room_id, {
+                version: this.version + 1
+            });
+            this.version += 1;
+
+            // Update in-memory player data
+            this.players.forEach(player => {
+                player.teamAssignment = teamNumberFor(player.id);
+            });
+
+            console.log(`[Room] Teams assigned in room ${this.room_id} (version ${this.version})`);
+            return this;
+        } catch (error) {
+            console.error('[Room] AssignTeams error:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get room state for waiting room UI
      * @returns {Object} Waiting room state
@@ -1043,6 +1121,15 @@ class Room extends BaseLokiModel {
         }
     }
 
+    /**
+     * Get the house rules for games started from this room
+     * Rooms created before rules were configurable play the standard rules
+     * @returns {Object} Complete rules configuration
+     */
+    getGameRules() {
+        return normalizeGameRules(this.settings?.rules);
+    }
+
     /**
      * Create a game from this room with team assignments
      * @returns {Promise<Game>} Created game instance
@@ -1068,6 +1155,7 @@ class Room extends BaseLokiModel {
             const gameData = {
                 roomId: this.room_id,
                 hostId: this.owner_id,
+                rules: this.getGameRules(),
                 players: connectedPlayers,
                 teams: {
                     team1: teams.team1,
@@ -1,6 +1,10 @@
 import { v4 as uuidv4 } from 'uuid';
 import bcrypt from 'bcrypt';
 import BaseLokiModel from './BaseLokiModel.js';
+import { DEFAULT_RATING } from '../utils/rating.js';
+
+// Account roles from least to most privileged; each role can do everything the ones before it can
+export const USER_ROLES = Object.freeze(['player', 'moderator', 'admin']);
 
 class User extends BaseLokiModel {
   constructor(userData = {}) {
@@ -15,6 +19,12 @@ class User extends BaseLokiModel {
     this.total_games_won = userData.total_games_won || 0;
     this.is_active = userData.is_active !== undefined ? userData.is_active : true;
     this.is_bot = userData.is_bot !== undefined ? userData.is_bot : false;
+    this.role = USER_ROLES.includes(userData.role) ? userData.role : 'player';
+    this.rating = userData.rating ?? DEFAULT_RATING.rating;
+    this.rating_deviation = userData.rating_deviation ?? DEFAULT_RATING.deviation;
+    this.rating_volatility = userData.rating_volatility ?? DEFAULT_RATING.volatility;
+    this.ranked_games_played = userData.ranked_games_played || 0;
+    this.ranked_games_won = userData.ranked_games_won || 0;
   }
 
   // Static methods for database operations
@@ -65,7 +75,13 @@ class User extends BaseLokiModel {
         total_games_played: 0,
         total_games_won: 0,
         is_active: true,
-        is_bot: false
+        is_bot: false,
+        role: 'player',
+        rating: DEFAULT_RATING.rating,
+        rating_deviation: DEFAULT_RATING.deviation,
+        rating_volatility: DEFAULT_RATING.volatility,
+        ranked_games_played: 0,
+        ranked_games_won: 0
       };
 
       // Insert into LokiJS
@@ -220,6 +236,68 @@ class User extends BaseLokiModel {
     }
   }
 
+  /**
+   * Store the user's skill rating after a ranked game
+   * @param {Object} rating - New rating ({ rating, deviation, volatility })
+   * @param {boolean} won - Whether the user's team won
+   */
+  async updateRating({ rating, deviation, volatility }, won = false) {
+    try {
+      const updateData = {
+        rating,
+        rating_deviation: deviation,
+        rating_volatility: volatility,
+        ranked_games_played: this.ranked_games_played + 1,
+        ranked_games_won: this.ranked_games_won + (won ? 1 : 0)
+      };
+
+      const updatedUser = await this.updateById(this.user_id, updateData);
+
+      if (updatedUser) {
+        Object.assign(this, updateData);
+        console.log(`[User] Updated rating for user: ${this.username} (${Math.round(rating)})`);
+      }
+    } catch (error) {
+      console.error('[User] Update rating error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the user's role
+   * @param {string} role - One of USER_ROLES
+   * @throws {Error} If the role is unknown
+   */
+  async updateRole(role) {
+    if (!USER_ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${USER_ROLES.join(', ')}`);
+    }
+
+    try {
+      const updatedUser = await this.updateById(this.user_id, { role });
+
+      if (updatedUser) {
+        this.role = role;
+        console.log(`[User] Changed role of ${this.username} to ${role}`);
+      }
+    } catch (error) {
+      console.error('[User] Update role error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user holds a role or a more privileged one
+   * Accepts plain user objects too; users without a role are players.
+   * @param {Object} user - User with a role field
+   * @param {string} role - Minimum role required
+   * @returns {boolean} True if the user's role is at least the required role
+   */
+  static hasRole(user, role) {
+    const required = USER_ROLES.indexOf(role);
+    return required !== -1 && USER_ROLES.indexOf(user?.role || 'player') >= required;
+  }
+
   // Return user object without sensitive data
   toSafeObject() {
     return {
@@ -231,7 +309,10 @@ class User extends BaseLokiModel {
       total_games_played: this.total_games_played,
       total_games_won: this.total_games_won,
       is_active: this.is_active,
-      is_bot: this.is_bot
+      is_bot: this.is_bot,
+      role: this.role,
+      rating: Math.round(this.rating),
+      ranked_games_played: this.ranked_games_played
     };
   }
 
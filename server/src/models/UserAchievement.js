@@ -0,0 +1,80 @@
+import { v4 as uuidv4 } from 'uuid';
+import BaseLokiModel from './BaseLokiModel.js';
+
+/**
+ * UserAchievement Model
+ * A player's progress towards one achievement and when it was unlocked
+ */
+class UserAchievement extends BaseLokiModel {
+    constructor(achievementData = {}) {
+        super('userAchievements', achievementData);
+        this.user_achievement_id = achievementData.user_achievement_id || uuidv4();
+        this.user_id = achievementData.user_id;
+        this.achievement_id = achievementData.achievement_id;
+        this.progress = achievementData.progress || 0;
+        this.unlocked_at = achievementData.unlocked_at || null;
+        this.created_at = achievementData.created_at;
+        this.updated_at = achievementData.updated_at;
+    }
+
+    /**
+     * Find a player's progress on every achievement they have started
+     * @param {string} userId - User ID
+     * @returns {Promise<UserAchievement[]>} Progress records
+     */
+    static async findByUserId(userId) {
+        try {
+            const achievementModel = new UserAchievement();
+            const records = await achievementModel.find({ user_id: userId });
+
+            return records.map(record => new UserAchievement(record));
+        } catch (error) {
+            console.error('[UserAchievement] FindByUserId error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a player's progress on an achievement
+     * @param {string} userId - User ID
+     * @param {string} achievementId - Achievement ID
+     * @param {Object} update - New progress and, when it has just been unlocked, unlockedAt
+     * @returns {Promise<UserAchievement>} Saved record
+     */
+    static async saveProgress(userId, achievementId, { progress, unlockedAt = null }) {
+        try {
+            const achievementModel = new UserAchievement();
+            const existing = await achievementModel.findOne({ user_id: userId, achievement_id: achievementId });
+
+            if (existing) {
+                const updated = await achievementModel.updateById(existing.user_achievement_id, {
+                    progress,
+                    unlocked_at: existing.unlocked_at || unlockedAt
+                });
+                return new UserAchievement(updated);
+            }
+
+            const created = await achievementModel.create({
+                user_achievement_id: uuidv4(),
+                user_id: userId,
+                achievement_id: achievementId,
+                progress,
+                unlocked_at: unlockedAt
+            });
+            return new UserAchievement(created);
+        } catch (error) {
+            console.error('[UserAchievement] SaveProgress error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether the achievement has been unlocked
+     * @returns {boolean} True once unlocked
+     */
+    isUnlocked() {
+        return Boolean(this.unlocked_at);
+    }
+}
+
+export default UserAchievement;
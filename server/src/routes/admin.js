@@ -0,0 +1,230 @@
+import express from 'express';
+import lokiConnection from '../../database/loki-db.js';
+import { authenticateToken, requireRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// The admin console's actions change live games, so every route is admin only
+router.use(authenticateToken, requireRole('admin'));
+
+// Get the admin service from the socket manager
+const getAdminService = (req, res) => {
+    const adminService = req.socketManager?.adminService;
+    if (!adminService) {
+        res.status(503).json({
+            success: false,
+            message: 'Admin service not available'
+        });
+        return null;
+    }
+    return adminService;
+};
+
+// List live rooms and games
+router.get('/games', (req, res) => {
+    const adminService = getAdminService(req, res);
+    if (!adminService) {
+        return;
+    }
+
+    try {
+        res.json({
+            success: true,
+            games: adminService.listGames(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('[Admin API] Failed to list games:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list games'
+        });
+    }
+});
+
+// Get a table's state and connected sockets
+router.get('/games/:gameId', (req, res) => {
+    const adminService = getAdminService(req, res);
+    if (!adminService) {
+        return;
+    }
+
+    try {
+        const game = adminService.getGameDetails(req.params.gameId);
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                message: 'Game not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            game,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('[Admin API] Failed to get game details:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get game details'
+        });
+    }
+});
+
+// End a game without a winner
+router.post('/games/:gameId/end', async (req, res) => {
+    const adminService = getAdminService(req, res);
+    if (!adminService) {
+        return;
+    }
+
+    try {
+        const result = await adminService.forceEndGame(req.params.gameId, req.body?.reason || undefined);
+        console.log(`[Admin API] ${req.user.username} ended game ${req.params.gameId}`);
+
+        res.json({
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        const status = error.message === 'Game not found' ? 404 : 500;
+        if (status === 500) {
+            console.error('[Admin API] Failed to end game:', error);
+        }
+        res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Remove a player from a table
+router.post('/games/:gameId/players/:userId/kick', async (req, res) => {
+    const adminService = getAdminService(req, res);
+    if (!adminService) {
+        return;
+    }
+
+    try {
+        const result = await adminService.kickPlayer(req.params.gameId, req.params.userId, req.body?.reason || undefined);
+        console.log(`[Admin API] ${req.user.username} removed ${req.params.userId} from ${req.params.gameId}`);
+
+        res.json({
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        const status = error.message === 'Player is not at this table' ? 404 : 500;
+        if (status === 500) {
+            console.error('[Admin API] Failed to remove player:', error);
+        }
+        res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// List connected users
+router.get('/users', (req, res) => {
+    const adminService = getAdminService(req, res);
+    if (!adminService) {
+        return;
+    }
+
+    res.json({
+        success: true,
+        users: adminService.getConnectedUsers(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Drop a user's socket connection
+router.post('/users/:userId/disconnect', (req, res) => {
+    const adminService = getAdminService(req, res);
+    if (!adminService) {
+        return;
+    }
+
+    const disconnected = adminService.disconnectUser(req.params.userId, req.body?.reason || undefined);
+    if (!disconnected) {
+        return res.status(404).json({
+            success: false,
+            message: 'User is not connected'
+        });
+    }
+
+    console.log(`[Admin API] ${req.user.username} disconnected ${req.params.userId}`);
+    res.json({
+        success: true,
+        userId: req.params.userId,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// List database backups
+router.get('/backups', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            backups: await lokiConnection.listBackups(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('[Admin API] Failed to list backups:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list backups'
+        });
+    }
+});
+
+// Show the collections in a backup
+router.get('/backups/:name', async (req, res) => {
+    try {
+        const backup = await lokiConnection.getBackupSummary(req.params.name);
+        if (!backup) {
+            return res.status(404).json({
+                success: false,
+                message: 'Backup not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            backup,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('[Admin API] Failed to read backup:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to read backup'
+        });
+    }
+});
+
+// Create a manual backup
+router.post('/backups', async (req, res) => {
+    try {
+        const backupFile = await lokiConnection.createBackup('manual');
+        console.log(`[Admin API] ${req.user.username} created backup ${backupFile}`);
+
+        res.status(201).json({
+            success: true,
+            backups: await lokiConnection.listBackups(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('[Admin API] Failed to create backup:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create backup'
+        });
+    }
+});
+
+export default router;
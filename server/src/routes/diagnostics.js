@@ -4,13 +4,15 @@
  */
 
 import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
+const moderatorOnly = [authenticateToken, requireRole('moderator')];
 
 /**
  * Get connection diagnostics report
  */
-router.get('/connections', (req, res) => {
+router.get('/connections', moderatorOnly, (req, res) => {
   try {
     // Get the socket manager from the app context
     const socketManager = req.app.get('socketManager');
@@ -40,7 +42,7 @@ router.get('/connections', (req, res) => {
 /**
  * Get connection statistics for a specific user
  */
-router.get('/connections/user/:userId', (req, res) => {
+router.get('/connections/user/:userId', moderatorOnly, (req, res) => {
   try {
     const { userId } = req.params;
     const socketManager = req.app.get('socketManager');
@@ -76,7 +78,7 @@ router.get('/connections/user/:userId', (req, res) => {
 /**
  * Force a connection health check
  */
-router.post('/connections/health-check', (req, res) => {
+router.post('/connections/health-check', moderatorOnly, (req, res) => {
   try {
     const socketManager = req.app.get('socketManager');
     
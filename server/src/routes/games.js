@@ -1,76 +1,27 @@
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
 import { authenticateToken } from '../middleware/authMiddleware.js';
+import GameEngine from '../services/GameEngine.js';
+import GamePlayer from '../models/GamePlayer.js';
 
 const router = express.Router();
+const gameEngine = new GameEngine();
 
-// Create a demo game session
+// Create a demo game against three bots
 router.post('/demo', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.user_id;
         const username = req.user.username;
 
-        // Generate unique demo game ID
-        const demoGameId = `demo_${uuidv4()}`;
-        
-        // Create demo game session data
-        const demoGame = {
-            id: demoGameId,
-            isDemoMode: true,
-            humanPlayerId: userId,
-            humanPlayerName: username,
-            status: 'ready',
-            createdAt: new Date().toISOString(),
-            players: [
-                {
-                    id: userId,
-                    username: username,
-                    isBot: false,
-                    seatPosition: 0,
-                    isReady: true
-                },
-                {
-                    id: `bot_1_${demoGameId}`,
-                    username: 'Bot Alice',
-                    isBot: true,
-                    seatPosition: 1,
-                    isReady: true
-                },
-                {
-                    id: `bot_2_${demoGameId}`,
-                    username: 'Bot Bob',
-                    isBot: true,
-                    seatPosition: 2,
-                    isReady: true
-                },
-                {
-                    id: `bot_3_${demoGameId}`,
-                    username: 'Bot Charlie',
-                    isBot: true,
-                    seatPosition: 3,
-                    isReady: true
-                }
-            ]
-        };
-
-        // Store demo game session (in memory for now, could be moved to database later)
-        if (!global.demoGames) {
-            global.demoGames = new Map();
-        }
-        global.demoGames.set(demoGameId, demoGame);
+        const game = await req.socketManager.demoGameService.createDemoGame(userId, username, {
+            botDifficulty: req.body?.botDifficulty
+        });
 
-        console.log(`[Demo API] Created demo game ${demoGameId} for user ${username} (${userId})`);
+        console.log(`[Demo API] Created demo game ${game.id} for user ${username} (${userId})`);
 
         res.status(201).json({
             success: true,
             message: 'Demo game created successfully',
-            game: {
-                id: demoGameId,
-                isDemoMode: true,
-                status: 'ready',
-                players: demoGame.players,
-                createdAt: demoGame.createdAt
-            }
+            game
         });
     } catch (error) {
         console.error('Error creating demo game:', error);
@@ -87,17 +38,17 @@ router.get('/demo/:gameId', authenticateToken, async (req, res) => {
         const { gameId } = req.params;
         const userId = req.user.user_id;
 
-        if (!global.demoGames || !global.demoGames.has(gameId)) {
+        const demoGame = await req.socketManager.demoGameService.getDemoGame(gameId);
+        if (!demoGame) {
             return res.status(404).json({
                 success: false,
                 message: 'Demo game not found'
             });
         }
 
-        const demoGame = global.demoGames.get(gameId);
-
         // Verify user has access to this demo game
-        if (demoGame.humanPlayerId !== userId) {
+        const { hostId, ...game } = demoGame;
+        if (hostId !== String(userId)) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied to this demo game'
@@ -106,13 +57,7 @@ router.get('/demo/:gameId', authenticateToken, async (req, res) => {
 
         res.json({
             success: true,
-            game: {
-                id: demoGame.id,
-                isDemoMode: demoGame.isDemoMode,
-                status: demoGame.status,
-                players: demoGame.players,
-                createdAt: demoGame.createdAt
-            }
+            game
         });
     } catch (error) {
         console.error('Error fetching demo game:', error);
@@ -123,4 +68,51 @@ router.get('/demo/:gameId', authenticateToken, async (req, res) => {
     }
 });
 
+// Get the replay log for a game
+router.get('/:gameId/replay', authenticateToken, async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const userId = req.user.user_id;
+
+        const replay = await gameEngine.getGameReplay(gameId);
+        if (!replay) {
+            return res.status(404).json({
+                success: false,
+                message: 'Game not found'
+            });
+        }
+
+        // Only players who took part in the game may watch it back
+        const gamePlayer = await GamePlayer.findByGameAndUser(gameId, userId);
+        if (!gamePlayer) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied to this game replay'
+            });
+        }
+
+        // Hands and the event log would give away every player's cards mid-game. A room's
+        // next game reuses its ID, so a table still being played blocks the replay too
+        const liveState = req.socketManager?.gameStateManager.getGameState(gameId);
+        const isBeingPlayed = liveState && !['lobby', 'game_over'].includes(liveState.phase);
+        if (replay.status !== 'completed' || isBeingPlayed) {
+            return res.status(409).json({
+                success: false,
+                message: 'The replay is available once the game is over'
+            });
+        }
+
+        res.json({
+            success: true,
+            replay
+        });
+    } catch (error) {
+        console.error('Error fetching game replay:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch game replay'
+        });
+    }
+});
+
 export default router;
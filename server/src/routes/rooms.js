@@ -1,5 +1,7 @@
 import express from 'express';
 import Room from '../models/Room.js';
+import Game from '../models/Game.js';
+import GameEngine from '../services/GameEngine.js';
 import { authenticateToken } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -25,7 +27,7 @@ router.get('/', authenticateToken, async (req, res) => {
 // Create a new room
 router.post('/', authenticateToken, async (req, res) => {
     try {
-        const { name, maxPlayers, isPrivate } = req.body;
+        const { name, maxPlayers, isPrivate, rules, allowSpectators } = req.body;
         const userId = req.user.user_id;
 
         // Validate input
@@ -57,7 +59,9 @@ router.post('/', authenticateToken, async (req, res) => {
             name,
             maxPlayers,
             isPrivate,
-            ownerId: userId
+            ownerId: userId,
+            rules,
+            allowSpectators
         });
 
         // Emit room created event to all clients
@@ -93,6 +97,9 @@ router.post('/', authenticateToken, async (req, res) => {
         } else if (error.message.includes('Max players')) {
             errorMessage = error.message;
             statusCode = 400;
+        } else if (error.message.includes('Game rule')) {
+            errorMessage = error.message;
+            statusCode = 400;
         } else if (error.message.includes('Owner ID')) {
             errorMessage = 'Authentication error. Please log in again.';
             statusCode = 401;
@@ -633,10 +640,12 @@ router.post('/:roomId/start', authenticateToken, async (req, res) => {
 });
 
 // Reset room to waiting status (for returning to waiting room after game)
-router.post('/:roomId/reset-to-waiting', async (req, res) => {
+// With sameDeals the next game replays the previous game's deals round by round
+router.post('/:roomId/reset-to-waiting', authenticateToken, async (req, res) => {
     try {
         const { roomId } = req.params;
-        const userId = req.user?.userId;
+        const { sameDeals = false } = req.body || {};
+        const userId = req.user?.user_id;
 
         if (!userId) {
             return res.status(401).json({
@@ -662,6 +671,22 @@ router.post('/:roomId/reset-to-waiting', async (req, res) => {
             });
         }
 
+        // Live games share their ID with the room, so the next game reuses this game record
+        const { dealSeeds, seatOffsets } = sameDeals
+            ? await new GameEngine().getDealSeeds(roomId)
+            : { dealSeeds: null, seatOffsets: null };
+        if (sameDeals && dealSeeds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'There are no completed rounds to replay'
+            });
+        }
+
+        const game = await new Game().findById(roomId);
+        if (game) {
+            await new Game().updateById(roomId, { deal_seeds: dealSeeds, deal_seat_offsets: seatOffsets });
+        }
+
         // Reset room status to waiting and clear ready states
         await room.updateStatus('waiting');
         await room.resetAllPlayerReadyStatus();
@@ -670,13 +695,17 @@ router.post('/:roomId/reset-to-waiting', async (req, res) => {
         req.io.to(`room_${roomId}`).emit('roomStatusChanged', {
             roomId: room.room_id,
             status: 'waiting',
-            message: 'Room has been reset to waiting status'
+            sameDeals: Boolean(dealSeeds),
+            message: dealSeeds
+                ? `Room has been reset to waiting status, the next game replays the same ${dealSeeds.length} deals`
+                : 'Room has been reset to waiting status'
         });
 
         res.json({
             success: true,
             message: 'Room reset to waiting status successfully',
-            room: room.toApiResponse()
+            room: room.toApiResponse(),
+            dealSeedCount: dealSeeds ? dealSeeds.length : 0
         });
     } catch (error) {
         console.error('Error resetting room to waiting:', error);
@@ -1,8 +1,12 @@
 import express from 'express';
 import SeedDataService from '../services/SeedDataService.js';
+import { authenticateToken, requireRole } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+// Seeding and resetting accounts is restricted to admins
+router.use(authenticateToken, requireRole('admin'));
+
 // Get status of default users
 router.get('/users/status', async (req, res) => {
     try {
@@ -1,76 +1,29 @@
 import express from 'express';
-import StatisticsService from '../services/StatisticsService.js';
-import { authenticateToken } from '../middleware/auth.js';
+import AchievementService from '../services/AchievementService.js';
+import RatingService, { DEFAULT_LEADERBOARD_MIN_GAMES } from '../services/RatingService.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
-const statisticsService = new StatisticsService();
+const achievementService = new AchievementService();
+const ratingService = new RatingService();
 
-/**
- * Get current user's statistics
- */
-router.get('/user', authenticateToken, async (req, res) => {
-    try {
-        const userId = req.user.userId || req.user.id;
-        const statistics = await statisticsService.getUserStatistics(userId);
-        
-        res.json({
-            success: true,
-            data: statistics
-        });
-    } catch (error) {
-        console.error('Get user statistics error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve user statistics',
-            error: error.message
-        });
-    }
-});
-
-/**
- * Get statistics for a specific user (public)
- */
-router.get('/user/:userId', async (req, res) => {
-    try {
-        const { userId } = req.params;
-        const statistics = await statisticsService.getUserStatistics(userId);
-        
-        // Remove sensitive information for public view
-        const publicStats = {
-            userId: statistics.userId,
-            gamesPlayed: statistics.gamesPlayed,
-            gamesWon: statistics.gamesWon,
-            winRate: statistics.winRate,
-            averageScore: statistics.averageScore,
-            averageTricksPerGame: statistics.averageTricksPerGame,
-            memberSince: statistics.memberSince
-        };
-        
-        res.json({
-            success: true,
-            data: publicStats
-        });
-    } catch (error) {
-        console.error('Get public user statistics error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve user statistics',
-            error: error.message
-        });
-    }
-});
+// Per-game statistics and history stay unrouted until StatisticsService moves off MariaDB
 
 /**
- * Get leaderboard
+ * Get the ranked leaderboard, sorted by rating
+ * Players need minGames ranked games (default 5) to be listed.
  */
 router.get('/leaderboard', async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 20;
-        const leaderboard = await statisticsService.getLeaderboard(limit);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const parsedMinGames = parseInt(req.query.minGames);
+        const minGames = Number.isNaN(parsedMinGames) ? DEFAULT_LEADERBOARD_MIN_GAMES : Math.max(0, parsedMinGames);
+        const leaderboard = await ratingService.getLeaderboard({ limit, minGames });
         
         res.json({
             success: true,
-            data: leaderboard
+            data: leaderboard,
+            minGames
         });
     } catch (error) {
         console.error('Get leaderboard error:', error);
@@ -83,108 +36,42 @@ router.get('/leaderboard', async (req, res) => {
 });
 
 /**
- * Get game statistics
+ * Get a user's rating, ranked and casual game counts and rating history
  */
-router.get('/game/:gameId', authenticateToken, async (req, res) => {
-    try {
-        const { gameId } = req.params;
-        const statistics = await statisticsService.getGameStatistics(gameId);
-        
-        res.json({
-            success: true,
-            data: statistics
-        });
-    } catch (error) {
-        console.error('Get game statistics error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve game statistics',
-            error: error.message
-        });
-    }
-});
-
-/**
- * Update game statistics (called after game completion)
- */
-router.post('/game/:gameId/update', authenticateToken, async (req, res) => {
-    try {
-        const { gameId } = req.params;
-        const statistics = await statisticsService.updateGameStatistics(gameId);
-        
-        res.json({
-            success: true,
-            data: statistics,
-            message: 'Game statistics updated successfully'
-        });
-    } catch (error) {
-        console.error('Update game statistics error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to update game statistics',
-            error: error.message
-        });
-    }
-});
-
-/**
- * Get user's recent game history
- */
-router.get('/user/:userId/history', authenticateToken, async (req, res) => {
+router.get('/user/:userId/rating', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.params;
-        const limit = parseInt(req.query.limit) || 10;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const rating = await ratingService.getUserRating(userId, limit);
         
-        // Check if user is requesting their own history or if they have permission
-        const requestingUserId = req.user.userId || req.user.id;
-        if (userId !== requestingUserId) {
-            return res.status(403).json({
+        if (!rating) {
+            return res.status(404).json({
                 success: false,
-                message: 'Access denied'
+                message: 'User not found'
             });
         }
         
-        const history = await statisticsService.getRecentGameHistory(userId, limit);
-        
         res.json({
             success: true,
-            data: history
+            data: rating
         });
     } catch (error) {
-        console.error('Get user game history error:', error);
+        console.error('Get user rating error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve game history',
+            message: 'Failed to retrieve rating',
             error: error.message
         });
     }
 });
 
 /**
- * Get user achievements (placeholder for future implementation)
+ * Get a user's achievements with their progress on each
  */
 router.get('/user/:userId/achievements', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.params;
-        
-        // Placeholder - achievements system to be implemented
-        const achievements = [
-            {
-                id: 'first_game',
-                name: 'First Game',
-                description: 'Played your first game',
-                earned: true,
-                earnedAt: new Date().toISOString()
-            },
-            {
-                id: 'trump_master',
-                name: 'Trump Master',
-                description: 'Successfully declared trump 10 times',
-                earned: false,
-                progress: 3,
-                target: 10
-            }
-        ];
+        const achievements = await achievementService.getUserAchievements(userId);
         
         res.json({
             success: true,
@@ -456,7 +456,8 @@ router.post('/:roomId/start', authenticateToken, async (req, res) => {
                 gameId: game.game_id,
                 gameCode: game.game_code,
                 status: game.status,
-                targetScore: game.target_score
+                targetScore: game.target_score,
+                rules: game.rules
             } : null;
 
             const redirectUrl = game ? `/game.html?gameId=${game.game_id}` : `/game.html?room=${roomId}`;
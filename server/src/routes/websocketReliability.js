@@ -5,14 +5,16 @@
  */
 
 import express from 'express';
-import { authenticateToken } from '../middleware/authMiddleware.js';
+import { authenticateToken, requireRole } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
+const moderatorOnly = [authenticateToken, requireRole('moderator')];
+const adminOnly = [authenticateToken, requireRole('admin')];
 
 /**
  * Get websocket reliability statistics
  */
-router.get('/stats', authenticateToken, (req, res) => {
+router.get('/stats', moderatorOnly, (req, res) => {
     try {
         const reliableSocketManager = req.app.get('reliableSocketManager');
         
@@ -63,7 +65,7 @@ router.get('/stats', authenticateToken, (req, res) => {
 /**
  * Get detailed event delivery statistics by event type
  */
-router.get('/stats/:eventType', authenticateToken, (req, res) => {
+router.get('/stats/:eventType', moderatorOnly, (req, res) => {
     try {
         const { eventType } = req.params;
         const reliableSocketManager = req.app.get('reliableSocketManager');
@@ -112,7 +114,7 @@ router.get('/stats/:eventType', authenticateToken, (req, res) => {
 /**
  * Get current reliability configuration
  */
-router.get('/config', authenticateToken, (req, res) => {
+router.get('/config', moderatorOnly, (req, res) => {
     try {
         const reliableSocketManager = req.app.get('reliableSocketManager');
         
@@ -150,7 +152,7 @@ router.get('/config', authenticateToken, (req, res) => {
 /**
  * Update reliability monitoring settings
  */
-router.post('/config/monitoring', authenticateToken, (req, res) => {
+router.post('/config/monitoring', adminOnly, (req, res) => {
     try {
         const { enabled } = req.body;
         const reliableSocketManager = req.app.get('reliableSocketManager');
@@ -188,7 +190,7 @@ router.post('/config/monitoring', authenticateToken, (req, res) => {
 /**
  * Add event type to critical events list
  */
-router.post('/config/critical-events', authenticateToken, (req, res) => {
+router.post('/config/critical-events', adminOnly, (req, res) => {
     try {
         const { eventType } = req.body;
         const reliableSocketManager = req.app.get('reliableSocketManager');
@@ -229,7 +231,7 @@ router.post('/config/critical-events', authenticateToken, (req, res) => {
 /**
  * Remove event type from critical events list
  */
-router.delete('/config/critical-events/:eventType', authenticateToken, (req, res) => {
+router.delete('/config/critical-events/:eventType', adminOnly, (req, res) => {
     try {
         const { eventType } = req.params;
         const reliableSocketManager = req.app.get('reliableSocketManager');
@@ -263,7 +265,7 @@ router.delete('/config/critical-events/:eventType', authenticateToken, (req, res
 /**
  * Force event delivery for testing purposes
  */
-router.post('/test/force-delivery', authenticateToken, (req, res) => {
+router.post('/test/force-delivery', adminOnly, (req, res) => {
     try {
         const { target, eventType, eventData } = req.body;
         const reliableSocketManager = req.app.get('reliableSocketManager');
@@ -393,7 +395,7 @@ router.get('/health', (req, res) => {
 /**
  * Reset reliability statistics (for testing/debugging)
  */
-router.post('/reset-stats', authenticateToken, (req, res) => {
+router.post('/reset-stats', adminOnly, (req, res) => {
     try {
         const reliableSocketManager = req.app.get('reliableSocketManager');
         
@@ -29,6 +29,9 @@ class GameServer {
     
     // Now setup Socket.IO with authentication (database is ready)
     this.setupSocketIO();
+
+    // Rehydrate in-progress games so players can rejoin after a restart
+    await this.socketManager.restorePersistedGames();
     
     // Create Express app with dependencies
     this.app = createApp(this.io, this.socketManager, this.connectionStatusManager, this.periodicReconciliationService, this.monitoringService, this.diagnosticTools, this.performanceMonitor);
@@ -102,6 +105,9 @@ class GameServer {
         this.monitoringService.start();
         this.performanceMonitor.start();
         console.log('[Server] Monitoring and performance services started');
+
+        // Start expiring idle demo games
+        this.socketManager.demoGameService.start();
       });
     } catch (error) {
       console.error('[Server] Failed to start server:', error.message);
@@ -0,0 +1,156 @@
+/**
+ * Achievement Service
+ * Evaluates the achievement definitions for the human players at a table when a round or
+ * a game finishes, stores each player's progress and tells a player's socket when one of
+ * their achievements unlocks.
+ */
+
+import UserAchievement from '../models/UserAchievement.js';
+import { ACHIEVEMENTS, applyProgress } from '../utils/achievements.js';
+
+class AchievementService {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+    }
+
+    /**
+     * Evaluate round achievements once a round has been scored
+     * @param {string} gameId - Game ID
+     * @param {Object} round - Round ledger entry
+     * @param {Array} scoreHistory - Round ledger of the game, including this round
+     * @returns {Promise<Array>} Unlocked achievements as { userId, achievement }
+     */
+    async evaluateRound(gameId, round, scoreHistory = [round]) {
+        return this.evaluate(gameId, 'round', { round, scoreHistory });
+    }
+
+    /**
+     * Evaluate game achievements once a game is over
+     * @param {string} gameId - Game ID
+     * @param {string|null} winningTeam - 'team1' or 'team2', null for a draw
+     * @param {Object} finalScores - Final game scores
+     * @returns {Promise<Array>} Unlocked achievements as { userId, achievement }
+     */
+    async evaluateGame(gameId, winningTeam, finalScores = {}) {
+        return this.evaluate(gameId, 'game', { winningTeam, finalScores });
+    }
+
+    /**
+     * Evaluate every achievement with the given trigger for the humans at a table
+     * Failures are logged and never interrupt the game.
+     * @param {string} gameId - Game ID
+     * @param {string} trigger - 'round' or 'game'
+     * @param {Object} details - Round or game details passed to each definition
+     * @returns {Promise<Array>} Unlocked achievements as { userId, achievement }
+     */
+    async evaluate(gameId, trigger, details) {
+        const room = this.socketManager.gameRooms.get(gameId);
+        if (!room) {
+            return [];
+        }
+
+        const achievements = ACHIEVEMENTS.filter(achievement => achievement.trigger === trigger);
+        const unlocked = [];
+
+        for (const [userId, player] of room.players.entries()) {
+            if (player.isBot || room.kickedUserIds?.has(userId)) {
+                continue;
+            }
+
+            const context = {
+                ...details,
+                gameId,
+                userId,
+                teamKey: `team${this.socketManager.getPlayerTeam(gameId, userId)}`
+            };
+
+            try {
+                const unlockedForUser = await this.recordProgress(userId, achievements, context);
+                unlocked.push(...unlockedForUser.map(achievement => ({ userId, achievement })));
+            } catch (error) {
+                console.warn(`[Achievements] Failed to evaluate ${trigger} achievements for ${userId} in game ${gameId}:`, error.message);
+            }
+        }
+
+        for (const { userId, achievement } of unlocked) {
+            console.log(`[Achievements] ${userId} unlocked ${achievement.id} in game ${gameId}`);
+            this.socketManager.sendToUser(userId, 'achievement:unlocked', {
+                gameId,
+                achievement,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return unlocked;
+    }
+
+    /**
+     * Add a player's progress from one round or game to their stored progress
+     * @param {string} userId - User ID
+     * @param {Array} achievements - Definitions to evaluate
+     * @param {Object} context - Evaluation context
+     * @returns {Promise<Array>} Achievements unlocked by this progress
+     */
+    async recordProgress(userId, achievements, context) {
+        const records = new Map(
+            (await UserAchievement.findByUserId(userId)).map(record => [record.achievement_id, record])
+        );
+        const unlocked = [];
+
+        for (const achievement of achievements) {
+            const record = records.get(achievement.id);
+            if (record?.isUnlocked()) {
+                continue;
+            }
+
+            const value = achievement.evaluate(context);
+            const current = record?.progress || 0;
+            const progress = applyProgress(achievement, current, value);
+            if (progress === current) {
+                continue;
+            }
+
+            const unlockedAt = progress >= achievement.target ? new Date().toISOString() : null;
+            await UserAchievement.saveProgress(userId, achievement.id, { progress, unlockedAt });
+
+            if (unlockedAt) {
+                unlocked.push(this.formatAchievement(achievement, { progress, unlocked_at: unlockedAt }));
+            }
+        }
+
+        return unlocked;
+    }
+
+    /**
+     * Get every achievement with a player's progress on it
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Achievements in definition order
+     */
+    async getUserAchievements(userId) {
+        const records = new Map(
+            (await UserAchievement.findByUserId(userId)).map(record => [record.achievement_id, record])
+        );
+
+        return ACHIEVEMENTS.map(achievement => this.formatAchievement(achievement, records.get(achievement.id)));
+    }
+
+    /**
+     * Convert a definition and a player's progress record to API format
+     * @param {Object} achievement - Achievement definition
+     * @param {Object} [record] - Progress record
+     * @returns {Object} Achievement with the player's progress
+     */
+    formatAchievement(achievement, record = null) {
+        return {
+            id: achievement.id,
+            name: achievement.name,
+            description: achievement.description,
+            earned: Boolean(record?.unlocked_at),
+            earnedAt: record?.unlocked_at || null,
+            progress: record?.progress || 0,
+            target: achievement.target
+        };
+    }
+}
+
+export default AchievementService;
@@ -0,0 +1,258 @@
+/**
+ * Admin Service
+ * Backs the admin console. Summarizes the live rooms and games held by the socket manager,
+ * with the sockets connected to each, and carries out the admin actions on them: ending a
+ * game, removing a player from a table and disconnecting a user.
+ */
+
+import Game from '../models/Game.js';
+import BotManager from './BotManager.js';
+
+class AdminService {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+    }
+
+    /**
+     * List every live room and game
+     * @returns {Array} Game summaries, most recently created first
+     */
+    listGames() {
+        return Array.from(this.socketManager.gameRooms.values())
+            .map(room => this.summarizeGame(room))
+            .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    }
+
+    /**
+     * Summarize a live room and its game state
+     * @param {Object} room - Game room from the socket manager
+     * @returns {Object} Game summary
+     */
+    summarizeGame(room) {
+        const gameState = this.socketManager.gameStateManager.getGameState(room.gameId);
+
+        return {
+            gameId: room.gameId,
+            roomId: room.roomId || (room.isDemo ? null : room.gameId),
+            status: gameState?.status || room.status,
+            phase: gameState?.phase || null,
+            isDemo: Boolean(room.isDemo),
+            hostId: room.hostId,
+            createdAt: room.createdAt || null,
+            round: gameState?.currentRound ?? null,
+            gameScores: gameState?.roundScores || null,
+            series: gameState?.series || null,
+            players: Array.from(room.players.values()).map(player => ({
+                userId: player.userId,
+                username: player.username,
+                isBot: Boolean(player.isBot),
+                botSubstitute: Boolean(player.botSubstitute),
+                isConnected: Boolean(player.isConnected),
+                isReady: Boolean(player.isReady),
+                teamAssignment: player.teamAssignment || null
+            })),
+            spectatorCount: room.spectators?.size || 0
+        };
+    }
+
+    /**
+     * Get a table's full state and the sockets connected to its room
+     * @param {string} gameId - Game/room ID
+     * @returns {Object|null} Game details or null if there is no live room
+     */
+    getGameDetails(gameId) {
+        const room = this.socketManager.gameRooms.get(gameId);
+        if (!room) {
+            return null;
+        }
+
+        const gameState = this.socketManager.gameStateManager.getGameState(gameId);
+
+        return {
+            ...this.summarizeGame(room),
+            table: gameState ? {
+                trumpSuit: gameState.trumpSuit || null,
+                trumpDeclarer: gameState.trumpDeclarer || null,
+                declaringTeam: gameState.declaringTeam || null,
+                currentTurnPlayer: gameState.currentTurnPlayer || null,
+                trickScores: gameState.scores || null,
+                currentTrick: gameState.currentTrick || null,
+                handSizes: Object.fromEntries(Object.entries(gameState.players || {})
+                    .map(([playerId, player]) => [playerId, player.hand?.length || 0])),
+                version: gameState.version,
+                lastUpdate: gameState.lastUpdate
+            } : null,
+            spectators: this.socketManager.getSpectators(gameId),
+            sockets: this.getRoomSockets(gameId),
+            kickedUserIds: Array.from(room.kickedUserIds || [])
+        };
+    }
+
+    /**
+     * List the sockets currently in a Socket.IO room
+     * @param {string} gameId - Game/room ID
+     * @returns {Array} Sockets as { socketId, userId, username, connectedAt, address }
+     */
+    getRoomSockets(gameId) {
+        const socketIds = this.socketManager.io.sockets.adapter.rooms.get(gameId) || new Set();
+
+        return Array.from(socketIds)
+            .map(socketId => this.socketManager.io.sockets.sockets.get(socketId))
+            .filter(Boolean)
+            .map(socket => ({
+                socketId: socket.id,
+                userId: socket.userId,
+                username: socket.username,
+                connectedAt: socket.handshake?.time || null,
+                address: socket.handshake?.address || null
+            }));
+    }
+
+    /**
+     * List the users with an open socket and the rooms each socket is in
+     * @returns {Array} Connected users as { userId, username, role, socketId, connectedAt, rooms }
+     */
+    getConnectedUsers() {
+        return Array.from(this.socketManager.io.sockets.sockets.values())
+            .filter(socket => socket.userId)
+            .map(socket => ({
+                userId: socket.userId,
+                username: socket.username,
+                role: socket.userRole || 'player',
+                socketId: socket.id,
+                connectedAt: socket.handshake?.time || null,
+                rooms: Array.from(socket.rooms).filter(room => room !== socket.id)
+            }));
+    }
+
+    /**
+     * End a game without a winner
+     * The table is told the game was ended, its state and bots are dropped and the room
+     * goes back to waiting so the players can start again.
+     * @param {string} gameId - Game ID
+     * @param {string} [reason] - Reason shown to the players
+     * @returns {Promise<Object>} { gameId, roomId }
+     * @throws {Error} If there is no live game
+     */
+    async forceEndGame(gameId, reason = 'The game was ended by an admin') {
+        const room = this.socketManager.gameRooms.get(gameId);
+        if (!room) {
+            throw new Error('Game not found');
+        }
+
+        const roomId = room.roomId || (room.isDemo ? null : gameId);
+
+        this.socketManager.clearTurnTimer(gameId);
+        for (const playerId of room.players.keys()) {
+            this.socketManager.clearBotSubstitution(gameId, playerId);
+        }
+        this.socketManager.pendingRoundStarts.delete(gameId);
+
+        this.socketManager.io.to(gameId).emit('game:force_ended', {
+            gameId,
+            roomId,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+        this.socketManager.io.in(gameId).socketsLeave(gameId);
+
+        this.socketManager.gameStateManager.cleanupGameState(gameId);
+        this.socketManager.gameRooms.delete(gameId);
+        this.socketManager.waitingRoomHandler.clearChatHistory(gameId);
+        BotManager.clearGameBots(gameId);
+
+        const game = await new Game().findById(gameId);
+        if (game && game.status !== 'completed') {
+            await new Game().updateById(gameId, {
+                status: 'cancelled',
+                completed_at: new Date().toISOString()
+            });
+        }
+
+        if (roomId) {
+            await this.resetRoom(roomId);
+        }
+
+        console.log(`[Admin] Ended game ${gameId}: ${reason}`);
+        return { gameId, roomId };
+    }
+
+    /**
+     * Put a room whose game was ended back into the waiting state
+     * @param {string} roomId - Room ID
+     */
+    async resetRoom(roomId) {
+        try {
+            const Room = (await import('../models/Room.js')).default;
+            const room = await Room.findById(roomId);
+            if (!room) {
+                return;
+            }
+
+            await room.resetAllPlayerReadyStatus();
+            await room.updateStatus('waiting');
+        } catch (error) {
+            console.warn(`[Admin] Failed to reset room ${roomId}:`, error.message);
+        }
+    }
+
+    /**
+     * Remove a player from a table
+     * In a game under way a bot takes the seat straight away and the player cannot rejoin it;
+     * in a waiting room or at a finished game the player loses their seat.
+     * @param {string} gameId - Game/room ID
+     * @param {string} userId - Player to remove
+     * @param {string} [reason] - Reason shown to the player
+     * @returns {Promise<Object>} { gameId, userId, replacedByBot }
+     * @throws {Error} If the player is not at the table
+     */
+    async kickPlayer(gameId, userId, reason = 'You were removed from the table by an admin') {
+        const room = this.socketManager.gameRooms.get(gameId);
+        const player = room?.players.get(userId);
+        if (!player || player.isBot) {
+            throw new Error('Player is not at this table');
+        }
+
+        const gameState = this.socketManager.gameStateManager.getGameState(gameId);
+        const inProgress = Boolean(gameState?.players?.[userId]) && room.status !== 'waiting' && gameState.status !== 'completed';
+
+        const socketId = this.socketManager.getUserSocket(userId);
+        const socket = socketId ? this.socketManager.io.sockets.sockets.get(socketId) : null;
+        if (socket) {
+            socket.emit('game:kicked', { gameId, reason, timestamp: new Date().toISOString() });
+            socket.leave(gameId);
+        }
+
+        if (inProgress) {
+            if (!room.kickedUserIds) {
+                room.kickedUserIds = new Set();
+            }
+            room.kickedUserIds.add(userId);
+            player.isConnected = false;
+            this.socketManager.substituteBot(gameId, userId);
+        } else if (room.status === 'waiting') {
+            player.isConnected = false;
+            await this.socketManager.waitingRoomHandler.handleDisconnectedPlayerCleanup(
+                gameId, userId, player.username, String(room.hostId) === String(userId)
+            );
+        } else {
+            this.socketManager.cancelRematchVote(gameId, userId, `${player.username} was removed from the table`);
+            room.players.delete(userId);
+        }
+
+        console.log(`[Admin] Removed ${player.username} from ${gameId}`);
+        return { gameId, userId, replacedByBot: inProgress };
+    }
+
+    /**
+     * Drop a user's socket connection; the client reconnects on its own
+     * @param {string} userId - User ID
+     * @param {string} [reason] - Reason sent to the client
+     * @returns {boolean} True if the user was connected
+     */
+    disconnectUser(userId, reason = 'Disconnected by an admin') {
+        return this.socketManager.connectionStatusManager.forceDisconnectUser(userId, reason);
+    }
+}
+
+export default AdminService;
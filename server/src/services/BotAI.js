@@ -1,15 +1,33 @@
+import {
+    SUITS, CARD_VALUES, createDeck, isSameCard, getLeadSuit, getValidCards, beatsCard, determineTrickWinner
+} from '../../../shared/rules.js';
+import {
+    getLowestCard, getHighestCard, isMasterCard, countUnseenCards, getDiscard, chooseLeadCard, chooseFollowCard
+} from '../../../shared/botStrategy.js';
+
+const EXPERT_SEARCH_SAMPLES = 24;
+
 /**
  * BotAI class handles AI decision-making for bot players
  * Implements trump declaration and card play logic
+ *
+ * Card play depends on the bot's difficulty:
+ * - easy: random legal card
+ * - medium: trick heuristics using only the cards on the table
+ * - hard: the same heuristics plus counting every card played this round
+ * - expert: determinized Monte Carlo search over the hands opponents could hold
  */
 class BotAI {
-    constructor(botPlayer) {
+    /**
+     * @param {Object} botPlayer - Bot the decisions are made for
+     * @param {Object} options - AI options
+     * @param {Function} [options.random] - Random number source, seeded for reproducible simulations
+     */
+    constructor(botPlayer, { random = Math.random } = {}) {
         this.bot = botPlayer;
-        this.suits = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-        this.cardValues = {
-            '7': 7, '8': 8, '9': 9, '10': 10,
-            'J': 11, 'Q': 12, 'K': 13, 'A': 14
-        };
+        this.random = random;
+        this.suits = SUITS;
+        this.cardValues = CARD_VALUES;
     }
 
     /**
@@ -35,7 +53,7 @@ class BotAI {
         } catch (error) {
             console.error(`[BotAI] Error in trump declaration for ${this.bot.name}:`, error);
             // Fallback to random suit
-            return this.suits[Math.floor(Math.random() * this.suits.length)];
+            return SUITS[Math.floor(this.random() * SUITS.length)];
         }
     }
 
@@ -48,7 +66,7 @@ class BotAI {
         const analysis = {};
         
         // Initialize analysis for all suits
-        this.suits.forEach(suit => {
+        SUITS.forEach(suit => {
             analysis[suit] = {
                 cardCount: 0,
                 cards: [],
@@ -68,7 +86,7 @@ class BotAI {
             
             suitData.cardCount++;
             suitData.cards.push(card);
-            suitData.totalValue += card.value || this.cardValues[card.rank];
+            suitData.totalValue += card.value || CARD_VALUES[card.rank];
             
             // Check for high cards
             if (card.rank === 'A') {
@@ -83,7 +101,7 @@ class BotAI {
         });
 
         // Calculate strength scores
-        this.suits.forEach(suit => {
+        SUITS.forEach(suit => {
             const suitData = analysis[suit];
             if (suitData.cardCount > 0) {
                 suitData.averageValue = suitData.totalValue / suitData.cardCount;
@@ -114,13 +132,18 @@ class BotAI {
      */
     selectTrumpWithPersonality(suitAnalysis) {
         // Get suits with cards, sorted by strength
-        const availableSuits = this.suits
+        const availableSuits = SUITS
             .filter(suit => suitAnalysis[suit].cardCount > 0)
             .sort((a, b) => suitAnalysis[b].strength - suitAnalysis[a].strength);
 
         if (availableSuits.length === 0) {
             // Shouldn't happen, but fallback to random
-            return this.suits[Math.floor(Math.random() * this.suits.length)];
+            return SUITS[Math.floor(this.random() * SUITS.length)];
+        }
+
+        // Easy bots name any suit they hold
+        if (this.getDifficulty() === 'easy') {
+            return this.getRandomCard(availableSuits);
         }
 
         const topSuit = availableSuits[0];
@@ -200,7 +223,7 @@ class BotAI {
             const strengthDiff = suitAnalysis[topSuits[0]].strength - suitAnalysis[topSuits[1]].strength;
             
             // If the difference is small (less than 20%), sometimes pick the second best
-            if (strengthDiff < suitAnalysis[topSuits[0]].strength * 0.2 && Math.random() < 0.3) {
+            if (strengthDiff < suitAnalysis[topSuits[0]].strength * 0.2 && this.random() < 0.3) {
                 return topSuits[1];
             }
         }
@@ -256,11 +279,11 @@ class BotAI {
             botName: this.bot.name,
             personality: this.bot.personality,
             handSize: hand.length,
-            suitDistribution: this.suits.reduce((dist, suit) => {
+            suitDistribution: SUITS.reduce((dist, suit) => {
                 dist[suit] = analysis[suit].cardCount;
                 return dist;
             }, {}),
-            strongestSuit: this.suits.reduce((strongest, current) => 
+            strongestSuit: SUITS.reduce((strongest, current) => 
                 analysis[current].strength > analysis[strongest].strength ? current : strongest
             ),
             hasHighCards: Object.values(analysis).some(suit => suit.hasHighCards),
@@ -294,8 +317,7 @@ class BotAI {
                 return validCards[0];
             }
 
-            // For now, just pick the first valid card (we'll enhance this later)
-            const chosenCard = validCards[0];
+            const chosenCard = this.chooseCard(validCards, gameContext);
             
             // Add realistic delay
             await this.simulateDecisionDelay();
@@ -310,6 +332,312 @@ class BotAI {
         }
     }
 
+    /**
+     * Pick the best card from the valid cards using the trick and round context
+     * @param {Array} validCards - Cards the bot is allowed to play
+     * @param {Object} gameContext - Current game context
+     * @param {Array} gameContext.hand - Bot's current hand
+     * @param {Object} gameContext.trickState - Current trick with cardsPlayed [{ playerId, card }]
+     * @param {string} [gameContext.trumpSuit] - Declared trump suit
+     * @param {Array} [gameContext.playedCards] - Cards from tricks already completed this round
+     * @param {string} [gameContext.partnerId] - Bot's partner
+     * @param {boolean} [gameContext.isDeclaringTeam] - Whether the bot's team declared trump
+     * @param {number} [gameContext.teamTricks] - Tricks the bot's team has won this round
+     * @param {number} [gameContext.opponentTricks] - Tricks the other team has won this round
+     * @param {Object} [gameContext.rules] - Game rules with the contract thresholds
+     * @returns {Object} Chosen card
+     */
+    chooseCard(validCards, gameContext) {
+        if (validCards.length === 1) {
+            return validCards[0];
+        }
+
+        switch (this.getDifficulty()) {
+            case 'easy':
+                return this.getRandomCard(validCards);
+            case 'medium':
+                // Medium bots only look at the cards on the table
+                return this.chooseHeuristicCard(validCards, { ...gameContext, playedCards: [] });
+            case 'expert':
+                return this.chooseCardBySearch(validCards, gameContext);
+            case 'hard':
+            default:
+                return this.chooseHeuristicCard(validCards, gameContext);
+        }
+    }
+
+    getDifficulty() {
+        return this.bot.difficulty || 'medium';
+    }
+
+    getRandomCard(cards) {
+        return cards[Math.floor(this.random() * cards.length)];
+    }
+
+    /**
+     * Pick a card with the lead and follow heuristics
+     * @param {Array} validCards - Cards the bot is allowed to play
+     * @param {Object} gameContext - Current game context
+     * @returns {Object} Chosen card
+     */
+    chooseHeuristicCard(validCards, gameContext) {
+        if (validCards.length === 1) {
+            return validCards[0];
+        }
+
+        const situation = this.assessSituation(gameContext);
+
+        if (situation.cardsPlayed.length === 0) {
+            return this.chooseLeadCard(validCards, situation);
+        }
+
+        return this.chooseFollowCard(validCards, situation);
+    }
+
+    /**
+     * Collect everything the card strategy needs to know about the current trick and round
+     * @param {Object} gameContext - Current game context
+     * @returns {Object} Situation used by the lead and follow strategies
+     */
+    assessSituation(gameContext) {
+        const { hand, trickState = {}, rules = {} } = gameContext;
+        const cardsPlayed = trickState.cardsPlayed || [];
+        const trumpSuit = gameContext.trumpSuit || gameContext.gameState?.trumpSuit || null;
+        const isDeclaringTeam = Boolean(gameContext.isDeclaringTeam);
+
+        // Declaring team needs 5 tricks, challengers need 4, unless house rules differ
+        const targetTricks = isDeclaringTeam
+            ? (rules.declaringTeamMinTricks ?? 5)
+            : (rules.challengingTeamMinTricks ?? 4);
+        const tricksNeeded = Math.max(0, targetTricks - (gameContext.teamTricks || 0));
+        const tricksRemaining = hand.length;
+
+        // The closer we are to missing the contract, the more chances we take
+        const urgency = tricksNeeded > tricksRemaining ? 0 : tricksNeeded / Math.max(1, tricksRemaining);
+        const riskTolerance = this.bot.riskTolerance ?? 0.4;
+
+        return {
+            hand,
+            cardsPlayed,
+            trumpSuit,
+            isDeclaringTeam,
+            partnerId: gameContext.partnerId || null,
+            seenCards: [...(gameContext.playedCards || []), ...cardsPlayed.map(play => play.card)],
+            aggressiveness: this.bot.aggressiveness ?? 0.5,
+            riskiness: Math.max(riskTolerance, urgency)
+        };
+    }
+
+    /**
+     * Choose a card to lead a trick with the shared bot strategy
+     * @param {Array} validCards - Cards the bot may lead
+     * @param {Object} situation - Result of assessSituation
+     * @returns {Object} Chosen card
+     */
+    chooseLeadCard(validCards, situation) {
+        return chooseLeadCard(validCards, situation);
+    }
+
+    /**
+     * Choose a card when following in a trick with the shared bot strategy
+     * @param {Array} validCards - Cards the bot may play
+     * @param {Object} situation - Result of assessSituation
+     * @returns {Object} Chosen card
+     */
+    chooseFollowCard(validCards, situation) {
+        return chooseFollowCard(validCards, situation);
+    }
+
+    /**
+     * Choose a card by playing the rest of the round out against sampled opponent hands
+     * Every unseen card is dealt at random to the other three seats, each candidate card
+     * is played and the hand is finished with the hard heuristics for all four seats.
+     * The candidate that wins the most tricks for the team on average is chosen.
+     * @param {Array} validCards - Cards the bot is allowed to play
+     * @param {Object} gameContext - Current game context
+     * @returns {Object} Chosen card
+     */
+    chooseCardBySearch(validCards, gameContext) {
+        const { hand } = gameContext;
+        const cardsPlayed = gameContext.trickState?.cardsPlayed || [];
+        const seenCards = [...(gameContext.playedCards || []), ...cardsPlayed.map(play => play.card)];
+        const unseenCards = this.getFullDeck().filter(card =>
+            ![...seenCards, ...hand].some(known => this.isSameCard(known, card))
+        );
+
+        // Seats relative to the bot: 0 is the bot, 1 the next player, 2 the partner, 3 the previous player
+        const handSizes = [hand.length, hand.length, hand.length, hand.length];
+        for (let i = 0; i < cardsPlayed.length; i++) {
+            handSizes[3 - i]--;
+        }
+
+        if (unseenCards.length !== handSizes[1] + handSizes[2] + handSizes[3]) {
+            // Round history is incomplete (e.g. restored game), so the deal cannot be rebuilt
+            return this.chooseHeuristicCard(validCards, gameContext);
+        }
+
+        const totals = validCards.map(() => 0);
+        for (let sample = 0; sample < EXPERT_SEARCH_SAMPLES; sample++) {
+            const hands = this.dealUnseenCards(unseenCards, handSizes, hand);
+            validCards.forEach((card, index) => {
+                totals[index] += this.playOutRound(card, hands, gameContext);
+            });
+        }
+
+        const bestIndex = totals.reduce((best, total, index) => total > totals[best] ? index : best, 0);
+        return validCards[bestIndex];
+    }
+
+    /**
+     * Deal unseen cards at random to the three other seats
+     * @param {Array} unseenCards - Cards that are neither played nor in the bot's hand
+     * @param {Array} handSizes - Cards each seat holds
+     * @param {Array} hand - Bot's hand
+     * @returns {Array} Hands for seats 0-3
+     */
+    dealUnseenCards(unseenCards, handSizes, hand) {
+        const shuffled = [...unseenCards];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+
+        const hands = [[...hand]];
+        let offset = 0;
+        for (let seat = 1; seat < 4; seat++) {
+            hands.push(shuffled.slice(offset, offset + handSizes[seat]));
+            offset += handSizes[seat];
+        }
+        return hands;
+    }
+
+    /**
+     * Finish the round from one determinized deal after the bot plays a candidate card
+     * @param {Object} candidate - Card the bot plays now
+     * @param {Array} dealtHands - Hands for seats 0-3
+     * @param {Object} gameContext - Current game context
+     * @returns {number} Tricks the bot's team wins for the rest of the round
+     */
+    playOutRound(candidate, dealtHands, gameContext) {
+        const hands = dealtHands.map(cards => [...cards]);
+        const played = [...(gameContext.playedCards || [])];
+        const { trumpSuit, rules } = gameContext;
+        const declaringSeats = gameContext.isDeclaringTeam ? [0, 2] : [1, 3];
+        const tricks = [gameContext.teamTricks || 0, gameContext.opponentTricks || 0];
+        const seatId = (seat) => `seat${seat}`;
+
+        // Rebuild the current trick with relative seats
+        const cardsPlayed = gameContext.trickState?.cardsPlayed || [];
+        let trick = cardsPlayed.map((play, i) => ({ playerId: seatId(4 - cardsPlayed.length + i), card: play.card }));
+        let seat = 0;
+        let nextCard = candidate;
+        let ourTricks = 0;
+
+        while (hands.some(cards => cards.length > 0)) {
+            const seatHand = hands[seat];
+            if (!nextCard) {
+                const valid = this.getValidCards(seatHand, { cardsPlayed: trick });
+                const team = seat % 2;
+                nextCard = this.chooseHeuristicCard(valid, {
+                    hand: seatHand,
+                    trickState: { cardsPlayed: trick },
+                    trumpSuit,
+                    playedCards: played,
+                    partnerId: seatId((seat + 2) % 4),
+                    isDeclaringTeam: declaringSeats.includes(seat),
+                    teamTricks: tricks[team],
+                    rules
+                });
+            }
+
+            seatHand.splice(seatHand.findIndex(card => this.isSameCard(card, nextCard)), 1);
+            trick.push({ playerId: seatId(seat), card: nextCard });
+            nextCard = null;
+
+            if (trick.length === 4) {
+                const winnerSeat = Number(this.getWinningPlay(trick, trumpSuit).playerId.slice(4));
+                tricks[winnerSeat % 2]++;
+                if (winnerSeat % 2 === 0) {
+                    ourTricks++;
+                }
+                played.push(...trick.map(play => play.card));
+                trick = [];
+                seat = winnerSeat;
+            } else {
+                seat = (seat + 1) % 4;
+            }
+        }
+
+        return ourTricks;
+    }
+
+    getFullDeck() {
+        return createDeck();
+    }
+
+    isSameCard(a, b) {
+        return isSameCard(a, b);
+    }
+
+    /**
+     * Pick the least useful card to throw away, keeping trump and master cards if possible
+     * @param {Array} cards - Cards to choose from
+     * @param {Object} situation - Result of assessSituation
+     * @returns {Object} Card to discard
+     */
+    getDiscard(cards, situation) {
+        return getDiscard(cards, situation);
+    }
+
+    /**
+     * Find the play currently winning a trick
+     * @param {Array} cardsPlayed - Plays so far [{ playerId, card }]
+     * @param {string} trumpSuit - Declared trump suit
+     * @returns {Object} Winning play
+     */
+    getWinningPlay(cardsPlayed, trumpSuit) {
+        return determineTrickWinner(cardsPlayed, trumpSuit);
+    }
+
+    /**
+     * Check whether a card beats the card currently winning the trick
+     * @param {Object} card - Challenging card
+     * @param {Object} winningCard - Card currently winning
+     * @param {string} trumpSuit - Declared trump suit
+     * @returns {boolean} True if the card would take the lead
+     */
+    beatsCard(card, winningCard, trumpSuit) {
+        return beatsCard(card, winningCard, trumpSuit);
+    }
+
+    /**
+     * Check whether every higher card in the suit is already played or in the bot's hand
+     * @param {Object} card - Card to check
+     * @param {Object} situation - Result of assessSituation
+     * @returns {boolean} True if no other player can beat the card in its suit
+     */
+    isMasterCard(card, situation) {
+        return isMasterCard(card, situation);
+    }
+
+    /**
+     * Count cards of a suit that are neither played nor in the bot's hand
+     * @param {string} suit - Suit to count
+     * @param {Object} situation - Result of assessSituation
+     * @returns {number} Cards of the suit other players may still hold
+     */
+    countUnseenCards(suit, situation) {
+        return countUnseenCards(suit, situation);
+    }
+
+    getLowestCard(cards) {
+        return getLowestCard(cards);
+    }
+
+    getHighestCard(cards) {
+        return getHighestCard(cards);
+    }
+
     /**
      * Get valid cards that can be played according to Contract Crown rules
      * @param {Array} hand - Bot's current hand
@@ -317,25 +645,8 @@ class BotAI {
      * @returns {Array} Valid cards that can be played
      */
     getValidCards(hand, trickState) {
-        const { cardsPlayed } = trickState;
-        
-        // If no cards played yet, any card is valid (leading)
-        if (cardsPlayed.length === 0) {
-            return [...hand];
-        }
-
-        const leadSuit = cardsPlayed[0].card.suit;
-        
-        // Cards of the lead suit (must follow suit if possible)
-        const leadSuitCards = hand.filter(card => card.suit === leadSuit);
-        
-        // If we have cards of the lead suit, we must play them
-        if (leadSuitCards.length > 0) {
-            return leadSuitCards;
-        }
-
-        // If we can't follow suit, we can play any card (trump or discard)
-        return [...hand];
+        // Must follow the lead suit if possible; leading or void, any card is valid
+        return getValidCards(hand, getLeadSuit(trickState.cardsPlayed));
     }
 
     /**
@@ -346,7 +657,7 @@ class BotAI {
      */
     getCardPlayExplanation(chosenCard, gameContext) {
         try {
-            let explanation = `${this.bot.name} (${this.bot.personality}) played ${chosenCard.rank}${chosenCard.suit[0]} `;
+            let explanation = `${this.bot.name} (${this.bot.personality}) plays ${chosenCard.rank}${chosenCard.suit[0]} `;
             
             const { trickState } = gameContext;
             if (trickState && trickState.cardsPlayed) {
@@ -358,11 +669,47 @@ class BotAI {
             } else {
                 explanation += "in the current trick.";
             }
+
+            if (gameContext.hand && trickState?.cardsPlayed) {
+                explanation += ` ${this.getCardPlayReason(chosenCard, gameContext)}`;
+            }
             
             return explanation;
         } catch (error) {
-            return `${this.bot.name} played ${chosenCard.rank}${chosenCard.suit[0]}`;
+            return `${this.bot.name} plays ${chosenCard.rank}${chosenCard.suit[0]}`;
+        }
+    }
+
+    /**
+     * Describe why a card fits the trick, using the same checks as the card strategy
+     * @param {Object} chosenCard - Card that was chosen
+     * @param {Object} gameContext - Game context used for decision
+     * @returns {string} One sentence reason
+     */
+    getCardPlayReason(chosenCard, gameContext) {
+        const situation = this.assessSituation(gameContext);
+        const { cardsPlayed, trumpSuit, partnerId } = situation;
+
+        if (cardsPlayed.length === 0) {
+            if (chosenCard.suit === trumpSuit && situation.isDeclaringTeam) {
+                return 'Leading trump draws it out of the opponents\' hands.';
+            }
+            if (this.isMasterCard(chosenCard, situation)) {
+                return 'It is the highest card left in its suit.';
+            }
+            return 'Leading low keeps the high cards for later tricks.';
+        }
+
+        const winningPlay = this.getWinningPlay(cardsPlayed, trumpSuit);
+        if (this.beatsCard(chosenCard, winningPlay.card, trumpSuit)) {
+            return chosenCard.suit === trumpSuit && cardsPlayed[0].card.suit !== trumpSuit
+                ? 'Trumping in takes the trick.'
+                : 'It takes the lead in the trick.';
+        }
+        if (partnerId && winningPlay.playerId === partnerId) {
+            return 'The partner is already winning the trick.';
         }
+        return 'The trick cannot be won cheaply, so the least useful card goes.';
     }
 }
 
@@ -36,11 +36,11 @@ class BotManager {
             // Create the specified number of bots
             for (let i = 0; i < count; i++) {
                 const botOptions = {
+                    ...options,
                     gameId,
-                    difficulty: options.difficulty || 'medium',
-                    personality: options.personalities ? options.personalities[i] : undefined,
-                    name: options.names ? options.names[i] : undefined,
-                    ...options
+                    difficulty: options.difficulties?.[i] || options.difficulty || 'medium',
+                    personality: options.personalities ? options.personalities[i] : options.personality,
+                    name: options.names ? options.names[i] : options.name
                 };
 
                 const bot = new BotPlayer(botOptions);
@@ -263,6 +263,43 @@ class BotManager {
         }
     }
 
+    /**
+     * Create a bot that plays a human's seat while they are disconnected
+     * The bot keeps the human's player ID so it plays their hand in their turn order
+     * @param {string} gameId - Game ID
+     * @param {Object} options - Bot options with the human's id and name
+     * @returns {BotPlayer} Substitute bot
+     */
+    addSubstituteBot(gameId, options = {}) {
+        if (!this.activeBots.has(gameId)) {
+            this.activeBots.set(gameId, new Map());
+        }
+
+        const bot = new BotPlayer({ ...options, gameId });
+        this.activeBots.get(gameId).set(bot.id, bot);
+
+        console.log(`[BotManager] Bot substitute ${bot.name} (${bot.id}) added to game ${gameId}`);
+        return bot;
+    }
+
+    /**
+     * Remove a single bot from a game
+     * @param {string} gameId - Game ID
+     * @param {string} botId - Bot ID
+     * @returns {boolean} True if the bot was removed
+     */
+    removeBotPlayer(gameId, botId) {
+        const gameBots = this.activeBots.get(gameId);
+        if (!gameBots || !gameBots.delete(botId)) {
+            return false;
+        }
+
+        if (gameBots.size === 0) {
+            this.activeBots.delete(gameId);
+        }
+        return true;
+    }
+
     /**
      * Restore bot players from database data
      * @param {string} gameId - Game ID
@@ -379,7 +416,7 @@ class BotManager {
         const totalGames = this.activeBots.size;
         let totalBots = 0;
         const personalityCount = { aggressive: 0, conservative: 0, balanced: 0 };
-        const difficultyCount = { easy: 0, medium: 0, hard: 0 };
+        const difficultyCount = { easy: 0, medium: 0, hard: 0, expert: 0 };
 
         this.activeBots.forEach(gameBots => {
             totalBots += gameBots.size;
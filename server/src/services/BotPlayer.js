@@ -1,17 +1,24 @@
 import { v4 as uuidv4 } from 'uuid';
 import BotAI from './BotAI.js';
 
+export const BOT_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
 /**
  * BotPlayer class represents an AI player in the game
  * Handles bot player creation, management, and basic properties
  */
 class BotPlayer {
+    /**
+     * @param {Object} options - Bot options
+     * @param {Function} [options.random] - Random number source for the bot and its AI
+     */
     constructor(options = {}) {
+        this.random = options.random || Math.random;
         this.id = options.id || uuidv4();
         this.name = options.name || this.generateBotName();
         this.personality = options.personality || this.generatePersonality();
         this.isBot = true;
-        this.difficulty = options.difficulty || 'medium';
+        this.difficulty = BOT_DIFFICULTIES.includes(options.difficulty) ? options.difficulty : 'medium';
         this.hand = [];
         this.teamId = options.teamId || null;
         this.seatPosition = options.seatPosition || null;
@@ -23,7 +30,7 @@ class BotPlayer {
         this.riskTolerance = this.calculateRiskTolerance();
         
         // Initialize AI engine
-        this.ai = new BotAI(this);
+        this.ai = new BotAI(this, { random: this.random });
         
         console.log(`[BotPlayer] Created bot ${this.name} (${this.id}) with personality: ${this.personality}`);
     }
@@ -41,7 +48,7 @@ class BotPlayer {
             'Quinn Bot', 'Ruby Bot', 'Sam Bot', 'Tina Bot'
         ];
         
-        return botNames[Math.floor(Math.random() * botNames.length)];
+        return botNames[Math.floor(this.random() * botNames.length)];
     }
 
     /**
@@ -50,7 +57,7 @@ class BotPlayer {
      */
     generatePersonality() {
         const personalities = ['aggressive', 'conservative', 'balanced'];
-        return personalities[Math.floor(Math.random() * personalities.length)];
+        return personalities[Math.floor(this.random() * personalities.length)];
     }
 
     /**
@@ -61,7 +68,8 @@ class BotPlayer {
         const baseDelay = {
             easy: 1500,
             medium: 2000,
-            hard: 2500
+            hard: 2500,
+            expert: 2500
         };
 
         const personalityModifier = {
@@ -74,7 +82,7 @@ class BotPlayer {
         const modifier = personalityModifier[this.personality] || 1.0;
         
         // Add some randomness (±30%)
-        const randomFactor = 0.7 + (Math.random() * 0.6);
+        const randomFactor = 0.7 + (this.random() * 0.6);
         
         return Math.floor(base * modifier * randomFactor);
     }
@@ -93,7 +101,8 @@ class BotPlayer {
         const difficultyModifier = {
             easy: 0.8,
             medium: 1.0,
-            hard: 1.2
+            hard: 1.2,
+            expert: 1.2
         };
 
         const base = baseAggressiveness[this.personality] || 0.5;
@@ -0,0 +1,254 @@
+import GameEngine from './GameEngine.js';
+import BotPlayer from './BotPlayer.js';
+import { normalizeGameRules } from '../utils/gameRules.js';
+import { createSeededRandom } from '../utils/dealSeed.js';
+import { getNextRoundSeats } from '../../../shared/rules.js';
+
+// Guards against house rules where neither team can ever score
+const MAX_ROUNDS_PER_GAME = 500;
+
+/**
+ * BotSimulator class plays complete bot-vs-bot games without sockets, database or delays
+ * Used to measure BotAI changes: win rates, points per round, contract success and trump choices.
+ *
+ * Seats 0 and 2 play for team1, seats 1 and 3 for team2. Decisions go through the
+ * synchronous BotAI methods so simulateDecisionDelay is never awaited. Deals and bot
+ * decisions draw from one generator seeded per run, so a seed always replays the same games.
+ */
+class BotSimulator {
+    /**
+     * @param {Object} options - Simulation options
+     * @param {number} [options.seed] - Seed for the random number generator
+     * @param {Object} [options.rules] - House rules, merged onto the defaults
+     * @param {Array} [options.teams] - Bot config per team [{ personality, difficulty }, { personality, difficulty }]
+     */
+    constructor(options = {}) {
+        this.seed = options.seed ?? 1;
+        this.rules = normalizeGameRules(options.rules);
+        this.teams = [0, 1].map(index => ({
+            personality: options.teams?.[index]?.personality || 'balanced',
+            difficulty: options.teams?.[index]?.difficulty || 'medium'
+        }));
+        this.gameEngine = new GameEngine();
+        this.random = createSeededRandom(this.seed);
+    }
+
+    /**
+     * Run a batch of games from the start of the seeded sequence
+     * @param {number} games - Number of games to play
+     * @returns {Object} Aggregated statistics
+     */
+    run(games) {
+        this.random = createSeededRandom(this.seed);
+
+        const results = [];
+        for (let gameNumber = 0; gameNumber < games; gameNumber++) {
+            results.push(this.playGame(gameNumber));
+        }
+        return this.summarize(results);
+    }
+
+    /**
+     * Create the four bots for a game
+     * @param {number} gameNumber - Game number, used for the game ID
+     * @returns {Array} Seats with their bot and team index
+     */
+    createSeats(gameNumber) {
+        return [0, 1, 2, 3].map(seat => {
+            const teamIndex = seat % 2;
+            const bot = new BotPlayer({
+                id: `sim-${gameNumber}-seat-${seat}`,
+                name: `Seat ${seat + 1}`,
+                gameId: `sim-${gameNumber}`,
+                seatPosition: seat + 1,
+                teamId: `team${teamIndex + 1}`,
+                random: this.random,
+                ...this.teams[teamIndex]
+            });
+            return { seat, teamIndex, bot };
+        });
+    }
+
+    /**
+     * Play one game until a team reaches the target score
+     * @param {number} gameNumber - Game number
+     * @returns {Object} Game result with per-round details
+     */
+    playGame(gameNumber) {
+        const seats = this.createSeats(gameNumber);
+        const scores = [0, 0];
+        const rounds = [];
+        let dealerSeat = 0;
+        let declarerSeat = 1;
+
+        while (Math.max(...scores) < this.rules.targetScore && rounds.length < MAX_ROUNDS_PER_GAME) {
+            const round = this.playRound(seats, declarerSeat);
+            scores[0] += round.points[0];
+            scores[1] += round.points[1];
+            rounds.push(round);
+
+            // Crown Rule: the deal rotates and the declaration stays or passes to the dealer's left
+            ({ dealerSeat, declarerSeat } = getNextRoundSeats({
+                dealerSeat,
+                declarerSeat,
+                crownRetained: round.madeContract
+            }));
+        }
+
+        let winningTeam = null;
+        if (scores[0] !== scores[1]) {
+            winningTeam = scores[0] > scores[1] ? 0 : 1;
+        }
+
+        return { scores, rounds, winningTeam };
+    }
+
+    /**
+     * Deal, declare trump and play all 8 tricks of a round
+     * @param {Array} seats - Seats from createSeats
+     * @param {number} declarerSeat - Seat declaring trump and leading the first trick
+     * @returns {Object} Round result
+     */
+    playRound(seats, declarerSeat) {
+        const { fullPlayerHands } = this.gameEngine.dealAllCardsWithValidation(
+            seats.map(({ bot }) => ({ user_id: bot.id })),
+            10,
+            this.rules.redealRule,
+            null,
+            this.random
+        );
+        const hands = seats.map(({ bot }) => [...fullPlayerHands[bot.id]]);
+
+        // Trump is declared from the first 4 cards, the other 4 arrive afterwards
+        const declarer = seats[declarerSeat];
+        const trumpSuit = declarer.bot.ai.selectTrumpWithPersonality(
+            declarer.bot.ai.analyzeSuitStrength(hands[declarerSeat].slice(0, 4))
+        );
+        const declaringTeam = declarer.teamIndex;
+        const trumpLength = hands[declarerSeat].filter(card => card.suit === trumpSuit).length;
+
+        const tricks = [0, 0];
+        const playedCards = [];
+        let leaderSeat = declarerSeat;
+
+        for (let trickNumber = 1; trickNumber <= 8; trickNumber++) {
+            const cardsPlayed = [];
+
+            for (let offset = 0; offset < 4; offset++) {
+                const seat = (leaderSeat + offset) % 4;
+                const { bot, teamIndex } = seats[seat];
+                const hand = hands[seat];
+                const trickState = { trickNumber, cardsPlayed: [...cardsPlayed] };
+
+                const validCards = bot.ai.getValidCards(hand, trickState);
+                const card = bot.ai.chooseCard(validCards, {
+                    hand: [...hand],
+                    trickState,
+                    trumpSuit,
+                    playedCards: [...playedCards],
+                    partnerId: seats[(seat + 2) % 4].bot.id,
+                    isDeclaringTeam: teamIndex === declaringTeam,
+                    teamTricks: tricks[teamIndex],
+                    opponentTricks: tricks[1 - teamIndex],
+                    rules: this.rules
+                });
+
+                hand.splice(hand.findIndex(c => c.suit === card.suit && c.rank === card.rank), 1);
+                cardsPlayed.push({ playerId: bot.id, card });
+            }
+
+            const { winningPlayerId } = this.gameEngine.determineTrickWinner(cardsPlayed, trumpSuit);
+            leaderSeat = seats.findIndex(({ bot }) => bot.id === winningPlayerId);
+            tricks[seats[leaderSeat].teamIndex]++;
+            playedCards.push(...cardsPlayed.map(play => play.card));
+        }
+
+        const roundScores = this.gameEngine.calculateRoundScores({
+            declaringTeamTricks: tricks[declaringTeam],
+            challengingTeamTricks: tricks[1 - declaringTeam]
+        }, this.rules);
+
+        const points = [0, 0];
+        points[declaringTeam] = roundScores.declaringTeamScore;
+        points[1 - declaringTeam] = roundScores.challengingTeamScore;
+
+        return {
+            declaringTeam,
+            trumpSuit,
+            trumpLength,
+            tricks,
+            points,
+            madeContract: roundScores.declaringTeamMadeContract
+        };
+    }
+
+    /**
+     * Aggregate game results into per-team statistics
+     * @param {Array} results - Results from playGame
+     * @returns {Object} Statistics
+     */
+    summarize(results) {
+        const games = results.length;
+        const rounds = results.flatMap(game => game.rounds);
+        const totalRounds = rounds.length;
+        const ratio = (value, total) => total > 0 ? Number((value / total).toFixed(4)) : 0;
+
+        const teams = this.teams.map((config, teamIndex) => {
+            const declared = rounds.filter(round => round.declaringTeam === teamIndex);
+            const made = declared.filter(round => round.madeContract).length;
+            const points = rounds.reduce((sum, round) => sum + round.points[teamIndex], 0);
+            const wins = results.filter(game => game.winningTeam === teamIndex).length;
+
+            const trumpChoices = Object.fromEntries(this.gameEngine.suits.map(suit => [suit, 0]));
+            declared.forEach(round => trumpChoices[round.trumpSuit]++);
+
+            return {
+                team: `team${teamIndex + 1}`,
+                personality: config.personality,
+                difficulty: config.difficulty,
+                wins,
+                winRate: ratio(wins, games),
+                averagePointsPerRound: ratio(points, totalRounds),
+                contractsDeclared: declared.length,
+                contractsMade: made,
+                contractSuccessRate: ratio(made, declared.length),
+                averageTrumpLength: ratio(declared.reduce((sum, round) => sum + round.trumpLength, 0), declared.length),
+                trumpChoices
+            };
+        });
+
+        return {
+            seed: this.seed,
+            games,
+            rules: this.rules,
+            averageRoundsPerGame: ratio(totalRounds, games),
+            draws: results.filter(game => game.winningTeam === null).length,
+            teams
+        };
+    }
+
+    /**
+     * Format statistics as CSV with one row per team
+     * @param {Object} stats - Statistics from run
+     * @returns {string} CSV text
+     */
+    static toCsv(stats) {
+        const suits = Object.keys(stats.teams[0].trumpChoices);
+        const header = [
+            'team', 'personality', 'difficulty', 'games', 'wins', 'winRate', 'averagePointsPerRound',
+            'contractsDeclared', 'contractsMade', 'contractSuccessRate', 'averageTrumpLength',
+            ...suits.map(suit => `trump${suit}`)
+        ];
+
+        const rows = stats.teams.map(team => [
+            team.team, team.personality, team.difficulty, stats.games, team.wins, team.winRate,
+            team.averagePointsPerRound, team.contractsDeclared, team.contractsMade,
+            team.contractSuccessRate, team.averageTrumpLength,
+            ...suits.map(suit => team.trumpChoices[suit])
+        ]);
+
+        return [header, ...rows].map(row => row.join(',')).join('\n');
+    }
+}
+
+export default BotSimulator;
@@ -1,5 +1,6 @@
 import BotManager from './BotManager.js';
 import GameEngine from './GameEngine.js';
+import { SUITS } from '../../../shared/rules.js';
 // Legacy MariaDB connection removed - now using LokiJS
 // import dbConnection from '../../database/connection.js';
 
@@ -20,10 +21,17 @@ class BotTurnProcessor {
      * Check if it's a bot's turn and process automatically
      * @param {string} gameId - Game ID
      * @param {string} currentPlayerId - Current player whose turn it is
+     * @param {Object} [liveTurn] - Live game turn for a bot covering a disconnected seat
+     * @param {Object} liveTurn.gameState - Live game state holding the player's hand
+     * @param {Object} liveTurn.cardContext - Card play context for BotAI.chooseCard
      * @returns {Promise<Object|null>} Bot action result or null if not a bot
      */
-    async processBotTurnIfNeeded(gameId, currentPlayerId) {
+    async processBotTurnIfNeeded(gameId, currentPlayerId, liveTurn = null) {
         try {
+            if (liveTurn) {
+                return await this.processSubstituteTurn(gameId, currentPlayerId, liveTurn);
+            }
+
             // Check if this is a demo game
             const isDemoMode = await this.gameEngine.isDemoMode(gameId);
             if (!isDemoMode) {
@@ -81,6 +89,59 @@ class BotTurnProcessor {
         }
     }
 
+    /**
+     * Decide the move of a bot covering a disconnected player's seat in a live game.
+     * The bot plays the player's actual hand; the caller applies the move so the
+     * table sees it like any other play.
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Disconnected player's ID
+     * @param {Object} liveTurn - Live game state and card play context
+     * @returns {Promise<Object|null>} Chosen action or null if there is nothing to do
+     */
+    async processSubstituteTurn(gameId, playerId, { gameState, cardContext }) {
+        const botPlayer = BotManager.getBotPlayer(gameId, playerId);
+        const hand = gameState.players?.[playerId]?.hand || [];
+        if (!botPlayer || hand.length === 0 || this.processingQueue.get(gameId)) {
+            return null;
+        }
+
+        const phase = gameState.gamePhase || gameState.phase;
+        let actionType;
+        if (phase === 'trump_declaration' && gameState.trumpDeclarer === playerId && !gameState.trumpSuit) {
+            actionType = 'declare_trump';
+        } else if ((phase === 'playing' || (!phase && gameState.trumpSuit)) && gameState.currentTurnPlayer === playerId) {
+            actionType = 'play_card';
+        } else {
+            return null;
+        }
+
+        this.processingQueue.set(gameId, true);
+        try {
+            console.log(`[BotTurnProcessor] Bot ${botPlayer.name} is covering for player ${playerId} in game ${gameId}`);
+
+            // BotPlayer waits out its own decision delay before answering
+            if (actionType === 'declare_trump') {
+                return {
+                    actionType,
+                    playerId,
+                    playerName: botPlayer.name,
+                    trumpSuit: await botPlayer.declareTrump(hand),
+                    isBot: true
+                };
+            }
+
+            return {
+                actionType,
+                playerId,
+                playerName: botPlayer.name,
+                card: await botPlayer.playCard({ ...cardContext, hand }),
+                isBot: true
+            };
+        } finally {
+            this.processingQueue.set(gameId, false);
+        }
+    }
+
     /**
      * Determine what type of action the bot needs to take
      * @param {string} gameId - Game ID
@@ -346,8 +407,7 @@ class BotTurnProcessor {
             // Determine fallback action based on error type
             if (error.message.includes('trump')) {
                 // Trump declaration error - choose random trump
-                const trumpSuits = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-                const randomTrump = trumpSuits[Math.floor(Math.random() * trumpSuits.length)];
+                const randomTrump = SUITS[Math.floor(Math.random() * SUITS.length)];
                 
                 console.log(`[BotTurnProcessor] Bot ${botPlayer.name} fallback: choosing random trump ${randomTrump}`);
                 
@@ -1,4 +1,5 @@
 import BotManager from './BotManager.js';
+import { SUITS } from '../../../shared/rules.js';
 
 /**
  * BotWebSocketHandler manages WebSocket communication for bot players
@@ -149,8 +150,7 @@ class BotWebSocketHandler {
             if (!bot) {
                 console.error(`[BotWebSocket] Bot ${botId} not found for trump declaration`);
                 // Fallback to random trump
-                const suits = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-                return suits[Math.floor(Math.random() * suits.length)];
+                return SUITS[Math.floor(Math.random() * SUITS.length)];
             }
 
             console.log(`[BotWebSocket] Simulating trump declaration for bot ${bot.name}`);
@@ -176,8 +176,7 @@ class BotWebSocketHandler {
         } catch (error) {
             console.error(`[BotWebSocket] Error in bot trump declaration:`, error);
             // Fallback to random trump
-            const suits = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-            return suits[Math.floor(Math.random() * suits.length)];
+            return SUITS[Math.floor(Math.random() * SUITS.length)];
         }
     }
 
@@ -0,0 +1,245 @@
+/**
+ * Demo Game Service
+ * Creates demo games (one human against three bots) as regular Game records flagged
+ * is_demo_mode, so they run through the same socket engine and bot pipeline as
+ * multiplayer games and resume after a refresh or restart. Idle demo games are
+ * removed by a periodic cleanup job.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Game from '../models/Game.js';
+import GamePlayer from '../models/GamePlayer.js';
+import Team from '../models/Team.js';
+import GameRound from '../models/GameRound.js';
+import GameTrick from '../models/GameTrick.js';
+import CardPlay from '../models/CardPlay.js';
+import GameEvent from '../models/GameEvent.js';
+import User from '../models/User.js';
+import BotManager from './BotManager.js';
+import { normalizeGameRules } from '../utils/gameRules.js';
+
+const DEMO_BOT_NAMES = ['Bot Alice', 'Bot Bob', 'Bot Charlie'];
+
+// The human plays at their own pace: no trump clock and no bot taking over their seat
+const DEMO_GAME_RULES = { trumpDeclarationTimeout: 0, botSubstitutionDelay: 0 };
+
+class DemoGameService {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+
+        // Configuration
+        this.cleanupInterval = 15 * 60 * 1000; // 15 minutes
+        this.idleTimeout = 6 * 60 * 60 * 1000; // Demo games untouched for 6 hours are removed
+
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Start the periodic demo game cleanup job
+     */
+    start() {
+        if (this.cleanupTimer) {
+            return;
+        }
+
+        this.cleanupTimer = setInterval(() => {
+            this.expireDemoGames().catch(error => {
+                console.error('[DemoGame] Cleanup failed:', error.message);
+            });
+        }, this.cleanupInterval);
+
+        console.log(`[DemoGame] Cleanup job started, idle demo games expire after ${this.idleTimeout}ms`);
+    }
+
+    /**
+     * Stop the periodic demo game cleanup job
+     */
+    stop() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+    }
+
+    /**
+     * Create a demo game for a user
+     * The human seat starts disconnected; the cards are dealt once the player joins the game room.
+     * @param {string} userId - Human player's user ID
+     * @param {string} username - Human player's username
+     * @param {Object} options - Demo options
+     * @param {string} [options.botDifficulty] - Difficulty for all three bots
+     * @returns {Promise<Object>} Demo game details
+     */
+    async createDemoGame(userId, username, options = {}) {
+        const gameId = `demo_${uuidv4()}`;
+        const hostId = String(userId);
+        const rules = normalizeGameRules(DEMO_GAME_RULES);
+        const createdAt = new Date().toISOString();
+
+        const gameModel = new Game();
+        await gameModel.create({
+            game_id: gameId,
+            game_code: await Game.generateUniqueGameCode(),
+            status: 'in_progress',
+            host_id: hostId,
+            created_at: createdAt,
+            started_at: createdAt,
+            target_score: rules.targetScore,
+            rules,
+            is_demo_mode: true
+        });
+
+        const bots = BotManager.createBotsForGame(gameId, DEMO_BOT_NAMES.length, {
+            difficulty: options.botDifficulty,
+            names: DEMO_BOT_NAMES
+        });
+        await BotManager.storeBotPlayersInDatabase(gameId);
+
+        // The second bot partners the human, the other two sit between them
+        const seats = [
+            { userId: hostId, username, isBot: false, teamAssignment: 1 },
+            ...bots.map((bot, index) => ({
+                userId: bot.id,
+                username: bot.name,
+                isBot: true,
+                botDifficulty: bot.difficulty,
+                teamAssignment: index === 1 ? 1 : 2
+            }))
+        ];
+
+        const teams = {
+            team1: seats.filter(seat => seat.teamAssignment === 1).map(seat => seat.userId),
+            team2: seats.filter(seat => seat.teamAssignment === 2).map(seat => seat.userId)
+        };
+
+        const players = new Map(seats.map(seat => [seat.userId, {
+            ...seat,
+            isReady: true,
+            isConnected: seat.isBot,
+            joinedAt: createdAt
+        }]));
+
+        this.socketManager.gameRooms.set(gameId, {
+            gameId,
+            players,
+            teams,
+            createdAt,
+            startedAt: createdAt,
+            status: 'playing',
+            hostId,
+            isDemo: true
+        });
+
+        this.socketManager.gameStateManager.initializeGameState(gameId, {
+            status: 'waiting',
+            phase: 'lobby',
+            hostId,
+            isDemoMode: true,
+            players: Object.fromEntries(Array.from(players.entries()).map(([playerId, player]) => [
+                playerId,
+                { ...player, hand: [], tricksWon: 0 }
+            ])),
+            teams
+        });
+
+        console.log(`[DemoGame] Created demo game ${gameId} for user ${username} (${hostId})`);
+
+        return this.formatDemoGame(gameId, createdAt, 'ready', seats);
+    }
+
+    /**
+     * Get a demo game's details
+     * @param {string} gameId - Demo game ID
+     * @returns {Promise<Object|null>} Demo game details with hostId, or null if not found
+     */
+    async getDemoGame(gameId) {
+        const game = await new Game().findOne({ game_id: gameId });
+        if (!game || !game.is_demo_mode) {
+            return null;
+        }
+
+        const room = this.socketManager.gameRooms.get(gameId);
+        const seats = room ? Array.from(room.players.values()) : (game.live_room?.players || []);
+
+        const status = game.status === 'completed' ? 'completed' : 'ready';
+        return {
+            ...this.formatDemoGame(gameId, game.created_at, status, seats),
+            hostId: String(game.host_id)
+        };
+    }
+
+    /**
+     * Shape a demo game for the API
+     * @param {string} gameId - Demo game ID
+     * @param {string} createdAt - Creation time
+     * @param {string} status - Demo game status
+     * @param {Array} seats - Seated players in seat order
+     * @returns {Object} Demo game details
+     */
+    formatDemoGame(gameId, createdAt, status, seats) {
+        return {
+            id: gameId,
+            isDemoMode: true,
+            status,
+            players: seats.map((seat, seatPosition) => ({
+                id: seat.userId,
+                username: seat.username,
+                isBot: Boolean(seat.isBot),
+                seatPosition,
+                isReady: true
+            })),
+            createdAt
+        };
+    }
+
+    /**
+     * Remove demo games that have not been updated within the idle timeout
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Promise<Array<string>>} IDs of removed demo games
+     */
+    async expireDemoGames(now = Date.now()) {
+        const cutoff = new Date(now - this.idleTimeout).toISOString();
+        const demoGames = await new Game().find({ is_demo_mode: true });
+        const expiredIds = demoGames
+            .filter(game => (game.updated_at || game.created_at) < cutoff)
+            .map(game => game.game_id);
+
+        for (const gameId of expiredIds) {
+            await this.deleteDemoGame(gameId);
+        }
+
+        if (expiredIds.length > 0) {
+            console.log(`[DemoGame] Expired ${expiredIds.length} idle demo games`);
+        }
+        return expiredIds;
+    }
+
+    /**
+     * Delete a demo game, its live state and its bot users
+     * @param {string} gameId - Demo game ID
+     */
+    async deleteDemoGame(gameId) {
+        const game = await new Game().findOne({ game_id: gameId });
+        const gamePlayers = await new GamePlayer().find({ game_id: gameId });
+        const playerIds = new Set([
+            ...gamePlayers.map(player => player.user_id),
+            ...(game?.live_room?.players || []).map(player => player.userId)
+        ]);
+
+        this.socketManager.clearTurnTimer(gameId);
+        this.socketManager.gameStateManager.cleanupGameState(gameId);
+        this.socketManager.gameRooms.delete(gameId);
+        BotManager.clearGameBots(gameId);
+
+        // Bot users only exist for their game
+        await new User().deleteMany({ user_id: { $in: Array.from(playerIds) }, is_bot: true });
+
+        for (const Model of [CardPlay, GameTrick, GameRound, GameEvent, Team, GamePlayer, Game]) {
+            await new Model().deleteMany({ game_id: gameId });
+        }
+
+        console.log(`[DemoGame] Deleted demo game ${gameId}`);
+    }
+}
+
+export default DemoGameService;
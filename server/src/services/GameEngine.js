@@ -1,4 +1,11 @@
 import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_GAME_RULES, normalizeGameRules } from '../utils/gameRules.js';
+import { generateDealSeed, hashDealSeed, verifyDealSeed, createSeededRandom } from '../utils/dealSeed.js';
+import {
+    SUITS, RANKS, CARD_VALUES, createDeck, shuffleDeck, dealHands, needsRedeal,
+    isSameCard, getLeadSuit, isValidPlay, determineTrickWinner, calculateRoundScores, getNextRoundSeats, isGameOver,
+    getGameWinner
+} from '../../../shared/rules.js';
 // Legacy MariaDB connection removed - now using LokiJS
 // import dbConnection from '../../database/connection.js';
 
@@ -10,15 +17,10 @@ import { v4 as uuidv4 } from 'uuid';
  */
 class GameEngine {
     constructor() {
-        // Define the 32-card deck (7 through Ace)
-        this.suits = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-        this.ranks = ['7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-
-        // Card values for comparison (higher value wins)
-        this.cardValues = {
-            '7': 7, '8': 8, '9': 9, '10': 10,
-            'J': 11, 'Q': 12, 'K': 13, 'A': 14
-        };
+        // The 32-card deck (7 through Ace) comes from the shared rules
+        this.suits = SUITS;
+        this.ranks = RANKS;
+        this.cardValues = CARD_VALUES;
     }
 
     /**
@@ -43,6 +45,44 @@ class GameEngine {
         }
     }
 
+    /**
+     * Get the house rules a game is played with
+     * Games created before rules were configurable play the standard rules
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object>} Complete rules configuration
+     */
+    async getGameRules(gameId) {
+        try {
+            const { default: Game } = await import('../models/Game.js');
+            const game = await new Game().findById(gameId);
+
+            if (!game) {
+                return { ...DEFAULT_GAME_RULES };
+            }
+
+            return normalizeGameRules({ ...game.rules, targetScore: game.target_score });
+        } catch (error) {
+            console.error('[GameEngine] Get game rules error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Append an event to the game's replay log
+     * Logging failures are reported but never interrupt play
+     * @param {string} gameId - Game ID
+     * @param {string} eventType - Event type
+     * @param {Object} details - Optional roundId, trickId, playerId and event data
+     */
+    async recordGameEvent(gameId, eventType, details = {}) {
+        try {
+            const { default: GameEvent } = await import('../models/GameEvent.js');
+            await GameEvent.record(gameId, eventType, details);
+        } catch (error) {
+            console.warn(`[GameEngine] Failed to record ${eventType} event for game ${gameId}:`, error.message);
+        }
+    }
+
     /**
      * Initialize demo game with 1 human player and 3 bots
      * @param {string} gameId - Game ID
@@ -64,7 +104,7 @@ class GameEngine {
             const gameModel = new Game();
             const game = await gameModel.findOne({ game_id: gameId });
             if (game) {
-                await game.update({ is_demo_mode: true });
+                await gameModel.updateById(gameId, { is_demo_mode: true });
             }
 
             // Verify all players are properly set up in game_players table
@@ -241,36 +281,17 @@ class GameEngine {
      * @returns {Array} Array of card objects with suit and rank
      */
     generateDeck() {
-        const deck = [];
-        for (const suit of this.suits) {
-            for (const rank of this.ranks) {
-                deck.push({
-                    suit,
-                    rank,
-                    value: this.cardValues[rank]
-                });
-            }
-        }
-        return deck;
+        return createDeck();
     }
 
     /**
      * Shuffle deck using Fisher-Yates algorithm with enhanced randomization
      * @param {Array} deck - Array of cards to shuffle
+     * @param {Function} random - Random number source, seeded for reproducible deals
      * @returns {Array} Shuffled deck
      */
-    shuffleDeck(deck) {
-        const shuffled = [...deck];
-
-        // Multiple shuffle passes for better randomization
-        for (let pass = 0; pass < 3; pass++) {
-            for (let i = shuffled.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-            }
-        }
-
-        return shuffled;
+    shuffleDeck(deck, random = Math.random) {
+        return shuffleDeck(deck, random);
     }
 
     /**
@@ -280,11 +301,8 @@ class GameEngine {
      */
     validateHandDistribution(playerHands) {
         for (const [playerId, hand] of Object.entries(playerHands)) {
-            const aces = hand.filter(card => card.rank === 'A').length;
-            const sevens = hand.filter(card => card.rank === '7').length;
-
-            if (aces >= 3 || sevens >= 3) {
-                console.log(`[GameEngine] Invalid hand for player ${playerId}: ${aces} Aces, ${sevens} 7s - reshuffling required`);
+            if (needsRedeal(hand)) {
+                console.log(`[GameEngine] Invalid hand for player ${playerId}: 3+ Aces or 7s - reshuffling required`);
                 return false;
             }
         }
@@ -317,9 +335,13 @@ class GameEngine {
      * Deal all 32 cards (8 each) with validation and automatic reshuffling
      * @param {Array} players - Array of player objects
      * @param {number} maxAttempts - Maximum reshuffling attempts
+     * @param {boolean} redealRule - Redeal hands with 3+ Aces or 7s (house rules may turn this off)
+     * @param {string} seed - Deal seed; redeals keep drawing from the same seeded sequence
+     * @param {Function} random - Random number source, seeded from the deal seed when one is given
      * @returns {Object} Valid full player hands
      */
-    dealAllCardsWithValidation(players, maxAttempts = 10) {
+    dealAllCardsWithValidation(players, maxAttempts = 10, redealRule = true, seed = null,
+        random = seed ? createSeededRandom(seed) : Math.random) {
         let attempts = 0;
 
         while (attempts < maxAttempts) {
@@ -327,19 +349,14 @@ class GameEngine {
 
             // Generate and shuffle deck
             const deck = this.generateDeck();
-            const shuffledDeck = this.shuffleDeck(deck);
+            const shuffledDeck = this.shuffleDeck(deck, random);
 
             // Deal all 32 cards (8 each)
-            const fullPlayerHands = {};
-            let cardIndex = 0;
-
-            for (const player of players) {
-                fullPlayerHands[player.user_id] = shuffledDeck.slice(cardIndex, cardIndex + 8);
-                cardIndex += 8;
-            }
+            const hands = dealHands(shuffledDeck, players.length);
+            const fullPlayerHands = Object.fromEntries(players.map((player, seat) => [player.user_id, hands[seat]]));
 
             // Validate hand distribution (no 3+ Aces or 7s)
-            if (!this.validateHandDistribution(fullPlayerHands)) {
+            if (redealRule && !this.validateHandDistribution(fullPlayerHands)) {
                 console.log(`[GameEngine] Attempt ${attempts}: Invalid hand distribution, reshuffling...`);
                 continue;
             }
@@ -358,17 +375,28 @@ class GameEngine {
     /**
      * Deal all 32 cards (8 each) with validation, then split into initial 4 and remaining 4
      * @param {string} gameId - Game ID
-     * @returns {Object} Object containing initial hands and remaining cards
+     * @param {Object} options - Deal options
+     * @param {number} options.roundNumber - Round being dealt, used to pick rematch seeds
+     * @param {string} options.seed - Deal seed to use instead of a new secret one
+     * @returns {Object} Object containing initial hands, remaining cards and the deal seed
      */
-    async dealInitialCards(gameId) {
+    async dealInitialCards(gameId, options = {}) {
         try {
+            const { roundNumber = 1 } = options;
             const players = await this.getGamePlayers(gameId);
             if (players.length !== 4) {
                 throw new Error('Game must have exactly 4 players');
             }
 
+            // Rematches replay the seeds of the original game, round by round
+            const rematchDeal = options.seed ? null : await this.getRematchDeal(gameId, roundNumber);
+            const dealSeed = options.seed || rematchDeal?.seed || generateDealSeed();
+            const dealSeedHash = hashDealSeed(dealSeed);
+            const seatOffset = rematchDeal?.seatOffset || 0;
+
             // Deal all 32 cards (8 each) with validation
-            const fullDealResult = this.dealAllCardsWithValidation(players);
+            const rules = await this.getGameRules(gameId);
+            const fullDealResult = this.dealAllCardsWithValidation(this.rotateSeats(players, seatOffset), 10, rules.redealRule, dealSeed);
             const { fullPlayerHands, attempts } = fullDealResult;
 
             // Split into initial 4 and remaining 4 for each player
@@ -397,13 +425,21 @@ class GameEngine {
 
             console.log(`[GameEngine] Dealt initial 4 cards to each player in game ${gameId} (${attempts} shuffle attempts)`);
 
+            // Log the full 8 card hands so replays can show every hand from the start
+            await this.recordGameEvent(gameId, 'deal', {
+                data: { hands: fullPlayerHands, attempts, dealSeedHash }
+            });
+
             const { dealerUserId, firstPlayerUserId } = await this.determineDealerAndFirstPlayer(gameId, players);
 
             return {
                 playerHands: initialHands,
                 remainingDeck: [], // No longer needed but kept for compatibility
                 dealerUserId,
-                firstPlayerUserId
+                firstPlayerUserId,
+                dealSeed,
+                dealSeedHash,
+                seatOffset
             };
         } catch (error) {
             console.error('[GameEngine] Deal initial cards error:', error.message);
@@ -411,6 +447,99 @@ class GameEngine {
         }
     }
 
+    /**
+     * Get the deal a rematch should reuse for a round
+     * @param {string} gameId - Game ID
+     * @param {number} roundNumber - Round number
+     * @returns {Promise<Object|null>} Seed from the original game and the seats its hands move, or null to deal fresh cards
+     */
+    async getRematchDeal(gameId, roundNumber) {
+        try {
+            const { default: Game } = await import('../models/Game.js');
+            const game = await new Game().findById(gameId);
+            const seed = game?.deal_seeds?.[roundNumber - 1];
+            return seed ? { seed, seatOffset: game.deal_seat_offsets?.[roundNumber - 1] || 0 } : null;
+        } catch (error) {
+            console.error('[GameEngine] Get rematch deal error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get the deals of a game's completed rounds for the room's next game to replay
+     * Every hand moves one seat clockwise from where it was last played, so each
+     * partnership plays the cards the other side held.
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object>} Deal seeds in round order and the seats each deal's hands move
+     */
+    async getDealSeeds(gameId) {
+        try {
+            const { default: Game } = await import('../models/Game.js');
+            const { default: GameRound } = await import('../models/GameRound.js');
+            const game = await new Game().findById(gameId);
+            if (!game) {
+                return { dealSeeds: [], seatOffsets: [] };
+            }
+
+            // Rooms reuse their game record, so only the last game's rounds are replayed
+            const rounds = (await GameRound.findByGameId(gameId))
+                .filter(round => this.isFromCurrentGame(round, game))
+                .filter(round => round.round_completed_at && round.deal_seed);
+
+            return {
+                dealSeeds: rounds.map(round => round.deal_seed),
+                seatOffsets: rounds.map(round => (round.deal_seat_offset + 1) % 4)
+            };
+        } catch (error) {
+            console.error('[GameEngine] Get deal seeds error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn the seating so each player is dealt the hand of the player seatOffset seats before them
+     * @param {Array} players - Players in seat order
+     * @param {number} seatOffset - Seats each hand moves clockwise
+     * @returns {Array} Players in dealing order
+     */
+    rotateSeats(players, seatOffset = 0) {
+        const offset = seatOffset % players.length;
+        return [...players.slice(offset), ...players.slice(0, offset)];
+    }
+
+    /**
+     * Rebuild a deal from its revealed seed
+     * @param {string} dealSeed - Revealed deal seed
+     * @param {Array} playerIds - Player IDs in seat order
+     * @param {boolean} redealRule - Whether the game redealt hands with 3+ Aces or 7s
+     * @param {number} seatOffset - Seats each hand moved clockwise when the seed was replayed
+     * @returns {Object} Full 8 card hands keyed by player ID
+     */
+    rebuildDeal(dealSeed, playerIds, redealRule = true, seatOffset = 0) {
+        const players = this.rotateSeats(playerIds.map(userId => ({ user_id: userId })), seatOffset);
+        return this.dealAllCardsWithValidation(players, 10, redealRule, dealSeed).fullPlayerHands;
+    }
+
+    /**
+     * Compare two deals card by card
+     * @param {Object} dealA - Hands keyed by player ID
+     * @param {Object} dealB - Hands keyed by player ID
+     * @returns {boolean} True if every player holds the same cards in the same order
+     */
+    isSameDeal(dealA, dealB) {
+        const playerIds = Object.keys(dealA);
+        if (playerIds.length !== Object.keys(dealB).length) {
+            return false;
+        }
+
+        return playerIds.every(playerId => {
+            const handA = dealA[playerId] || [];
+            const handB = dealB[playerId] || [];
+            return handA.length === handB.length &&
+                handA.every((card, index) => card.suit === handB[index].suit && card.rank === handB[index].rank);
+        });
+    }
+
     /**
      * Determine dealer and first player (trump declarer) with bot validation
      * Ensures that when there are bots in the room, the trump declarer is always a human player
@@ -506,35 +635,6 @@ class GameEngine {
         }
     }
 
-    /**
-     * Get next dealer for a new round (rotates clockwise)
-     * @param {string} gameId - Game ID
-     * @param {string} currentDealerId - Current dealer's user ID
-     * @returns {Object} Next dealer and first player info
-     */
-    async getNextDealer(gameId, currentDealerId) {
-        try {
-            const players = await this.getGamePlayers(gameId);
-            const currentDealerIndex = players.findIndex(p => p.user_id === currentDealerId);
-
-            if (currentDealerIndex === -1) {
-                throw new Error('Current dealer not found in game');
-            }
-
-            // Next dealer is clockwise (next index, wrapping around)
-            const nextDealerIndex = (currentDealerIndex + 1) % players.length;
-            const firstPlayerIndex = (nextDealerIndex + 1) % players.length;
-
-            return {
-                dealerUserId: players[nextDealerIndex].user_id,
-                firstPlayerUserId: players[firstPlayerIndex].user_id
-            };
-        } catch (error) {
-            console.error('[GameEngine] Get next dealer error:', error.message);
-            throw error;
-        }
-    }
-
     /**
      * Get game players in seat order
      * @param {string} gameId - Game ID
@@ -586,9 +686,10 @@ class GameEngine {
      * @param {number} roundNumber - Round number
      * @param {string} dealerUserId - Dealer's user ID
      * @param {string} firstPlayerUserId - First player's user ID
+     * @param {Object} deal - Deal result carrying the secret dealSeed and its dealSeedHash
      * @returns {string} Round ID
      */
-    async createGameRound(gameId, roundNumber, dealerUserId, firstPlayerUserId) {
+    async createGameRound(gameId, roundNumber, dealerUserId, firstPlayerUserId, deal = {}) {
         try {
             const roundId = uuidv4();
 
@@ -605,10 +706,26 @@ class GameEngine {
                 declaring_team_id: null,
                 declaring_team_tricks_won: 0,
                 challenging_team_tricks_won: 0,
+                deal_seed: deal.dealSeed || null,
+                deal_seed_hash: deal.dealSeedHash || null,
+                deal_seat_offset: deal.seatOffset || 0,
                 round_completed_at: null,
                 created_at: new Date().toISOString()
             });
 
+            // Only the hash goes out now, the seed is revealed when the round completes
+            await this.recordGameEvent(gameId, 'round_started', {
+                roundId,
+                playerId: firstPlayerUserId,
+                data: {
+                    roundNumber,
+                    dealerUserId,
+                    firstPlayerUserId,
+                    dealSeedHash: deal.dealSeedHash || null,
+                    dealSeatOffset: deal.seatOffset || 0
+                }
+            });
+
             console.log(`[GameEngine] Created round ${roundNumber} for game ${gameId}`);
             return roundId;
         } catch (error) {
@@ -697,6 +814,12 @@ class GameEngine {
             const declaringTeam = teams.find(t => t.team_id === declaringTeamId);
             const challengingTeam = teams.find(t => t.team_id !== declaringTeamId);
 
+            await this.recordGameEvent(gameId, 'trump_declared', {
+                roundId,
+                playerId,
+                data: { trumpSuit, declaringTeamId }
+            });
+
             console.log(`[GameEngine] Trump declared: ${trumpSuit} by player ${playerId} in game ${gameId}`);
 
             return {
@@ -724,20 +847,28 @@ class GameEngine {
     /**
      * Validate trump declaration timeout
      * @param {string} roundId - Round ID
-     * @param {number} timeoutSeconds - Timeout in seconds (default 30)
+     * @param {number} timeoutSeconds - Timeout in seconds (defaults to the game's rules)
      * @returns {boolean} True if declaration is within timeout
      */
-    async validateTrumpTimeout(roundId, timeoutSeconds = 30) {
+    async validateTrumpTimeout(roundId, timeoutSeconds = null) {
         try {
-            const roundResult = dbConnection.query(`
-                SELECT created_at FROM game_rounds WHERE round_id = ?
-            `, [roundId]);
+            const { default: GameRound } = await import('../models/GameRound.js');
+            const round = await GameRound.findById(roundId);
 
-            if (roundResult.length === 0) {
+            if (!round) {
                 return false;
             }
 
-            const roundCreated = new Date(roundResult[0].created_at);
+            if (timeoutSeconds === null) {
+                timeoutSeconds = (await this.getGameRules(round.game_id)).trumpDeclarationTimeout;
+            }
+
+            // A timeout of zero means the house plays without one
+            if (!timeoutSeconds) {
+                return true;
+            }
+
+            const roundCreated = new Date(round.created_at);
             const now = new Date();
             const elapsedSeconds = (now - roundCreated) / 1000;
 
@@ -757,18 +888,16 @@ class GameEngine {
     async handleTrumpTimeout(gameId, roundId) {
         try {
             // Check if trump is already declared
-            const roundResult = await dbConnection.query(`
-                SELECT trump_suit, first_player_user_id FROM game_rounds 
-                WHERE round_id = ?
-            `, [roundId]);
+            const { default: GameRound } = await import('../models/GameRound.js');
+            const round = await GameRound.findById(roundId);
 
-            if (roundResult.length === 0 || roundResult[0].trump_suit) {
+            if (!round || round.trump_suit) {
                 throw new Error('Round not found or trump already declared');
             }
 
             // Auto-assign random trump suit
             const randomTrumpSuit = this.suits[Math.floor(Math.random() * this.suits.length)];
-            const firstPlayerId = roundResult[0].first_player_user_id;
+            const firstPlayerId = round.first_player_user_id;
 
             console.log(`[GameEngine] Trump declaration timeout, auto-assigning ${randomTrumpSuit} in game ${gameId}`);
 
@@ -800,6 +929,105 @@ class GameEngine {
         }
     }
 
+    /**
+     * Create team records for a game and seat partners opposite each other
+     * Seats alternate between teams (1: team1, 2: team2, 3: team1, 4: team2) so
+     * clockwise turn order always passes between the two partnerships.
+     * @param {string} gameId - Game ID
+     * @param {Object} teams - Player IDs per team ({ team1: [], team2: [] })
+     * @returns {Array} Array of team objects
+     */
+    async assignTeams(gameId, teams) {
+        try {
+            if (teams.team1?.length !== 2 || teams.team2?.length !== 2) {
+                throw new Error('Both teams must have exactly 2 players');
+            }
+
+            const { default: Team } = await import('../models/Team.js');
+            const { default: GamePlayer } = await import('../models/GamePlayer.js');
+            const teamModel = new Team();
+            const gamePlayerModel = new GamePlayer();
+
+            const existingTeams = await this.getGameTeams(gameId);
+            const teamIds = {};
+
+            for (const teamNumber of [1, 2]) {
+                const [player1Id, player2Id] = teams[`team${teamNumber}`];
+                const existingTeam = existingTeams.find(t => t.team_number === teamNumber);
+
+                if (existingTeam) {
+                    await teamModel.updateById(existingTeam.team_id, {
+                        player1_id: player1Id,
+                        player2_id: player2Id
+                    });
+                    teamIds[teamNumber] = existingTeam.team_id;
+                } else {
+                    const created = await teamModel.create({
+                        team_id: uuidv4(),
+                        game_id: gameId,
+                        team_number: teamNumber,
+                        current_score: 0,
+                        player1_id: player1Id,
+                        player2_id: player2Id
+                    });
+                    teamIds[teamNumber] = created.team_id;
+                }
+            }
+
+            const seating = [
+                [teams.team1[0], 1], [teams.team2[0], 2],
+                [teams.team1[1], 1], [teams.team2[1], 2]
+            ];
+
+            for (const [index, [userId, teamNumber]] of seating.entries()) {
+                await gamePlayerModel.updateMany(
+                    { game_id: gameId, user_id: userId },
+                    { team_id: teamIds[teamNumber], seat_position: index + 1 }
+                );
+            }
+
+            console.log(`[GameEngine] Assigned teams for game ${gameId}`);
+            return await this.getGameTeams(gameId);
+        } catch (error) {
+            console.error('[GameEngine] Assign teams error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Reopen a room's game record for the room's next game
+     * Live games share their ID with the room, so the last game's result and team
+     * scores are cleared before the room plays again.
+     * @param {string} gameId - Game ID
+     * @returns {Promise<boolean>} True if a finished game was reopened
+     */
+    async restartRoomGame(gameId) {
+        try {
+            const { default: Game } = await import('../models/Game.js');
+            const { default: Team } = await import('../models/Team.js');
+            const gameModel = new Game();
+
+            const game = await gameModel.findById(gameId);
+            if (!game || game.status === 'in_progress') {
+                return false;
+            }
+
+            await gameModel.updateById(gameId, {
+                status: 'in_progress',
+                started_at: new Date().toISOString(),
+                completed_at: null,
+                winning_team_id: null
+            });
+            await new Team().updateMany({ game_id: gameId }, { current_score: 0 });
+
+            console.log(`[GameEngine] Reopened game ${gameId} for the room's next game`);
+            return true;
+        } catch (error) {
+            console.error('[GameEngine] Restart room game error:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get current round information
      * @param {string} gameId - Game ID
@@ -861,57 +1089,35 @@ class GameEngine {
     async validateCardPlay(gameId, roundId, trickId, playerId, card) {
         try {
             // Get player's current hand
-            const handResult = await dbConnection.query(`
-                SELECT current_hand FROM game_players 
-                WHERE game_id = ? AND user_id = ?
-            `, [gameId, playerId]);
+            const { default: GamePlayer } = await import('../models/GamePlayer.js');
+            const gamePlayer = await GamePlayer.findByGameAndUser(gameId, playerId);
 
-            if (handResult.length === 0) {
+            if (!gamePlayer) {
                 return { isValid: false, reason: 'Player not found in game' };
             }
 
-            const playerHand = JSON.parse(handResult[0].current_hand || '[]');
+            const playerHand = gamePlayer.current_hand || [];
 
             // Check if player has the card
-            const hasCard = playerHand.some(c => c.suit === card.suit && c.rank === card.rank);
+            const hasCard = playerHand.some(c => isSameCard(c, card));
             if (!hasCard) {
                 return { isValid: false, reason: 'Player does not have this card' };
             }
 
             // Get trick information
-            const trickResult = await dbConnection.query(`
-                SELECT cards_played, leading_player_id FROM game_tricks 
-                WHERE trick_id = ?
-            `, [trickId]);
+            const { default: GameTrick } = await import('../models/GameTrick.js');
+            const trick = await GameTrick.findById(trickId);
 
-            if (trickResult.length === 0) {
+            if (!trick || trick.round_id !== roundId) {
                 return { isValid: false, reason: 'Trick not found' };
             }
 
-            const cardsPlayed = JSON.parse(trickResult[0].cards_played || '[]');
-
-            // If this is the first card of the trick, any card is valid
-            if (cardsPlayed.length === 0) {
-                return { isValid: true };
-            }
-
-            // Get trump suit for this round
-            const roundResult = await dbConnection.query(`
-                SELECT trump_suit FROM game_rounds WHERE round_id = ?
-            `, [roundId]);
-
-            const trumpSuit = roundResult[0]?.trump_suit;
-            const leadSuit = cardsPlayed[0].card.suit;
-
-            // Check suit-following rules
-            const playerSuitCards = playerHand.filter(c => c.suit === leadSuit);
-
-            // Must follow suit if possible
-            if (playerSuitCards.length > 0 && card.suit !== leadSuit) {
+            // Must follow suit if possible; leading or void in the lead suit, any card is valid
+            const leadSuit = getLeadSuit(trick.cards_played);
+            if (!isValidPlay(playerHand, card, leadSuit)) {
                 return { isValid: false, reason: 'Must follow suit when possible' };
             }
 
-            // If can't follow suit, can play trump or any other card
             return { isValid: true };
         } catch (error) {
             console.error('[GameEngine] Validate card play error:', error.message);
@@ -926,9 +1132,10 @@ class GameEngine {
      * @param {string} trickId - Trick ID
      * @param {string} playerId - Player playing the card
      * @param {Object} card - Card being played
+     * @param {Object} options - Round completion options passed through to completeRound
      * @returns {Object} Play result
      */
-    async playCard(gameId, roundId, trickId, playerId, card) {
+    async playCard(gameId, roundId, trickId, playerId, card, options = {}) {
         try {
             // Validate demo game operation
             const isValidOperation = await this.validateDemoGameOperation(gameId, 'play_card');
@@ -936,6 +1143,19 @@ class GameEngine {
                 throw new Error('Play card operation not allowed in current game mode');
             }
 
+            // No cards may be played until trump has been declared for the round
+            const { default: GameRound } = await import('../models/GameRound.js');
+            const round = await GameRound.findById(roundId);
+            if (!round || !round.trump_suit) {
+                throw new Error('Trump must be declared before playing cards');
+            }
+
+            // Turn validation first so out-of-turn plays are reported as such
+            const turnValidation = await this.validatePlayerTurn(gameId, trickId, playerId);
+            if (!turnValidation.isValid) {
+                throw new Error(turnValidation.reason);
+            }
+
             // Comprehensive validation
             const validation = await this.validateCardPlay(gameId, roundId, trickId, playerId, card);
             if (!validation.isValid) {
@@ -949,24 +1169,14 @@ class GameEngine {
                 console.log(`[GameEngine] Card play in demo game ${gameId} by ${isBot ? 'bot' : 'human'} player ${playerId}: ${card.rank} of ${card.suit}`);
             }
 
-            // Additional turn validation
-            const turnValidation = await this.validatePlayerTurn(gameId, trickId, playerId);
-            if (!turnValidation.isValid) {
-                throw new Error(turnValidation.reason);
-            }
-
             // Get current trick state
-            const trickResult = await dbConnection.query(`
-                SELECT cards_played, leading_player_id FROM game_tricks WHERE trick_id = ?
-            `, [trickId]);
+            const { default: GameTrick } = await import('../models/GameTrick.js');
+            const trick = await GameTrick.findById(trickId);
 
-            if (trickResult.length === 0) {
+            if (!trick) {
                 throw new Error('Trick not found');
             }
 
-            const cardsPlayed = JSON.parse(trickResult[0].cards_played || '[]');
-            const leadingPlayerId = trickResult[0].leading_player_id;
-
             // Ensure card has proper value for comparison
             const cardWithValue = {
                 ...card,
@@ -978,35 +1188,46 @@ class GameEngine {
                 playerId,
                 card: cardWithValue,
                 playedAt: new Date().toISOString(),
-                position: cardsPlayed.length // 0-3 for play order
+                position: trick.cards_played.length // 0-3 for play order
             };
 
-            cardsPlayed.push(playedCard);
+            const cardsPlayed = [...trick.cards_played, playedCard];
 
             // Update trick with new card
-            await dbConnection.query(`
-                UPDATE game_tricks SET cards_played = ? WHERE trick_id = ?
-            `, [JSON.stringify(cardsPlayed), trickId]);
+            await trick.updateById(trickId, { cards_played: cardsPlayed });
 
-            // Remove card from player's hand
-            const handResult = await dbConnection.query(`
-                SELECT current_hand FROM game_players 
-                WHERE game_id = ? AND user_id = ?
-            `, [gameId, playerId]);
+            // Record the individual play
+            const { default: CardPlay } = await import('../models/CardPlay.js');
+            await new CardPlay().create({
+                play_id: uuidv4(),
+                game_id: gameId,
+                round_id: roundId,
+                trick_id: trickId,
+                player_id: playerId,
+                card: cardWithValue,
+                play_order: playedCard.position,
+                played_at: playedCard.playedAt
+            });
 
-            const playerHand = JSON.parse(handResult[0].current_hand || '[]');
-            const updatedHand = playerHand.filter(c => !(c.suit === card.suit && c.rank === card.rank));
+            await this.recordGameEvent(gameId, 'card_played', {
+                roundId,
+                trickId,
+                playerId,
+                data: { card: cardWithValue, playOrder: playedCard.position, trickNumber: trick.trick_number }
+            });
 
-            await dbConnection.query(`
-                UPDATE game_players SET current_hand = ? 
-                WHERE game_id = ? AND user_id = ?
-            `, [JSON.stringify(updatedHand), gameId, playerId]);
+            // Remove card from player's hand
+            const { default: GamePlayer } = await import('../models/GamePlayer.js');
+            const gamePlayer = await GamePlayer.findByGameAndUser(gameId, playerId);
+            const updatedHand = (gamePlayer.current_hand || []).filter(c => !(c.suit === card.suit && c.rank === card.rank));
+
+            await gamePlayer.updateById(gamePlayer.game_player_id, { current_hand: updatedHand });
 
             console.log(`[GameEngine] Player ${playerId} played ${card.rank} of ${card.suit} in trick ${trickId} (${cardsPlayed.length}/4 cards)`);
 
             // Check if trick is complete (4 cards played)
             if (cardsPlayed.length === 4) {
-                const trickResult = await this.completeTrick(gameId, roundId, trickId);
+                const trickResult = await this.completeTrick(gameId, roundId, trickId, options);
                 return {
                     ...trickResult,
                     cardPlayed: cardWithValue,
@@ -1053,16 +1274,19 @@ class GameEngine {
     async validatePlayerTurn(gameId, trickId, playerId) {
         try {
             // Get trick information
-            const trickResult = await dbConnection.query(`
-                SELECT cards_played, leading_player_id FROM game_tricks WHERE trick_id = ?
-            `, [trickId]);
+            const { default: GameTrick } = await import('../models/GameTrick.js');
+            const trick = await GameTrick.findById(trickId);
 
-            if (trickResult.length === 0) {
+            if (!trick) {
                 return { isValid: false, reason: 'Trick not found' };
             }
 
-            const cardsPlayed = JSON.parse(trickResult[0].cards_played || '[]');
-            const leadingPlayerId = trickResult[0].leading_player_id;
+            if (trick.completed_at) {
+                return { isValid: false, reason: 'Trick has already been completed' };
+            }
+
+            const cardsPlayed = trick.cards_played;
+            const leadingPlayerId = trick.leading_player_id;
 
             // If no cards played yet, only the leading player can play
             if (cardsPlayed.length === 0) {
@@ -1122,10 +1346,14 @@ class GameEngine {
      */
     getErrorCode(message) {
         if (message.includes('Must follow suit')) return 'SUIT_FOLLOWING_VIOLATION';
-        if (message.includes('not your turn')) return 'TURN_VIOLATION';
+        if (message.toLowerCase().includes('not your turn')) return 'TURN_VIOLATION';
+        if (message.includes('Only the leading player')) return 'TURN_VIOLATION';
         if (message.includes('does not have this card')) return 'CARD_NOT_IN_HAND';
         if (message.includes('already played')) return 'ALREADY_PLAYED';
         if (message.includes('Trick not found')) return 'TRICK_NOT_FOUND';
+        if (message.includes('Trump must be declared')) return 'TRUMP_NOT_DECLARED';
+        if (message.includes('another player')) return 'PLAYER_MISMATCH';
+        if (message.includes('Player not found in game')) return 'PLAYER_NOT_IN_GAME';
         return 'UNKNOWN_ERROR';
     }
 
@@ -1140,37 +1368,11 @@ class GameEngine {
             throw new Error('Trick must have exactly 4 cards to determine winner');
         }
 
-        const leadSuit = cardsPlayed[0].card.suit;
-        let winningCard = cardsPlayed[0];
-
-        for (let i = 1; i < cardsPlayed.length; i++) {
-            const currentCard = cardsPlayed[i];
-
-            // Trump beats non-trump
-            if (currentCard.card.suit === trumpSuit && winningCard.card.suit !== trumpSuit) {
-                winningCard = currentCard;
-            }
-            // Higher trump beats lower trump
-            else if (currentCard.card.suit === trumpSuit && winningCard.card.suit === trumpSuit) {
-                if (currentCard.card.value > winningCard.card.value) {
-                    winningCard = currentCard;
-                }
-            }
-            // Higher card of lead suit beats lower (if no trump involved)
-            else if (currentCard.card.suit === leadSuit && winningCard.card.suit === leadSuit) {
-                if (currentCard.card.value > winningCard.card.value) {
-                    winningCard = currentCard;
-                }
-            }
-            // Lead suit beats off-suit (if no trump involved)
-            else if (currentCard.card.suit === leadSuit && winningCard.card.suit !== leadSuit && winningCard.card.suit !== trumpSuit) {
-                winningCard = currentCard;
-            }
-        }
+        const winningPlay = determineTrickWinner(cardsPlayed, trumpSuit);
 
         return {
-            winningPlayerId: winningCard.playerId,
-            winningCard: winningCard.card
+            winningPlayerId: winningPlay.playerId,
+            winningCard: winningPlay.card
         };
     }
 
@@ -1179,60 +1381,76 @@ class GameEngine {
      * @param {string} gameId - Game ID
      * @param {string} roundId - Round ID
      * @param {string} trickId - Trick ID
+     * @param {Object} options - Round completion options passed through to completeRound
      * @returns {Object} Completed trick result
      */
-    async completeTrick(gameId, roundId, trickId) {
+    async completeTrick(gameId, roundId, trickId, options = {}) {
         try {
+            const { default: GameTrick } = await import('../models/GameTrick.js');
+            const { default: GameRound } = await import('../models/GameRound.js');
+            const { default: GamePlayer } = await import('../models/GamePlayer.js');
+
             // Get trick and round information
-            const [trickResult, roundResult] = await Promise.all([
-                dbConnection.query(`SELECT cards_played FROM game_tricks WHERE trick_id = ?`, [trickId]),
-                dbConnection.query(`SELECT trump_suit FROM game_rounds WHERE round_id = ?`, [roundId])
+            const [trick, round] = await Promise.all([
+                GameTrick.findById(trickId),
+                GameRound.findById(roundId)
             ]);
 
-            const cardsPlayed = JSON.parse(trickResult[0].cards_played);
-            const trumpSuit = roundResult[0].trump_suit;
+            if (!trick || !round) {
+                throw new Error('Trick not found');
+            }
+
+            const cardsPlayed = trick.cards_played;
+            const trumpSuit = round.trump_suit;
 
             // Determine trick winner
             const winner = this.determineTrickWinner(cardsPlayed, trumpSuit);
 
             // Update trick with winner and completion time
-            await dbConnection.query(`
-                UPDATE game_tricks 
-                SET winning_player_id = ?, completed_at = NOW() 
-                WHERE trick_id = ?
-            `, [winner.winningPlayerId, trickId]);
+            await trick.updateById(trickId, {
+                winning_player_id: winner.winningPlayerId,
+                completed_at: new Date().toISOString()
+            });
 
             // Update player's tricks won count
-            await dbConnection.query(`
-                UPDATE game_players 
-                SET tricks_won_current_round = tricks_won_current_round + 1 
-                WHERE game_id = ? AND user_id = ?
-            `, [gameId, winner.winningPlayerId]);
+            const winningPlayer = await GamePlayer.findByGameAndUser(gameId, winner.winningPlayerId);
+            await winningPlayer.updateById(winningPlayer.game_player_id, {
+                tricks_won_current_round: (winningPlayer.tricks_won_current_round || 0) + 1
+            });
+
+            await this.recordGameEvent(gameId, 'trick_won', {
+                roundId,
+                trickId,
+                playerId: winner.winningPlayerId,
+                data: { winningCard: winner.winningCard, trickNumber: trick.trick_number }
+            });
 
             console.log(`[GameEngine] Trick ${trickId} won by player ${winner.winningPlayerId}`);
 
-            // Check if round is complete (8 tricks played)
-            const tricksInRound = await dbConnection.query(`
-                SELECT COUNT(*) as trick_count FROM game_tricks gt
-                JOIN game_rounds gr ON gt.round_id = gr.round_id
-                WHERE gr.game_id = ? AND gr.round_id = ? AND gt.completed_at IS NOT NULL
-            `, [gameId, roundId]);
+            const trickResult = {
+                trickId,
+                winner: winner.winningPlayerId,
+                winningCard: winner.winningCard,
+                cardsPlayed,
+                trickComplete: true
+            };
 
-            const isRoundComplete = tricksInRound[0].trick_count === 8;
+            // Check if round is complete (8 tricks played)
+            const completedTricks = await GameTrick.countCompleted(roundId);
 
-            if (isRoundComplete) {
-                return await this.completeRound(gameId, roundId);
+            if (completedTricks === 8) {
+                const roundResult = await this.completeRound(gameId, roundId, options);
+                return {
+                    ...trickResult,
+                    ...roundResult
+                };
             }
 
             // Create next trick with winner as leader
             const nextTrickId = await this.createNextTrick(roundId, winner.winningPlayerId);
 
             return {
-                trickId,
-                winner: winner.winningPlayerId,
-                winningCard: winner.winningCard,
-                cardsPlayed,
-                trickComplete: true,
+                ...trickResult,
                 roundComplete: false,
                 nextTrickId,
                 nextLeaderId: winner.winningPlayerId
@@ -1251,20 +1469,28 @@ class GameEngine {
      */
     async createNextTrick(roundId, leadingPlayerId) {
         try {
+            const { default: GameTrick } = await import('../models/GameTrick.js');
+            const { default: GameRound } = await import('../models/GameRound.js');
+
             // Get current trick count for this round
-            const trickCountResult = await dbConnection.query(`
-                SELECT COUNT(*) as trick_count FROM game_tricks WHERE round_id = ?
-            `, [roundId]);
+            const [existingTricks, round] = await Promise.all([
+                GameTrick.findByRoundId(roundId),
+                GameRound.findById(roundId)
+            ]);
 
-            const nextTrickNumber = trickCountResult[0].trick_count + 1;
+            const nextTrickNumber = existingTricks.length + 1;
             const trickId = uuidv4();
 
-            await dbConnection.query(`
-                INSERT INTO game_tricks (
-                    trick_id, round_id, trick_number, leading_player_id, 
-                    cards_played, created_at
-                ) VALUES (?, ?, ?, ?, '[]', NOW())
-            `, [trickId, roundId, nextTrickNumber, leadingPlayerId]);
+            await new GameTrick().create({
+                trick_id: trickId,
+                round_id: roundId,
+                game_id: round?.game_id,
+                trick_number: nextTrickNumber,
+                leading_player_id: leadingPlayerId,
+                cards_played: [],
+                winning_player_id: null,
+                completed_at: null
+            });
 
             console.log(`[GameEngine] Created trick ${nextTrickNumber} with leader ${leadingPlayerId}`);
             return trickId;
@@ -1305,14 +1531,7 @@ class GameEngine {
      */
     async startFirstTrick(roundId, firstPlayerId) {
         try {
-            const trickId = uuidv4();
-
-            await dbConnection.query(`
-                INSERT INTO game_tricks (
-                    trick_id, round_id, trick_number, leading_player_id, 
-                    cards_played, created_at
-                ) VALUES (?, ?, 1, ?, '[]', NOW())
-            `, [trickId, roundId, firstPlayerId]);
+            const trickId = await this.createNextTrick(roundId, firstPlayerId);
 
             console.log(`[GameEngine] Started first trick of round with leader ${firstPlayerId}`);
             return trickId;
@@ -1324,37 +1543,48 @@ class GameEngine {
 
     /**
      * Complete a round and calculate scores
+     * Live socket games pause between rounds for the round summary, so they pass
+     * autoStartNextRound: false and call startNextRound once players continue.
      * @param {string} gameId - Game ID
      * @param {string} roundId - Round ID
+     * @param {Object} options - Completion options
+     * @param {boolean} options.autoStartNextRound - Deal the next round immediately (default true)
      * @returns {Object} Round completion result with scores
      */
-    async completeRound(gameId, roundId) {
+    async completeRound(gameId, roundId, options = {}) {
+        const { autoStartNextRound = true } = options;
+
         try {
             // Get round information
-            const roundResult = await dbConnection.query(`
-                SELECT declaring_team_id, trump_suit FROM game_rounds 
-                WHERE round_id = ?
-            `, [roundId]);
+            const { default: GameRound } = await import('../models/GameRound.js');
+            const round = await GameRound.findById(roundId);
 
-            const declaringTeamId = roundResult[0].declaring_team_id;
-            const trumpSuit = roundResult[0].trump_suit;
+            if (!round) {
+                throw new Error('Round not found');
+            }
+
+            const declaringTeamId = round.declaring_team_id;
 
             // Calculate tricks won by each team
             const teamTricks = await this.calculateTeamTricks(gameId, declaringTeamId);
 
             // Apply Contract Crown scoring rules
-            const scores = this.calculateRoundScores(teamTricks);
+            const rules = await this.getGameRules(gameId);
+            const scores = this.calculateRoundScores(teamTricks, rules);
 
             // Update team scores in database
             await this.updateTeamScores(gameId, declaringTeamId, scores);
 
             // Update round completion
-            await dbConnection.query(`
-                UPDATE game_rounds 
-                SET declaring_team_tricks_won = ?, challenging_team_tricks_won = ?, 
-                    round_completed_at = NOW()
-                WHERE round_id = ?
-            `, [teamTricks.declaringTeamTricks, teamTricks.challengingTeamTricks, roundId]);
+            await round.completeRound(teamTricks.declaringTeamTricks, teamTricks.challengingTeamTricks);
+
+            const dealSeed = round.deal_seed || null;
+            const dealSeedHash = round.deal_seed_hash || null;
+
+            await this.recordGameEvent(gameId, 'round_complete', {
+                roundId,
+                data: { declaringTeamId, teamTricks, scores, dealSeed }
+            });
 
             // Check if game is complete
             const gameComplete = await this.checkGameComplete(gameId);
@@ -1367,11 +1597,27 @@ class GameEngine {
                     gameComplete: true,
                     scores,
                     teamTricks,
+                    dealSeed,
+                    dealSeedHash,
+                    targetScore: gameComplete.targetScore,
                     winningTeamId: gameComplete.winningTeamId,
+                    winningTeamNumber: gameComplete.winningTeamNumber,
                     finalScores: gameComplete.finalScores
                 };
             }
 
+            if (!autoStartNextRound) {
+                return {
+                    roundComplete: true,
+                    gameComplete: false,
+                    scores,
+                    teamTricks,
+                    dealSeed,
+                    dealSeedHash,
+                    targetScore: gameComplete.targetScore
+                };
+            }
+
             // Start next round if game continues
             const nextRoundInfo = await this.startNextRound(gameId, roundId, scores);
 
@@ -1380,6 +1626,8 @@ class GameEngine {
                 gameComplete: false,
                 scores,
                 teamTricks,
+                dealSeed,
+                dealSeedHash,
                 nextRound: nextRoundInfo
             };
         } catch (error) {
@@ -1397,11 +1645,8 @@ class GameEngine {
     async calculateTeamTricks(gameId, declaringTeamId) {
         try {
             // Get all players and their tricks won
-            const playerTricks = await dbConnection.query(`
-                SELECT gp.user_id, gp.team_id, gp.tricks_won_current_round
-                FROM game_players gp
-                WHERE gp.game_id = ?
-            `, [gameId]);
+            const { default: GamePlayer } = await import('../models/GamePlayer.js');
+            const playerTricks = await GamePlayer.findByGameId(gameId);
 
             let declaringTeamTricks = 0;
             let challengingTeamTricks = 0;
@@ -1428,25 +1673,12 @@ class GameEngine {
     /**
      * Calculate round scores based on Contract Crown rules
      * @param {Object} teamTricks - Tricks won by each team
+     * @param {Object} rules - Game rules with the contract thresholds
      * @returns {Object} Scores for each team
      */
-    calculateRoundScores(teamTricks) {
-        const { declaringTeamTricks, challengingTeamTricks } = teamTricks;
-
-        // Contract Crown scoring rules:
-        // - Declaring team needs 5+ tricks to score
-        // - Challenging team needs 4+ tricks to score
-        // - Points equal to tricks won (if minimum met)
-
-        const declaringTeamScore = declaringTeamTricks >= 5 ? declaringTeamTricks : 0;
-        const challengingTeamScore = challengingTeamTricks >= 4 ? challengingTeamTricks : 0;
-
-        return {
-            declaringTeamScore,
-            challengingTeamScore,
-            declaringTeamMadeContract: declaringTeamTricks >= 5,
-            challengingTeamMadeContract: challengingTeamTricks >= 4
-        };
+    calculateRoundScores(teamTricks, rules = DEFAULT_GAME_RULES) {
+        // Points equal tricks won, for each team that reached its minimum (house rules may move the thresholds)
+        return calculateRoundScores(teamTricks, rules);
     }
 
     /**
@@ -1457,19 +1689,16 @@ class GameEngine {
      */
     async updateTeamScores(gameId, declaringTeamId, scores) {
         try {
-            // Update declaring team score
-            await dbConnection.query(`
-                UPDATE teams 
-                SET current_score = current_score + ? 
-                WHERE game_id = ? AND team_id = ?
-            `, [scores.declaringTeamScore, gameId, declaringTeamId]);
-
-            // Update challenging team score
-            await dbConnection.query(`
-                UPDATE teams 
-                SET current_score = current_score + ? 
-                WHERE game_id = ? AND team_id != ?
-            `, [scores.challengingTeamScore, gameId, declaringTeamId]);
+            const { default: Team } = await import('../models/Team.js');
+            const teams = await Team.findByGameId(gameId);
+
+            for (const team of teams) {
+                const points = team.team_id === declaringTeamId
+                    ? scores.declaringTeamScore
+                    : scores.challengingTeamScore;
+
+                await team.updateScore(team.current_score + points);
+            }
 
             console.log(`[GameEngine] Updated scores: Declaring team +${scores.declaringTeamScore}, Challenging team +${scores.challengingTeamScore}`);
         } catch (error) {
@@ -1479,32 +1708,35 @@ class GameEngine {
     }
 
     /**
-     * Check if game is complete (team reached 52 points)
+     * Check if game is complete (a team reached the game's target score)
      * @param {string} gameId - Game ID
      * @returns {Object} Game completion status
      */
     async checkGameComplete(gameId) {
         try {
-            const teams = await dbConnection.query(`
-                SELECT team_id, current_score FROM teams 
-                WHERE game_id = ? 
-                ORDER BY current_score DESC
-            `, [gameId]);
+            const { targetScore } = await this.getGameRules(gameId);
 
-            const winningTeam = teams.find(team => team.current_score >= 52);
+            const teams = (await this.getGameTeams(gameId))
+                .sort((a, b) => b.current_score - a.current_score);
+            const scores = Object.fromEntries(teams.map(team => [team.team_id, team.current_score]));
 
-            if (winningTeam) {
+            if (isGameOver(scores, targetScore)) {
+                // A tie at or over the target ends the game without a winner
+                const winningTeam = teams.find(team => team.team_id === getGameWinner(scores, targetScore));
                 return {
                     isComplete: true,
-                    winningTeamId: winningTeam.team_id,
+                    targetScore,
+                    winningTeamId: winningTeam?.team_id || null,
+                    winningTeamNumber: winningTeam?.team_number || null,
                     finalScores: teams.map(t => ({
                         teamId: t.team_id,
+                        teamNumber: t.team_number,
                         score: t.current_score
                     }))
                 };
             }
 
-            return { isComplete: false };
+            return { isComplete: false, targetScore };
         } catch (error) {
             console.error('[GameEngine] Check game complete error:', error.message);
             throw error;
@@ -1519,43 +1751,26 @@ class GameEngine {
     async completeGame(gameId, winningTeamId) {
         try {
             // Update game status
-            await dbConnection.query(`
-                UPDATE games 
-                SET status = 'completed', completed_at = NOW(), winning_team_id = ?
-                WHERE game_id = ?
-            `, [winningTeamId, gameId]);
+            const { default: Game } = await import('../models/Game.js');
+            // Replayed deals are used up; the room asks for them again to play them once more
+            await new Game().updateById(gameId, {
+                status: 'completed',
+                completed_at: new Date().toISOString(),
+                winning_team_id: winningTeamId,
+                deal_seeds: null,
+                deal_seat_offsets: null
+            });
 
             // Update player statistics
-            const winningPlayers = await dbConnection.query(`
-                SELECT user_id FROM game_players 
-                WHERE game_id = ? AND team_id = ?
-            `, [gameId, winningTeamId]);
-
-            const allPlayers = await dbConnection.query(`
-                SELECT user_id FROM game_players WHERE game_id = ?
-            `, [gameId]);
-
-            // Update stats for winning players
-            for (const player of winningPlayers) {
-                await dbConnection.query(`
-                    UPDATE users 
-                    SET total_games_played = total_games_played + 1,
-                        total_games_won = total_games_won + 1
-                    WHERE user_id = ?
-                `, [player.user_id]);
-            }
-
-            // Update stats for losing players
-            const losingPlayers = allPlayers.filter(p =>
-                !winningPlayers.some(wp => wp.user_id === p.user_id)
-            );
+            const { default: GamePlayer } = await import('../models/GamePlayer.js');
+            const { default: User } = await import('../models/User.js');
+            const allPlayers = await GamePlayer.findByGameId(gameId);
 
-            for (const player of losingPlayers) {
-                await dbConnection.query(`
-                    UPDATE users 
-                    SET total_games_played = total_games_played + 1
-                    WHERE user_id = ?
-                `, [player.user_id]);
+            for (const player of allPlayers) {
+                const user = await User.findById(player.user_id);
+                if (user) {
+                    await user.updateGameStats(player.team_id === winningTeamId);
+                }
             }
 
             // Reset room status back to waiting for potential next game
@@ -1571,6 +1786,10 @@ class GameEngine {
                 console.warn('[GameEngine] Failed to reset room status after game completion:', roomError.message);
             }
 
+            await this.recordGameEvent(gameId, 'game_complete', {
+                data: { winningTeamId }
+            });
+
             console.log(`[GameEngine] Game ${gameId} completed, winner: team ${winningTeamId}`);
         } catch (error) {
             console.error('[GameEngine] Complete game error:', error.message);
@@ -1578,67 +1797,92 @@ class GameEngine {
         }
     }
 
+    /**
+     * Clear per-round player state (trick counts and hands) before a new deal
+     * @param {string} gameId - Game ID
+     */
+    async resetPlayersForNextRound(gameId) {
+        try {
+            const { default: GamePlayer } = await import('../models/GamePlayer.js');
+            await new GamePlayer().updateMany(
+                { game_id: gameId },
+                { tricks_won_current_round: 0, current_hand: null, remaining_cards: null }
+            );
+        } catch (error) {
+            console.error('[GameEngine] Reset players for next round error:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Start next round with Crown Rule implementation
      * @param {string} gameId - Game ID
      * @param {string} currentRoundId - Current round ID
-     * @param {Object} scores - Current round scores
+     * @param {Object} scores - Current round scores, read from the completed round when omitted
      * @returns {Object} Next round information
      */
-    async startNextRound(gameId, currentRoundId, scores) {
+    async startNextRound(gameId, currentRoundId, scores = null) {
         try {
             // Get current round info
-            const currentRound = await dbConnection.query(`
-                SELECT round_number, dealer_user_id, first_player_user_id, declaring_team_id
-                FROM game_rounds WHERE round_id = ?
-            `, [currentRoundId]);
+            const { default: GameRound } = await import('../models/GameRound.js');
+            const roundInfo = await GameRound.findById(currentRoundId);
 
-            const roundInfo = currentRound[0];
+            if (!roundInfo) {
+                throw new Error('Round not found');
+            }
 
             // Apply Crown Rule for trump declaration privilege
-            let nextFirstPlayer;
+            const crownRetained = scores
+                ? Boolean(scores.declaringTeamMadeContract)
+                : roundInfo.declaring_team_tricks_won >= (await this.getGameRules(gameId)).declaringTeamMinTricks;
 
-            if (scores.declaringTeamMadeContract) {
-                // Declaring team made contract: same player declares trump again
-                nextFirstPlayer = roundInfo.first_player_user_id;
-                console.log(`[GameEngine] Crown Rule: Declaring team made contract, same player declares trump`);
-            } else {
-                // Declaring team failed: trump declaration passes to dealer's left
-                nextFirstPlayer = await this.getNextPlayer(gameId, roundInfo.dealer_user_id);
-                console.log(`[GameEngine] Crown Rule: Declaring team failed, trump declaration passes`);
+            const players = await this.getGamePlayers(gameId);
+            const seatOf = (userId) => players.findIndex(p => p.user_id === userId);
+            if (seatOf(roundInfo.dealer_user_id) === -1) {
+                throw new Error('Current dealer not found in game');
             }
 
-            // Get next dealer (rotates clockwise)
-            const nextDealerInfo = await this.getNextDealer(gameId, roundInfo.dealer_user_id);
+            // The deal rotates clockwise; the crown stays or passes to the dealer's left
+            const nextSeats = getNextRoundSeats({
+                dealerSeat: seatOf(roundInfo.dealer_user_id),
+                declarerSeat: seatOf(roundInfo.first_player_user_id),
+                crownRetained
+            }, players.length);
+            const nextDealerUserId = players[nextSeats.dealerSeat].user_id;
+            const nextFirstPlayer = players[nextSeats.declarerSeat].user_id;
 
-            // Create next round
+            console.log(crownRetained
+                ? '[GameEngine] Crown Rule: Declaring team made contract, same player declares trump'
+                : '[GameEngine] Crown Rule: Declaring team failed, trump declaration passes');
+
+            // Reset player trick counts for new round
+            await this.resetPlayersForNextRound(gameId);
+
+            // Deal new cards first so the round records the deal's seed
             const nextRoundNumber = roundInfo.round_number + 1;
+            const dealResult = await this.dealInitialCards(gameId, { roundNumber: nextRoundNumber });
+
+            // Create next round
             const nextRoundId = await this.createGameRound(
                 gameId,
                 nextRoundNumber,
-                nextDealerInfo.dealerUserId,
-                nextFirstPlayer
+                nextDealerUserId,
+                nextFirstPlayer,
+                dealResult
             );
 
-            // Reset player trick counts for new round
-            await dbConnection.query(`
-                UPDATE game_players 
-                SET tricks_won_current_round = 0, current_hand = NULL
-                WHERE game_id = ?
-            `, [gameId]);
-
-            // Deal new cards for next round
-            const dealResult = await this.dealInitialCards(gameId);
-
             console.log(`[GameEngine] Started round ${nextRoundNumber} for game ${gameId}`);
 
             return {
                 roundId: nextRoundId,
                 roundNumber: nextRoundNumber,
-                dealerUserId: nextDealerInfo.dealerUserId,
+                dealerUserId: nextDealerUserId,
                 firstPlayerUserId: nextFirstPlayer,
+                previousDeclarerUserId: roundInfo.first_player_user_id,
+                crownRetained,
                 playerHands: dealResult.playerHands,
                 remainingDeck: dealResult.remainingDeck,
+                dealSeedHash: dealResult.dealSeedHash,
                 phase: 'trump_declaration'
             };
         } catch (error) {
@@ -1647,6 +1891,181 @@ class GameEngine {
         }
     }
 
+    /**
+     * Check whether a logged round or event belongs to the game now on a game record
+     * Rooms reuse their game record, so anything logged before the game started was
+     * part of one of the room's earlier games.
+     * @param {Object} record - Round or event with its created_at timestamp
+     * @param {Object} game - Game record
+     * @returns {boolean} True if the record is part of the current game
+     */
+    isFromCurrentGame(record, game) {
+        return !game.started_at || String(record.created_at) >= game.started_at;
+    }
+
+    /**
+     * Build a replay of a game from its event log
+     * Events are grouped into rounds and tricks in the order they happened.
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object|null>} Replay data or null if the game does not exist
+     */
+    async getGameReplay(gameId) {
+        try {
+            const { default: Game } = await import('../models/Game.js');
+            const { default: GameEvent } = await import('../models/GameEvent.js');
+
+            const game = await new Game().findById(gameId);
+            if (!game) {
+                return null;
+            }
+
+            const [players, teams, gameEvents] = await Promise.all([
+                this.getGamePlayers(gameId),
+                this.getGameTeams(gameId),
+                GameEvent.findByGameId(gameId)
+            ]);
+            const events = gameEvents.filter(event => this.isFromCurrentGame(event, game));
+
+            const rounds = [];
+            const roundsById = new Map();
+            let pendingHands = null;
+
+            const getRound = (roundId) => {
+                if (!roundsById.has(roundId)) {
+                    const round = {
+                        roundId,
+                        roundNumber: rounds.length + 1,
+                        dealerUserId: null,
+                        trumpDeclarer: null,
+                        trumpSuit: null,
+                        declaringTeamId: null,
+                        hands: null,
+                        dealSeedHash: null,
+                        dealSeed: null,
+                        dealSeatOffset: 0,
+                        dealVerified: null,
+                        tricks: [],
+                        teamTricks: null,
+                        scores: null
+                    };
+                    roundsById.set(roundId, round);
+                    rounds.push(round);
+                }
+                return roundsById.get(roundId);
+            };
+
+            const getTrick = (round, event) => {
+                let trick = round.tricks.find(t => t.trickId === event.trick_id);
+                if (!trick) {
+                    trick = {
+                        trickId: event.trick_id,
+                        trickNumber: event.data.trickNumber || round.tricks.length + 1,
+                        leadPlayerId: event.player_id,
+                        plays: [],
+                        winner: null,
+                        winningCard: null
+                    };
+                    round.tricks.push(trick);
+                }
+                return trick;
+            };
+
+            for (const event of events) {
+                // Deals are logged before their round is created (older games logged later
+                // deals after it), so a deal belongs to the latest round if trump is still open
+                if (event.event_type === 'deal') {
+                    const latestRound = rounds[rounds.length - 1];
+                    if (latestRound && !latestRound.hands && !latestRound.trumpSuit) {
+                        latestRound.hands = event.data.hands;
+                    } else {
+                        pendingHands = event.data.hands;
+                    }
+                    continue;
+                }
+
+                if (!event.round_id) {
+                    continue;
+                }
+
+                const round = getRound(event.round_id);
+                if (!round.hands && pendingHands) {
+                    round.hands = pendingHands;
+                    pendingHands = null;
+                }
+
+                switch (event.event_type) {
+                    case 'round_started':
+                        round.roundNumber = event.data.roundNumber;
+                        round.dealerUserId = event.data.dealerUserId;
+                        round.trumpDeclarer = event.data.firstPlayerUserId;
+                        round.dealSeedHash = event.data.dealSeedHash || null;
+                        round.dealSeatOffset = event.data.dealSeatOffset || 0;
+                        break;
+                    case 'trump_declared':
+                        round.trumpSuit = event.data.trumpSuit;
+                        round.trumpDeclarer = event.player_id;
+                        round.declaringTeamId = event.data.declaringTeamId;
+                        break;
+                    case 'card_played':
+                        getTrick(round, event).plays.push({
+                            playerId: event.player_id,
+                            card: event.data.card
+                        });
+                        break;
+                    case 'trick_won': {
+                        const trick = getTrick(round, event);
+                        trick.winner = event.player_id;
+                        trick.winningCard = event.data.winningCard;
+                        break;
+                    }
+                    case 'round_complete':
+                        round.teamTricks = event.data.teamTricks;
+                        round.scores = event.data.scores;
+                        round.dealSeed = event.data.dealSeed || null;
+                        break;
+                }
+            }
+
+            // Revealed seeds must match their commitment and rebuild exactly the logged hands
+            const playerIds = players.map(player => player.user_id);
+            const { redealRule } = normalizeGameRules(game.rules);
+            for (const round of rounds) {
+                if (round.dealSeed && round.dealSeedHash && round.hands) {
+                    round.dealVerified = verifyDealSeed(round.dealSeed, round.dealSeedHash) &&
+                        this.isSameDeal(this.rebuildDeal(round.dealSeed, playerIds, redealRule, round.dealSeatOffset), round.hands);
+                }
+            }
+
+            return {
+                gameId,
+                gameCode: game.game_code,
+                status: game.status,
+                targetScore: game.target_score,
+                rules: game.rules,
+                winningTeamId: game.winning_team_id || null,
+                startedAt: game.started_at,
+                completedAt: game.completed_at || null,
+                players: players.map(player => ({
+                    userId: player.user_id,
+                    username: player.username,
+                    seatPosition: player.seat_position,
+                    teamId: player.team_id
+                })),
+                teams: teams.map(team => ({
+                    teamId: team.team_id,
+                    teamNumber: team.team_number,
+                    players: [team.player1_id, team.player2_id].filter(Boolean),
+                    currentScore: team.current_score || 0
+                })),
+                rounds,
+                events: events.map(event => event.toApiResponse())
+            };
+        } catch (error) {
+            console.error('[GameEngine] Get game replay error:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get current game state
      * @param {string} gameId - Game ID
@@ -1737,7 +2156,8 @@ class GameEngine {
                 gameId,
                 1,
                 dealResult.dealerUserId,
-                dealResult.firstPlayerUserId
+                dealResult.firstPlayerUserId,
+                dealResult
             );
 
             // Update game status using LokiJS
@@ -1766,6 +2186,7 @@ class GameEngine {
                 firstPlayerUserId: dealResult.firstPlayerUserId,
                 playerHands: dealResult.playerHands,
                 remainingDeck: dealResult.remainingDeck,
+                dealSeedHash: dealResult.dealSeedHash,
                 phase: 'trump_declaration', // Next phase is trump declaration
                 status: 'in_progress',
                 isDemoMode
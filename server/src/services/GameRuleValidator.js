@@ -1,4 +1,5 @@
 import GameEngine from './GameEngine.js';
+import { SUITS, createDeck, isValidPlay, calculateRoundScores } from '../../../shared/rules.js';
 // Legacy MariaDB connection removed - now using LokiJS
 // import dbConnection from '../../database/connection.js';
 
@@ -9,12 +10,6 @@ import GameEngine from './GameEngine.js';
 class GameRuleValidator {
     constructor() {
         this.gameEngine = new GameEngine();
-        this.suits = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-        this.ranks = ['7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-        this.cardValues = {
-            '7': 7, '8': 8, '9': 9, '10': 10,
-            'J': 11, 'Q': 12, 'K': 13, 'A': 14
-        };
     }
 
     /**
@@ -110,12 +105,7 @@ class GameRuleValidator {
             result.details.duplicateCards = [...new Set(duplicates)];
 
             // Check for invalid cards (not in 32-card deck)
-            const validCards = [];
-            for (const suit of this.suits) {
-                for (const rank of this.ranks) {
-                    validCards.push(`${rank}${suit}`);
-                }
-            }
+            const validCards = createDeck().map(card => `${card.rank}${card.suit}`);
 
             result.details.invalidCards = cardStrings.filter(card => !validCards.includes(card));
 
@@ -250,14 +240,14 @@ class GameRuleValidator {
 
             // Validate trump suit
             if (currentRound.trump_suit) {
-                result.details.isValidTrumpSuit = this.suits.includes(currentRound.trump_suit);
+                result.details.isValidTrumpSuit = SUITS.includes(currentRound.trump_suit);
                 
                 if (!result.details.isValidTrumpSuit) {
                     result.isValid = false;
                     result.violations.push({
                         type: 'INVALID_TRUMP_SUIT',
                         description: `Invalid trump suit: ${currentRound.trump_suit}`,
-                        details: { trumpSuit: currentRound.trump_suit, validSuits: this.suits }
+                        details: { trumpSuit: currentRound.trump_suit, validSuits: SUITS }
                     });
                 }
 
@@ -335,7 +325,7 @@ class GameRuleValidator {
                     const playerHand = await this.getPlayerHandAtTime(gameId, cardPlay.playerId, cardPlay.playedAt);
                     const leadSuitCards = playerHand.filter(card => card.suit === leadSuit);
 
-                    if (leadSuitCards.length > 0 && playedCard.suit !== leadSuit) {
+                    if (playerHand.length > 0 && !isValidPlay(playerHand, playedCard, leadSuit)) {
                         // Player had lead suit cards but didn't follow suit
                         result.isValid = false;
                         result.details.suitFollowingViolations++;
@@ -402,6 +392,8 @@ class GameRuleValidator {
                 }
             };
 
+            const rules = await this.gameEngine.getGameRules(gameId);
+
             // Get completed rounds
             const rounds = await dbConnection.query(`
                 SELECT * FROM game_rounds 
@@ -432,8 +424,8 @@ class GameRuleValidator {
                 }
 
                 // Validate scoring rules
-                const expectedDeclaringScore = declaringTeamTricks >= 5 ? declaringTeamTricks : 0;
-                const expectedChallengingScore = challengingTeamTricks >= 4 ? challengingTeamTricks : 0;
+                const { declaringTeamScore: expectedDeclaringScore, challengingTeamScore: expectedChallengingScore } =
+                    calculateRoundScores({ declaringTeamTricks, challengingTeamTricks }, rules);
 
                 // Get actual scores from teams table (would need to track score changes)
                 // This is a simplified validation - in a real implementation, 
@@ -475,6 +467,8 @@ class GameRuleValidator {
                 }
             };
 
+            const rules = await this.gameEngine.getGameRules(gameId);
+
             const rounds = await dbConnection.query(`
                 SELECT * FROM game_rounds 
                 WHERE game_id = ? 
@@ -505,7 +499,7 @@ class GameRuleValidator {
 
                 // Check Crown Rule application
                 if (previousRound.round_completed_at && previousRound.declaring_team_tricks_won !== null) {
-                    const declaringTeamMadeContract = previousRound.declaring_team_tricks_won >= 5;
+                    const declaringTeamMadeContract = previousRound.declaring_team_tricks_won >= rules.declaringTeamMinTricks;
                     
                     if (declaringTeamMadeContract) {
                         // Same player should declare trump
@@ -541,7 +535,7 @@ class GameRuleValidator {
     }
 
     /**
-     * Get player's hand at a specific time (simplified - would need hand history tracking)
+     * Get player's hand at a specific time, rebuilt from the game's event log
      * @param {string} gameId - Game ID
      * @param {string} playerId - Player ID
      * @param {string} timestamp - Timestamp
@@ -549,18 +543,30 @@ class GameRuleValidator {
      */
     async getPlayerHandAtTime(gameId, playerId, timestamp) {
         try {
-            // Simplified implementation - returns current hand
-            // In a real implementation, we'd track hand changes over time
-            const handResult = await dbConnection.query(`
-                SELECT current_hand FROM game_players 
-                WHERE game_id = ? AND user_id = ?
-            `, [gameId, playerId]);
-
-            if (handResult.length > 0 && handResult[0].current_hand) {
-                return JSON.parse(handResult[0].current_hand);
+            const { default: GameEvent } = await import('../models/GameEvent.js');
+            const time = new Date(timestamp);
+            const events = (await GameEvent.findByGameId(gameId))
+                .filter(event => new Date(event.created_at) < time);
+
+            // Start from the most recent deal and take away every card played since
+            const lastDealIndex = events.map(event => event.event_type).lastIndexOf('deal');
+            if (lastDealIndex === -1) {
+                return [];
             }
 
-            return [];
+            const hand = [...(events[lastDealIndex].data.hands?.[playerId] || [])];
+
+            for (const event of events.slice(lastDealIndex + 1)) {
+                if (event.event_type !== 'card_played' || event.player_id !== playerId) continue;
+
+                const { card } = event.data;
+                const index = hand.findIndex(c => c.suit === card.suit && c.rank === card.rank);
+                if (index !== -1) {
+                    hand.splice(index, 1);
+                }
+            }
+
+            return hand;
         } catch (error) {
             console.error('[GameRuleValidator] Error getting player hand at time:', error.message);
             return [];
@@ -0,0 +1,527 @@
+/**
+ * Matchmaking Service
+ * Keeps the quick-match queue. Players queue alone or with a partner; every few seconds
+ * the queue is scanned for four seats whose ratings are close enough, where the accepted
+ * rating gap grows the longer a ticket waits. A matched table gets a private room with
+ * fixed partnerships and every player is sent to its waiting room. Casual tickets can
+ * be topped up with bots once they have waited long enough.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Room from '../models/Room.js';
+import User from '../models/User.js';
+import BotManager from './BotManager.js';
+import { DEFAULT_RATING } from '../utils/rating.js';
+
+const TABLE_SIZE = 4;
+
+// Rating gap accepted straight away, and how much it widens per second of waiting
+const BASE_RATING_WINDOW = 100;
+const RATING_WINDOW_GROWTH = 10;
+
+// Seconds a casual ticket waits before bots fill the empty seats (0 disables backfill)
+const DEFAULT_BOT_BACKFILL_SECONDS = 60;
+
+// Seconds a player who named a partner waits for the partner to queue
+const PARTNER_WAIT_SECONDS = 120;
+
+// Seat order for solo players, strongest first: 1st and 4th partner against 2nd and 3rd
+const SOLO_SEAT_ORDER = ['team1', 'team2', 'team2', 'team1'];
+
+class MatchmakingService {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+
+        // Configuration
+        this.matchInterval = 2000; // Scan the queue every 2 seconds
+        const backfillSeconds = Number(process.env.MATCHMAKING_BOT_BACKFILL_SECONDS ?? DEFAULT_BOT_BACKFILL_SECONDS);
+        this.botBackfillDelay = Number.isFinite(backfillSeconds) && backfillSeconds > 0 ? backfillSeconds * 1000 : 0;
+        this.partnerWaitTimeout = PARTNER_WAIT_SECONDS * 1000;
+
+        this.tickets = new Map(); // ticketId -> ticket
+        this.pendingPartners = new Map(); // userId -> request waiting for the partner to queue
+        this.matchTimer = null;
+        this.isMatching = false;
+    }
+
+    /**
+     * Add a player to the queue
+     * A player who names a partner waits until the partner queues naming them back;
+     * the two then share a ticket and are seated as a team.
+     * @param {Object} user - userId and username of the queuing player
+     * @param {Object} options - Queue options
+     * @param {string} [options.partner] - Partner's username
+     * @param {boolean} [options.ranked] - Only match other ranked tickets
+     * @param {boolean} [options.allowBots] - Accept bots in empty seats (casual only)
+     * @returns {Promise<Object>} Queue status for the player
+     */
+    async joinQueue({ userId, username }, { partner, ranked = false, allowBots = false } = {}) {
+        const queuedUserId = String(userId);
+        if (this.findTicketByUser(queuedUserId) || this.pendingPartners.has(queuedUserId)) {
+            throw new Error('You are already in the queue');
+        }
+
+        const player = await this.getQueuedPlayer(queuedUserId, username);
+        const queueOptions = { ranked: Boolean(ranked), allowBots: !ranked && Boolean(allowBots) };
+
+        if (!partner) {
+            const ticket = this.addTicket([player], queueOptions, Date.now());
+            return this.notifyQueued(ticket);
+        }
+
+        const partnerUser = await User.findByUsername(String(partner).trim());
+        if (!partnerUser || partnerUser.is_bot) {
+            throw new Error('Partner not found');
+        }
+        if (partnerUser.user_id === queuedUserId) {
+            throw new Error('You cannot partner with yourself');
+        }
+        if (this.findTicketByUser(partnerUser.user_id)) {
+            throw new Error(`${partnerUser.username} is already queued with someone else`);
+        }
+
+        // The partner queued first and named this player: both now share a ticket
+        const request = this.pendingPartners.get(partnerUser.user_id);
+        if (request && request.partnerId === queuedUserId) {
+            if (request.options.ranked !== queueOptions.ranked) {
+                throw new Error(`${partnerUser.username} queued for ${request.options.ranked ? 'ranked' : 'casual'} games`);
+            }
+
+            this.pendingPartners.delete(partnerUser.user_id);
+            const ticket = this.addTicket([request.player, player], {
+                ranked: queueOptions.ranked,
+                allowBots: request.options.allowBots && queueOptions.allowBots
+            }, request.requestedAt);
+            return this.notifyQueued(ticket);
+        }
+
+        this.pendingPartners.set(queuedUserId, {
+            player,
+            partnerId: partnerUser.user_id,
+            partnerUsername: partnerUser.username,
+            options: queueOptions,
+            requestedAt: Date.now()
+        });
+        this.start();
+        console.log(`[Matchmaking] ${player.username} is waiting for ${partnerUser.username} to queue`);
+
+        return {
+            status: 'waiting_for_partner',
+            partner: partnerUser.username,
+            ranked: queueOptions.ranked,
+            allowBots: queueOptions.allowBots
+        };
+    }
+
+    /**
+     * Remove a player from the queue, along with their partner's shared ticket
+     * @param {string} userId - Leaving player ID
+     * @param {string} reason - Message sent to a partner who is dropped as well
+     * @returns {boolean} True if the player was queued
+     */
+    leaveQueue(userId, reason = 'Your partner left the queue') {
+        const leavingUserId = String(userId);
+
+        if (this.pendingPartners.delete(leavingUserId)) {
+            this.stopWhenIdle();
+            return true;
+        }
+
+        const ticket = this.findTicketByUser(leavingUserId);
+        if (!ticket) {
+            return false;
+        }
+
+        this.tickets.delete(ticket.ticketId);
+        for (const player of ticket.players) {
+            if (player.userId !== leavingUserId) {
+                this.socketManager.sendToUser(player.userId, 'matchmaking:left', {
+                    reason,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        console.log(`[Matchmaking] ${leavingUserId} left the queue`);
+        this.stopWhenIdle();
+        return true;
+    }
+
+    /**
+     * Group queued tickets into tables
+     * The longest-waiting ticket anchors each table and takes the closest-rated tickets of
+     * the same mode that fit in its rating window.
+     * @param {number} now - Current time in milliseconds
+     * @returns {Array<Object>} Matches with their tickets and number of bot seats
+     */
+    findMatches(now = Date.now()) {
+        const waiting = Array.from(this.tickets.values()).sort((a, b) => a.queuedAt - b.queuedAt);
+        const matched = new Set();
+        const matches = [];
+
+        for (const anchor of waiting) {
+            if (matched.has(anchor.ticketId)) {
+                continue;
+            }
+
+            const candidates = waiting
+                .filter(ticket => ticket !== anchor && !matched.has(ticket.ticketId) && ticket.ranked === anchor.ranked)
+                .filter(ticket => Math.abs(ticket.rating - anchor.rating) <= Math.max(this.getRatingWindow(anchor, now), this.getRatingWindow(ticket, now)))
+                .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating));
+
+            const group = [anchor];
+            let seats = anchor.players.length;
+            for (const ticket of candidates) {
+                if (seats + ticket.players.length <= TABLE_SIZE) {
+                    group.push(ticket);
+                    seats += ticket.players.length;
+                }
+                if (seats === TABLE_SIZE) {
+                    break;
+                }
+            }
+
+            const canBackfill = this.botBackfillDelay > 0 &&
+                now - anchor.queuedAt >= this.botBackfillDelay &&
+                group.every(ticket => ticket.allowBots);
+
+            if (seats === TABLE_SIZE || canBackfill) {
+                group.forEach(ticket => matched.add(ticket.ticketId));
+                matches.push({ tickets: group, ranked: anchor.ranked, bots: TABLE_SIZE - seats });
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Drop partner requests whose partner never queued and tell the waiting player
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Number of requests dropped
+     */
+    expirePartnerRequests(now = Date.now()) {
+        let expired = 0;
+
+        for (const [userId, request] of this.pendingPartners) {
+            if (now - request.requestedAt < this.partnerWaitTimeout) {
+                continue;
+            }
+
+            this.pendingPartners.delete(userId);
+            this.socketManager.sendToUser(userId, 'matchmaking:left', {
+                reason: `${request.partnerUsername} did not join the queue`,
+                timestamp: new Date().toISOString()
+            });
+            console.log(`[Matchmaking] ${request.player.username} stopped waiting for ${request.partnerUsername}`);
+            expired++;
+        }
+
+        return expired;
+    }
+
+    /**
+     * Create tables for every match in the queue
+     * Players of a table that cannot be created go back to the queue.
+     * @param {number} now - Current time in milliseconds
+     * @returns {Promise<Array<Object>>} Created tables
+     */
+    async processQueue(now = Date.now()) {
+        if (this.isMatching) {
+            return [];
+        }
+
+        this.isMatching = true;
+        const tables = [];
+        try {
+            this.expirePartnerRequests(now);
+            for (const match of this.findMatches(now)) {
+                match.tickets.forEach(ticket => this.tickets.delete(ticket.ticketId));
+                try {
+                    tables.push(await this.createTable(match));
+                } catch (error) {
+                    console.error('[Matchmaking] Failed to create table:', error.message);
+                    match.tickets.forEach(ticket => this.tickets.set(ticket.ticketId, ticket));
+                }
+            }
+        } finally {
+            this.isMatching = false;
+            this.stopWhenIdle();
+        }
+
+        return tables;
+    }
+
+    /**
+     * Create the room for a match, seat the teams and send everyone to the waiting room
+     * A table that fails part way is removed again, room and bots included.
+     * @param {Object} match - Match from findMatches
+     * @returns {Promise<Object>} Room ID, room code and teams
+     */
+    async createTable(match) {
+        const dbRoom = await Room.create({
+            name: 'Quick Match',
+            maxPlayers: TABLE_SIZE,
+            isPrivate: true,
+            ownerId: match.tickets[0].players[0].userId,
+            rules: { ranked: match.ranked }
+        });
+
+        try {
+            return await this.seatTable(dbRoom, match);
+        } catch (error) {
+            const roomId = dbRoom.room_id;
+            this.socketManager.gameRooms.delete(roomId);
+            BotManager.clearGameBots(roomId);
+            await dbRoom.delete().catch(deleteError => {
+                console.error(`[Matchmaking] Failed to remove room ${roomId}:`, deleteError.message);
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Seat a match in its new room and send everyone to the waiting room
+     * @param {Room} dbRoom - Room created for the match, owned by the first player
+     * @param {Object} match - Match from findMatches
+     * @returns {Promise<Object>} Room ID, room code and teams
+     */
+    async seatTable(dbRoom, { tickets, ranked, bots }) {
+        const humans = tickets.flatMap(ticket => ticket.players);
+        const [host, ...guests] = humans;
+        for (const guest of guests) {
+            dbRoom = await dbRoom.addPlayer(guest.userId, guest.username);
+        }
+
+        // Players are seated before they arrive, so joining the waiting room counts as a rejoin
+        const roomId = dbRoom.room_id;
+        const room = {
+            gameId: roomId,
+            players: new Map(humans.map(player => [player.userId, {
+                userId: player.userId,
+                username: player.username,
+                isReady: false,
+                teamAssignment: null,
+                joinedAt: new Date().toISOString(),
+                isConnected: false
+            }])),
+            teams: { team1: [], team2: [] },
+            createdAt: new Date().toISOString(),
+            status: 'waiting',
+            hostId: host.userId,
+            isQuickMatch: true
+        };
+        this.socketManager.gameRooms.set(roomId, room);
+
+        if (bots > 0) {
+            await this.socketManager.waitingRoomHandler.addBotsToRoom(room, roomId, bots);
+        }
+
+        const botIds = Array.from(room.players.values()).filter(player => player.isBot).map(player => player.userId);
+        const teams = this.formTeams(tickets, botIds);
+
+        dbRoom = await Room.findById(roomId);
+        await dbRoom.assignTeams(teams);
+        room.teams = teams;
+        for (const [teamKey, teamNumber] of [['team1', 1], ['team2', 2]]) {
+            teams[teamKey].forEach(playerId => {
+                room.players.get(playerId).teamAssignment = teamNumber;
+            });
+        }
+
+        const seating = {
+            team1: teams.team1.map(playerId => this.describeSeat(room.players.get(playerId))),
+            team2: teams.team2.map(playerId => this.describeSeat(room.players.get(playerId)))
+        };
+        for (const player of humans) {
+            this.socketManager.sendToUser(player.userId, 'matchmaking:matched', {
+                roomId,
+                roomCode: dbRoom.invite_code,
+                ranked,
+                teams: seating,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[Matchmaking] Seated ${humans.map(player => player.username).join(', ')}${bots > 0 ? ` and ${bots} bots` : ''} in room ${roomId}`);
+        return { roomId, roomCode: dbRoom.invite_code, ranked, teams };
+    }
+
+    /**
+     * Split a matched table into two partnerships
+     * Partners queued together stay together; solo players are seated by rating so the
+     * strongest and weakest play against the two in the middle. Bots take the empty seats.
+     * @param {Array<Object>} tickets - Matched tickets
+     * @param {Array<string>} botIds - Bot player IDs for empty seats
+     * @returns {Object} Player IDs per team ({ team1: [], team2: [] })
+     */
+    formTeams(tickets, botIds = []) {
+        const teams = { team1: [], team2: [] };
+
+        tickets.filter(ticket => ticket.players.length === 2).forEach((ticket, index) => {
+            teams[index === 0 ? 'team1' : 'team2'].push(...ticket.players.map(player => player.userId));
+        });
+
+        const solos = tickets
+            .filter(ticket => ticket.players.length === 1)
+            .map(ticket => ticket.players[0])
+            .sort((a, b) => b.rating - a.rating);
+
+        let seat = 0;
+        for (const player of solos) {
+            while (teams[SOLO_SEAT_ORDER[seat % SOLO_SEAT_ORDER.length]].length >= 2) {
+                seat++;
+            }
+            teams[SOLO_SEAT_ORDER[seat % SOLO_SEAT_ORDER.length]].push(player.userId);
+            seat++;
+        }
+
+        for (const botId of botIds) {
+            teams[teams.team1.length < 2 ? 'team1' : 'team2'].push(botId);
+        }
+
+        return teams;
+    }
+
+    /**
+     * Get the rating gap a ticket accepts after its current wait
+     * @param {Object} ticket - Queue ticket
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Accepted rating difference
+     */
+    getRatingWindow(ticket, now = Date.now()) {
+        const waitedSeconds = Math.max(0, now - ticket.queuedAt) / 1000;
+        return BASE_RATING_WINDOW + waitedSeconds * RATING_WINDOW_GROWTH;
+    }
+
+    /**
+     * Get the queue sizes for the lobby
+     * @returns {Object} Queued players and players waiting for a partner
+     */
+    getQueueStatus() {
+        return {
+            queuedPlayers: Array.from(this.tickets.values()).reduce((total, ticket) => total + ticket.players.length, 0),
+            waitingForPartner: this.pendingPartners.size
+        };
+    }
+
+    /**
+     * Find the ticket a player is queued on
+     * @param {string} userId - Player ID
+     * @returns {Object|undefined} Queue ticket
+     */
+    findTicketByUser(userId) {
+        return Array.from(this.tickets.values()).find(ticket =>
+            ticket.players.some(player => player.userId === String(userId))
+        );
+    }
+
+    /**
+     * Look up the rating a player is matched on
+     * Players without a user record are matched on the default rating.
+     * @param {string} userId - Player ID
+     * @param {string} username - Username to fall back on
+     * @returns {Promise<Object>} userId, username and rating
+     */
+    async getQueuedPlayer(userId, username) {
+        const user = await User.findById(userId);
+        return {
+            userId,
+            username: user?.username || username,
+            rating: user?.rating ?? DEFAULT_RATING.rating
+        };
+    }
+
+    /**
+     * Put one player, or two partners, on the queue and start scanning it
+     * @param {Array<Object>} players - Players from getQueuedPlayer
+     * @param {Object} options - ranked and allowBots
+     * @param {number} queuedAt - Time the wait started, in milliseconds
+     * @returns {Object} Queue ticket, rated on the players' average
+     */
+    addTicket(players, { ranked, allowBots }, queuedAt) {
+        const ticket = {
+            ticketId: uuidv4(),
+            players,
+            rating: players.reduce((total, player) => total + player.rating, 0) / players.length,
+            ranked,
+            allowBots,
+            queuedAt
+        };
+
+        this.tickets.set(ticket.ticketId, ticket);
+        this.start();
+
+        console.log(`[Matchmaking] Queued ${players.map(player => player.username).join(' and ')} (${ranked ? 'ranked' : 'casual'}, rating ${Math.round(ticket.rating)})`);
+        return ticket;
+    }
+
+    /**
+     * Tell every player on a ticket they are in the queue
+     * @param {Object} ticket - Queue ticket
+     * @returns {Object} Queue status sent to the players
+     */
+    notifyQueued(ticket) {
+        const status = {
+            status: 'queued',
+            players: ticket.players.map(player => player.username),
+            ranked: ticket.ranked,
+            allowBots: ticket.allowBots,
+            queuedAt: new Date(ticket.queuedAt).toISOString()
+        };
+
+        for (const player of ticket.players) {
+            this.socketManager.sendToUser(player.userId, 'matchmaking:queued', status);
+        }
+
+        return status;
+    }
+
+    /**
+     * Describe a seated player for the matched event
+     * @param {Object} player - Player from the room's player map
+     * @returns {Object} userId, username and isBot
+     */
+    describeSeat(player) {
+        return {
+            userId: player.userId,
+            username: player.username,
+            isBot: Boolean(player.isBot)
+        };
+    }
+
+    /**
+     * Start scanning the queue
+     */
+    start() {
+        if (this.matchTimer) {
+            return;
+        }
+
+        this.matchTimer = setInterval(() => {
+            this.processQueue().catch(error => {
+                console.error('[Matchmaking] Queue scan failed:', error.message);
+            });
+        }, this.matchInterval);
+    }
+
+    /**
+     * Stop scanning the queue
+     */
+    stop() {
+        if (this.matchTimer) {
+            clearInterval(this.matchTimer);
+            this.matchTimer = null;
+        }
+    }
+
+    /**
+     * Stop scanning once nobody is queued or waiting for a partner
+     */
+    stopWhenIdle() {
+        if (this.tickets.size === 0 && this.pendingPartners.size === 0) {
+            this.stop();
+        }
+    }
+}
+
+export default MatchmakingService;
@@ -0,0 +1,181 @@
+/**
+ * Rating Service
+ * Keeps the ranked ladder. When a ranked game between four human players finishes, every
+ * player's Glicko-2 rating is updated from the result and the change is added to their
+ * rating history. Casual games, demo games and games with bot seats leave ratings alone.
+ */
+
+import Game from '../models/Game.js';
+import User from '../models/User.js';
+import RatingHistory from '../models/RatingHistory.js';
+import { rateTeamGame } from '../utils/rating.js';
+
+// Players need this many ranked games before they appear on the leaderboard
+export const DEFAULT_LEADERBOARD_MIN_GAMES = 5;
+
+// Number of recent ranked games a rating trend covers
+const TREND_GAMES = 5;
+
+class RatingService {
+    constructor(socketManager = null) {
+        this.socketManager = socketManager;
+    }
+
+    /**
+     * Update the ratings of everyone at a finished ranked game
+     * @param {string} gameId - Game ID
+     * @param {string|null} winningTeam - 'team1' or 'team2', null for a draw
+     * @returns {Promise<Array|null>} Rating changes per player, null if the game is not rated
+     */
+    async rateGame(gameId, winningTeam) {
+        const room = this.socketManager.gameRooms.get(gameId);
+        const gameState = this.socketManager.gameStateManager.getGameState(gameId);
+        if (!room || room.isDemo || !gameState?.rules?.ranked) {
+            return null;
+        }
+
+        const players = Array.from(room.players.entries());
+        if (players.some(([, player]) => player.isBot)) {
+            console.log(`[Ratings] Game ${gameId} is not rated: bots took part`);
+            return null;
+        }
+
+        try {
+            // Rooms play every game under the same ID, so each game is told apart by its start time
+            const game = await new Game().findById(gameId);
+            const gameStartedAt = game?.started_at || null;
+            if (await RatingHistory.hasGame(gameId, gameStartedAt)) {
+                return null;
+            }
+
+            const teams = { team1: [], team2: [] };
+            for (const [userId] of players) {
+                const user = await User.findById(userId);
+                const teamKey = `team${this.socketManager.getPlayerTeam(gameId, userId)}`;
+                if (!user || !teams[teamKey]) {
+                    console.log(`[Ratings] Game ${gameId} is not rated: ${userId} has no account`);
+                    return null;
+                }
+                teams[teamKey].push(user);
+            }
+
+            if (teams.team1.length === 0 || teams.team2.length === 0) {
+                return null;
+            }
+
+            const currentRatings = (users) => users.map(user => ({
+                rating: user.rating,
+                deviation: user.rating_deviation,
+                volatility: user.rating_volatility
+            }));
+            const newRatings = rateTeamGame({
+                team1: currentRatings(teams.team1),
+                team2: currentRatings(teams.team2)
+            }, winningTeam);
+
+            const changes = [];
+            for (const teamKey of ['team1', 'team2']) {
+                const won = teamKey === winningTeam;
+                for (const [index, user] of teams[teamKey].entries()) {
+                    const rating = newRatings[teamKey][index];
+                    const ratingBefore = user.rating;
+
+                    await RatingHistory.record({
+                        userId: user.user_id,
+                        gameId,
+                        gameStartedAt,
+                        ratingBefore,
+                        ratingAfter: rating.rating,
+                        deviation: rating.deviation,
+                        won
+                    });
+                    await user.updateRating(rating, won);
+
+                    changes.push({
+                        userId: user.user_id,
+                        ratingBefore: Math.round(ratingBefore),
+                        ratingAfter: Math.round(rating.rating),
+                        change: Math.round(rating.rating) - Math.round(ratingBefore)
+                    });
+                }
+            }
+
+            console.log(`[Ratings] Rated game ${gameId}:`, changes.map(({ userId, change }) => `${userId} ${change >= 0 ? '+' : ''}${change}`).join(', '));
+            return changes;
+        } catch (error) {
+            console.warn(`[Ratings] Failed to rate game ${gameId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get the ranked ladder
+     * @param {Object} options - Leaderboard options
+     * @param {number} [options.limit] - Number of players
+     * @param {number} [options.minGames] - Ranked games a player needs to be listed
+     * @returns {Promise<Array>} Players sorted by rating
+     */
+    async getLeaderboard({ limit = 20, minGames = DEFAULT_LEADERBOARD_MIN_GAMES } = {}) {
+        const users = await new User().find({ is_active: true, is_bot: false });
+
+        // Accounts created before ratings existed have no ranked game count stored yet
+        const ladder = users
+            .map(userData => new User(userData))
+            .filter(user => user.ranked_games_played >= minGames)
+            .sort((a, b) => b.rating - a.rating)
+            .slice(0, limit);
+
+        return Promise.all(ladder.map(async (user, index) => ({
+            rank: index + 1,
+            userId: user.user_id,
+            username: user.username,
+            rating: Math.round(user.rating),
+            deviation: Math.round(user.rating_deviation),
+            rankedGamesPlayed: user.ranked_games_played,
+            rankedGamesWon: user.ranked_games_won,
+            winRate: user.ranked_games_played > 0 ? Math.round((user.ranked_games_won / user.ranked_games_played) * 100) : 0,
+            trend: this.getTrend(user, await RatingHistory.findByUserId(user.user_id, TREND_GAMES))
+        })));
+    }
+
+    /**
+     * Get a player's rating, game counts and recent rating history
+     * @param {string} userId - User ID
+     * @param {number} historyLimit - Number of history entries
+     * @returns {Promise<Object|null>} Rating details, null if the user does not exist
+     */
+    async getUserRating(userId, historyLimit = 20) {
+        const user = await User.findById(userId);
+        if (!user) {
+            return null;
+        }
+
+        const history = await RatingHistory.findByUserId(userId, Math.max(historyLimit, TREND_GAMES));
+
+        return {
+            userId: user.user_id,
+            username: user.username,
+            rating: Math.round(user.rating),
+            deviation: Math.round(user.rating_deviation),
+            provisional: user.ranked_games_played < DEFAULT_LEADERBOARD_MIN_GAMES,
+            rankedGamesPlayed: user.ranked_games_played,
+            rankedGamesWon: user.ranked_games_won,
+            casualGamesPlayed: Math.max(0, user.total_games_played - user.ranked_games_played),
+            trend: this.getTrend(user, history.slice(0, TREND_GAMES)),
+            history: history.slice(0, historyLimit).map(entry => entry.toApiResponse())
+        };
+    }
+
+    /**
+     * Work out how far a player's rating moved over their recent ranked games
+     * @param {User} user - Player
+     * @param {Array} recentHistory - Recent rating history, newest first
+     * @returns {number} Rating change, 0 without ranked games
+     */
+    getTrend(user, recentHistory) {
+        const oldest = recentHistory[recentHistory.length - 1];
+        return oldest ? Math.round(user.rating) - Math.round(oldest.rating_before) : 0;
+    }
+}
+
+export default RatingService;
@@ -0,0 +1,267 @@
+/**
+ * Rematch Service
+ * Runs the rematch vote on the game-over screen. The first player to ask for a rematch
+ * proposes its options (same partners or swapped, series length) and every other human
+ * at the table accepts or declines them; bots always play on. Once everyone has accepted
+ * a new Game linked to the finished one is created for the same table, carrying the
+ * best-of-N series score over when the partnerships stay together.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Game from '../models/Game.js';
+import BotManager from './BotManager.js';
+import { DEFAULT_SERIES_LENGTH, normalizeBestOf, recordSeriesGame, getRematchSeries } from '../utils/series.js';
+
+class RematchService {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+    }
+
+    /**
+     * Open the rematch vote for a finished game
+     * @param {string} gameId - Finished game ID
+     */
+    openVote(gameId) {
+        const room = this.socketManager.gameRooms.get(gameId);
+        if (room) {
+            room.rematch = { proposal: null, accepted: [], nextGameId: null };
+        }
+    }
+
+    /**
+     * Drop the current rematch proposal, e.g. when a player leaves the table
+     * @param {string} gameId - Finished game ID
+     * @returns {boolean} True if a proposal was cancelled
+     */
+    cancelVote(gameId) {
+        const room = this.socketManager.gameRooms.get(gameId);
+        if (!room?.rematch?.proposal || room.rematch.nextGameId) {
+            return false;
+        }
+
+        this.openVote(gameId);
+        return true;
+    }
+
+    /**
+     * Record a player's rematch vote
+     * The first acceptance sets the proposal's options; later acceptances agree to them.
+     * Any decline cancels the proposal so a new one can be made.
+     * @param {string} gameId - Finished game ID
+     * @param {string} userId - Voting player ID
+     * @param {Object} vote - Vote details
+     * @param {boolean} [vote.accept] - False to decline
+     * @param {boolean} [vote.swapPartners] - Proposed: change partnerships for the rematch
+     * @param {number} [vote.bestOf] - Proposed: length of a new series
+     * @returns {Object} Vote result { status: 'pending' | 'accepted' | 'declined', proposal, accepted, waitingFor }
+     * @throws {Error} If the game cannot be rematched or the player cannot vote
+     */
+    castVote(gameId, userId, { accept = true, swapPartners = false, bestOf = DEFAULT_SERIES_LENGTH } = {}) {
+        const room = this.socketManager.gameRooms.get(gameId);
+        const gameState = this.socketManager.gameStateManager.getGameState(gameId);
+
+        if (!room?.rematch || gameState?.status !== 'completed') {
+            throw new Error('There is no finished game to rematch');
+        }
+        if (room.rematch.nextGameId) {
+            throw new Error('The rematch has already started');
+        }
+
+        const player = room.players.get(userId);
+        if (!player || player.isBot) {
+            throw new Error('Only players at the table can vote for a rematch');
+        }
+        if (room.players.size !== 4) {
+            throw new Error('A rematch needs all four players at the table');
+        }
+
+        if (!accept) {
+            this.openVote(gameId);
+            return { status: 'declined', proposal: null, accepted: [], waitingFor: [] };
+        }
+
+        if (!room.rematch.proposal) {
+            room.rematch.proposal = {
+                proposedBy: userId,
+                swapPartners: Boolean(swapPartners),
+                bestOf: normalizeBestOf(bestOf)
+            };
+        }
+        if (!room.rematch.accepted.includes(userId)) {
+            room.rematch.accepted.push(userId);
+        }
+
+        const waitingFor = Array.from(room.players.values())
+            .filter(seat => !seat.isBot && !room.rematch.accepted.includes(seat.userId))
+            .map(seat => seat.userId);
+
+        return {
+            status: waitingFor.length === 0 ? 'accepted' : 'pending',
+            proposal: { ...room.rematch.proposal },
+            accepted: [...room.rematch.accepted],
+            waitingFor
+        };
+    }
+
+    /**
+     * Get a finished game's series with its result counted
+     * @param {Object} gameState - Finished game state
+     * @returns {Object|null} Series score and winner, null for a game outside a series
+     */
+    getFinishedSeries(gameState) {
+        return gameState?.series ? recordSeriesGame(gameState.series, gameState.winningTeam) : null;
+    }
+
+    /**
+     * Create the rematch game for the same table once every player has accepted
+     * Humans start disconnected and are dealt in when they join the new game room, like a demo game.
+     * @param {string} gameId - Finished game ID
+     * @param {Object} proposal - Accepted proposal { swapPartners, bestOf }
+     * @returns {Promise<Object>} Rematch details { gameId, isDemo, series, teams }
+     */
+    async createRematchGame(gameId, proposal) {
+        const room = this.socketManager.gameRooms.get(gameId);
+        const gameState = this.socketManager.gameStateManager.getGameState(gameId);
+        if (!room || !gameState) {
+            throw new Error('There is no finished game to rematch');
+        }
+
+        const nextGameId = room.isDemo ? `demo_${uuidv4()}` : uuidv4();
+        room.rematch.nextGameId = nextGameId;
+
+        try {
+            const previousGame = await new Game().findById(gameId);
+            const roomId = room.roomId || previousGame?.room_id || (room.isDemo ? null : gameId);
+            const rules = previousGame?.rules || gameState.rules;
+            const createdAt = new Date().toISOString();
+
+            const series = getRematchSeries({
+                previousGameId: gameId,
+                nextGameId,
+                series: this.getFinishedSeries(gameState),
+                winningTeam: gameState.winningTeam,
+                swapPartners: proposal.swapPartners,
+                bestOf: proposal.bestOf
+            });
+
+            // Bots belong to a single game, so each bot seat gets a fresh bot of the same name and level
+            const previousBots = Array.from(room.players.values()).filter(seat => seat.isBot);
+            const bots = previousBots.length > 0
+                ? BotManager.createBotsForGame(nextGameId, previousBots.length, {
+                    names: previousBots.map(seat => seat.username),
+                    difficulties: previousBots.map(seat => seat.botDifficulty || BotManager.getBotPlayer(gameId, seat.userId)?.difficulty),
+                    personalities: previousBots.map(seat => BotManager.getBotPlayer(gameId, seat.userId)?.personality)
+                })
+                : [];
+            if (bots.length > 0) {
+                await BotManager.storeBotPlayersInDatabase(nextGameId);
+            }
+            const seatIds = new Map(previousBots.map((seat, index) => [seat.userId, bots[index].id]));
+            const nextId = playerId => seatIds.get(playerId) || playerId;
+
+            const previousTeams = this.socketManager.getSeatingTeams(room);
+            const teams = proposal.swapPartners
+                ? { team1: [previousTeams.team1[0], previousTeams.team2[0]], team2: [previousTeams.team1[1], previousTeams.team2[1]] }
+                : previousTeams;
+            const nextTeams = {
+                team1: teams.team1.map(nextId),
+                team2: teams.team2.map(nextId)
+            };
+
+            // Seat partners opposite each other
+            const seating = [teams.team1[0], teams.team2[0], teams.team1[1], teams.team2[1]];
+            const players = new Map(seating.map(playerId => {
+                const seat = room.players.get(playerId);
+                const bot = bots[previousBots.indexOf(seat)];
+                return [nextId(playerId), {
+                    userId: nextId(playerId),
+                    username: seat.username,
+                    isBot: Boolean(seat.isBot),
+                    ...(bot && { botDifficulty: bot.difficulty }),
+                    teamAssignment: teams.team1.includes(playerId) ? 1 : 2,
+                    isReady: true,
+                    isConnected: Boolean(seat.isBot),
+                    joinedAt: createdAt
+                }];
+            }));
+
+            await new Game().create({
+                game_id: nextGameId,
+                game_code: await Game.generateUniqueGameCode(),
+                status: 'in_progress',
+                host_id: room.hostId,
+                created_at: createdAt,
+                started_at: createdAt,
+                target_score: previousGame?.target_score || rules?.targetScore,
+                rules,
+                is_demo_mode: Boolean(room.isDemo),
+                room_id: roomId,
+                previous_game_id: gameId,
+                series
+            });
+
+            this.socketManager.gameRooms.set(nextGameId, {
+                gameId: nextGameId,
+                roomId,
+                players,
+                teams: nextTeams,
+                createdAt,
+                startedAt: createdAt,
+                status: 'playing',
+                hostId: room.hostId,
+                isDemo: Boolean(room.isDemo)
+            });
+
+            this.socketManager.gameStateManager.initializeGameState(nextGameId, {
+                status: 'waiting',
+                phase: 'lobby',
+                hostId: room.hostId,
+                isDemoMode: Boolean(room.isDemo),
+                previousGameId: gameId,
+                series,
+                players: Object.fromEntries(Array.from(players.entries()).map(([playerId, player]) => [
+                    playerId,
+                    { ...player, hand: [], tricksWon: 0 }
+                ])),
+                teams: nextTeams
+            });
+
+            if (roomId) {
+                await this.resetRoom(roomId, proposal.swapPartners);
+            }
+
+            console.log(`[Rematch] Game ${gameId} rematched as ${nextGameId} (series ${series.seriesId}, game ${series.gameNumber} of ${series.bestOf})`);
+
+            return { gameId: nextGameId, isDemo: Boolean(room.isDemo), series, teams: nextTeams };
+        } catch (error) {
+            this.openVote(gameId);
+            throw error;
+        }
+    }
+
+    /**
+     * Bring the room record in line with the rematch: clear ready flags, drop the
+     * partnerships if they were swapped and mark the room as playing again
+     * @param {string} roomId - Room ID
+     * @param {boolean} swapPartners - Whether the partnerships changed
+     */
+    async resetRoom(roomId, swapPartners) {
+        try {
+            const Room = (await import('../models/Room.js')).default;
+            const room = await Room.findById(roomId);
+            if (!room) {
+                return;
+            }
+
+            await room.resetAllPlayerReadyStatus();
+            if (swapPartners) {
+                await room.clearTeamAssignments();
+            }
+            await room.updateStatus('playing');
+        } catch (error) {
+            console.warn(`[Rematch] Failed to reset room ${roomId} for the rematch:`, error.message);
+        }
+    }
+}
+
+export default RematchService;
@@ -292,49 +292,6 @@ class StatisticsService {
         }
     }
 
-    /**
-     * Get leaderboard statistics
-     * @param {number} limit - Number of top players to retrieve
-     * @returns {Array} Leaderboard data
-     */
-    async getLeaderboard(limit = 20) {
-        try {
-            const leaderboardResult = await dbConnection.query(`
-                SELECT user_id, username, total_games_played, total_games_won,
-                       total_tricks_won, total_score,
-                       CASE 
-                           WHEN total_games_played > 0 
-                           THEN (total_games_won * 100.0 / total_games_played)
-                           ELSE 0 
-                       END as win_rate,
-                       CASE 
-                           WHEN total_games_played > 0 
-                           THEN (total_score * 1.0 / total_games_played)
-                           ELSE 0 
-                       END as average_score
-                FROM users
-                WHERE total_games_played > 0
-                ORDER BY win_rate DESC, total_games_won DESC, total_score DESC
-                LIMIT ?
-            `, [limit]);
-
-            return leaderboardResult.map((player, index) => ({
-                rank: index + 1,
-                userId: player.user_id,
-                username: player.username,
-                gamesPlayed: player.total_games_played,
-                gamesWon: player.total_games_won,
-                totalTricksWon: player.total_tricks_won,
-                totalScore: player.total_score,
-                winRate: parseFloat(player.win_rate).toFixed(1),
-                averageScore: parseFloat(player.average_score).toFixed(1)
-            }));
-        } catch (error) {
-            console.error('[StatisticsService] Get leaderboard error:', error.message);
-            throw error;
-        }
-    }
-
     /**
      * Get game statistics by ID
      * @param {string} gameId - Game ID
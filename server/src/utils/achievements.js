@@ -0,0 +1,101 @@
+/**
+ * Achievement Definitions
+ * Each achievement is evaluated for every human player when a round or a game finishes.
+ * `evaluate` returns the progress a player made in that round or game: 'total' achievements
+ * add it to the stored progress, 'best' achievements keep the highest value reached.
+ * An achievement unlocks once its progress reaches `target`.
+ */
+
+import { TRICKS_PER_ROUND } from '../../../shared/rules.js';
+
+/**
+ * Count the rounds in a row, ending with the latest, in which a player declared trump
+ * and their team made the contract (the Crown Rule lets them declare again)
+ * @param {string} userId - Player ID
+ * @param {Array} scoreHistory - Round ledger of the game
+ * @returns {number} Current streak
+ */
+export function getCrownStreak(userId, scoreHistory = []) {
+  let streak = 0;
+  for (let i = scoreHistory.length - 1; i >= 0; i--) {
+    const round = scoreHistory[i];
+    if (round.trumpDeclarer !== userId || !round.declaringTeamMadeContract) {
+      break;
+    }
+    streak++;
+  }
+  return streak;
+}
+
+export const ACHIEVEMENTS = Object.freeze([
+  {
+    id: 'first_game',
+    name: 'First Game',
+    description: 'Finish your first game',
+    trigger: 'game',
+    target: 1,
+    evaluate: () => 1
+  },
+  {
+    id: 'first_win',
+    name: 'First Win',
+    description: 'Win your first game',
+    trigger: 'game',
+    target: 1,
+    evaluate: ({ teamKey, winningTeam }) => (teamKey === winningTeam ? 1 : 0)
+  },
+  {
+    id: 'veteran',
+    name: 'Veteran',
+    description: 'Finish 25 games',
+    trigger: 'game',
+    target: 25,
+    evaluate: () => 1
+  },
+  {
+    id: 'trump_master',
+    name: 'Trump Master',
+    description: 'Successfully declare trump 10 times',
+    trigger: 'round',
+    target: 10,
+    evaluate: ({ userId, round }) => (round.trumpDeclarer === userId && round.declaringTeamMadeContract ? 1 : 0)
+  },
+  {
+    id: 'clean_sweep',
+    name: 'Clean Sweep',
+    description: `Win all ${TRICKS_PER_ROUND} tricks in a round`,
+    trigger: 'round',
+    target: 1,
+    evaluate: ({ teamKey, round }) => (round.tricks?.[teamKey] === TRICKS_PER_ROUND ? 1 : 0)
+  },
+  {
+    id: 'crown_keeper',
+    name: 'Crown Keeper',
+    description: 'Keep the Crown three rounds in a row',
+    trigger: 'round',
+    target: 3,
+    progress: 'best',
+    evaluate: ({ userId, scoreHistory }) => getCrownStreak(userId, scoreHistory)
+  }
+].map(achievement => Object.freeze({ progress: 'total', ...achievement })));
+
+/**
+ * Get an achievement definition
+ * @param {string} achievementId - Achievement ID
+ * @returns {Object|null} Definition, null if unknown
+ */
+export function getAchievement(achievementId) {
+  return ACHIEVEMENTS.find(achievement => achievement.id === achievementId) || null;
+}
+
+/**
+ * Work out a player's new progress towards an achievement
+ * @param {Object} achievement - Achievement definition
+ * @param {number} current - Stored progress
+ * @param {number} value - Progress made in this round or game
+ * @returns {number} New progress, capped at the target
+ */
+export function applyProgress(achievement, current, value) {
+  const next = achievement.progress === 'best' ? Math.max(current, value) : current + value;
+  return Math.min(next, achievement.target);
+}
@@ -0,0 +1,68 @@
+/**
+ * Chat Filter Utilities
+ * Length limits and a basic profanity mask for room chat messages
+ */
+
+export const CHAT_MESSAGE_MAX_LENGTH = 200;
+
+const BLOCKED_WORDS = [
+  'arse',
+  'ass',
+  'asshole',
+  'bastard',
+  'bitch',
+  'bollocks',
+  'crap',
+  'cunt',
+  'damn',
+  'dick',
+  'fuck',
+  'fucker',
+  'fucking',
+  'motherfucker',
+  'piss',
+  'prick',
+  'shit',
+  'slut',
+  'twat',
+  'wanker',
+  'whore'
+];
+
+const BLOCKED_WORDS_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\b`, 'gi');
+
+/**
+ * Clean up a chat message before it is stored and broadcast
+ * @param {string} text - Raw message text
+ * @returns {Object} { text, filtered } where filtered is true if words were masked
+ * @throws {Error} If the message is empty or too long
+ */
+export function filterChatMessage(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Chat message must be text');
+  }
+
+  // Collapse whitespace and strip control characters
+  const cleaned = text.replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+
+  if (!cleaned) {
+    throw new Error('Chat message cannot be empty');
+  }
+
+  if (cleaned.length > CHAT_MESSAGE_MAX_LENGTH) {
+    throw new Error(`Chat message must be ${CHAT_MESSAGE_MAX_LENGTH} characters or less`);
+  }
+
+  let filtered = false;
+  const masked = cleaned.replace(BLOCKED_WORDS_PATTERN, (word) => {
+    filtered = true;
+    return '*'.repeat(word.length);
+  });
+
+  return { text: masked, filtered };
+}
+
+export default {
+  CHAT_MESSAGE_MAX_LENGTH,
+  filterChatMessage
+};
@@ -0,0 +1,57 @@
+/**
+ * Deal Seed Utilities
+ * Every round is shuffled from a secret seed. The SHA-256 hash of the seed is published
+ * when the cards are dealt and the seed itself once the round is over, so players can
+ * check the seed matches the hash and rebuild the exact deal.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Generate a new secret deal seed
+ * @returns {string} 32 character hex seed
+ */
+export function generateDealSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Hash a deal seed for the up-front commitment
+ * @param {string} seed - Deal seed
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashDealSeed(seed) {
+  return crypto.createHash('sha256').update(String(seed)).digest('hex');
+}
+
+/**
+ * Check a revealed seed against its commitment
+ * @param {string} seed - Revealed deal seed
+ * @param {string} seedHash - Hash published when the round was dealt
+ * @returns {boolean} True if the seed matches the hash
+ */
+export function verifyDealSeed(seed, seedHash) {
+  return typeof seed === 'string' && typeof seedHash === 'string' && hashDealSeed(seed) === seedHash;
+}
+
+/**
+ * Create a deterministic random number generator from a deal seed
+ * The n-th number is the first 48 bits of SHA-256("<seed>:<n>") divided by 2^48,
+ * which anyone can reproduce without this code.
+ * @param {string} seed - Deal seed
+ * @returns {Function} Function returning numbers in [0, 1) like Math.random
+ */
+export function createSeededRandom(seed) {
+  let counter = 0;
+  return () => {
+    const digest = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+    return digest.readUIntBE(0, 6) / 2 ** 48;
+  };
+}
+
+export default {
+  generateDealSeed,
+  hashDealSeed,
+  verifyDealSeed,
+  createSeededRandom
+};
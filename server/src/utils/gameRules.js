@@ -0,0 +1,76 @@
+/**
+ * Game Rules Utilities
+ * House-rule configuration stored on Room.settings.rules and copied onto each Game
+ */
+
+import { STANDARD_RULES } from '../../../shared/rules.js';
+
+/**
+ * Standard Contract Crown rules plus the server's table settings
+ */
+export const DEFAULT_GAME_RULES = Object.freeze({
+  ...STANDARD_RULES,
+  trumpDeclarationTimeout: 30, // Seconds, 0 disables the timeout
+  botSubstitutionDelay: 30, // Seconds before a bot plays for a disconnected player, 0 disables
+  hintsPerGame: 3, // Suggested moves each player may ask for, 0 disables
+  ranked: false // Ranked rooms never give hints
+});
+
+const INTEGER_RULE_LIMITS = {
+  targetScore: { min: 8, max: 200 },
+  declaringTeamMinTricks: { min: 1, max: 8 },
+  challengingTeamMinTricks: { min: 1, max: 8 },
+  trumpDeclarationTimeout: { min: 0, max: 300 },
+  botSubstitutionDelay: { min: 0, max: 600 },
+  hintsPerGame: { min: 0, max: 20 }
+};
+
+const BOOLEAN_RULES = ['redealRule', 'ranked'];
+
+/**
+ * Merge rule overrides onto the defaults and validate the result
+ * @param {Object} rules - Partial rules configuration
+ * @returns {Object} Complete rules configuration
+ * @throws {Error} If a rule has an invalid value
+ */
+export function normalizeGameRules(rules = {}) {
+  if (rules === null || rules === undefined) {
+    return { ...DEFAULT_GAME_RULES };
+  }
+
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Game rules must be an object');
+  }
+
+  const normalized = { ...DEFAULT_GAME_RULES };
+
+  for (const [rule, { min, max }] of Object.entries(INTEGER_RULE_LIMITS)) {
+    if (rules[rule] === undefined || rules[rule] === null) {
+      continue;
+    }
+
+    const value = Number(rules[rule]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Game rule ${rule} must be a whole number between ${min} and ${max}`);
+    }
+    normalized[rule] = value;
+  }
+
+  for (const rule of BOOLEAN_RULES) {
+    if (rules[rule] === undefined || rules[rule] === null) {
+      continue;
+    }
+
+    if (typeof rules[rule] !== 'boolean') {
+      throw new Error(`Game rule ${rule} must be true or false`);
+    }
+    normalized[rule] = rules[rule];
+  }
+
+  return normalized;
+}
+
+export default {
+  DEFAULT_GAME_RULES,
+  normalizeGameRules
+};
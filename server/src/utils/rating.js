@@ -0,0 +1,140 @@
+/**
+ * Rating Utilities
+ * Team-aware Glicko-2 skill ratings for ranked games. A partnership plays as one side whose
+ * rating is the average of its players' ratings. Each player's expected score comes from
+ * their own team's rating against the other team's, so winning with a strong partner or
+ * against weak opponents earns less. Every player then moves by their own rating deviation,
+ * so players with few ranked games move faster than settled ones.
+ * See http://www.glicko.net/glicko/glicko2.pdf for the algorithm.
+ */
+
+export const DEFAULT_RATING = Object.freeze({
+  rating: 1500,
+  deviation: 350,
+  volatility: 0.06
+});
+
+// Lowest deviation a player can reach, so ratings never stop responding to results
+export const MIN_DEVIATION = 30;
+
+const GLICKO_SCALE = 173.7178;
+const SYSTEM_TAU = 0.5;
+const CONVERGENCE_TOLERANCE = 0.000001;
+const MAX_ITERATIONS = 100;
+
+const toGlicko2 = ({ rating, deviation }) => ({
+  mu: (rating - DEFAULT_RATING.rating) / GLICKO_SCALE,
+  phi: deviation / GLICKO_SCALE
+});
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const expectedScore = (mu, opponentMu, opponentPhi) => 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+/**
+ * Combine a partnership into one side
+ * @param {Array} players - Player ratings ({ rating, deviation })
+ * @returns {Object} Team rating and deviation
+ */
+export function getTeamRating(players) {
+  const count = players.length || 1;
+  return {
+    rating: players.reduce((sum, player) => sum + player.rating, 0) / count,
+    deviation: Math.sqrt(players.reduce((sum, player) => sum + player.deviation ** 2, 0) / count)
+  };
+}
+
+/**
+ * Find a player's new volatility (step 5 of Glicko-2, Illinois algorithm)
+ * @param {number} phi - Player deviation on the Glicko-2 scale
+ * @param {number} sigma - Player volatility
+ * @param {number} delta - Estimated improvement
+ * @param {number} variance - Estimated variance of the player's rating from the game
+ * @returns {number} New volatility
+ */
+function updateVolatility(phi, sigma, delta, variance) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    return (ex * (delta * delta - phi * phi - variance - ex)) / (2 * (phi * phi + variance + ex) ** 2)
+      - (x - a) / (SYSTEM_TAU * SYSTEM_TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + variance) {
+    B = Math.log(delta * delta - phi * phi - variance);
+  } else {
+    let k = 1;
+    while (f(a - k * SYSTEM_TAU) < 0 && k < MAX_ITERATIONS) {
+      k++;
+    }
+    B = a - k * SYSTEM_TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  for (let i = 0; i < MAX_ITERATIONS && Math.abs(B - A) > CONVERGENCE_TOLERANCE; i++) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player after a game
+ * @param {Object} player - Player rating ({ rating, deviation, volatility })
+ * @param {Object} team - Player's team rating
+ * @param {Object} opponents - Opposing team rating
+ * @param {number} score - 1 for a win, 0 for a loss
+ * @returns {Object} New player rating
+ */
+function ratePlayer(player, team, opponents, score) {
+  const { mu, phi } = toGlicko2(player);
+  const teamMu = toGlicko2(team).mu;
+  const { mu: opponentMu, phi: opponentPhi } = toGlicko2(opponents);
+
+  const expected = expectedScore(teamMu, opponentMu, opponentPhi);
+  const impact = g(opponentPhi);
+  const variance = 1 / (impact * impact * expected * (1 - expected));
+  const delta = variance * impact * (score - expected);
+
+  const volatility = updateVolatility(phi, player.volatility, delta, variance);
+  const preRatingPhi = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + 1 / variance);
+  const newMu = mu + newPhi * newPhi * impact * (score - expected);
+
+  return {
+    rating: newMu * GLICKO_SCALE + DEFAULT_RATING.rating,
+    deviation: Math.max(MIN_DEVIATION, newPhi * GLICKO_SCALE),
+    volatility
+  };
+}
+
+/**
+ * Rate every player after a game between two partnerships
+ * @param {Object} teams - Player ratings per team ({ team1: [], team2: [] })
+ * @param {string|null} winningTeam - 'team1' or 'team2', null for a draw
+ * @returns {Object} New player ratings per team, in the same order
+ */
+export function rateTeamGame(teams, winningTeam) {
+  const teamRatings = {
+    team1: getTeamRating(teams.team1),
+    team2: getTeamRating(teams.team2)
+  };
+
+  return Object.fromEntries(['team1', 'team2'].map(teamKey => {
+    const opponentKey = teamKey === 'team1' ? 'team2' : 'team1';
+    const score = winningTeam ? Number(teamKey === winningTeam) : 0.5;
+    return [teamKey, teams[teamKey].map(player => ratePlayer(player, teamRatings[teamKey], teamRatings[opponentKey], score))];
+  }));
+}
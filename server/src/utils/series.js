@@ -0,0 +1,79 @@
+/**
+ * Series Utilities
+ * A rematch with the same partnerships continues a best-of-N series. Each Game in a series
+ * carries { seriesId, bestOf, gameNumber, score } where score counts the games won by
+ * team1 and team2 before this one. The series ID is the ID of its first game.
+ */
+
+export const DEFAULT_SERIES_LENGTH = 3;
+export const MAX_SERIES_LENGTH = 9;
+
+/**
+ * Validate a series length
+ * @param {number} bestOf - Requested number of games
+ * @returns {number} Odd series length between 1 and MAX_SERIES_LENGTH
+ * @throws {Error} If the length is not an odd whole number in range
+ */
+export function normalizeBestOf(bestOf = DEFAULT_SERIES_LENGTH) {
+  const value = Number(bestOf);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_SERIES_LENGTH || value % 2 === 0) {
+    throw new Error(`A series must be an odd number of games between 1 and ${MAX_SERIES_LENGTH}`);
+  }
+  return value;
+}
+
+/**
+ * Get the number of game wins that takes a series
+ * @param {number} bestOf - Series length
+ * @returns {number} Wins needed
+ */
+export function getWinsNeeded(bestOf) {
+  return Math.floor(bestOf / 2) + 1;
+}
+
+/**
+ * Add a finished game to its series
+ * @param {Object} series - Series the game belonged to
+ * @param {string} winningTeam - 'team1' or 'team2'
+ * @returns {Object} Series with the updated score and the series winner, null while undecided
+ */
+export function recordSeriesGame(series, winningTeam) {
+  const score = { team1: 0, team2: 0, ...series.score };
+  if (score[winningTeam] !== undefined) {
+    score[winningTeam] += 1;
+  }
+
+  const winsNeeded = getWinsNeeded(series.bestOf);
+  const winner = Object.keys(score).find(team => score[team] >= winsNeeded) || null;
+
+  return { ...series, score, winner };
+}
+
+/**
+ * Work out the series a rematch belongs to
+ * Keeping the partnerships continues an undecided series (or turns a single game into
+ * the first game of one); swapping partners or a decided series starts a new series.
+ * @param {Object} options - Rematch details
+ * @param {string} options.previousGameId - Finished game ID
+ * @param {string} options.nextGameId - Rematch game ID
+ * @param {Object|null} options.series - Finished game's series after recording its result
+ * @param {string} options.winningTeam - Team that won the finished game
+ * @param {boolean} options.swapPartners - Whether the partnerships change
+ * @param {number} options.bestOf - Series length for a new series
+ * @returns {Object} Series for the rematch game
+ */
+export function getRematchSeries({ previousGameId, nextGameId, series, winningTeam, swapPartners, bestOf }) {
+  // A single game counts as the first game of the series it starts
+  const current = series || recordSeriesGame({ seriesId: previousGameId, bestOf, gameNumber: 1, score: {} }, winningTeam);
+
+  if (swapPartners || current.winner) {
+    return { seriesId: nextGameId, bestOf, gameNumber: 1, score: { team1: 0, team2: 0 } };
+  }
+
+  return {
+    seriesId: current.seriesId,
+    bestOf: current.bestOf,
+    gameNumber: current.gameNumber + 1,
+    score: { ...current.score }
+  };
+}
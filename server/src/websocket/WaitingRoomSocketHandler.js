@@ -1,10 +1,18 @@
 // Models will be imported dynamically to avoid initialization issues
+import { v4 as uuidv4 } from 'uuid';
 import BotManager from '../services/BotManager.js';
+import { BOT_DIFFICULTIES } from '../services/BotPlayer.js';
+import { rateLimitSocket } from '../middlewares/socketAuth.js';
+import { filterChatMessage } from '../utils/chatFilter.js';
 // Legacy MariaDB connection removed - now using LokiJS
 // import dbConnection from '../../database/connection.js';
 
 // LokiJS migration complete - dbConnection removed
 
+const CHAT_HISTORY_LIMIT = 100;
+const CHAT_RATE_LIMIT_MESSAGES = 5;
+const CHAT_RATE_LIMIT_WINDOW_MS = 10000;
+
 /**
  * Waiting Room WebSocket Handler
  * Handles WebSocket events specific to the waiting room functionality
@@ -14,6 +22,10 @@ class WaitingRoomSocketHandler {
     constructor(socketManager) {
         this.socketManager = socketManager;
         this.io = socketManager.io;
+
+        // Chat history per room, kept until the room empties out
+        this.chatHistories = new Map();
+        this.chatRateLimiter = rateLimitSocket(CHAT_RATE_LIMIT_MESSAGES, CHAT_RATE_LIMIT_WINDOW_MS);
     }
 
     /**
@@ -55,6 +67,15 @@ class WaitingRoomSocketHandler {
             this.handleRoomUpdate(socket, data);
         });
 
+        // Chat events (the game page shares the same room channel)
+        socket.on('chat-message', (data) => {
+            this.handleChatMessage(socket, data);
+        });
+
+        socket.on('chat-history', (data) => {
+            this.handleChatHistoryRequest(socket, data);
+        });
+
         console.log(`[WaitingRoom] Event handlers set up for ${username} (${userId})`);
     }
 
@@ -81,6 +102,11 @@ class WaitingRoomSocketHandler {
             return;
         }
 
+        if (data.spectate) {
+            await this.handleSpectateWaitingRoom(socket, roomId, effectiveUserId, effectiveUsername);
+            return;
+        }
+
         try {
             // Join the Socket.IO room
             socket.join(roomId);
@@ -163,6 +189,51 @@ class WaitingRoomSocketHandler {
         }
     }
 
+    /**
+     * Handle watching a waiting room without taking one of the 4 seats
+     */
+    async handleSpectateWaitingRoom(socket, roomId, userId, username) {
+        try {
+            const Room = (await import('../models/Room.js')).default;
+            const dbRoom = await Room.findById(roomId);
+            if (!dbRoom) {
+                socket.emit('waiting-room-error', { message: 'Room not found' });
+                return;
+            }
+
+            const spectateCheck = dbRoom.canUserSpectate(userId);
+            if (!spectateCheck.canSpectate) {
+                socket.emit('waiting-room-error', { message: spectateCheck.reason, code: 'SPECTATE_NOT_ALLOWED' });
+                return;
+            }
+
+            socket.join(roomId);
+
+            if (!this.socketManager.gameRooms.has(roomId)) {
+                this.socketManager.gameRooms.set(roomId, {
+                    gameId: roomId,
+                    players: new Map(),
+                    teams: { team1: [], team2: [] },
+                    createdAt: new Date().toISOString(),
+                    status: 'waiting',
+                    hostId: String(dbRoom.owner_id)
+                });
+            }
+
+            this.socketManager.addSpectator(roomId, { userId, username, socketId: socket.id });
+            this.socketManager.userSockets.set(userId, socket.id);
+            this.socketManager.socketUsers.set(socket.id, userId);
+
+            console.log(`[WaitingRoom] ${username} is spectating room ${roomId}`);
+
+            this.sendRoomState(socket, roomId, this.socketManager.gameRooms.get(roomId), { isSpectator: true });
+
+        } catch (error) {
+            console.error('[WaitingRoom] Error spectating waiting room:', error);
+            socket.emit('waiting-room-error', { message: 'Failed to spectate waiting room' });
+        }
+    }
+
     /**
      * Handle leaving a waiting room
      */
@@ -182,7 +253,11 @@ class WaitingRoomSocketHandler {
             socket.leave(roomId);
 
             const room = this.socketManager.gameRooms.get(roomId);
-            if (room && room.players.has(userId)) {
+            if (this.socketManager.removeSpectator(roomId, userId)) {
+                this.socketManager.userSockets.delete(userId);
+                this.socketManager.socketUsers.delete(socket.id);
+                console.log(`[WaitingRoom] Spectator ${username} left room: ${roomId}`);
+            } else if (room && room.players.has(userId)) {
                 const leavingPlayer = room.players.get(userId);
                 const wasHost = String(room.hostId) === String(userId);
 
@@ -264,6 +339,7 @@ class WaitingRoomSocketHandler {
                 // Clean up empty rooms
                 if (room.players.size === 0) {
                     this.socketManager.gameRooms.delete(roomId);
+                    this.clearChatHistory(roomId);
                     console.log(`[WaitingRoom] Cleaned up empty room: ${roomId}`);
 
                     // Optionally clean up database room if empty
@@ -804,6 +880,7 @@ class WaitingRoomSocketHandler {
             // Clean up empty rooms
             if (room.players.size === 0) {
                 this.socketManager.gameRooms.delete(roomId);
+                this.clearChatHistory(roomId);
                 console.log(`[WaitingRoom] Cleaned up empty room after disconnection timeout: ${roomId}`);
 
                 // Clean up database room if empty
@@ -913,12 +990,19 @@ class WaitingRoomSocketHandler {
 
     /**
      * Add bots to room to fill empty slots
+     * @param {Object} room - WebSocket room state
+     * @param {string} roomId - Room ID
+     * @param {number} botsNeeded - Number of bots to add
+     * @param {Array<string>} difficulties - Difficulty per bot seat, unknown values fall back to medium
      */
-    async addBotsToRoom(room, roomId, botsNeeded) {
+    async addBotsToRoom(room, roomId, botsNeeded, difficulties = []) {
         try {
             // Create bots for this game
             const bots = BotManager.createBotsForGame(roomId, botsNeeded, {
                 difficulty: 'medium',
+                difficulties: difficulties.map(difficulty =>
+                    BOT_DIFFICULTIES.includes(difficulty) ? difficulty : 'medium'
+                ),
                 names: ['Bot Alpha', 'Bot Beta', 'Bot Gamma'].slice(0, botsNeeded)
             });
 
@@ -930,7 +1014,8 @@ class WaitingRoomSocketHandler {
                     isReady: true, // Bots are always ready
                     isConnected: true,
                     teamAssignment: null,
-                    isBot: true
+                    isBot: true,
+                    botDifficulty: bot.difficulty
                 };
 
                 room.players.set(bot.id, botPlayerData);
@@ -1018,7 +1103,8 @@ class WaitingRoomSocketHandler {
             username: bot.name,
             isReady: true,
             isConnected: true,
-            isBot: true
+            isBot: true,
+            botDifficulty: bot.difficulty
         }));
 
         this.io.to(roomId).emit('bots-added', {
@@ -1309,9 +1395,10 @@ class WaitingRoomSocketHandler {
     }
 
     // Helper methods
-    sendRoomState(socket, roomId, room) {
+    sendRoomState(socket, roomId, room, { isSpectator = false } = {}) {
         const roomPlayers = this.getRoomPlayersArray(room);
         const gameStartInfo = this.calculateGameStartEligibility(room);
+        const spectators = this.socketManager.getSpectators(roomId);
 
         socket.emit('waiting-room-joined', {
             roomId,
@@ -1321,6 +1408,9 @@ class WaitingRoomSocketHandler {
             hostId: room.hostId,
             playerCount: room.players.size,
             maxPlayers: 4,
+            spectators,
+            spectatorCount: spectators.length,
+            isSpectator,
             canStartGame: gameStartInfo.canStartGame,
             gameStartReason: gameStartInfo.reason,
             timestamp: new Date().toISOString()
@@ -1333,7 +1423,9 @@ class WaitingRoomSocketHandler {
             username: p.username,
             isReady: p.isReady,
             teamAssignment: p.teamAssignment,
-            isConnected: p.isConnected
+            isConnected: p.isConnected,
+            isBot: Boolean(p.isBot),
+            botDifficulty: p.botDifficulty
         }));
     }
 
@@ -1354,7 +1446,7 @@ class WaitingRoomSocketHandler {
      * Handle room update events (including bot management)
      */
     async handleRoomUpdate(socket, data) {
-        const { roomId, type, players } = data;
+        const { roomId, type, botDifficulties = [] } = data;
         const { userId, username } = socket;
 
         console.log(`[WaitingRoom] Room update request - roomId: ${roomId}, type: ${type}, userId: ${userId}`);
@@ -1383,14 +1475,21 @@ class WaitingRoomSocketHandler {
                 const emptySlots = 4 - currentPlayers.length;
 
                 if (emptySlots > 0) {
+                    // Replace any bots already seated so the host's new difficulty picks apply
+                    for (const [playerId, player] of room.players.entries()) {
+                        if (player.isBot) {
+                            room.players.delete(playerId);
+                        }
+                    }
+
                     console.log(`[WaitingRoom] Adding ${emptySlots} bots to room ${roomId}`);
-                    await this.addBotsToRoom(room, roomId, emptySlots);
+                    await this.addBotsToRoom(room, roomId, emptySlots, botDifficulties);
 
                     // Broadcast the updated room state to all clients
                     this.broadcastRoomUpdate(roomId, room, {
                         type: 'bots-added',
                         message: `Host added ${emptySlots} bot${emptySlots > 1 ? 's' : ''}`,
-                        players: this.getPlayersForBroadcast(room)
+                        players: this.getRoomPlayersArray(room)
                     });
                 }
             } else if (type === 'bots-removed') {
@@ -1411,7 +1510,7 @@ class WaitingRoomSocketHandler {
                     this.broadcastRoomUpdate(roomId, room, {
                         type: 'bots-removed',
                         message: `Host removed ${botCount} bot${botCount > 1 ? 's' : ''}`,
-                        players: this.getPlayersForBroadcast(room)
+                        players: this.getRoomPlayersArray(room)
                     });
                 }
             }
@@ -1422,6 +1521,93 @@ class WaitingRoomSocketHandler {
         }
     }
 
+    /**
+     * Handle a chat message from a player or spectator
+     */
+    handleChatMessage(socket, data = {}) {
+        const { roomId, text } = data;
+        const userId = String(socket.userId || '');
+
+        if (!roomId) {
+            socket.emit('chat-error', { message: 'Room ID is required' });
+            return;
+        }
+
+        const room = this.socketManager.gameRooms.get(roomId);
+        const isSpectator = this.socketManager.isSpectator(roomId, userId);
+        if (!room || (!room.players.has(userId) && !isSpectator)) {
+            socket.emit('chat-error', { roomId, message: 'You are not in this room' });
+            return;
+        }
+
+        let rateLimitError = null;
+        this.chatRateLimiter(socket, (error) => {
+            rateLimitError = error || null;
+        });
+        if (rateLimitError) {
+            socket.emit('chat-error', {
+                roomId,
+                message: 'You are sending messages too quickly',
+                ...rateLimitError.data
+            });
+            return;
+        }
+
+        let filteredMessage;
+        try {
+            filteredMessage = filterChatMessage(text);
+        } catch (error) {
+            socket.emit('chat-error', { roomId, message: error.message, code: 'INVALID_MESSAGE' });
+            return;
+        }
+
+        const message = {
+            messageId: uuidv4(),
+            roomId,
+            userId,
+            username: socket.username,
+            text: filteredMessage.text,
+            isSpectator,
+            timestamp: new Date().toISOString()
+        };
+
+        const history = this.chatHistories.get(roomId) || [];
+        history.push(message);
+        if (history.length > CHAT_HISTORY_LIMIT) {
+            history.splice(0, history.length - CHAT_HISTORY_LIMIT);
+        }
+        this.chatHistories.set(roomId, history);
+
+        this.io.to(roomId).emit('chat-message', message);
+    }
+
+    /**
+     * Send the room's chat history to a player or spectator
+     */
+    handleChatHistoryRequest(socket, data = {}) {
+        const { roomId } = data;
+        const userId = String(socket.userId || '');
+        const room = this.socketManager.gameRooms.get(roomId);
+
+        if (!room || (!room.players.has(userId) && !this.socketManager.isSpectator(roomId, userId))) {
+            socket.emit('chat-error', { roomId, message: 'You are not in this room' });
+            return;
+        }
+
+        socket.emit('chat-history', {
+            roomId,
+            messages: this.chatHistories.get(roomId) || [],
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Drop a room's chat history once the room is gone
+     */
+    clearChatHistory(roomId) {
+        this.chatHistories.delete(roomId);
+    }
+
     /**
      * Broadcast room update to all clients in the room
      */
@@ -0,0 +1,140 @@
+/**
+ * Achievements Tests
+ * Tests the achievement definitions and the progress stored as rounds and games finish
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { useTestDatabase } from './helpers/testDatabase.js';
+import { createMockIO, cleanupSocketManager } from './helpers/socketFixtures.js';
+import { ACHIEVEMENTS, applyProgress, getAchievement, getCrownStreak } from '../src/utils/achievements.js';
+
+const testDatabase = useTestDatabase('achievements');
+
+const round = (trumpDeclarer, tricks, declaringTeamMadeContract = true) => ({
+    trumpDeclarer,
+    declaringTeam: 'team1',
+    tricks,
+    declaringTeamMadeContract
+});
+
+describe('Achievement definitions', () => {
+    it('should count the rounds in a row a player kept the Crown', () => {
+        const history = [
+            round('north', { team1: 5, team2: 3 }),
+            round('south', { team1: 6, team2: 2 }),
+            round('north', { team1: 5, team2: 3 }),
+            round('north', { team1: 7, team2: 1 })
+        ];
+
+        expect(getCrownStreak('north', history)).toBe(2);
+        expect(getCrownStreak('south', history)).toBe(0);
+        expect(getCrownStreak('north', [...history, round('north', { team1: 2, team2: 6 }, false)])).toBe(0);
+    });
+
+    it('should add up total progress and keep the best streak, capped at the target', () => {
+        const trumpMaster = getAchievement('trump_master');
+        const crownKeeper = getAchievement('crown_keeper');
+
+        expect(applyProgress(trumpMaster, 4, 1)).toBe(5);
+        expect(applyProgress(trumpMaster, 10, 1)).toBe(10);
+        expect(applyProgress(crownKeeper, 2, 1)).toBe(2);
+        expect(applyProgress(crownKeeper, 2, 5)).toBe(3);
+        expect(getAchievement('unknown')).toBeNull();
+        expect(ACHIEVEMENTS.every(achievement => ['round', 'game'].includes(achievement.trigger))).toBe(true);
+    });
+});
+
+describe('Achievement service', () => {
+    const gameId = 'achievement-game';
+    let lokiConnection;
+    let SocketManager;
+    let mockIO;
+    let socketManager;
+
+    const unlockedFor = (userId) => mockIO.sent
+        .filter(({ target, event }) => target === `socket-${userId}` && event === 'achievement:unlocked')
+        .map(({ data }) => data.achievement.id);
+
+    beforeAll(async () => {
+        ({ default: SocketManager } = await import('../websocket/socketManager.js'));
+        lokiConnection = await testDatabase.open();
+    });
+
+    afterAll(async () => {
+        await testDatabase.close();
+    });
+
+    beforeEach(() => {
+        process.env.NODE_ENV = 'test';
+        lokiConnection.getCollection('userAchievements').clear();
+        mockIO = createMockIO();
+        socketManager = new SocketManager(mockIO);
+
+        const seats = [
+            { userId: 'north', username: 'north', teamAssignment: 1 },
+            { userId: 'east', username: 'Bot East', isBot: true, teamAssignment: 2 },
+            { userId: 'south', username: 'south', teamAssignment: 1 },
+            { userId: 'west', username: 'west', teamAssignment: 2 }
+        ];
+        socketManager.gameRooms.set(gameId, {
+            gameId,
+            players: new Map(seats.map(seat => [seat.userId, { ...seat, isReady: true, isConnected: true }])),
+            status: 'playing',
+            hostId: 'north'
+        });
+        for (const { userId, isBot } of seats) {
+            if (!isBot) {
+                socketManager.userSockets.set(userId, `socket-${userId}`);
+            }
+        }
+    });
+
+    afterEach(() => {
+        cleanupSocketManager(socketManager);
+        vi.restoreAllMocks();
+        delete process.env.NODE_ENV;
+    });
+
+    it('should unlock round achievements for the humans who earned them', async () => {
+        const sweep = round('north', { team1: 8, team2: 0 });
+        const unlocked = await socketManager.achievementService.evaluateRound(gameId, sweep, [sweep]);
+
+        expect(unlocked.map(({ userId, achievement }) => `${userId}:${achievement.id}`)).toEqual(['north:clean_sweep', 'south:clean_sweep']);
+        expect(unlockedFor('north')).toEqual(['clean_sweep']);
+        expect(unlockedFor('west')).toEqual([]);
+
+        const north = await socketManager.achievementService.getUserAchievements('north');
+        expect(north.find(achievement => achievement.id === 'clean_sweep')).toMatchObject({ earned: true, progress: 1, target: 1 });
+        expect(north.find(achievement => achievement.id === 'trump_master')).toMatchObject({ earned: false, progress: 1, target: 10 });
+        expect((await socketManager.achievementService.getUserAchievements('south')).find(achievement => achievement.id === 'trump_master').progress).toBe(0);
+
+        // Bots never collect achievements
+        expect(lokiConnection.getCollection('userAchievements').find({ user_id: 'east' })).toHaveLength(0);
+
+        // An unlocked achievement is only announced once
+        const again = await socketManager.achievementService.evaluateRound(gameId, sweep, [sweep, sweep]);
+        expect(again).toEqual([]);
+    });
+
+    it('should unlock the Crown keeper after three kept rounds in a row', async () => {
+        const history = [];
+        for (let i = 0; i < 3; i++) {
+            history.push(round('north', { team1: 5, team2: 3 }));
+            await socketManager.achievementService.evaluateRound(gameId, history[history.length - 1], [...history]);
+        }
+
+        expect(unlockedFor('north')).toEqual(['crown_keeper']);
+        const crownKeeper = (await socketManager.achievementService.getUserAchievements('north')).find(achievement => achievement.id === 'crown_keeper');
+        expect(crownKeeper).toMatchObject({ earned: true, progress: 3 });
+    });
+
+    it('should unlock game achievements when the game is won', async () => {
+        await socketManager.achievementService.evaluateGame(gameId, 'team2', { team1: 30, team2: 52 });
+
+        expect(unlockedFor('west')).toEqual(['first_game', 'first_win']);
+        expect(unlockedFor('north')).toEqual(['first_game']);
+
+        const veteran = (await socketManager.achievementService.getUserAchievements('north')).find(achievement => achievement.id === 'veteran');
+        expect(veteran).toMatchObject({ earned: false, progress: 1, target: 25 });
+    });
+});
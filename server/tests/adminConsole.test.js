@@ -0,0 +1,149 @@
+/**
+ * Admin Console Tests
+ * Tests the live game listing and admin actions behind the admin console, and backup browsing
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { useTestDatabase } from './helpers/testDatabase.js';
+import { createMockIO, cleanupSocketManager } from './helpers/socketFixtures.js';
+
+const testDatabase = useTestDatabase('admin');
+
+describe('Admin console', () => {
+    const gameId = 'admin-game';
+    const humans = ['north', 'south'];
+    let lokiConnection;
+    let SocketManager;
+    let BotManager;
+    let Game;
+    let mockIO;
+    let socketManager;
+
+    const emitted = (event) => mockIO.roomEmit.mock.calls.filter(([name]) => name === event).map(([, data]) => data);
+
+    beforeAll(async () => {
+        ({ default: SocketManager } = await import('../websocket/socketManager.js'));
+        ({ default: BotManager } = await import('../src/services/BotManager.js'));
+        ({ default: Game } = await import('../src/models/Game.js'));
+        lokiConnection = await testDatabase.open();
+    });
+
+    afterAll(async () => {
+        await testDatabase.close();
+    });
+
+    beforeEach(() => {
+        process.env.NODE_ENV = 'test';
+        mockIO = createMockIO();
+        socketManager = new SocketManager(mockIO);
+        vi.spyOn(socketManager, 'processBotTurnsIfNeeded').mockResolvedValue();
+
+        const seats = [
+            { userId: 'north', username: 'north', teamAssignment: 1 },
+            { userId: 'east', username: 'Bot East', isBot: true, teamAssignment: 2 },
+            { userId: 'south', username: 'south', teamAssignment: 1 },
+            { userId: 'west', username: 'Bot West', isBot: true, teamAssignment: 2 }
+        ];
+        socketManager.gameRooms.set(gameId, {
+            gameId,
+            players: new Map(seats.map(seat => [seat.userId, { ...seat, isReady: true, isConnected: true }])),
+            teams: { team1: ['north', 'south'], team2: ['east', 'west'] },
+            createdAt: new Date().toISOString(),
+            status: 'playing',
+            hostId: 'north'
+        });
+        socketManager.gameStateManager.initializeGameState(gameId, {
+            status: 'in_progress',
+            phase: 'playing',
+            currentRound: 2,
+            trumpSuit: 'Hearts',
+            currentTurnPlayer: 'south',
+            roundScores: { team1: 12, team2: 8 },
+            rules: { botSubstitutionDelay: 20 },
+            players: Object.fromEntries(seats.map(seat => [seat.userId, { ...seat, hand: [{ suit: 'Hearts', rank: 'A' }] }]))
+        });
+
+        mockIO.sockets.adapter.rooms.set(gameId, new Set(humans.map(id => `socket-${id}`)));
+        for (const userId of humans) {
+            mockIO.sockets.sockets.set(`socket-${userId}`, {
+                id: `socket-${userId}`,
+                userId,
+                username: userId,
+                userRole: 'player',
+                handshake: { time: 'now', address: '127.0.0.1' },
+                rooms: new Set([`socket-${userId}`, gameId]),
+                emit: vi.fn(),
+                leave: vi.fn(),
+                disconnect: vi.fn()
+            });
+            socketManager.userSockets.set(userId, `socket-${userId}`);
+        }
+    });
+
+    afterEach(() => {
+        cleanupSocketManager(socketManager);
+        BotManager.clearGameBots(gameId);
+        vi.restoreAllMocks();
+        delete process.env.NODE_ENV;
+    });
+
+    it('should list live tables with their state and connected sockets', () => {
+        const [game] = socketManager.adminService.listGames();
+        expect(game).toMatchObject({ gameId, roomId: gameId, status: 'in_progress', phase: 'playing', round: 2, gameScores: { team1: 12, team2: 8 } });
+        expect(game.players).toHaveLength(4);
+
+        const details = socketManager.adminService.getGameDetails(gameId);
+        expect(details.table).toMatchObject({ trumpSuit: 'Hearts', currentTurnPlayer: 'south', handSizes: { north: 1 } });
+        expect(details.sockets.map(socket => socket.userId)).toEqual(humans);
+        expect(socketManager.adminService.getGameDetails('unknown-game')).toBeNull();
+
+        expect(socketManager.adminService.getConnectedUsers()[0]).toMatchObject({ userId: 'north', role: 'player', rooms: [gameId] });
+    });
+
+    it('should hand a kicked player\'s seat to a bot and keep them out of the game', async () => {
+        const result = await socketManager.adminService.kickPlayer(gameId, 'south');
+
+        expect(result).toEqual({ gameId, userId: 'south', replacedByBot: true });
+        expect(mockIO.sockets.sockets.get('socket-south').emit).toHaveBeenCalledWith('game:kicked', expect.objectContaining({ gameId }));
+        expect(socketManager.gameRooms.get(gameId).players.get('south').botSubstitute).toBe(true);
+        expect(emitted('game:seat_substituted')[0]).toMatchObject({ playerId: 'south' });
+
+        // Rejoining does not give the seat back
+        const rejoin = { id: 'socket-south-2', userId: 'south', username: 'south', emit: vi.fn(), join: vi.fn() };
+        await socketManager.handleJoinGameRoom(rejoin, { gameId });
+        expect(rejoin.join).not.toHaveBeenCalled();
+        expect(rejoin.emit).toHaveBeenCalledWith('game:kicked', expect.objectContaining({ gameId }));
+
+        await expect(socketManager.adminService.kickPlayer(gameId, 'east')).rejects.toThrow('Player is not at this table');
+    });
+
+    it('should end a game without a winner and tell the table', async () => {
+        await new Game().create({ game_id: gameId, game_code: 'ADMIN1', status: 'in_progress', host_id: 'north' });
+
+        const result = await socketManager.adminService.forceEndGame(gameId, 'Stuck game');
+
+        expect(result).toEqual({ gameId, roomId: gameId });
+        expect(emitted('game:force_ended')[0]).toMatchObject({ gameId, roomId: gameId, reason: 'Stuck game' });
+        expect(mockIO.socketsLeave).toHaveBeenCalledWith(gameId);
+        expect(socketManager.gameRooms.has(gameId)).toBe(false);
+        expect(socketManager.gameStateManager.getGameState(gameId)).toBeUndefined();
+        expect((await new Game().findById(gameId)).status).toBe('cancelled');
+
+        await expect(socketManager.adminService.forceEndGame(gameId)).rejects.toThrow('Game not found');
+    });
+
+    it('should list backups newest first and summarize their collections', async () => {
+        await lokiConnection.createBackup('manual');
+
+        const [backup] = await lokiConnection.listBackups();
+        expect(backup).toMatchObject({ type: 'manual' });
+        expect(backup.name).toMatch(/^backup_manual_.+\.json$/);
+
+        const summary = await lokiConnection.getBackupSummary(backup.name);
+        expect(summary.collections.find(collection => collection.name === 'users').count).toBeGreaterThan(0);
+
+        // Only backup files in the backup directory can be read
+        expect(await lokiConnection.getBackupSummary('../trump_crown_db.json')).toBeNull();
+        expect(await lokiConnection.getBackupSummary('backup_missing.json')).toBeNull();
+    });
+});
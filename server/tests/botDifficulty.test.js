@@ -0,0 +1,96 @@
+/**
+ * Bot Difficulty Tests
+ * Tests that each bot difficulty tier uses its own card play algorithm
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import BotAI from '../src/services/BotAI.js';
+import BotManager from '../src/services/BotManager.js';
+
+const card = (rank, suit) => ({ rank, suit });
+
+const createBot = (difficulty) => new BotAI({
+    name: 'Test Bot',
+    personality: 'balanced',
+    difficulty,
+    aggressiveness: 0.5,
+    riskTolerance: 0.4
+});
+
+const choose = (bot, hand, context = {}) => {
+    const trickState = { cardsPlayed: context.cardsPlayed || [] };
+    return bot.chooseCard(bot.getValidCards(hand, trickState), {
+        hand,
+        trickState,
+        trumpSuit: 'Spades',
+        partnerId: 'partner',
+        playedCards: [],
+        teamTricks: 0,
+        ...context
+    });
+};
+
+describe('Bot difficulty tiers', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        BotManager.clearGameBots('difficulty-game');
+    });
+
+    it('should create bots with a difficulty per seat', () => {
+        const bots = BotManager.createBotsForGame('difficulty-game', 3, {
+            difficulty: 'medium',
+            difficulties: ['easy', 'expert', 'unknown']
+        });
+
+        expect(bots.map(bot => bot.difficulty)).toEqual(['easy', 'expert', 'medium']);
+        expect(bots[1].ai.getDifficulty()).toBe('expert');
+    });
+
+    it('should play a random legal card on easy', () => {
+        vi.spyOn(Math, 'random').mockReturnValue(0.99);
+        const hand = [card('7', 'Hearts'), card('A', 'Hearts'), card('K', 'Clubs')];
+
+        const chosen = choose(createBot('easy'), hand, {
+            cardsPlayed: [{ playerId: 'right', card: card('9', 'Hearts') }]
+        });
+
+        expect(chosen).toEqual(card('A', 'Hearts'));
+    });
+
+    it('should only count played cards from hard upwards', () => {
+        const hand = [card('K', 'Hearts'), card('8', 'Clubs'), card('9', 'Clubs')];
+        const context = { playedCards: [card('A', 'Hearts')] };
+
+        // Medium forgets the Ace is gone and leads low from its longest suit
+        expect(choose(createBot('medium'), hand, context)).toEqual(card('8', 'Clubs'));
+        expect(choose(createBot('hard'), hand, context)).toEqual(card('K', 'Hearts'));
+    });
+
+    it('should search the remaining deals on expert', () => {
+        const hand = [card('8', 'Hearts'), card('A', 'Hearts')];
+        const cardsPlayed = [
+            { playerId: 'left', card: card('K', 'Hearts') },
+            { playerId: 'partner', card: card('9', 'Hearts') },
+            { playerId: 'right', card: card('10', 'Hearts') }
+        ];
+        const unseen = [card('7', 'Spades'), card('9', 'Diamonds'), card('10', 'Diamonds')];
+        const bot = createBot('expert');
+        const known = [...hand, ...cardsPlayed.map(play => play.card), ...unseen];
+        const playedCards = bot.getFullDeck().filter(c => !known.some(k => bot.isSameCard(k, c)));
+
+        // Ducking hands the last trick to the King's owner, so only the Ace wins anything
+        expect(choose(bot, hand, { cardsPlayed, playedCards, partnerId: 'partner' })).toEqual(card('A', 'Hearts'));
+    });
+
+    it('should fall back to the heuristics on expert when the round history is missing', () => {
+        const bot = createBot('expert');
+        const heuristics = vi.spyOn(bot, 'chooseHeuristicCard');
+        const hand = [card('A', 'Hearts'), card('9', 'Hearts'), card('K', 'Hearts')];
+
+        choose(bot, hand, {
+            cardsPlayed: [{ playerId: 'right', card: card('8', 'Hearts') }]
+        });
+
+        expect(heuristics).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Bot Simulator Tests
+ * Tests headless bot-vs-bot games used to measure BotAI changes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import BotSimulator from '../src/services/BotSimulator.js';
+
+describe('BotSimulator', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should replay the same games for the same seed', () => {
+        const options = { seed: 42, teams: [{ personality: 'aggressive', difficulty: 'hard' }] };
+
+        const simulator = new BotSimulator(options);
+        const stats = simulator.run(5);
+        expect(simulator.run(5)).toEqual(stats);
+        expect(new BotSimulator(options).run(5)).toEqual(stats);
+        expect(new BotSimulator({ ...options, seed: 43 }).run(5)).not.toEqual({ ...stats, seed: 43 });
+    });
+
+    it('should leave Math.random alone during a run', () => {
+        const random = vi.spyOn(Math, 'random');
+
+        new BotSimulator({ seed: 3 }).run(1);
+
+        expect(random).not.toHaveBeenCalled();
+    });
+
+    it('should play complete games to the target score', () => {
+        const stats = new BotSimulator({ seed: 7, rules: { targetScore: 20 } }).run(4);
+        const [team1, team2] = stats.teams;
+
+        expect(stats.games).toBe(4);
+        expect(team1.wins + team2.wins + stats.draws).toBe(4);
+        expect(team1.contractsDeclared + team2.contractsDeclared).toBeCloseTo(stats.averageRoundsPerGame * 4);
+        expect(Object.values(team1.trumpChoices).reduce((sum, count) => sum + count, 0)).toBe(team1.contractsDeclared);
+        expect(team1.contractsMade).toBeLessThanOrEqual(team1.contractsDeclared);
+    });
+
+    it('should keep every round worth at most 8 points and 8 tricks', () => {
+        const simulator = new BotSimulator({ seed: 11 });
+        const game = simulator.playGame(0);
+
+        expect(Math.max(...game.scores)).toBeGreaterThanOrEqual(simulator.rules.targetScore);
+        game.rounds.forEach(round => {
+            expect(round.tricks[0] + round.tricks[1]).toBe(8);
+            expect(round.points[0] + round.points[1]).toBeLessThanOrEqual(8);
+        });
+    });
+
+    it('should pass a lost crown to the outgoing dealer\'s left, the new dealer', () => {
+        const simulator = new BotSimulator({ seed: 11 });
+        const playRound = simulator.playRound.bind(simulator);
+        const declarerSeats = [];
+        vi.spyOn(simulator, 'playRound').mockImplementation((seats, declarerSeat) => {
+            declarerSeats.push(declarerSeat);
+            return playRound(seats, declarerSeat);
+        });
+
+        const { rounds } = simulator.playGame(0);
+
+        // Seat 0 deals the first round and the deal moves one seat to the left each round
+        expect(declarerSeats[0]).toBe(1);
+        expect(rounds.some(round => !round.madeContract)).toBe(true);
+        rounds.slice(0, -1).forEach((round, index) => {
+            const newDealerSeat = (index + 1) % 4;
+            expect(declarerSeats[index + 1]).toBe(round.madeContract ? declarerSeats[index] : newDealerSeat);
+        });
+    });
+
+    it('should format one CSV row per team', () => {
+        const stats = new BotSimulator({ seed: 5, teams: [{ difficulty: 'easy' }, { difficulty: 'hard' }] }).run(2);
+        const lines = BotSimulator.toCsv(stats).split('\n');
+
+        expect(lines).toHaveLength(3);
+        expect(lines[0]).toMatch(/^team,personality,difficulty,games,wins,winRate/);
+        expect(lines[1]).toMatch(/^team1,balanced,easy,2,/);
+        expect(lines[2]).toMatch(/^team2,balanced,hard,2,/);
+    });
+});
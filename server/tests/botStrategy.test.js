@@ -0,0 +1,106 @@
+/**
+ * Bot Strategy Tests
+ * Tests BotAI card play decisions for leading, following, ruffing and partner play
+ */
+
+import { describe, it, expect } from 'vitest';
+import BotAI from '../src/services/BotAI.js';
+
+const card = (rank, suit) => ({ rank, suit });
+
+const createBot = (overrides = {}) => new BotAI({
+    name: 'Test Bot',
+    personality: 'balanced',
+    difficulty: 'hard',
+    aggressiveness: 0.5,
+    riskTolerance: 0.4,
+    ...overrides
+});
+
+const choose = (bot, hand, context = {}) => {
+    const trickState = { cardsPlayed: context.cardsPlayed || [] };
+    const gameContext = {
+        hand,
+        trickState,
+        trumpSuit: 'Spades',
+        partnerId: 'partner',
+        playedCards: [],
+        teamTricks: 0,
+        ...context
+    };
+    return bot.chooseCard(bot.getValidCards(hand, trickState), gameContext);
+};
+
+describe('BotAI card strategy', () => {
+    it('should throw a low card when the partner already has the trick', () => {
+        const hand = [card('A', 'Hearts'), card('9', 'Hearts'), card('K', 'Hearts')];
+
+        const chosen = choose(createBot(), hand, {
+            cardsPlayed: [
+                { playerId: 'left', card: card('8', 'Hearts') },
+                { playerId: 'partner', card: card('Q', 'Hearts') },
+                { playerId: 'right', card: card('10', 'Hearts') }
+            ]
+        });
+
+        expect(chosen).toEqual(card('9', 'Hearts'));
+    });
+
+    it('should win as cheaply as possible when last to play', () => {
+        const hand = [card('A', 'Hearts'), card('K', 'Hearts'), card('7', 'Hearts')];
+
+        const chosen = choose(createBot(), hand, {
+            cardsPlayed: [
+                { playerId: 'left', card: card('Q', 'Hearts') },
+                { playerId: 'partner', card: card('8', 'Hearts') },
+                { playerId: 'right', card: card('J', 'Hearts') }
+            ]
+        });
+
+        expect(chosen).toEqual(card('K', 'Hearts'));
+    });
+
+    it('should ruff with the lowest trump when void, but not over a winning partner', () => {
+        const hand = [card('A', 'Spades'), card('8', 'Spades'), card('7', 'Clubs')];
+
+        expect(choose(createBot(), hand, {
+            cardsPlayed: [{ playerId: 'left', card: card('A', 'Hearts') }]
+        })).toEqual(card('8', 'Spades'));
+
+        expect(choose(createBot(), hand, {
+            cardsPlayed: [
+                { playerId: 'left', card: card('7', 'Hearts') },
+                { playerId: 'partner', card: card('A', 'Hearts') },
+                { playerId: 'right', card: card('9', 'Hearts') }
+            ]
+        })).toEqual(card('7', 'Clubs'));
+    });
+
+    it('should draw trump with a master trump as the declaring team', () => {
+        const hand = [card('A', 'Spades'), card('9', 'Spades'), card('K', 'Hearts'), card('7', 'Clubs')];
+
+        expect(choose(createBot(), hand, { isDeclaringTeam: true })).toEqual(card('A', 'Spades'));
+
+        // Challengers keep their trump and lead low from a side suit instead
+        expect(choose(createBot(), hand, { isDeclaringTeam: false })).toEqual(card('7', 'Clubs'));
+    });
+
+    it('should count played cards to find master cards', () => {
+        const hand = [card('K', 'Hearts'), card('8', 'Clubs'), card('9', 'Clubs')];
+
+        expect(choose(createBot(), hand, {
+            playedCards: [card('A', 'Hearts')]
+        })).toEqual(card('K', 'Hearts'));
+    });
+
+    it('should take a chance in second seat only when risk tolerance or the contract calls for it', () => {
+        const hand = [card('Q', 'Hearts'), card('8', 'Hearts')];
+        const cardsPlayed = [{ playerId: 'right', card: card('10', 'Hearts') }];
+
+        expect(choose(createBot({ riskTolerance: 0.1 }), hand, { cardsPlayed, teamTricks: 4 })).toEqual(card('8', 'Hearts'));
+        expect(choose(createBot({ riskTolerance: 0.7 }), hand, { cardsPlayed })).toEqual(card('Q', 'Hearts'));
+
+        // Needing both remaining tricks for the contract makes even a cautious bot go for it
+        expect(choose(createBot({ riskTolerance: 0.1 }), hand, { cardsPlayed, teamTricks: 2 })).toEqual(card('Q', 'Hearts'));
+    });
+});
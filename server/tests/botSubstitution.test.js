@@ -0,0 +1,211 @@
+/**
+ * Bot Substitution Tests
+ * Tests bots covering for disconnected players and handing the seat back on reconnection
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SocketManager from '../websocket/socketManager.js';
+import BotManager from '../src/services/BotManager.js';
+import BotTurnProcessor from '../src/services/BotTurnProcessor.js';
+import { SUITS } from '../../shared/rules.js';
+import { createMockIO, PLAYER_IDS, createFourSeatRoom, cleanupSocketManager } from './helpers/socketFixtures.js';
+
+describe('Bot Substitution', () => {
+    const gameId = 'substitution-game';
+    let mockIO;
+    let socketManager;
+
+    const emitted = (event) => mockIO.roomEmit.mock.calls.filter(([name]) => name === event).map(([, data]) => data);
+
+    const setGameState = (rules = {}, overrides = {}) => {
+        socketManager.gameStateManager.initializeGameState(gameId, {
+            status: 'in_progress',
+            phase: 'playing',
+            roundId: 'round-1',
+            trumpSuit: 'Spades',
+            trumpDeclarer: 'north',
+            currentTurnPlayer: 'east',
+            currentTrick: { trickNumber: 1, cardsPlayed: [{ playerId: 'north', card: { suit: 'Hearts', rank: '10' } }] },
+            rules: { trumpDeclarationTimeout: 30, botSubstitutionDelay: 20, ...rules },
+            turnTimeLimit: 30,
+            players: Object.fromEntries(PLAYER_IDS.map(id => [id, {
+                userId: id,
+                username: id,
+                hand: [
+                    { suit: 'Hearts', rank: 'A' },
+                    { suit: 'Hearts', rank: '8' },
+                    { suit: 'Spades', rank: '7' }
+                ]
+            }])),
+            ...overrides
+        });
+    };
+
+    const disconnect = (userId) => {
+        socketManager.gameRooms.get(gameId).players.get(userId).isConnected = false;
+        socketManager.scheduleBotSubstitution(gameId, userId);
+    };
+
+    beforeEach(() => {
+        process.env.NODE_ENV = 'test';
+        vi.useFakeTimers();
+
+        mockIO = createMockIO();
+        socketManager = new SocketManager(mockIO);
+        socketManager.gameStateManager.persistenceEnabled = false;
+        vi.spyOn(socketManager, 'processBotTurnsIfNeeded').mockResolvedValue();
+
+        socketManager.gameRooms.set(gameId, createFourSeatRoom(gameId));
+    });
+
+    afterEach(() => {
+        cleanupSocketManager(socketManager);
+        BotManager.clearGameBots(gameId);
+        BotTurnProcessor.cleanup(gameId);
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        delete process.env.NODE_ENV;
+    });
+
+    it('should let a bot take the seat once the grace period runs out', () => {
+        setGameState();
+        socketManager.scheduleTurnTimer(gameId);
+        disconnect('east');
+
+        vi.advanceTimersByTime(19000);
+        expect(emitted('game:seat_substituted')).toHaveLength(0);
+
+        vi.advanceTimersByTime(1000);
+        expect(emitted('game:seat_substituted')[0]).toMatchObject({ gameId, playerId: 'east', playerName: 'east' });
+        expect(socketManager.gameRooms.get(gameId).players.get('east').botSubstitute).toBe(true);
+        expect(socketManager.gameStateManager.getGameState(gameId).players.east.botSubstitute).toBe(true);
+        expect(BotManager.getBotPlayer(gameId, 'east')).toMatchObject({ id: 'east', name: 'east', isBot: true });
+
+        // The bot plays straight away instead of waiting out east's clock
+        expect(socketManager.turnTimers.has(gameId)).toBe(false);
+        expect(socketManager.processBotTurnsIfNeeded).toHaveBeenCalledWith(gameId);
+    });
+
+    it('should declare trump for a declarer who disconnects before choosing', async () => {
+        // Dealt rounds set phase but no gamePhase or current turn player until trump is declared
+        setGameState({}, { phase: 'trump_declaration', trumpSuit: null, trumpDeclarer: 'east', currentTurnPlayer: null, currentTrick: null });
+        socketManager.processBotTurnsIfNeeded.mockRestore();
+        const declareTrump = vi.spyOn(socketManager, 'handleDeclareTrump').mockResolvedValue();
+        socketManager.scheduleTurnTimer(gameId);
+        expect(socketManager.turnTimers.has(gameId)).toBe(true);
+
+        disconnect('east');
+        await vi.advanceTimersByTimeAsync(20000);
+
+        expect(emitted('game:seat_substituted')[0]).toMatchObject({ playerId: 'east' });
+        expect(socketManager.turnTimers.has(gameId)).toBe(false);
+
+        // The bot takes its thinking time before declaring
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(declareTrump).toHaveBeenCalledTimes(1);
+        const [declarer, declaration] = declareTrump.mock.calls[0];
+        expect(declarer.userId).toBe('east');
+        expect(declaration.gameId).toBe(gameId);
+        expect(SUITS).toContain(declaration.trumpSuit);
+    });
+
+    it('should play the disconnected player\'s actual hand through BotTurnProcessor', async () => {
+        setGameState();
+        socketManager.processBotTurnsIfNeeded.mockRestore();
+        const processTurn = vi.spyOn(BotTurnProcessor, 'processBotTurnIfNeeded');
+        const applyCardPlay = vi.spyOn(socketManager, 'applyCardPlay').mockResolvedValue({
+            result: { trickComplete: false },
+            trick: { cardsPlayed: [] }
+        });
+
+        disconnect('east');
+        await vi.advanceTimersByTimeAsync(25000);
+
+        expect(processTurn).toHaveBeenCalledWith(gameId, 'east', expect.objectContaining({
+            cardContext: expect.objectContaining({ trumpSuit: 'Spades' })
+        }));
+        const [playedGameId, playerId, card] = applyCardPlay.mock.calls[0];
+        expect(playedGameId).toBe(gameId);
+        expect(playerId).toBe('east');
+        expect(['A', '8']).toContain(card.rank);
+        expect(card.suit).toBe('Hearts');
+    });
+
+    it('should drop the bot\'s move if the player comes back while it is thinking', async () => {
+        setGameState();
+        socketManager.processBotTurnsIfNeeded.mockRestore();
+        const applyCardPlay = vi.spyOn(socketManager, 'applyCardPlay');
+
+        disconnect('east');
+        await vi.advanceTimersByTimeAsync(20000);
+        socketManager.gameRooms.get(gameId).players.get('east').isConnected = true;
+        socketManager.restoreSubstitutedSeat(gameId, 'east');
+        await vi.advanceTimersByTimeAsync(5000);
+
+        expect(applyCardPlay).not.toHaveBeenCalled();
+    });
+
+    it('should keep showing the bot on the seat after trump is declared', async () => {
+        setGameState({}, {
+            phase: 'trump_declaration',
+            trumpSuit: null,
+            currentTurnPlayer: null,
+            currentTrick: null,
+            remainingDeck: []
+        });
+        disconnect('east');
+        vi.advanceTimersByTime(20000);
+
+        const gameEngine = await socketManager.getGameEngine();
+        const hand = [{ suit: 'Hearts', rank: 'A' }, { suit: 'Spades', rank: '7' }];
+        gameEngine.declareTrump = vi.fn().mockResolvedValue({ trumpSuit: 'Hearts', declaringTeam: 'team1', challengingTeam: 'team2' });
+        gameEngine.dealFinalCards = vi.fn().mockResolvedValue(Object.fromEntries(PLAYER_IDS.map(id => [id, hand])));
+        gameEngine.startFirstTrick = vi.fn().mockResolvedValue('trick-1');
+
+        await socketManager.handleDeclareTrump({ userId: 'north', username: 'north', emit: vi.fn() }, { gameId, trumpSuit: 'Hearts' });
+
+        const { players } = socketManager.gameStateManager.getGameState(gameId);
+        expect(players.east).toMatchObject({ hand, botSubstitute: true });
+        expect(players.north.botSubstitute).toBeUndefined();
+    });
+
+    it('should hand the seat back when the player reconnects', () => {
+        setGameState();
+        disconnect('east');
+        vi.advanceTimersByTime(20000);
+
+        socketManager.gameRooms.get(gameId).players.get('east').isConnected = true;
+        socketManager.restoreSubstitutedSeat(gameId, 'east');
+
+        expect(emitted('game:seat_restored')[0]).toMatchObject({ gameId, playerId: 'east', playerName: 'east' });
+        expect(socketManager.gameRooms.get(gameId).players.get('east').botSubstitute).toBeUndefined();
+        expect(socketManager.gameStateManager.getGameState(gameId).players.east.botSubstitute).toBe(false);
+        expect(BotManager.getBotPlayer(gameId, 'east')).toBeNull();
+
+        // East is back on the clock for the turn the bot had not played yet
+        expect(emitted('game:turn_timer').at(-1)).toMatchObject({ playerId: 'east', remainingSeconds: 30 });
+    });
+
+    it('should not substitute a player who reconnects within the grace period', () => {
+        setGameState();
+        disconnect('east');
+
+        vi.advanceTimersByTime(10000);
+        socketManager.restoreSubstitutedSeat(gameId, 'east');
+        vi.advanceTimersByTime(20000);
+
+        expect(emitted('game:seat_substituted')).toHaveLength(0);
+        expect(emitted('game:seat_restored')).toHaveLength(0);
+        expect(BotManager.getBotPlayer(gameId, 'east')).toBeNull();
+    });
+
+    it('should leave the seat empty when the house rules turn substitution off', () => {
+        setGameState({ botSubstitutionDelay: 0 });
+        disconnect('east');
+
+        vi.advanceTimersByTime(600000);
+
+        expect(socketManager.substitutionTimers.size).toBe(0);
+        expect(emitted('game:seat_substituted')).toHaveLength(0);
+    });
+});
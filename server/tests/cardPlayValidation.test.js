@@ -0,0 +1,136 @@
+/**
+ * Card Play Validation Tests
+ * Tests that the WebSocket play-card path rejects illegal plays with structured error codes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SocketManager from '../websocket/socketManager.js';
+import { createMockIO, createMockSocket, cleanupSocketManager } from './helpers/socketFixtures.js';
+
+describe('Card Play Validation', () => {
+    const gameId = 'validation-game';
+    let mockIO;
+    let socketManager;
+
+    const hands = {
+        player1: [{ suit: 'Hearts', rank: 'A' }, { suit: 'Spades', rank: '7' }],
+        player2: [{ suit: 'Hearts', rank: '8' }, { suit: 'Clubs', rank: 'K' }]
+    };
+
+    const seedGameState = (overrides = {}) => {
+        socketManager.gameStateManager.persistenceEnabled = false;
+        socketManager.gameStateManager.initializeGameState(gameId, {
+            status: 'in_progress',
+            phase: 'playing',
+            roundId: 'round-1',
+            trumpSuit: 'Hearts',
+            currentTurnPlayer: 'player1',
+            currentTrick: { trickId: 'trick-1', trickNumber: 1, leadSuit: null, cardsPlayed: [] },
+            players: {
+                player1: { userId: 'player1', username: 'Alice', hand: [...hands.player1], handSize: 2 },
+                player2: { userId: 'player2', username: 'Bob', hand: [...hands.player2], handSize: 2 }
+            },
+            ...overrides
+        });
+    };
+
+    const getRejection = (socket) => {
+        const call = socket.emit.mock.calls.find(([event]) => event === 'game:play_rejected');
+        return call ? call[1] : null;
+    };
+
+    beforeEach(async () => {
+        process.env.NODE_ENV = 'test';
+        vi.useFakeTimers();
+
+        mockIO = createMockIO();
+        socketManager = new SocketManager(mockIO);
+
+        // Keep the real error code mapping but stub out the database-backed play
+        const gameEngine = await socketManager.getGameEngine();
+        gameEngine.playCard = vi.fn();
+    });
+
+    afterEach(() => {
+        cleanupSocketManager(socketManager);
+        vi.useRealTimers();
+        vi.clearAllMocks();
+        delete process.env.NODE_ENV;
+    });
+
+    it('should reject a play when it is not the player\'s turn', async () => {
+        seedGameState();
+        const socket = createMockSocket('player2', 'Bob');
+
+        await socketManager.handlePlayCard(socket, { gameId, card: hands.player2[0] });
+
+        const rejection = getRejection(socket);
+        expect(rejection).toMatchObject({
+            type: 'card_play_error',
+            code: 'TURN_VIOLATION',
+            gameId,
+            card: hands.player2[0],
+            currentTurnPlayer: 'player1',
+            trickId: 'trick-1',
+            roundId: 'round-1'
+        });
+        expect(rejection.hand).toEqual(hands.player2);
+        expect(socketManager.gameEngine.playCard).not.toHaveBeenCalled();
+        expect(mockIO.to).not.toHaveBeenCalled();
+    });
+
+    it('should reject a play before trump has been declared', async () => {
+        seedGameState({ trumpSuit: null, phase: 'trump_declaration' });
+        const socket = createMockSocket('player1', 'Alice');
+
+        await socketManager.handlePlayCard(socket, { gameId, card: hands.player1[0] });
+
+        expect(getRejection(socket)).toMatchObject({ code: 'TRUMP_NOT_DECLARED' });
+        expect(socketManager.gameEngine.playCard).not.toHaveBeenCalled();
+    });
+
+    it('should reject a play made on behalf of another player', async () => {
+        seedGameState();
+        const socket = createMockSocket('player2', 'Bob');
+
+        await socketManager.handlePlayCard(socket, { gameId, card: hands.player1[0], playerId: 'player1' });
+
+        expect(getRejection(socket)).toMatchObject({ code: 'PLAYER_MISMATCH' });
+        expect(socketManager.gameStateManager.getGameState(gameId).players.player1.hand).toEqual(hands.player1);
+    });
+
+    it('should pass GameEngine validation errors through as rejections', async () => {
+        seedGameState({
+            currentTrick: { trickId: 'trick-1', trickNumber: 1, leadSuit: 'Hearts', cardsPlayed: [] },
+            currentTurnPlayer: 'player2'
+        });
+        socketManager.gameEngine.playCard.mockRejectedValue({
+            type: 'card_play_error',
+            message: 'Must follow suit (Hearts) when possible',
+            code: 'SUIT_FOLLOWING_VIOLATION'
+        });
+        const socket = createMockSocket('player2', 'Bob');
+
+        await socketManager.handlePlayCard(socket, { gameId, card: hands.player2[1] });
+
+        expect(socketManager.gameEngine.playCard).toHaveBeenCalled();
+        expect(getRejection(socket)).toMatchObject({
+            code: 'SUIT_FOLLOWING_VIOLATION',
+            leadSuit: 'Hearts',
+            hand: hands.player2
+        });
+
+        const gameState = socketManager.gameStateManager.getGameState(gameId);
+        expect(gameState.currentTurnPlayer).toBe('player2');
+        expect(gameState.players.player2.hand).toEqual(hands.player2);
+    });
+
+    it('should report unexpected failures as game errors', async () => {
+        const socket = createMockSocket('player1', 'Alice');
+
+        await socketManager.handlePlayCard(socket, { gameId: 'missing-game', card: hands.player1[0] });
+
+        expect(getRejection(socket)).toBeNull();
+        expect(socket.emit).toHaveBeenCalledWith('game:error', expect.objectContaining({ code: 'UNKNOWN_ERROR' }));
+    });
+});
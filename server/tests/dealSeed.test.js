@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { generateDealSeed, hashDealSeed, verifyDealSeed, createSeededRandom } from '../src/utils/dealSeed.js';
+
+describe('Deal Seed', () => {
+  it('should generate a fresh hex seed every time', () => {
+    const seed = generateDealSeed();
+
+    expect(seed).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateDealSeed()).not.toBe(seed);
+  });
+
+  it('should verify a revealed seed against its SHA-256 commitment', () => {
+    const seedHash = hashDealSeed('abc');
+
+    expect(seedHash).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(verifyDealSeed('abc', seedHash)).toBe(true);
+    expect(verifyDealSeed('abd', seedHash)).toBe(false);
+    expect(verifyDealSeed(null, seedHash)).toBe(false);
+  });
+
+  it('should produce the same numbers in [0, 1) for the same seed', () => {
+    const first = createSeededRandom('seed');
+    const second = createSeededRandom('seed');
+    const values = Array.from({ length: 50 }, () => first());
+
+    expect(Array.from({ length: 50 }, () => second())).toEqual(values);
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+    expect(createSeededRandom('other')()).not.toBe(values[0]);
+  });
+});
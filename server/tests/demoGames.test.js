@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { useTestDatabase } from './helpers/testDatabase.js';
+
+const testDatabase = useTestDatabase('demo');
+
+describe('DemoGameService', () => {
+    let lokiConnection;
+    let GameStateManager;
+    let DemoGameService;
+    let Game;
+    let GamePlayer;
+    let User;
+    let socketManager;
+    let service;
+
+    const createMockSocketManager = () => {
+        const mock = {
+            gameRooms: new Map(),
+            clearTurnTimer: vi.fn(),
+            broadcastGameStateUpdate: () => {},
+            sendPlayerGameState: () => {}
+        };
+        mock.gameStateManager = new GameStateManager(mock);
+        return mock;
+    };
+
+    beforeAll(async () => {
+        ({ default: GameStateManager } = await import('../websocket/gameStateManager.js'));
+        ({ default: DemoGameService } = await import('../src/services/DemoGameService.js'));
+        ({ default: Game } = await import('../src/models/Game.js'));
+        ({ default: GamePlayer } = await import('../src/models/GamePlayer.js'));
+        ({ default: User } = await import('../src/models/User.js'));
+        lokiConnection = await testDatabase.open();
+    });
+
+    afterAll(async () => {
+        await testDatabase.close();
+    });
+
+    beforeEach(() => {
+        socketManager = createMockSocketManager();
+        service = new DemoGameService(socketManager);
+    });
+
+    it('should store a demo game as a Game record with three seated bots', async () => {
+        const demoGame = await service.createDemoGame('human-1', 'alice');
+
+        expect(demoGame.id).toMatch(/^demo_/);
+        expect(demoGame.players.map(player => player.username)).toEqual(['alice', 'Bot Alice', 'Bot Bob', 'Bot Charlie']);
+
+        const game = await new Game().findOne({ game_id: demoGame.id });
+        expect(game.is_demo_mode).toBe(true);
+        expect(game.status).toBe('in_progress');
+        expect(game.host_id).toBe('human-1');
+        expect(game.rules.trumpDeclarationTimeout).toBe(0);
+        expect(game.rules.botSubstitutionDelay).toBe(0);
+
+        const botIds = demoGame.players.filter(player => player.isBot).map(player => player.id);
+        for (const botId of botIds) {
+            const botUser = await new User().findById(botId);
+            expect(botUser.is_bot).toBe(true);
+        }
+
+        // The human waits to be dealt in, partnered with the bot sitting opposite
+        const room = socketManager.gameRooms.get(demoGame.id);
+        expect(room.isDemo).toBe(true);
+        expect(room.players.get('human-1').isConnected).toBe(false);
+        expect(room.teams.team1).toEqual(['human-1', botIds[1]]);
+        expect(room.teams.team2).toEqual([botIds[0], botIds[2]]);
+
+        const gameState = socketManager.gameStateManager.getGameState(demoGame.id);
+        expect(gameState.phase).toBe('lobby');
+        expect(gameState.isDemoMode).toBe(true);
+    });
+
+    it('should keep the demo flag on the persisted room so the game resumes as a demo', async () => {
+        const demoGame = await service.createDemoGame('human-1', 'alice');
+        await socketManager.gameStateManager.persistGameState(demoGame.id);
+
+        const restoredManager = createMockSocketManager();
+        await restoredManager.gameStateManager.restoreGameState(demoGame.id);
+
+        expect(restoredManager.gameRooms.get(demoGame.id).isDemo).toBe(true);
+        expect(restoredManager.gameStateManager.getGameState(demoGame.id).isDemoMode).toBe(true);
+    });
+
+    it('should only return demo games from getDemoGame', async () => {
+        const demoGame = await service.createDemoGame('human-1', 'alice');
+
+        const details = await service.getDemoGame(demoGame.id);
+        expect(details.hostId).toBe('human-1');
+        expect(details.players).toHaveLength(4);
+
+        await new Game().create({
+            game_id: 'live-game-1',
+            game_code: 'LIVE01',
+            status: 'in_progress',
+            host_id: 'human-1',
+            is_demo_mode: false
+        });
+        expect(await service.getDemoGame('live-game-1')).toBeNull();
+        expect(await service.getDemoGame('demo_missing')).toBeNull();
+    });
+
+    it('should expire idle demo games with their players and bot users', async () => {
+        const idleGame = await service.createDemoGame('human-1', 'alice');
+        const activeGame = await service.createDemoGame('human-2', 'bob');
+        await new GamePlayer().create({ game_player_id: 'gp-idle-1', game_id: idleGame.id, user_id: 'human-1', seat_position: 1 });
+
+        const now = Date.now();
+        const idleSince = new Date(now - service.idleTimeout - 1000).toISOString();
+        const idleRecord = lokiConnection.getCollection('games').findOne({ game_id: idleGame.id });
+        idleRecord.updated_at = idleSince;
+        lokiConnection.getCollection('games').update(idleRecord);
+
+        const expiredIds = await service.expireDemoGames(now);
+
+        expect(expiredIds).toEqual([idleGame.id]);
+        expect(await new Game().findOne({ game_id: idleGame.id })).toBeNull();
+        expect(await new GamePlayer().find({ game_id: idleGame.id })).toHaveLength(0);
+        expect(socketManager.gameRooms.has(idleGame.id)).toBe(false);
+        expect(socketManager.gameStateManager.getGameState(idleGame.id)).toBeUndefined();
+
+        for (const player of idleGame.players.filter(seat => seat.isBot)) {
+            expect(await new User().findById(player.id)).toBeNull();
+        }
+
+        expect(await new Game().findOne({ game_id: activeGame.id })).not.toBeNull();
+        expect(socketManager.gameRooms.has(activeGame.id)).toBe(true);
+    });
+});
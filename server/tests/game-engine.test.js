@@ -219,6 +219,63 @@ describe('GameEngine', () => {
             expect(scores.declaringTeamMadeContract).toBe(true);
             expect(scores.challengingTeamMadeContract).toBe(false);
         });
+
+        it('should apply house rule contract thresholds', () => {
+            const teamTricks = {
+                declaringTeamTricks: 4,
+                challengingTeamTricks: 4,
+                declaringTeamId: 'team1'
+            };
+            const rules = { declaringTeamMinTricks: 4, challengingTeamMinTricks: 5 };
+
+            const scores = gameEngine.calculateRoundScores(teamTricks, rules);
+
+            expect(scores.declaringTeamScore).toBe(4);
+            expect(scores.challengingTeamScore).toBe(0);
+            expect(scores.declaringTeamMadeContract).toBe(true);
+            expect(scores.challengingTeamMadeContract).toBe(false);
+        });
+    });
+
+    describe('Redeal Rule', () => {
+        const players = ['p1', 'p2', 'p3', 'p4'].map(user_id => ({ user_id }));
+
+        it('should reshuffle hands with 3+ Aces or 7s by default', () => {
+            gameEngine.validateHandDistribution = () => false;
+
+            expect(() => gameEngine.dealAllCardsWithValidation(players, 3))
+                .toThrow('Failed to find valid card distribution after 3 attempts');
+        });
+
+        it('should keep the first deal when the redeal rule is turned off', () => {
+            gameEngine.validateHandDistribution = () => false;
+
+            const { fullPlayerHands, attempts } = gameEngine.dealAllCardsWithValidation(players, 3, false);
+
+            expect(attempts).toBe(1);
+            expect(Object.values(fullPlayerHands).every(hand => hand.length === 8)).toBe(true);
+        });
+    });
+
+    describe('Seeded Deals', () => {
+        const players = ['p1', 'p2', 'p3', 'p4'].map(user_id => ({ user_id }));
+
+        it('should deal the same hands for the same seed', () => {
+            const first = gameEngine.dealAllCardsWithValidation(players, 10, true, 'seed-a');
+            const second = gameEngine.dealAllCardsWithValidation(players, 10, true, 'seed-a');
+            const other = gameEngine.dealAllCardsWithValidation(players, 10, true, 'seed-b');
+
+            expect(second.fullPlayerHands).toEqual(first.fullPlayerHands);
+            expect(other.fullPlayerHands).not.toEqual(first.fullPlayerHands);
+        });
+
+        it('should rebuild a deal from its seed', () => {
+            const { fullPlayerHands } = gameEngine.dealAllCardsWithValidation(players, 10, true, 'seed-c');
+            const rebuilt = gameEngine.rebuildDeal('seed-c', ['p1', 'p2', 'p3', 'p4']);
+
+            expect(gameEngine.isSameDeal(rebuilt, fullPlayerHands)).toBe(true);
+            expect(gameEngine.isSameDeal(gameEngine.rebuildDeal('seed-d', ['p1', 'p2', 'p3', 'p4']), fullPlayerHands)).toBe(false);
+        });
     });
 
     describe('Game Configuration', () => {
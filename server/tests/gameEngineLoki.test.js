@@ -0,0 +1,470 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { useTestDatabase } from './helpers/testDatabase.js';
+import { hashDealSeed } from '../src/utils/dealSeed.js';
+
+const testDatabase = useTestDatabase('engine');
+
+// Sign requests in as the user named in the X-User-Id header
+vi.mock('../src/middleware/authMiddleware.js', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { user_id: req.header('X-User-Id') };
+        next();
+    }
+}));
+
+describe('GameEngine on LokiJS', () => {
+    let lokiConnection;
+    let GameEngine;
+    let Game;
+    let GamePlayer;
+    let GameRound;
+    let GameTrick;
+    let Team;
+    let CardPlay;
+    let GameRuleValidator;
+    let gamesRouter;
+    let gameEngine;
+
+    const ranks = ['7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+    const suitHand = (suit) => ranks.map(rank => ({ suit, rank }));
+
+    beforeAll(async () => {
+        ({ default: GameEngine } = await import('../src/services/GameEngine.js'));
+        ({ default: Game } = await import('../src/models/Game.js'));
+        ({ default: GamePlayer } = await import('../src/models/GamePlayer.js'));
+        ({ default: GameRound } = await import('../src/models/GameRound.js'));
+        ({ default: GameTrick } = await import('../src/models/GameTrick.js'));
+        ({ default: Team } = await import('../src/models/Team.js'));
+        ({ default: CardPlay } = await import('../src/models/CardPlay.js'));
+        ({ default: GameRuleValidator } = await import('../src/services/GameRuleValidator.js'));
+        ({ default: gamesRouter } = await import('../src/routes/games.js'));
+        lokiConnection = await testDatabase.open();
+
+        gameEngine = new GameEngine();
+    });
+
+    afterAll(async () => {
+        await testDatabase.close();
+    });
+
+    /**
+     * Create a four player game where north holds every heart, so with hearts
+     * as trump north wins all eight tricks when leading.
+     */
+    const setupGame = async (gameId, targetScore = 52) => {
+        const ids = ['north', 'east', 'south', 'west'].map(seat => `${gameId}-${seat}`);
+        const users = lokiConnection.getCollection('users');
+
+        for (const userId of ids) {
+            users.insert({
+                user_id: userId,
+                username: userId,
+                email: `${userId}@test.local`,
+                is_active: true,
+                is_bot: false,
+                total_games_played: 0,
+                total_games_won: 0
+            });
+        }
+
+        await new Game().create({
+            game_id: gameId,
+            game_code: gameId.slice(-6).toUpperCase(),
+            status: 'in_progress',
+            host_id: ids[0],
+            target_score: targetScore,
+            is_demo_mode: false
+        });
+
+        const gamePlayerModel = new GamePlayer();
+        for (const [index, userId] of ids.entries()) {
+            await gamePlayerModel.create({
+                game_player_id: `${userId}-gp`,
+                game_id: gameId,
+                user_id: userId,
+                team_id: null,
+                seat_position: index + 1,
+                tricks_won_current_round: 0
+            });
+        }
+
+        const [north, east, south, west] = ids;
+        await gameEngine.assignTeams(gameId, { team1: [north, south], team2: [east, west] });
+
+        const roundId = await gameEngine.createGameRound(gameId, 1, west, north);
+        await gameEngine.declareTrump(gameId, roundId, north, 'Hearts');
+
+        const hands = { [north]: suitHand('Hearts'), [east]: suitHand('Diamonds'), [south]: suitHand('Clubs'), [west]: suitHand('Spades') };
+        for (const [userId, hand] of Object.entries(hands)) {
+            await gamePlayerModel.updateMany({ game_id: gameId, user_id: userId }, { current_hand: hand });
+        }
+
+        const trickId = await gameEngine.startFirstTrick(roundId, north);
+
+        return { ids, roundId, trickId, hands };
+    };
+
+    const playTrick = async (gameId, roundId, trickId, ids, hands, trickIndex, options) => {
+        let result;
+        for (const userId of ids) {
+            result = await gameEngine.playCard(gameId, roundId, trickId, userId, hands[userId][trickIndex], options);
+        }
+        return result;
+    };
+
+    it('should seat partners opposite each other when assigning teams', async () => {
+        const gameId = 'engine-game-seating';
+        const { ids } = await setupGame(gameId);
+
+        const players = await gameEngine.getGamePlayers(gameId);
+        const teams = await gameEngine.getGameTeams(gameId);
+
+        expect(teams).toHaveLength(2);
+        expect(players.map(p => p.user_id)).toEqual(ids);
+        expect(players[0].team_id).toBe(players[2].team_id);
+        expect(players[1].team_id).toBe(players[3].team_id);
+        expect(players[0].team_id).not.toBe(players[1].team_id);
+    });
+
+    it('should record plays and hand the turn to the next seat', async () => {
+        const gameId = 'engine-game-play';
+        const { ids, roundId, trickId, hands } = await setupGame(gameId);
+
+        const result = await gameEngine.playCard(gameId, roundId, trickId, ids[0], hands[ids[0]][0]);
+
+        expect(result.trickComplete).toBe(false);
+        expect(result.nextPlayerId).toBe(ids[1]);
+        expect(result.leadSuit).toBe('Hearts');
+
+        const trick = await GameTrick.findById(trickId);
+        expect(trick.cards_played).toHaveLength(1);
+
+        const plays = await CardPlay.findByTrickId(trickId);
+        expect(plays).toHaveLength(1);
+        expect(plays[0].player_id).toBe(ids[0]);
+
+        const gamePlayer = await GamePlayer.findByGameAndUser(gameId, ids[0]);
+        expect(gamePlayer.current_hand).toHaveLength(7);
+    });
+
+    it('should reject plays out of turn, cards not in hand and failures to follow suit', async () => {
+        const gameId = 'engine-game-reject';
+        const { ids, roundId, trickId, hands } = await setupGame(gameId);
+
+        await expect(gameEngine.playCard(gameId, roundId, trickId, ids[1], hands[ids[1]][0]))
+            .rejects.toMatchObject({ type: 'card_play_error', code: 'TURN_VIOLATION' });
+
+        await expect(gameEngine.playCard(gameId, roundId, trickId, ids[0], { suit: 'Spades', rank: 'A' }))
+            .rejects.toMatchObject({ code: 'CARD_NOT_IN_HAND' });
+
+        // Give east a heart so leading hearts forces east to follow suit
+        const gamePlayerModel = new GamePlayer();
+        await gamePlayerModel.updateMany(
+            { game_id: gameId, user_id: ids[1] },
+            { current_hand: [{ suit: 'Hearts', rank: '7' }, { suit: 'Diamonds', rank: '7' }] }
+        );
+        await gameEngine.playCard(gameId, roundId, trickId, ids[0], hands[ids[0]][7]);
+
+        await expect(gameEngine.playCard(gameId, roundId, trickId, ids[1], { suit: 'Diamonds', rank: '7' }))
+            .rejects.toMatchObject({ code: 'SUIT_FOLLOWING_VIOLATION' });
+    });
+
+    it('should reject plays before trump has been declared', async () => {
+        const gameId = 'engine-game-no-trump';
+        const { ids, trickId, hands } = await setupGame(gameId);
+
+        const undeclaredRoundId = await gameEngine.createGameRound(gameId, 2, ids[3], ids[0]);
+
+        await expect(gameEngine.playCard(gameId, undeclaredRoundId, trickId, ids[0], hands[ids[0]][0]))
+            .rejects.toMatchObject({ type: 'card_play_error', code: 'TRUMP_NOT_DECLARED' });
+    });
+
+    it('should resolve tricks, chain the next trick and score the round', async () => {
+        const gameId = 'engine-game-round';
+        const { ids, roundId, hands } = await setupGame(gameId);
+
+        let result;
+        for (let trickIndex = 0; trickIndex < 8; trickIndex++) {
+            const currentTrick = await GameTrick.findCurrentTrick(roundId);
+            result = await playTrick(gameId, roundId, currentTrick.trick_id, ids, hands, trickIndex, { autoStartNextRound: false });
+
+            expect(result.trickComplete).toBe(true);
+            expect(result.winner).toBe(ids[0]);
+        }
+
+        expect(result.roundComplete).toBe(true);
+        expect(result.gameComplete).toBe(false);
+        expect(result.teamTricks.declaringTeamTricks).toBe(8);
+        expect(result.scores.declaringTeamScore).toBe(8);
+        expect(result.scores.declaringTeamMadeContract).toBe(true);
+        expect(result.nextRound).toBeUndefined();
+
+        const teams = await gameEngine.getGameTeams(gameId);
+        expect(teams.find(t => t.team_number === 1).current_score).toBe(8);
+        expect(teams.find(t => t.team_number === 2).current_score).toBe(0);
+
+        const round = await GameRound.findById(roundId);
+        expect(round.declaring_team_tricks_won).toBe(8);
+        expect(round.round_completed_at).toBeTruthy();
+        expect(await GameTrick.countCompleted(roundId)).toBe(8);
+        expect(await CardPlay.findByRoundId(roundId)).toHaveLength(32);
+
+        // Crown Rule: the declaring team made its contract so north declares again
+        const nextRound = await gameEngine.startNextRound(gameId, roundId, result.scores);
+        expect(nextRound.roundNumber).toBe(2);
+        expect(nextRound.firstPlayerUserId).toBe(ids[0]);
+        expect(nextRound.dealerUserId).toBe(ids[0]);
+
+        const players = await GamePlayer.findByGameId(gameId);
+        expect(players.every(p => p.tricks_won_current_round === 0)).toBe(true);
+        expect(players.every(p => p.current_hand.length === 4)).toBe(true);
+    });
+
+    it('should rotate the dealer and pass the crown when the declaring team falls short', async () => {
+        const gameId = 'engine-game-crown';
+        const { ids, roundId } = await setupGame(gameId);
+        const [north, east, , west] = ids;
+
+        // Declaring team makes its contract: north keeps the crown and the deal moves from west to north
+        const round1 = await GameRound.findById(roundId);
+        await round1.completeRound(6, 2);
+        const round2 = await gameEngine.startNextRound(gameId, roundId);
+
+        expect(round2.crownRetained).toBe(true);
+        expect(round2.firstPlayerUserId).toBe(north);
+        expect(round2.dealerUserId).toBe(north);
+        expect(round2.previousDeclarerUserId).toBe(north);
+
+        // Declaring team falls short: the crown passes to the dealer's left
+        const round2Record = await GameRound.findById(round2.roundId);
+        await round2Record.completeRound(3, 5);
+        const round3 = await gameEngine.startNextRound(gameId, round2.roundId, { declaringTeamMadeContract: false });
+
+        expect(round3.roundNumber).toBe(3);
+        expect(round3.crownRetained).toBe(false);
+        expect(round3.firstPlayerUserId).toBe(east);
+        expect(round3.dealerUserId).toBe(east);
+
+        const rounds = await GameRound.findByGameId(gameId);
+        expect(rounds.map(r => r.dealer_user_id)).toEqual([west, north, east]);
+    });
+
+    it('should log deals, trump and card plays for replays', async () => {
+        const gameId = 'engine-game-replay';
+        const { ids, roundId, trickId, hands } = await setupGame(gameId);
+        const [north, east] = ids;
+
+        await playTrick(gameId, roundId, trickId, ids, hands, 0, { autoStartNextRound: false });
+
+        // Starting the next round deals fresh hands that the replay attaches to round 2
+        const round2 = await gameEngine.startNextRound(gameId, roundId, { declaringTeamMadeContract: true });
+
+        const replay = await gameEngine.getGameReplay(gameId);
+        expect(replay.players.map(p => p.userId)).toEqual(ids);
+        expect(replay.rounds).toHaveLength(2);
+
+        const [firstRound, secondRound] = replay.rounds;
+        expect(firstRound).toMatchObject({ roundId, roundNumber: 1, trumpSuit: 'Hearts', trumpDeclarer: north });
+        expect(firstRound.tricks).toHaveLength(1);
+        expect(firstRound.tricks[0].plays.map(p => p.playerId)).toEqual(ids);
+        expect(firstRound.tricks[0]).toMatchObject({ trickNumber: 1, leadPlayerId: north, winner: north });
+
+        expect(secondRound).toMatchObject({ roundId: round2.roundId, roundNumber: 2, dealerUserId: north });
+        expect(secondRound.hands[east]).toHaveLength(8);
+        expect(secondRound.hands[east].slice(0, 4)).toEqual(round2.playerHands[east]);
+
+        const sequences = replay.events.map(e => e.sequence);
+        expect(sequences).toEqual([...sequences].sort((a, b) => a - b));
+
+        // Hand history is rebuilt from the log
+        const validator = new GameRuleValidator();
+        const handNow = await validator.getPlayerHandAtTime(gameId, east, new Date(Date.now() + 1000).toISOString());
+        expect(handNow).toEqual(secondRound.hands[east]);
+    });
+
+    it('should only serve a replay to its players once the game is over', async () => {
+        const gameId = 'engine-game-replay-route';
+        const { ids } = await setupGame(gameId);
+        const app = express();
+        app.use('/api/games', gamesRouter);
+        const getReplay = (userId) => request(app).get(`/api/games/${gameId}/replay`).set('X-User-Id', userId);
+
+        const inProgress = await getReplay(ids[1]).expect(409);
+        expect(inProgress.body).toEqual({ success: false, message: 'The replay is available once the game is over' });
+        await getReplay('engine-game-replay-route-outsider').expect(403);
+
+        await new Game().updateById(gameId, { status: 'completed' });
+        const completed = await getReplay(ids[1]).expect(200);
+        expect(completed.body.replay).toMatchObject({ gameId, status: 'completed' });
+        expect(completed.body.replay.rounds).toHaveLength(1);
+    });
+
+    it("should keep a room's earlier games out of the replay of its next game", async () => {
+        const gameId = 'engine-game-replay-next';
+        const { ids, roundId, trickId, hands } = await setupGame(gameId);
+        const [north, east, south, west] = ids;
+
+        await playTrick(gameId, roundId, trickId, ids, hands, 0, { autoStartNextRound: false });
+        await new Game().updateById(gameId, { status: 'completed', completed_at: new Date().toISOString() });
+
+        // The room's next game starts a moment later on the same record
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await gameEngine.restartRoomGame(gameId);
+        await gameEngine.assignTeams(gameId, { team1: [north, south], team2: [east, west] });
+        const nextRoundId = await gameEngine.createGameRound(gameId, 1, west, north);
+        await gameEngine.declareTrump(gameId, nextRoundId, north, 'Spades');
+
+        let livePhase = 'playing';
+        const app = express();
+        app.use((req, res, next) => {
+            req.socketManager = { gameStateManager: { getGameState: () => ({ phase: livePhase }) } };
+            next();
+        });
+        app.use('/api/games', gamesRouter);
+        const getReplay = () => request(app).get(`/api/games/${gameId}/replay`).set('X-User-Id', east);
+
+        await getReplay().expect(409);
+
+        // A completed record does not open the replay while the table is still being played
+        await new Game().updateById(gameId, { status: 'completed' });
+        await getReplay().expect(409);
+
+        livePhase = 'game_over';
+        const { body } = await getReplay().expect(200);
+        expect(body.replay.rounds.map(r => r.roundId)).toEqual([nextRoundId]);
+        expect(body.replay.rounds[0].trumpSuit).toBe('Spades');
+        expect(body.replay.events.some(e => e.roundId === roundId)).toBe(false);
+    });
+
+    it('should commit to each deal seed and reveal it once the round is over', async () => {
+        const gameId = 'engine-game-seed';
+        const { ids, roundId } = await setupGame(gameId);
+
+        const round1 = await GameRound.findById(roundId);
+        await round1.completeRound(6, 2);
+        const round2 = await gameEngine.startNextRound(gameId, roundId, { declaringTeamMadeContract: true });
+
+        const round2Record = await GameRound.findById(round2.roundId);
+        expect(round2.dealSeedHash).toBe(hashDealSeed(round2Record.deal_seed));
+        expect(round2Record.toApiResponse()).toMatchObject({ dealSeedHash: round2.dealSeedHash, dealSeed: null });
+
+        const result = await gameEngine.completeRound(gameId, round2.roundId, { autoStartNextRound: false });
+        expect(result.dealSeed).toBe(round2Record.deal_seed);
+        expect((await GameRound.findById(round2.roundId)).toApiResponse().dealSeed).toBe(round2Record.deal_seed);
+
+        const replay = await gameEngine.getGameReplay(gameId);
+        expect(replay.rounds[1]).toMatchObject({ dealSeed: round2Record.deal_seed, dealSeedHash: round2.dealSeedHash, dealVerified: true });
+        expect(await gameEngine.getDealSeeds(gameId)).toEqual({ dealSeeds: [round2Record.deal_seed], seatOffsets: [1] });
+
+        // A rematch replays the revealed seed in the same round with every hand one seat on,
+        // so each partnership plays the cards the other side held
+        const [north, east, south, west] = ids;
+        await new Game().updateById(gameId, { deal_seeds: [null, round2Record.deal_seed], deal_seat_offsets: [null, 1] });
+        const rematchDeal = await gameEngine.dealInitialCards(gameId, { roundNumber: 2 });
+        expect(rematchDeal.dealSeedHash).toBe(round2.dealSeedHash);
+        expect(rematchDeal.seatOffset).toBe(1);
+        expect(rematchDeal.playerHands[east]).toEqual(round2.playerHands[north]);
+        expect(rematchDeal.playerHands[south]).toEqual(round2.playerHands[east]);
+        expect(rematchDeal.playerHands[north]).toEqual(round2.playerHands[west]);
+    });
+
+    it("should replay only the deals of a room's last game, each one seat on from where it was played", async () => {
+        const gameId = 'engine-game-same-deals';
+        const { ids, roundId } = await setupGame(gameId);
+        const [north, east, south, west] = ids;
+
+        await (await GameRound.findById(roundId)).completeRound(6, 2);
+        const { roundId: dealtRoundId } = await gameEngine.startNextRound(gameId, roundId, { declaringTeamMadeContract: true });
+        const firstGameRound = await GameRound.findById(dealtRoundId);
+        await firstGameRound.completeRound(6, 2);
+        await new Game().updateById(gameId, { status: 'completed', completed_at: new Date().toISOString() });
+
+        // The room's next game replays the first game's deal
+        const { dealSeeds, seatOffsets } = await gameEngine.getDealSeeds(gameId);
+        expect(dealSeeds).toEqual([firstGameRound.deal_seed]);
+        await new Game().updateById(gameId, { deal_seeds: dealSeeds, deal_seat_offsets: seatOffsets });
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await gameEngine.restartRoomGame(gameId);
+        await gameEngine.assignTeams(gameId, { team1: [north, south], team2: [east, west] });
+        const deal = await gameEngine.dealInitialCards(gameId);
+        const nextRoundId = await gameEngine.createGameRound(gameId, 1, west, north, deal);
+        const nextRound = await GameRound.findById(nextRoundId);
+        expect(nextRound).toMatchObject({ deal_seed: firstGameRound.deal_seed, deal_seat_offset: 1 });
+        await gameEngine.completeRound(gameId, nextRoundId, { autoStartNextRound: false });
+
+        // Only the last game's round is offered again, one more seat on
+        expect(await gameEngine.getDealSeeds(gameId)).toEqual({ dealSeeds: [firstGameRound.deal_seed], seatOffsets: [2] });
+
+        const replay = await gameEngine.getGameReplay(gameId);
+        expect(replay.rounds[0]).toMatchObject({ roundId: nextRoundId, dealSeatOffset: 1, dealVerified: true });
+    });
+
+    it('should complete the game once a team reaches the target score', async () => {
+        const gameId = 'engine-game-complete';
+        const { ids, roundId, hands } = await setupGame(gameId, 8);
+
+        let result;
+        for (let trickIndex = 0; trickIndex < 8; trickIndex++) {
+            const currentTrick = await GameTrick.findCurrentTrick(roundId);
+            result = await playTrick(gameId, roundId, currentTrick.trick_id, ids, hands, trickIndex);
+        }
+
+        const teams = await gameEngine.getGameTeams(gameId);
+        const team1 = teams.find(t => t.team_number === 1);
+
+        expect(result.gameComplete).toBe(true);
+        expect(result.winningTeamId).toBe(team1.team_id);
+
+        const game = await new Game().findById(gameId);
+        expect(game.status).toBe('completed');
+        expect(game.winning_team_id).toBe(team1.team_id);
+
+        const users = lokiConnection.getCollection('users');
+        expect(users.findOne({ user_id: ids[0] }).total_games_won).toBe(1);
+        expect(users.findOne({ user_id: ids[1] }).total_games_won).toBe(0);
+        expect(users.findOne({ user_id: ids[1] }).total_games_played).toBe(1);
+    });
+
+    it('should end a game tied at or over the target score without a winner', async () => {
+        const gameId = 'engine-game-tie';
+        await setupGame(gameId, 8);
+
+        const teams = await gameEngine.getGameTeams(gameId);
+        await new Team().updateMany({ game_id: gameId }, { current_score: 9 });
+
+        const completion = await gameEngine.checkGameComplete(gameId);
+        expect(completion).toMatchObject({ isComplete: true, winningTeamId: null, winningTeamNumber: null });
+        expect(completion.finalScores.map(t => t.score)).toEqual([9, 9]);
+
+        await new Team().updateById(teams[0].team_id, { current_score: 10 });
+        expect(await gameEngine.checkGameComplete(gameId)).toMatchObject({ isComplete: true, winningTeamId: teams[0].team_id });
+    });
+
+    it("should reopen a room's finished game for the room's next game", async () => {
+        const gameId = 'engine-game-next';
+        const { ids, roundId, hands } = await setupGame(gameId, 8);
+        const [north, east, south, west] = ids;
+
+        for (let trickIndex = 0; trickIndex < 8; trickIndex++) {
+            const currentTrick = await GameTrick.findCurrentTrick(roundId);
+            await playTrick(gameId, roundId, currentTrick.trick_id, ids, hands, trickIndex, { autoStartNextRound: false });
+        }
+        const finishedGame = await new Game().findById(gameId);
+        expect(finishedGame.status).toBe('completed');
+
+        expect(await gameEngine.restartRoomGame(gameId)).toBe(true);
+        await gameEngine.assignTeams(gameId, { team1: [north, south], team2: [east, west] });
+
+        const game = await new Game().findById(gameId);
+        expect(game).toMatchObject({ status: 'in_progress', completed_at: null, winning_team_id: null, target_score: 8 });
+        expect(game.started_at >= finishedGame.completed_at).toBe(true);
+        expect((await gameEngine.getGameTeams(gameId)).map(t => t.current_score)).toEqual([0, 0]);
+        expect(await gameEngine.checkGameComplete(gameId)).toMatchObject({ isComplete: false });
+
+        // A game still being played is left alone
+        expect(await gameEngine.restartRoomGame(gameId)).toBe(false);
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_GAME_RULES, normalizeGameRules } from '../src/utils/gameRules.js';
+
+describe('Game Rules', () => {
+  describe('normalizeGameRules', () => {
+    it('should return the standard rules when none are configured', () => {
+      expect(normalizeGameRules()).toEqual(DEFAULT_GAME_RULES);
+      expect(normalizeGameRules(null)).toEqual(DEFAULT_GAME_RULES);
+    });
+
+    it('should merge house rules onto the defaults', () => {
+      const rules = normalizeGameRules({ targetScore: 26, redealRule: false });
+
+      expect(rules).toEqual({
+        ...DEFAULT_GAME_RULES,
+        targetScore: 26,
+        redealRule: false
+      });
+    });
+
+    it('should accept numeric strings from form input', () => {
+      const rules = normalizeGameRules({ targetScore: '32', trumpDeclarationTimeout: '0' });
+
+      expect(rules.targetScore).toBe(32);
+      expect(rules.trumpDeclarationTimeout).toBe(0);
+    });
+
+    it('should not share state with the defaults', () => {
+      const rules = normalizeGameRules();
+      rules.targetScore = 10;
+
+      expect(DEFAULT_GAME_RULES.targetScore).toBe(52);
+    });
+
+    it('should reject out of range values', () => {
+      expect(() => normalizeGameRules({ targetScore: 0 }))
+        .toThrow('Game rule targetScore must be a whole number between 8 and 200');
+      expect(() => normalizeGameRules({ declaringTeamMinTricks: 9 }))
+        .toThrow('Game rule declaringTeamMinTricks must be a whole number between 1 and 8');
+      expect(() => normalizeGameRules({ trumpDeclarationTimeout: 2.5 }))
+        .toThrow('Game rule trumpDeclarationTimeout must be a whole number between 0 and 300');
+    });
+
+    it('should reject non-boolean redeal or ranked settings and non-object rules', () => {
+      expect(() => normalizeGameRules({ redealRule: 'no' }))
+        .toThrow('Game rule redealRule must be true or false');
+      expect(() => normalizeGameRules({ ranked: 'on' }))
+        .toThrow('Game rule ranked must be true or false');
+      expect(() => normalizeGameRules('short'))
+        .toThrow('Game rules must be an object');
+    });
+  });
+});
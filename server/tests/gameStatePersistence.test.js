@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { useTestDatabase } from './helpers/testDatabase.js';
+
+const testDatabase = useTestDatabase('persistence');
+
+describe('GameStateManager persistence', () => {
+    let GameStateManager;
+    let Game;
+    let GameRound;
+    let GameEngine;
+    let socketManager;
+    let manager;
+
+    const createMockSocketManager = () => ({
+        gameRooms: new Map(),
+        broadcastGameStateUpdate: () => {},
+        sendPlayerGameState: () => {}
+    });
+
+    const flushPersistence = (gameId) => manager.persistGameState(gameId);
+
+    beforeAll(async () => {
+        ({ default: GameStateManager } = await import('../websocket/gameStateManager.js'));
+        ({ default: Game } = await import('../src/models/Game.js'));
+        ({ default: GameRound } = await import('../src/models/GameRound.js'));
+        ({ default: GameEngine } = await import('../src/services/GameEngine.js'));
+        await testDatabase.open();
+    });
+
+    afterAll(async () => {
+        await testDatabase.close();
+    });
+
+    beforeEach(() => {
+        socketManager = createMockSocketManager();
+        manager = new GameStateManager(socketManager);
+    });
+
+    const createGameRecords = async (gameId, roundId) => {
+        await new Game().create({
+            game_id: gameId,
+            game_code: gameId.slice(-6).toUpperCase(),
+            status: 'in_progress',
+            host_id: 'human-1',
+            target_score: 52,
+            is_demo_mode: false
+        });
+        await new GameRound().create({
+            round_id: roundId,
+            game_id: gameId,
+            round_number: 1,
+            dealer_user_id: 'bot-1',
+            first_player_user_id: 'human-1'
+        });
+    };
+
+    const seedRoom = (gameId) => {
+        socketManager.gameRooms.set(gameId, {
+            gameId,
+            hostId: 'human-1',
+            status: 'playing',
+            createdAt: new Date().toISOString(),
+            teams: { team1: ['human-1', 'bot-2'], team2: ['bot-1', 'bot-3'] },
+            players: new Map([
+                ['human-1', { userId: 'human-1', username: 'alice', socketId: 'socket-1', isConnected: true, teamAssignment: 1 }],
+                ['bot-1', { userId: 'bot-1', username: 'Bot Alpha', isConnected: true, isBot: true, teamAssignment: 2 }],
+                ['bot-2', { userId: 'bot-2', username: 'Bot Beta', isConnected: true, isBot: true, teamAssignment: 1 }],
+                ['bot-3', { userId: 'bot-3', username: 'Bot Gamma', isConnected: true, isBot: true, teamAssignment: 2 }]
+            ])
+        });
+    };
+
+    it('should snapshot state transitions into the games and gameRounds collections', async () => {
+        const gameId = 'persist-game-1';
+        const roundId = 'persist-round-1';
+        await createGameRecords(gameId, roundId);
+        seedRoom(gameId);
+
+        manager.initializeGameState(gameId, { status: 'in_progress', phase: 'lobby' });
+        manager.updateGameState(gameId, {
+            phase: 'playing',
+            roundId,
+            trumpSuit: 'Hearts',
+            scores: { team1: 2, team2: 1 },
+            currentTrick: {
+                trickNumber: 4,
+                leadSuit: 'Clubs',
+                cardsPlayed: [{ playerId: 'human-1', card: { suit: 'Clubs', rank: 'A' } }]
+            },
+            players: { 'human-1': { hand: [{ suit: 'Spades', rank: '7' }], handSize: 1 } }
+        });
+        await flushPersistence(gameId);
+
+        const storedGame = await new Game().findById(gameId);
+        expect(storedGame.live_state.phase).toBe('playing');
+        expect(storedGame.live_state.trumpSuit).toBe('Hearts');
+        expect(storedGame.live_state.players['human-1'].hand).toHaveLength(1);
+        expect(storedGame.live_room.players).toHaveLength(4);
+        expect(storedGame.live_room.players[0].socketId).toBeUndefined();
+
+        const storedRound = await new GameRound().findById(roundId);
+        expect(storedRound.current_trick.trickNumber).toBe(4);
+        expect(storedRound.trick_scores).toEqual({ team1: 2, team2: 1 });
+    });
+
+    it('should not persist lobby states that have no Game record', async () => {
+        manager.initializeGameState('lobby-only-game', { phase: 'lobby' });
+
+        const persisted = await flushPersistence('lobby-only-game');
+
+        expect(persisted).toBe(false);
+    });
+
+    it('should rehydrate persisted games with humans disconnected and bots connected', async () => {
+        const gameId = 'persist-game-2';
+        await createGameRecords(gameId, 'persist-round-2');
+        seedRoom(gameId);
+        manager.initializeGameState(gameId, {
+            status: 'in_progress',
+            phase: 'trump_declaration',
+            trumpDeclarer: 'human-1',
+            players: {
+                'human-1': { userId: 'human-1', hand: [{ suit: 'Hearts', rank: 'A' }], isConnected: true },
+                'bot-1': { userId: 'bot-1', hand: [{ suit: 'Clubs', rank: '7' }], isConnected: true }
+            }
+        });
+        await flushPersistence(gameId);
+
+        // Simulate a restart with a fresh manager and empty socket rooms
+        const restartedSocketManager = createMockSocketManager();
+        const restartedManager = new GameStateManager(restartedSocketManager);
+        const restoredIds = await restartedManager.restoreGameStates();
+
+        expect(restoredIds).toContain(gameId);
+
+        const restoredState = restartedManager.getGameState(gameId);
+        expect(restoredState.phase).toBe('trump_declaration');
+        expect(restoredState.trumpDeclarer).toBe('human-1');
+        expect(restoredState.players['human-1'].hand).toEqual([{ suit: 'Hearts', rank: 'A' }]);
+        expect(restoredState.players['human-1'].isConnected).toBe(false);
+        expect(restoredState.players['bot-1'].isConnected).toBe(true);
+
+        const restoredRoom = restartedSocketManager.gameRooms.get(gameId);
+        expect(restoredRoom.players.size).toBe(4);
+        expect(restoredRoom.players.get('human-1').isConnected).toBe(false);
+        expect(restoredRoom.players.get('bot-2').isConnected).toBe(true);
+        expect(restoredRoom.teams.team1).toEqual(['human-1', 'bot-2']);
+        expect(restoredRoom.awaitingResume).toBe(true);
+    });
+
+    it('should skip games whose persisted state was cleared on completion', async () => {
+        const gameId = 'persist-game-3';
+        await createGameRecords(gameId, 'persist-round-3');
+        seedRoom(gameId);
+        manager.initializeGameState(gameId, { status: 'in_progress', phase: 'playing' });
+        await flushPersistence(gameId);
+
+        manager.cleanupGameState(gameId);
+        await manager.clearPersistedState(gameId);
+
+        const restartedManager = new GameStateManager(createMockSocketManager());
+        const restoredState = await restartedManager.restoreGameState(gameId);
+
+        expect(restoredState).toBeNull();
+    });
+
+    it("should restore a room's next game played on the same game record", async () => {
+        const gameId = 'persist-game-4';
+        await createGameRecords(gameId, 'persist-round-4');
+        seedRoom(gameId);
+        await new Game().updateById(gameId, { status: 'completed', completed_at: new Date().toISOString() });
+
+        await new GameEngine().restartRoomGame(gameId);
+        manager.initializeGameState(gameId, { status: 'in_progress', phase: 'playing', trumpSuit: 'Spades' });
+        await flushPersistence(gameId);
+
+        const restartedManager = new GameStateManager(createMockSocketManager());
+        const restoredIds = await restartedManager.restoreGameStates();
+
+        expect(restoredIds).toContain(gameId);
+        expect(restartedManager.getGameState(gameId).trumpSuit).toBe('Spades');
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Socket Test Fixtures
+ * Mock Socket.IO server and sockets, a four-seat table and the teardown every
+ * SocketManager test needs. SocketManager itself is not imported here so test files
+ * that use an isolated database can still import it after the database is set up.
+ */
+
+import { vi } from 'vitest';
+
+// Seats in play order; north and south partner against east and west
+export const PLAYER_IDS = ['north', 'east', 'south', 'west'];
+
+/**
+ * Create a mock Socket.IO server
+ * Everything sent through io.to() is recorded twice: roomEmit is called with the event
+ * and its data, and sent keeps each message with the room or socket it went to.
+ * @returns {Object} Mock server
+ */
+export const createMockIO = () => {
+    const roomEmit = vi.fn();
+    const socketsLeave = vi.fn();
+    const sent = [];
+
+    return {
+        use: vi.fn(),
+        on: vi.fn(),
+        to: vi.fn(target => ({
+            emit: (event, data) => {
+                roomEmit(event, data);
+                sent.push({ target, event, data });
+            }
+        })),
+        in: vi.fn().mockReturnValue({ socketsLeave }),
+        roomEmit,
+        socketsLeave,
+        sent,
+        emit: vi.fn(),
+        sockets: {
+            sockets: new Map(),
+            adapter: { rooms: new Map() }
+        }
+    };
+};
+
+/**
+ * Create a mock client socket
+ * @param {string} userId - User ID
+ * @param {string} [username] - Username, the user ID by default
+ * @returns {Object} Mock socket
+ */
+export const createMockSocket = (userId, username = userId) => ({
+    id: `socket-${userId}`,
+    userId,
+    username,
+    connected: true,
+    emit: vi.fn(),
+    on: vi.fn(),
+    join: vi.fn(),
+    leave: vi.fn()
+});
+
+/**
+ * Create the socket manager's record of a full table of four connected players
+ * @param {string} gameId - Game or room ID
+ * @param {Object} options - Table options
+ * @param {Array<string>} [options.bots] - Seats played by bots
+ * @param {string} [options.status] - Room status
+ * @returns {Object} Room for socketManager.gameRooms
+ */
+export const createFourSeatRoom = (gameId, { bots = [], status = 'playing', ...overrides } = {}) => ({
+    gameId,
+    players: new Map(PLAYER_IDS.map((id, seat) => [id, {
+        userId: id,
+        username: id,
+        isConnected: true,
+        isBot: bots.includes(id),
+        teamAssignment: seat % 2 + 1
+    }])),
+    teams: { team1: ['north', 'south'], team2: ['east', 'west'] },
+    status,
+    hostId: 'north',
+    ...overrides
+});
+
+/**
+ * Stop the timers and monitors a SocketManager starts so a test can finish
+ * @param {SocketManager} socketManager - Socket manager created by the test
+ */
+export const cleanupSocketManager = (socketManager) => {
+    socketManager.turnTimers.forEach((_, id) => socketManager.clearTurnTimer(id));
+    socketManager.substitutionTimers.forEach(timer => clearTimeout(timer));
+    socketManager.matchmakingService.stop();
+    socketManager.enhancedConnectionStatusManager.cleanup();
+    socketManager.connectionDiagnostics.stopMonitoring();
+};
@@ -0,0 +1,55 @@
+/**
+ * Test Database Helper
+ * Points LokiJS at a throwaway directory so a test file never touches the real data
+ * directory. Call useTestDatabase at the top of the test file, before anything imports
+ * the database connection, and import database-backed modules inside beforeAll.
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+/**
+ * Use an isolated LokiJS database for a test file
+ * @param {string} name - Short name that keeps the directory apart from other test files
+ * @returns {Object} dbPath, open() and close()
+ */
+export const useTestDatabase = (name) => {
+    const dbPath = path.join(os.tmpdir(), `contract-crown-${name}-${process.pid}`);
+    process.env.LOKIJS_PATH = dbPath;
+    process.env.BCRYPT_ROUNDS = '4';
+
+    const getConnection = async () => (await import('../../database/loki-db.js')).default;
+
+    return {
+        dbPath,
+
+        /**
+         * Initialize the database and wait for the default users
+         * @returns {Promise<Object>} LokiJS connection
+         */
+        async open() {
+            const lokiConnection = await getConnection();
+            await lokiConnection.initialize();
+
+            // Default users are seeded in the background; let that finish before tests close the database
+            const users = lokiConnection.getCollection('users');
+            for (let attempt = 0; attempt < 100 && users.count() < 4; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+
+            return lokiConnection;
+        },
+
+        /**
+         * Close the database and remove its directory
+         */
+        async close() {
+            const lokiConnection = await getConnection();
+            if (lokiConnection.isReady()) {
+                await lokiConnection.close();
+            }
+            await fs.rm(dbPath, { recursive: true, force: true });
+        }
+    };
+};
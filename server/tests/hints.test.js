@@ -0,0 +1,157 @@
+/**
+ * Hint Tests
+ * Tests suggested moves from BotAI, the per-game hint limit and ranked rooms
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SocketManager from '../websocket/socketManager.js';
+import { createMockIO, PLAYER_IDS, createFourSeatRoom, cleanupSocketManager } from './helpers/socketFixtures.js';
+
+describe('Hints', () => {
+    const gameId = 'hint-game';
+    let mockIO;
+    let socketManager;
+    let socket;
+
+    const replies = (event) => socket.emit.mock.calls.filter(([name]) => name === event).map(([, data]) => data);
+
+    const setGameState = (state = {}, rules = {}) => {
+        socketManager.gameStateManager.initializeGameState(gameId, {
+            status: 'in_progress',
+            phase: 'playing',
+            roundId: 'round-1',
+            trumpSuit: 'Spades',
+            trumpDeclarer: 'north',
+            currentTurnPlayer: 'east',
+            currentTrick: {
+                trickNumber: 1,
+                cardsPlayed: [
+                    { playerId: 'south', card: { suit: 'Hearts', rank: '10' } },
+                    { playerId: 'west', card: { suit: 'Hearts', rank: 'Q' } },
+                    { playerId: 'north', card: { suit: 'Hearts', rank: '9' } }
+                ]
+            },
+            rules: { hintsPerGame: 2, ranked: false, ...rules },
+            players: Object.fromEntries(PLAYER_IDS.map(id => [id, {
+                userId: id,
+                username: id,
+                hand: [
+                    { suit: 'Hearts', rank: 'A' },
+                    { suit: 'Hearts', rank: '8' },
+                    { suit: 'Spades', rank: '7' },
+                    { suit: 'Clubs', rank: 'K' }
+                ]
+            }])),
+            ...state
+        });
+    };
+
+    beforeEach(() => {
+        process.env.NODE_ENV = 'test';
+        vi.useFakeTimers();
+
+        mockIO = createMockIO();
+        socketManager = new SocketManager(mockIO);
+        socketManager.gameStateManager.persistenceEnabled = false;
+        socket = { userId: 'east', username: 'east', emit: vi.fn() };
+
+        socketManager.gameRooms.set(gameId, createFourSeatRoom(gameId));
+    });
+
+    afterEach(() => {
+        cleanupSocketManager(socketManager);
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        delete process.env.NODE_ENV;
+    });
+
+    it('should suggest the card a hard bot would play and explain why', async () => {
+        setGameState();
+
+        await socketManager.handleRequestHint(socket, { gameId });
+
+        // East plays last and the partner (west) already has the trick, so the ace is kept
+        const [hint] = replies('game:hint');
+        expect(hint).toMatchObject({ gameId, phase: 'playing', card: { suit: 'Hearts', rank: '8' }, hintsRemaining: 1 });
+        expect(hint.explanation).toContain('plays 8H');
+        expect(hint.explanation).toContain('The partner is already winning the trick.');
+        expect(socketManager.gameStateManager.getGameState(gameId).players.east.hintsUsed).toBe(1);
+
+        // Only the asking player sees the hint
+        expect(mockIO.roomEmit).not.toHaveBeenCalledWith('game:hint', expect.anything());
+    });
+
+    it('should suggest a trump suit to the declarer', async () => {
+        setGameState({ phase: 'trump_declaration', trumpSuit: null, trumpDeclarer: 'east', currentTurnPlayer: null });
+
+        await socketManager.handleRequestHint(socket, { gameId });
+
+        const [hint] = replies('game:hint');
+        expect(hint).toMatchObject({ phase: 'trump_declaration', trumpSuit: 'Hearts' });
+        expect(hint.explanation).toContain('chose Hearts');
+        expect(hint.card).toBeUndefined();
+    });
+
+    it('should stop giving hints once the player has used them all', async () => {
+        setGameState();
+
+        await socketManager.handleRequestHint(socket, { gameId });
+        await socketManager.handleRequestHint(socket, { gameId });
+        await socketManager.handleRequestHint(socket, { gameId });
+
+        expect(replies('game:hint')).toHaveLength(2);
+        expect(replies('game:hint_error')[0]).toMatchObject({ message: 'You have used all your hints for this game', hintsRemaining: 0 });
+    });
+
+    it('should not give hints in ranked games', async () => {
+        setGameState({}, { ranked: true });
+
+        await socketManager.handleRequestHint(socket, { gameId });
+
+        expect(replies('game:hint')).toHaveLength(0);
+        expect(replies('game:hint_error')[0]).toMatchObject({ message: 'Hints are not available in ranked games', hintsRemaining: 0 });
+    });
+
+    it('should only give hints on the player\'s own turn and not use one up otherwise', async () => {
+        setGameState({ currentTurnPlayer: 'north' });
+
+        await socketManager.handleRequestHint(socket, { gameId });
+        await socketManager.handleRequestHint({ userId: 'spectator', username: 'spectator', emit: socket.emit }, { gameId });
+
+        expect(replies('game:hint_error').map(error => error.message)).toEqual([
+            'Hints are only available on your turn',
+            'You are not playing in this game'
+        ]);
+        expect(socketManager.gameStateManager.getGameState(gameId).players.east.hintsUsed).toBeUndefined();
+    });
+
+    it('should count hints against the whole game, not each round', async () => {
+        setGameState({ lastRoundResult: { roundId: 'round-1', scores: { declaringTeamMadeContract: false } } });
+        const gameEngine = await socketManager.getGameEngine();
+        const hand = [{ suit: 'Hearts', rank: 'A' }, { suit: 'Hearts', rank: 'K' }, { suit: 'Spades', rank: '7' }, { suit: 'Clubs', rank: 'K' }];
+        gameEngine.startNextRound = vi.fn().mockResolvedValue({
+            roundId: 'round-2',
+            roundNumber: 2,
+            dealerUserId: 'north',
+            firstPlayerUserId: 'east',
+            crownRetained: false,
+            playerHands: Object.fromEntries(PLAYER_IDS.map(id => [id, hand])),
+            phase: 'trump_declaration'
+        });
+        gameEngine.declareTrump = vi.fn().mockResolvedValue({ trumpSuit: 'Hearts', declaringTeam: 'team2', challengingTeam: 'team1' });
+        gameEngine.dealFinalCards = vi.fn().mockResolvedValue(Object.fromEntries(PLAYER_IDS.map(id => [id, hand])));
+        gameEngine.startFirstTrick = vi.fn().mockResolvedValue('trick-1');
+
+        // One hint in the first round, one choosing trump in the second
+        await socketManager.handleRequestHint(socket, { gameId });
+        await socketManager.handleStartNextRound(socket, { gameId });
+        await socketManager.handleRequestHint(socket, { gameId });
+        await socketManager.handleDeclareTrump(socket, { gameId, trumpSuit: 'Hearts' });
+
+        expect(socketManager.gameStateManager.getGameState(gameId)).toMatchObject({ currentRound: 2, phase: 'playing', currentTurnPlayer: 'east' });
+        await socketManager.handleRequestHint(socket, { gameId });
+
+        expect(replies('game:hint')).toHaveLength(2);
+        expect(replies('game:hint_error')[0]).toMatchObject({ message: 'You have used all your hints for this game', hintsRemaining: 0 });
+    });
+});
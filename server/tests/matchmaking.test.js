@@ -0,0 +1,183 @@
+/**
+ * Matchmaking Tests
+ * Tests the quick-match queue: rating windows, partners, team balance and bot backfill
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { useTestDatabase } from './helpers/testDatabase.js';
+import { createMockIO, cleanupSocketManager } from './helpers/socketFixtures.js';
+
+const testDatabase = useTestDatabase('matchmaking');
+
+describe('Matchmaking service', () => {
+    let SocketManager;
+    let User;
+    let Room;
+    let BotManager;
+    let users;
+    let socketManager;
+    let matchmaking;
+    let mockIO;
+
+    beforeAll(async () => {
+        ({ default: SocketManager } = await import('../websocket/socketManager.js'));
+        ({ default: User } = await import('../src/models/User.js'));
+        ({ default: Room } = await import('../src/models/Room.js'));
+        ({ default: BotManager } = await import('../src/services/BotManager.js'));
+        await testDatabase.open();
+
+        users = {};
+        const ratings = { ace: 1700, king: 1600, queen: 1550, jack: 1450, joker: 2300 };
+        for (const [name, rating] of Object.entries(ratings)) {
+            const user = await User.create({ username: name, email: `${name}@example.com`, password: 'password123' });
+            await new User().updateById(user.user_id, { rating });
+            users[name] = await User.findById(user.user_id);
+        }
+    });
+
+    afterAll(async () => {
+        await testDatabase.close();
+    });
+
+    beforeEach(() => {
+        process.env.NODE_ENV = 'test';
+        mockIO = createMockIO();
+        socketManager = new SocketManager(mockIO);
+        matchmaking = socketManager.matchmakingService;
+        Object.values(users).forEach(user => socketManager.userSockets.set(user.user_id, `socket-${user.username}`));
+    });
+
+    afterEach(() => {
+        socketManager.gameRooms.forEach((room, roomId) => BotManager.clearGameBots(roomId));
+        cleanupSocketManager(socketManager);
+        vi.restoreAllMocks();
+        delete process.env.NODE_ENV;
+    });
+
+    const queue = (name, options) => matchmaking.joinQueue({ userId: users[name].user_id, username: name }, options);
+    const eventsFor = (name, event) => mockIO.sent.filter(message => message.target === `socket-${name}` && message.event === event);
+
+    it('should only group players whose ratings fit the widening window', async () => {
+        for (const name of ['ace', 'king', 'queen', 'joker']) {
+            await queue(name);
+        }
+        expect(eventsFor('ace', 'matchmaking:queued')).toHaveLength(1);
+        expect(matchmaking.findMatches()).toEqual([]);
+
+        // After a long wait the outlier is close enough to play
+        const matches = matchmaking.findMatches(Date.now() + 120 * 1000);
+        expect(matches).toHaveLength(1);
+        expect(matches[0].bots).toBe(0);
+        expect(matches[0].tickets.flatMap(ticket => ticket.players.map(player => player.username)).sort())
+            .toEqual(['ace', 'joker', 'king', 'queen']);
+    });
+
+    it('should seat four solo players with the strongest and weakest together', async () => {
+        for (const name of ['jack', 'queen', 'ace', 'king']) {
+            await queue(name);
+        }
+
+        // 250 points separate the table, inside the window after 15 seconds
+        expect(matchmaking.findMatches()).toEqual([]);
+        const [table] = await matchmaking.processQueue(Date.now() + 15 * 1000);
+        expect(table.teams).toEqual({
+            team1: [users.ace.user_id, users.jack.user_id],
+            team2: [users.king.user_id, users.queen.user_id]
+        });
+        expect(matchmaking.getQueueStatus()).toEqual({ queuedPlayers: 0, waitingForPartner: 0 });
+
+        const dbRoom = await Room.findById(table.roomId);
+        expect(dbRoom.is_private).toBe(true);
+        expect(dbRoom.owner_id).toBe(users.jack.user_id);
+        expect(dbRoom.players.find(player => player.id === users.ace.user_id).teamAssignment).toBe(1);
+        expect(dbRoom.players.find(player => player.id === users.queen.user_id).teamAssignment).toBe(2);
+
+        const room = socketManager.gameRooms.get(table.roomId);
+        expect(room.players.get(users.king.user_id)).toMatchObject({ teamAssignment: 2, isConnected: false });
+
+        const [matched] = eventsFor('queen', 'matchmaking:matched');
+        expect(matched.data).toMatchObject({ roomId: table.roomId, roomCode: dbRoom.invite_code, ranked: false });
+        expect(matched.data.teams.team2.map(player => player.username)).toEqual(['king', 'queen']);
+    });
+
+    it('should keep partners together once both have named each other', async () => {
+        const waiting = await queue('ace', { partner: 'jack', ranked: true });
+        expect(waiting).toMatchObject({ status: 'waiting_for_partner', partner: 'jack' });
+        await expect(queue('ace')).rejects.toThrow('already in the queue');
+        await expect(queue('jack', { partner: 'ace' })).rejects.toThrow('ranked');
+
+        await queue('jack', { partner: 'ace', ranked: true });
+        await queue('king', { ranked: true });
+        await queue('queen', { ranked: true });
+        expect(eventsFor('ace', 'matchmaking:queued')[0].data.players).toEqual(['ace', 'jack']);
+
+        const [table] = await matchmaking.processQueue();
+        expect(table.ranked).toBe(true);
+        expect(table.teams.team1).toEqual([users.ace.user_id, users.jack.user_id]);
+        expect((await Room.findById(table.roomId)).settings.rules.ranked).toBe(true);
+    });
+
+    it('should drop a partner from the queue when the other one leaves', async () => {
+        await queue('king', { partner: 'queen' });
+        await queue('queen', { partner: 'king' });
+
+        expect(matchmaking.leaveQueue(users.king.user_id)).toBe(true);
+        expect(matchmaking.findTicketByUser(users.queen.user_id)).toBeUndefined();
+        expect(eventsFor('queen', 'matchmaking:left')).toHaveLength(1);
+        expect(matchmaking.leaveQueue(users.king.user_id)).toBe(false);
+        expect(matchmaking.matchTimer).toBeNull();
+    });
+
+    it('should stop waiting for a partner who never queues', async () => {
+        await queue('ace', { partner: 'jack' });
+        expect(matchmaking.matchTimer).not.toBeNull();
+
+        await matchmaking.processQueue(Date.now() + matchmaking.partnerWaitTimeout - 1000);
+        expect(matchmaking.getQueueStatus().waitingForPartner).toBe(1);
+
+        await matchmaking.processQueue(Date.now() + matchmaking.partnerWaitTimeout + 1000);
+        expect(matchmaking.getQueueStatus().waitingForPartner).toBe(0);
+        expect(eventsFor('ace', 'matchmaking:left')[0].data.reason).toBe('jack did not join the queue');
+        expect(matchmaking.matchTimer).toBeNull();
+
+        // The player can queue again straight away
+        await queue('ace');
+        expect(matchmaking.findTicketByUser(users.ace.user_id)).toBeDefined();
+    });
+
+    it('should remove a half-built table and requeue its players when seating fails', async () => {
+        const createRoom = vi.spyOn(Room, 'create');
+        vi.spyOn(Room.prototype, 'assignTeams').mockRejectedValue(new Error('Database unavailable'));
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        for (const name of ['jack', 'queen', 'ace', 'king']) {
+            await queue(name);
+        }
+
+        expect(await matchmaking.processQueue(Date.now() + 15 * 1000)).toEqual([]);
+
+        const { room_id: roomId } = await createRoom.mock.results[0].value;
+        expect(await Room.findById(roomId)).toBeNull();
+        expect(socketManager.gameRooms.has(roomId)).toBe(false);
+        expect(matchmaking.getQueueStatus().queuedPlayers).toBe(4);
+        expect(eventsFor('ace', 'matchmaking:matched')).toHaveLength(0);
+    });
+
+    it('should fill empty seats with bots after the backfill wait for casual tickets only', async () => {
+        await queue('ace', { allowBots: true });
+        await queue('joker', { ranked: true, allowBots: true });
+        expect(matchmaking.findMatches()).toEqual([]);
+
+        const later = Date.now() + (matchmaking.botBackfillDelay + 1000);
+        const tables = await matchmaking.processQueue(later);
+        expect(tables).toHaveLength(1);
+        expect(tables[0].teams.team1[0]).toBe(users.ace.user_id);
+
+        const room = socketManager.gameRooms.get(tables[0].roomId);
+        const bots = Array.from(room.players.values()).filter(player => player.isBot);
+        expect(bots).toHaveLength(3);
+        expect(bots.every(bot => bot.teamAssignment !== null)).toBe(true);
+
+        // Ranked tickets never get bots: a table with bots is not rated
+        expect(matchmaking.findTicketByUser(users.joker.user_id)).toBeDefined();
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Rating Tests
+ * Tests the team Glicko-2 calculation and the ranked ladder kept by the rating service
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { useTestDatabase } from './helpers/testDatabase.js';
+import { createMockIO, cleanupSocketManager } from './helpers/socketFixtures.js';
+import { DEFAULT_RATING, rateTeamGame } from '../src/utils/rating.js';
+
+const testDatabase = useTestDatabase('ratings');
+
+const player = (rating = 1500, deviation = 350) => ({ ...DEFAULT_RATING, rating, deviation });
+
+describe('Team ratings', () => {
+    it('should move evenly matched teams by the same amount in opposite directions', () => {
+        const result = rateTeamGame({ team1: [player(), player()], team2: [player(), player()] }, 'team1');
+
+        const gain = result.team1[0].rating - 1500;
+        const loss = 1500 - result.team2[0].rating;
+        expect(gain).toBeGreaterThan(0);
+        expect(gain).toBeCloseTo(loss, 6);
+        expect(result.team1[0].deviation).toBeLessThan(350);
+    });
+
+    it('should reward an upset more than an expected win', () => {
+        const strong = [player(1800, 80), player(1800, 80)];
+        const weak = [player(1400, 80), player(1400, 80)];
+
+        const expectedWin = rateTeamGame({ team1: strong, team2: weak }, 'team1').team1[0].rating - 1800;
+        const upset = rateTeamGame({ team1: weak, team2: strong }, 'team1').team1[0].rating - 1400;
+
+        expect(upset).toBeGreaterThan(expectedWin);
+    });
+
+    it('should give less credit for a win carried by a strong partner', () => {
+        const opponents = [player(1500, 80), player(1500, 80)];
+
+        const withStrongPartner = rateTeamGame({ team1: [player(1500, 80), player(1900, 80)], team2: opponents }, 'team1').team1[0];
+        const withEvenPartner = rateTeamGame({ team1: [player(1500, 80), player(1500, 80)], team2: opponents }, 'team1').team1[0];
+
+        expect(withStrongPartner.rating).toBeLessThan(withEvenPartner.rating);
+    });
+
+    it('should leave evenly matched teams level after a draw', () => {
+        const result = rateTeamGame({ team1: [player(), player()], team2: [player(), player()] }, null);
+
+        expect(result.team1[0].rating).toBeCloseTo(1500, 6);
+        expect(result.team2[0].rating).toBeCloseTo(1500, 6);
+        expect(result.team1[0].deviation).toBeLessThan(350);
+    });
+
+    it('should move new players further than settled ones', () => {
+        const result = rateTeamGame({ team1: [player(1500, 350), player(1500, 50)], team2: [player(), player()] }, 'team1');
+        expect(result.team1[0].rating - 1500).toBeGreaterThan(result.team1[1].rating - 1500);
+    });
+});
+
+describe('Rating service', () => {
+    const gameId = 'ranked-game';
+    let SocketManager;
+    let User;
+    let Game;
+    let statisticsRouter;
+    let users;
+    let socketManager;
+
+    beforeAll(async () => {
+        ({ default: SocketManager } = await import('../websocket/socketManager.js'));
+        ({ default: User } = await import('../src/models/User.js'));
+        ({ default: Game } = await import('../src/models/Game.js'));
+        ({ default: statisticsRouter } = await import('../src/routes/statistics.js'));
+        await testDatabase.open();
+
+        users = [];
+        for (const name of ['ranked_north', 'ranked_east', 'ranked_south', 'ranked_west']) {
+            users.push(await User.create({ username: name, email: `${name}@example.com`, password: 'password123' }));
+        }
+    });
+
+    afterAll(async () => {
+        await testDatabase.close();
+    });
+
+    beforeEach(() => {
+        process.env.NODE_ENV = 'test';
+        socketManager = new SocketManager(createMockIO());
+    });
+
+    afterEach(() => {
+        cleanupSocketManager(socketManager);
+        vi.restoreAllMocks();
+        delete process.env.NODE_ENV;
+    });
+
+    const seatTable = (id, { ranked = true, bots = false } = {}) => {
+        socketManager.gameRooms.set(id, {
+            gameId: id,
+            players: new Map(users.map((user, index) => [user.user_id, {
+                userId: user.user_id,
+                username: user.username,
+                teamAssignment: index % 2 === 0 ? 1 : 2,
+                isBot: bots && index % 2 === 1
+            }])),
+            status: 'playing'
+        });
+        socketManager.gameStateManager.initializeGameState(id, { status: 'completed', rules: { ranked } });
+    };
+
+    it('should rate a ranked game once and keep each player\'s history', async () => {
+        seatTable(gameId);
+        const changes = await socketManager.ratingService.rateGame(gameId, 'team1');
+
+        expect(changes).toHaveLength(4);
+        const north = changes.find(change => change.userId === users[0].user_id);
+        const east = changes.find(change => change.userId === users[1].user_id);
+        expect(north.change).toBeGreaterThan(0);
+        expect(east.change).toBe(-north.change);
+
+        // A game only counts once
+        expect(await socketManager.ratingService.rateGame(gameId, 'team1')).toBeNull();
+
+        const rating = await socketManager.ratingService.getUserRating(users[0].user_id);
+        expect(rating).toMatchObject({ rating: north.ratingAfter, rankedGamesPlayed: 1, rankedGamesWon: 1, provisional: true, trend: north.change });
+        expect(rating.history).toEqual([expect.objectContaining({ gameId, ratingBefore: 1500, change: north.change, won: true })]);
+        expect(await socketManager.ratingService.getUserRating('missing-user')).toBeNull();
+    });
+
+    it('should leave ratings alone for casual games and games with bots', async () => {
+        seatTable('casual-game', { ranked: false });
+        expect(await socketManager.ratingService.rateGame('casual-game', 'team2')).toBeNull();
+
+        seatTable('bot-game', { bots: true });
+        expect(await socketManager.ratingService.rateGame('bot-game', 'team2')).toBeNull();
+
+        expect((await User.findById(users[0].user_id)).ranked_games_played).toBe(1);
+    });
+
+    it('should list the ladder by rating with a minimum number of ranked games', async () => {
+        const ladder = await socketManager.ratingService.getLeaderboard({ minGames: 1 });
+
+        expect(ladder.map(entry => entry.userId)).toHaveLength(4);
+        expect(ladder[0].rating).toBeGreaterThan(ladder[3].rating);
+        expect(ladder[0]).toMatchObject({ rank: 1, rankedGamesPlayed: 1, rankedGamesWon: 1, winRate: 100 });
+        expect(ladder[0].trend).toBeGreaterThan(0);
+
+        expect(await socketManager.ratingService.getLeaderboard({ minGames: 2 })).toEqual([]);
+    });
+
+    it('should serve the ladder without exposing the unported statistics routes', async () => {
+        const app = express();
+        app.use('/api/statistics', statisticsRouter);
+
+        const response = await request(app).get('/api/statistics/leaderboard?minGames=1').expect(200);
+        expect(response.body.data).toHaveLength(4);
+        expect(response.body.minGames).toBe(1);
+
+        await request(app).post(`/api/statistics/game/${gameId}/update`).expect(404);
+        await request(app).get(`/api/statistics/user/${users[0].user_id}`).expect(404);
+    });
+
+    it('should rate each ranked game a room plays under the same game ID', async () => {
+        const roomGameId = 'ranked-room';
+        await new Game().create({ game_id: roomGameId, game_code: 'RANKED', status: 'completed', started_at: '2026-10-19T10:00:00.000Z' });
+        seatTable(roomGameId);
+
+        expect(await socketManager.ratingService.rateGame(roomGameId, 'team1')).toHaveLength(4);
+        expect(await socketManager.ratingService.rateGame(roomGameId, 'team1')).toBeNull();
+
+        // The room's next game reopens the record with a new start time
+        await new Game().updateById(roomGameId, { started_at: '2026-10-19T11:00:00.000Z' });
+        expect(await socketManager.ratingService.rateGame(roomGameId, 'team2')).toHaveLength(4);
+
+        expect((await User.findById(users[0].user_id)).ranked_games_played).toBe(3);
+    });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { useTestDatabase } from './helpers/testDatabase.js';
+import { normalizeBestOf, recordSeriesGame, getRematchSeries } from '../src/utils/series.js';
+
+const testDatabase = useTestDatabase('rematch');
+
+describe('Series', () => {
+    it('should only accept odd series lengths', () => {
+        expect(normalizeBestOf()).toBe(3);
+        expect(normalizeBestOf('5')).toBe(5);
+        expect(() => normalizeBestOf(4)).toThrow('odd number of games');
+        expect(() => normalizeBestOf(11)).toThrow('odd number of games');
+    });
+
+    it('should decide a series once a team has won a majority of its games', () => {
+        const series = { seriesId: 'game-1', bestOf: 3, gameNumber: 2, score: { team1: 1, team2: 0 } };
+
+        expect(recordSeriesGame(series, 'team2')).toMatchObject({ score: { team1: 1, team2: 1 }, winner: null });
+        expect(recordSeriesGame(series, 'team1')).toMatchObject({ score: { team1: 2, team2: 0 }, winner: 'team1' });
+    });
+
+    it('should count a single game as the first game of the series its rematch starts', () => {
+        expect(getRematchSeries({
+            previousGameId: 'game-1', nextGameId: 'game-2', series: null, winningTeam: 'team2', swapPartners: false, bestOf: 5
+        })).toEqual({ seriesId: 'game-1', bestOf: 5, gameNumber: 2, score: { team1: 0, team2: 1 } });
+    });
+
+    it('should start a new series after swapping partners or once a series is decided', () => {
+        const undecided = recordSeriesGame({ seriesId: 'game-1', bestOf: 3, gameNumber: 2, score: { team1: 1, team2: 0 } }, 'team2');
+        const decided = recordSeriesGame({ seriesId: 'game-1', bestOf: 3, gameNumber: 2, score: { team1: 1, team2: 0 } }, 'team1');
+        const rematch = { previousGameId: 'game-2', nextGameId: 'game-3', winningTeam: 'team1', bestOf: 3 };
+        const newSeries = { seriesId: 'game-3', bestOf: 3, gameNumber: 1, score: { team1: 0, team2: 0 } };
+
+        expect(getRematchSeries({ ...rematch, series: undecided, swapPartners: false }))
+            .toEqual({ seriesId: 'game-1', bestOf: 3, gameNumber: 3, score: { team1: 1, team2: 1 } });
+        expect(getRematchSeries({ ...rematch, series: undecided, swapPartners: true })).toEqual(newSeries);
+        expect(getRematchSeries({ ...rematch, series: decided, swapPartners: false })).toEqual(newSeries);
+    });
+});
+
+describe('RematchService', () => {
+    let GameStateManager;
+    let RematchService;
+    let BotManager;
+    let Game;
+    let socketManager;
+    let service;
+    let botIds;
+
+    const createMockSocketManager = () => {
+        const mock = {
+            gameRooms: new Map(),
+            getSeatingTeams: room => room.teams,
+            broadcastGameStateUpdate: () => {},
+            sendPlayerGameState: () => {}
+        };
+        mock.gameStateManager = new GameStateManager(mock);
+        return mock;
+    };
+
+    // A finished game at a table of two humans and two bots, won by team1
+    const createFinishedGame = async (gameId, series = null) => {
+        const bots = BotManager.createBotsForGame(gameId, 2, { names: ['Bot Alice', 'Bot Bob'], difficulty: 'hard' });
+        botIds = bots.map(bot => bot.id);
+
+        await new Game().create({
+            game_id: gameId,
+            game_code: `G${Math.floor(Math.random() * 100000)}`,
+            status: 'completed',
+            host_id: 'human-1',
+            target_score: 20,
+            rules: { targetScore: 20 },
+            series
+        });
+
+        const seats = [
+            { userId: 'human-1', username: 'alice', teamAssignment: 1 },
+            { userId: 'human-2', username: 'bob', teamAssignment: 2 },
+            { userId: botIds[0], username: 'Bot Alice', isBot: true, teamAssignment: 1 },
+            { userId: botIds[1], username: 'Bot Bob', isBot: true, teamAssignment: 2 }
+        ];
+        socketManager.gameRooms.set(gameId, {
+            gameId,
+            players: new Map(seats.map(seat => [seat.userId, { ...seat, isReady: true, isConnected: true }])),
+            teams: { team1: ['human-1', botIds[0]], team2: ['human-2', botIds[1]] },
+            status: 'playing',
+            hostId: 'human-1'
+        });
+        socketManager.gameStateManager.initializeGameState(gameId, {
+            status: 'completed',
+            phase: 'game_over',
+            winningTeam: 'team1',
+            rules: { targetScore: 20 },
+            series
+        });
+        service.openVote(gameId);
+    };
+
+    beforeAll(async () => {
+        ({ default: GameStateManager } = await import('../websocket/gameStateManager.js'));
+        ({ default: RematchService } = await import('../src/services/RematchService.js'));
+        ({ default: BotManager } = await import('../src/services/BotManager.js'));
+        ({ default: Game } = await import('../src/models/Game.js'));
+        await testDatabase.open();
+    });
+
+    afterAll(async () => {
+        await testDatabase.close();
+    });
+
+    beforeEach(() => {
+        socketManager = createMockSocketManager();
+        service = new RematchService(socketManager);
+    });
+
+    it('should wait for every human to accept the first proposal', async () => {
+        await createFinishedGame('finished-vote');
+
+        const first = service.castVote('finished-vote', 'human-1', { swapPartners: true, bestOf: 5 });
+        expect(first).toEqual({
+            status: 'pending',
+            proposal: { proposedBy: 'human-1', swapPartners: true, bestOf: 5 },
+            accepted: ['human-1'],
+            waitingFor: ['human-2']
+        });
+
+        // Later votes accept the proposal as made
+        const second = service.castVote('finished-vote', 'human-2', { swapPartners: false });
+        expect(second.status).toBe('accepted');
+        expect(second.proposal.swapPartners).toBe(true);
+    });
+
+    it('should cancel the proposal on a decline and refuse votes from bots or a game still running', async () => {
+        await createFinishedGame('finished-decline');
+
+        service.castVote('finished-decline', 'human-1');
+        expect(service.castVote('finished-decline', 'human-2', { accept: false }).status).toBe('declined');
+        expect(service.castVote('finished-decline', 'human-2').proposal.proposedBy).toBe('human-2');
+
+        expect(() => service.castVote('finished-decline', botIds[0])).toThrow('Only players at the table');
+        expect(() => service.castVote('unknown-game', 'human-1')).toThrow('no finished game');
+    });
+
+    it('should start a linked game with the same partnerships that continues the series', async () => {
+        await createFinishedGame('finished-same');
+        service.castVote('finished-same', 'human-1');
+        const { proposal } = service.castVote('finished-same', 'human-2');
+
+        const rematch = await service.createRematchGame('finished-same', proposal);
+
+        const game = await new Game().findById(rematch.gameId);
+        expect(game.previous_game_id).toBe('finished-same');
+        expect(game.room_id).toBe('finished-same');
+        expect(game.target_score).toBe(20);
+        expect(game.series).toEqual({ seriesId: 'finished-same', bestOf: 3, gameNumber: 2, score: { team1: 1, team2: 0 } });
+
+        // Bots are replaced by fresh bots of the same name, humans are dealt in when they join
+        const room = socketManager.gameRooms.get(rematch.gameId);
+        const [, bot1] = rematch.teams.team1;
+        const [, bot2] = rematch.teams.team2;
+        expect(rematch.teams.team1[0]).toBe('human-1');
+        expect(rematch.teams.team2[0]).toBe('human-2');
+        expect(bot1).not.toBe(botIds[0]);
+        expect(room.roomId).toBe('finished-same');
+        expect(room.players.get(bot1)).toMatchObject({ username: 'Bot Alice', isBot: true, botDifficulty: 'hard', isConnected: true });
+        expect(room.players.get('human-1')).toMatchObject({ teamAssignment: 1, isConnected: false });
+        expect(BotManager.getBotPlayer(rematch.gameId, bot2).name).toBe('Bot Bob');
+
+        const gameState = socketManager.gameStateManager.getGameState(rematch.gameId);
+        expect(gameState.phase).toBe('lobby');
+        expect(gameState.series.gameNumber).toBe(2);
+
+        expect(() => service.castVote('finished-same', 'human-1')).toThrow('already started');
+    });
+
+    it('should swap partners and start a new series', async () => {
+        await createFinishedGame('finished-swap', { seriesId: 'series-1', bestOf: 3, gameNumber: 2, score: { team1: 0, team2: 1 } });
+        service.castVote('finished-swap', 'human-1', { swapPartners: true });
+        const { proposal } = service.castVote('finished-swap', 'human-2');
+
+        const rematch = await service.createRematchGame('finished-swap', proposal);
+
+        expect(rematch.teams.team1[0]).toBe('human-1');
+        expect(rematch.teams.team1[1]).toBe('human-2');
+        expect(rematch.series).toEqual({ seriesId: rematch.gameId, bestOf: 3, gameNumber: 1, score: { team1: 0, team2: 0 } });
+
+        // Partners sit opposite each other
+        const seating = Array.from(socketManager.gameRooms.get(rematch.gameId).players.keys());
+        expect(seating[0]).toBe('human-1');
+        expect(seating[2]).toBe('human-2');
+    });
+
+    it('should report a finished game\'s series score with its result counted', async () => {
+        await createFinishedGame('finished-series', { seriesId: 'series-2', bestOf: 3, gameNumber: 3, score: { team1: 1, team2: 1 } });
+
+        const series = service.getFinishedSeries(socketManager.gameStateManager.getGameState('finished-series'));
+        expect(series).toMatchObject({ seriesId: 'series-2', score: { team1: 2, team2: 1 }, winner: 'team1' });
+    });
+});
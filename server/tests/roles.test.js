@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { useTestDatabase } from './helpers/testDatabase.js';
+
+const testDatabase = useTestDatabase('roles');
+
+describe('User roles', () => {
+    let User;
+    let requireRole;
+    let requireSocketRole;
+
+    const createResponse = () => {
+        const res = { statusCode: 200, body: null };
+        res.status = (code) => {
+            res.statusCode = code;
+            return res;
+        };
+        res.json = (body) => {
+            res.body = body;
+            return res;
+        };
+        return res;
+    };
+
+    // Run an Express middleware against a request and report whether it called next()
+    const runMiddleware = (middleware, user) => {
+        const res = createResponse();
+        let passed = false;
+        middleware({ user, method: 'GET', originalUrl: '/api/monitoring/dashboard' }, res, () => {
+            passed = true;
+        });
+        return { passed, status: res.statusCode, body: res.body };
+    };
+
+    beforeAll(async () => {
+        ({ default: User } = await import('../src/models/User.js'));
+        ({ requireRole } = await import('../src/middleware/authMiddleware.js'));
+        ({ requireSocketRole } = await import('../src/middlewares/socketAuth.js'));
+        await testDatabase.open();
+    });
+
+    afterAll(async () => {
+        await testDatabase.close();
+    });
+
+    it('should let each role do everything the roles before it can', () => {
+        expect(User.hasRole({ role: 'admin' }, 'moderator')).toBe(true);
+        expect(User.hasRole({ role: 'moderator' }, 'moderator')).toBe(true);
+        expect(User.hasRole({ role: 'moderator' }, 'admin')).toBe(false);
+        expect(User.hasRole({}, 'player')).toBe(true);
+        expect(User.hasRole({}, 'moderator')).toBe(false);
+        expect(User.hasRole({ role: 'admin' }, 'owner')).toBe(false);
+    });
+
+    it('should create players and persist role changes', async () => {
+        const created = await User.create({ username: 'roleuser', email: 'roleuser@example.com', password: 'password123' });
+        expect(created.role).toBe('player');
+
+        const user = await User.findById(created.user_id);
+        await user.updateRole('moderator');
+        expect((await User.findById(user.user_id)).role).toBe('moderator');
+
+        await expect(user.updateRole('owner')).rejects.toThrow('Role must be one of');
+        expect((await User.findByUsername('roleuser')).role).toBe('moderator');
+    });
+
+    it('should reject requests from users without the required role', () => {
+        const requireModerator = requireRole('moderator');
+
+        expect(runMiddleware(requireModerator, { username: 'mod', role: 'moderator' }).passed).toBe(true);
+        expect(runMiddleware(requireModerator, { username: 'admin', role: 'admin' }).passed).toBe(true);
+        expect(runMiddleware(requireModerator, { username: 'player', role: 'player' })).toMatchObject({
+            passed: false,
+            status: 403,
+            body: { success: false, message: 'Insufficient permissions' }
+        });
+        expect(runMiddleware(requireModerator, undefined)).toMatchObject({ passed: false, status: 401 });
+        expect(() => requireRole('owner')).toThrow('Unknown role');
+    });
+
+    it('should guard socket events by the role of the authenticated user', () => {
+        const requireAdmin = requireSocketRole('admin');
+        const runGuard = (userRole) => {
+            let result;
+            requireAdmin({ username: 'someone', userRole }, (error) => {
+                result = error || null;
+            });
+            return result;
+        };
+
+        expect(runGuard('admin')).toBeNull();
+        expect(runGuard('moderator').data).toEqual({ code: 'INSUFFICIENT_PERMISSIONS', required: 'admin', current: 'moderator' });
+        expect(runGuard(undefined).data.current).toBe('player');
+    });
+});
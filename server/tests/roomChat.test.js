@@ -0,0 +1,122 @@
+/**
+ * Room Chat Tests
+ * Tests the chat filter and the per-room chat channel on WaitingRoomSocketHandler
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SocketManager from '../websocket/socketManager.js';
+import { filterChatMessage, CHAT_MESSAGE_MAX_LENGTH } from '../src/utils/chatFilter.js';
+import { createMockIO, createMockSocket, cleanupSocketManager } from './helpers/socketFixtures.js';
+
+describe('Room Chat', () => {
+    describe('filterChatMessage', () => {
+        it('should trim whitespace and mask blocked words', () => {
+            expect(filterChatMessage('  good   game  ')).toEqual({ text: 'good game', filtered: false });
+            expect(filterChatMessage('Oh SHIT, trumped again')).toEqual({ text: 'Oh ****, trumped again', filtered: true });
+            // Only whole words are masked
+            expect(filterChatMessage('Classic pass').filtered).toBe(false);
+        });
+
+        it('should reject empty and overlong messages', () => {
+            expect(() => filterChatMessage('   ')).toThrow('Chat message cannot be empty');
+            expect(() => filterChatMessage(42)).toThrow('Chat message must be text');
+            expect(() => filterChatMessage('a'.repeat(CHAT_MESSAGE_MAX_LENGTH + 1))).toThrow(`${CHAT_MESSAGE_MAX_LENGTH} characters or less`);
+        });
+    });
+
+    describe('WaitingRoomSocketHandler chat', () => {
+        const roomId = 'chat-room';
+        let mockIO;
+        let socketManager;
+        let handler;
+
+        beforeEach(() => {
+            process.env.NODE_ENV = 'test';
+            vi.useFakeTimers();
+
+            mockIO = createMockIO();
+            socketManager = new SocketManager(mockIO);
+            handler = socketManager.waitingRoomHandler;
+
+            socketManager.gameRooms.set(roomId, {
+                gameId: roomId,
+                players: new Map([['north', { userId: 'north', username: 'north' }]]),
+                teams: { team1: [], team2: [] },
+                status: 'waiting',
+                hostId: 'north'
+            });
+        });
+
+        afterEach(() => {
+            cleanupSocketManager(socketManager);
+            vi.useRealTimers();
+            vi.clearAllMocks();
+            delete process.env.NODE_ENV;
+        });
+
+        it('should broadcast filtered messages and keep them in the room history', () => {
+            const socket = createMockSocket('north', 'north');
+
+            handler.handleChatMessage(socket, { roomId, text: 'well played, damn' });
+
+            const chatCall = mockIO.roomEmit.mock.calls.find(([event]) => event === 'chat-message');
+            expect(mockIO.to).toHaveBeenCalledWith(roomId);
+            expect(chatCall[1]).toMatchObject({
+                roomId,
+                userId: 'north',
+                username: 'north',
+                text: 'well played, ****',
+                isSpectator: false
+            });
+
+            handler.handleChatHistoryRequest(socket, { roomId });
+            expect(socket.emit).toHaveBeenCalledWith('chat-history', expect.objectContaining({
+                roomId,
+                messages: [chatCall[1]]
+            }));
+        });
+
+        it('should let spectators chat and reject users outside the room', () => {
+            socketManager.addSpectator(roomId, { userId: 'viewer', username: 'viewer', socketId: 'socket-viewer' });
+
+            handler.handleChatMessage(createMockSocket('viewer', 'viewer'), { roomId, text: 'go team 1' });
+            const chatCall = mockIO.roomEmit.mock.calls.find(([event]) => event === 'chat-message');
+            expect(chatCall[1].isSpectator).toBe(true);
+
+            const outsider = createMockSocket('outsider', 'outsider');
+            handler.handleChatMessage(outsider, { roomId, text: 'hello?' });
+            expect(outsider.emit).toHaveBeenCalledWith('chat-error', { roomId, message: 'You are not in this room' });
+        });
+
+        it('should rate limit each user', () => {
+            const socket = createMockSocket('north', 'north');
+
+            for (let i = 0; i < 6; i++) {
+                handler.handleChatMessage(socket, { roomId, text: `message ${i}` });
+            }
+
+            expect(mockIO.roomEmit.mock.calls.filter(([event]) => event === 'chat-message')).toHaveLength(5);
+            expect(socket.emit).toHaveBeenCalledWith('chat-error', expect.objectContaining({
+                code: 'RATE_LIMIT_EXCEEDED'
+            }));
+
+            // The window resets after ten seconds
+            vi.advanceTimersByTime(10001);
+            handler.handleChatMessage(socket, { roomId, text: 'back again' });
+            expect(mockIO.roomEmit.mock.calls.filter(([event]) => event === 'chat-message')).toHaveLength(6);
+        });
+
+        it('should reject empty messages without using up the history', () => {
+            const socket = createMockSocket('north', 'north');
+
+            handler.handleChatMessage(socket, { roomId, text: '   ' });
+
+            expect(socket.emit).toHaveBeenCalledWith('chat-error', {
+                roomId,
+                message: 'Chat message cannot be empty',
+                code: 'INVALID_MESSAGE'
+            });
+            expect(handler.chatHistories.has(roomId)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Round Transition Tests
+ * Tests that live games score rounds, rotate the dealer and hand the crown on through GameEngine
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SocketManager from '../websocket/socketManager.js';
+import { DEFAULT_GAME_RULES } from '../src/utils/gameRules.js';
+import { createMockIO, createMockSocket, PLAYER_IDS, createFourSeatRoom, cleanupSocketManager } from './helpers/socketFixtures.js';
+
+describe('Round Transition', () => {
+    const gameId = 'round-transition-game';
+    let mockIO;
+    let socketManager;
+    let gameEngine;
+
+    const newHands = Object.fromEntries(PLAYER_IDS.map(id => [id, [{ suit: 'Hearts', rank: '7' }]]));
+
+    beforeEach(async () => {
+        process.env.NODE_ENV = 'test';
+        vi.useFakeTimers();
+
+        mockIO = createMockIO();
+        socketManager = new SocketManager(mockIO);
+        socketManager.gameStateManager.persistenceEnabled = false;
+
+        gameEngine = await socketManager.getGameEngine();
+        gameEngine.startNextRound = vi.fn().mockResolvedValue({
+            roundId: 'round-2',
+            roundNumber: 2,
+            dealerUserId: 'north',
+            firstPlayerUserId: 'east',
+            previousDeclarerUserId: 'north',
+            crownRetained: false,
+            playerHands: newHands,
+            phase: 'trump_declaration'
+        });
+
+        socketManager.gameStateManager.initializeGameState(gameId, {
+            status: 'in_progress',
+            phase: 'playing',
+            currentRound: 1,
+            roundId: 'round-1',
+            trumpSuit: 'Hearts',
+            trumpDeclarer: 'north',
+            crownHolder: 'north',
+            dealerUserId: 'west',
+            roundScores: { team1: 0, team2: 3 },
+            rules: { ...DEFAULT_GAME_RULES },
+            lastRoundResult: {
+                roundId: 'round-1',
+                scores: { declaringTeamMadeContract: false },
+                teamTricks: null,
+                gameComplete: false
+            },
+            players: Object.fromEntries(PLAYER_IDS.map(id => [id, { userId: id, username: id, hand: [], handSize: 0 }]))
+        });
+
+        // North and south partner against east and west
+        socketManager.gameRooms.set(gameId, createFourSeatRoom(gameId));
+    });
+
+    afterEach(() => {
+        cleanupSocketManager(socketManager);
+        vi.useRealTimers();
+        vi.clearAllMocks();
+        delete process.env.NODE_ENV;
+    });
+
+    it('should start the next round through GameEngine and broadcast the crown holder', async () => {
+        await socketManager.handleStartNextRound(createMockSocket('south', 'south'), { gameId });
+
+        expect(gameEngine.startNextRound).toHaveBeenCalledWith(gameId, 'round-1', { declaringTeamMadeContract: false });
+
+        const gameState = socketManager.gameStateManager.getGameState(gameId);
+        expect(gameState).toMatchObject({
+            currentRound: 2,
+            roundId: 'round-2',
+            phase: 'trump_declaration',
+            trumpSuit: null,
+            trumpDeclarer: 'east',
+            crownHolder: 'east',
+            dealerUserId: 'north'
+        });
+        expect(gameState.players.east.hand).toEqual(newHands.east);
+
+        const newRoundCall = mockIO.roomEmit.mock.calls.find(([event]) => event === 'game:new_round');
+        expect(newRoundCall[1]).toMatchObject({
+            roundNumber: 2,
+            trumpDeclarer: 'east',
+            crownHolder: 'east',
+            crownRetained: false,
+            previousDeclarer: 'north',
+            dealerUserId: 'north'
+        });
+    });
+
+    it('should only deal once when several players request the next round', async () => {
+        await Promise.all([
+            socketManager.handleStartNextRound(createMockSocket('north', 'north'), { gameId }),
+            socketManager.handleStartNextRound(createMockSocket('east', 'east'), { gameId })
+        ]);
+        await socketManager.handleStartNextRound(createMockSocket('south', 'south'), { gameId });
+
+        expect(gameEngine.startNextRound).toHaveBeenCalledTimes(1);
+        expect(socketManager.gameStateManager.getGameState(gameId).currentRound).toBe(2);
+    });
+
+    it('should score the round with Contract Crown rules and record it in the ledger', async () => {
+        socketManager.gameStateManager.updateGameState(gameId, { lastRoundResult: null }, 'server');
+
+        await socketManager.handleRoundComplete(gameId, { team1: 3, team2: 5 }, {
+            roundComplete: true,
+            gameComplete: false,
+            targetScore: 52,
+            scores: {
+                declaringTeamScore: 0,
+                challengingTeamScore: 5,
+                declaringTeamMadeContract: false,
+                challengingTeamMadeContract: true
+            },
+            teamTricks: { declaringTeamTricks: 3, challengingTeamTricks: 5 }
+        });
+
+        const gameState = socketManager.gameStateManager.getGameState(gameId);
+        expect(gameState.roundScores).toEqual({ team1: 0, team2: 8 });
+        expect(gameState.scoreHistory).toHaveLength(1);
+        expect(gameState.scoreHistory[0]).toMatchObject({
+            roundNumber: 1,
+            declaringTeam: 'team1',
+            tricks: { team1: 3, team2: 5 },
+            points: { team1: 0, team2: 5 },
+            totals: { team1: 0, team2: 8 }
+        });
+        expect(gameState.lastRoundResult).toMatchObject({ roundId: 'round-1', gameComplete: false });
+
+        const roundCompleteCall = mockIO.roomEmit.mock.calls.find(([event]) => event === 'game:round_complete');
+        expect(roundCompleteCall[1]).toMatchObject({
+            roundWinner: { teamKey: 'team2', points: 5 },
+            roundPoints: { team1: 0, team2: 5 },
+            crownRetained: false,
+            gameComplete: false
+        });
+        expect(mockIO.roomEmit.mock.calls.some(([event]) => event === 'game:complete')).toBe(false);
+    });
+
+    it('should end the game with the score history once a team reaches the target score', async () => {
+        socketManager.gameStateManager.updateGameState(gameId, { roundScores: { team1: 20, team2: 48 } }, 'server');
+        gameEngine.checkGameComplete = vi.fn().mockResolvedValue({
+            isComplete: true,
+            targetScore: 52,
+            winningTeamId: 'team-2-id',
+            winningTeamNumber: 2
+        });
+        gameEngine.completeGame = vi.fn().mockResolvedValue();
+
+        // Without a GameEngine result the trick counts are scored with the same rules
+        await socketManager.handleRoundComplete(gameId, { team1: 4, team2: 4 });
+
+        expect(gameEngine.completeGame).toHaveBeenCalledWith(gameId, 'team-2-id');
+
+        const completeCall = mockIO.roomEmit.mock.calls.find(([event]) => event === 'game:complete');
+        expect(completeCall[1]).toMatchObject({
+            winner: 'Team 2',
+            winningTeam: 'team2',
+            finalScores: { team1: 20, team2: 52 },
+            targetScore: 52,
+            roundsPlayed: 1
+        });
+        expect(completeCall[1].scoreHistory[0].points).toEqual({ team1: 0, team2: 4 });
+
+        const gameState = socketManager.gameStateManager.getGameState(gameId);
+        expect(gameState.status).toBe('completed');
+
+        await socketManager.handleStartNextRound(createMockSocket('north', 'north'), { gameId });
+        expect(gameEngine.startNextRound).not.toHaveBeenCalled();
+    });
+
+    it('should score rounds against the room\'s house rules', async () => {
+        socketManager.gameStateManager.updateGameState(gameId, {
+            lastRoundResult: null,
+            rules: { ...DEFAULT_GAME_RULES, targetScore: 20, declaringTeamMinTricks: 4, challengingTeamMinTricks: 5 }
+        }, 'server');
+        gameEngine.checkGameComplete = vi.fn().mockResolvedValue({ isComplete: false });
+
+        await socketManager.handleRoundComplete(gameId, { team1: 4, team2: 4 });
+
+        const gameState = socketManager.gameStateManager.getGameState(gameId);
+        expect(gameState.scoreHistory[0].points).toEqual({ team1: 4, team2: 0 });
+
+        const roundCompleteCall = mockIO.roomEmit.mock.calls.find(([event]) => event === 'game:round_complete');
+        expect(roundCompleteCall[1]).toMatchObject({
+            roundWinner: { teamKey: 'team1', points: 4 },
+            targetScore: 20
+        });
+    });
+});
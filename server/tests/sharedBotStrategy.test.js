@@ -0,0 +1,77 @@
+/**
+ * Shared Bot Strategy Tests
+ * The card strategy in /shared is played by the server's BotAI and the offline client engine
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    getLowestCard, getHighestCard, isMasterCard, countUnseenCards, getDiscard, chooseLeadCard, chooseFollowCard
+} from '../../shared/botStrategy.js';
+import BotAI from '../src/services/BotAI.js';
+
+const card = (rank, suit) => ({ suit, rank });
+const plays = (...cards) => cards.map(([playerId, c]) => ({ playerId, card: c }));
+
+const situation = (overrides = {}) => ({
+    hand: [],
+    cardsPlayed: [],
+    trumpSuit: 'Spades',
+    isDeclaringTeam: false,
+    partnerId: 'partner',
+    seenCards: [],
+    aggressiveness: 0.5,
+    riskiness: 0.4,
+    ...overrides
+});
+
+describe('Shared Bot Strategy', () => {
+    it('should find the lowest and highest cards and handle an empty list', () => {
+        const cards = [card('10', 'Hearts'), card('7', 'Clubs'), card('A', 'Spades')];
+
+        expect(getLowestCard(cards)).toEqual(card('7', 'Clubs'));
+        expect(getHighestCard(cards)).toEqual(card('A', 'Spades'));
+        expect(getLowestCard([])).toBeNull();
+    });
+
+    it('should count master cards and unseen cards from the played cards and the hand', () => {
+        const view = situation({ hand: [card('K', 'Hearts')], seenCards: [card('A', 'Hearts'), card('7', 'Hearts')] });
+
+        expect(isMasterCard(card('K', 'Hearts'), view)).toBe(true);
+        expect(isMasterCard(card('J', 'Hearts'), view)).toBe(false);
+        expect(countUnseenCards('Hearts', view)).toBe(5);
+    });
+
+    it('should discard a low side card before trump and master cards', () => {
+        const hand = [card('A', 'Hearts'), card('7', 'Spades'), card('9', 'Clubs')];
+
+        expect(getDiscard(hand, situation({ hand }))).toEqual(card('9', 'Clubs'));
+    });
+
+    it('should draw trump with a master trump as the declaring side', () => {
+        const hand = [card('A', 'Spades'), card('8', 'Spades'), card('K', 'Hearts')];
+
+        expect(chooseLeadCard(hand, situation({ hand, isDeclaringTeam: true }))).toEqual(card('A', 'Spades'));
+        expect(chooseLeadCard(hand, situation({ hand }))).toEqual(card('K', 'Hearts'));
+    });
+
+    it('should leave a trick the partner is winning for good and ruff with the cheapest trump', () => {
+        const hand = [card('9', 'Spades'), card('J', 'Spades'), card('8', 'Diamonds')];
+        const partnerWinning = plays(['left', card('Q', 'Hearts')], ['partner', card('A', 'Hearts')]);
+        const opponentWinning = plays(['left', card('A', 'Hearts')]);
+
+        expect(chooseFollowCard(hand, situation({ hand, cardsPlayed: partnerWinning }))).toEqual(card('8', 'Diamonds'));
+        expect(chooseFollowCard(hand, situation({ hand, cardsPlayed: opponentWinning }))).toEqual(card('9', 'Spades'));
+    });
+
+    it('should be the strategy BotAI plays at hard difficulty', () => {
+        const ai = new BotAI({ name: 'Hard Bot', difficulty: 'hard', aggressiveness: 0.5, riskTolerance: 0.4 });
+        const hand = [card('K', 'Hearts'), card('8', 'Hearts'), card('7', 'Spades')];
+        const cardsPlayed = plays(['left', card('Q', 'Hearts')]);
+
+        const chosen = ai.chooseCard(hand.slice(0, 2), { hand, trickState: { cardsPlayed }, trumpSuit: 'Spades', partnerId: 'partner' });
+
+        expect(chosen).toEqual(chooseFollowCard(hand.slice(0, 2), ai.assessSituation({
+            hand, trickState: { cardsPlayed }, trumpSuit: 'Spades', partnerId: 'partner'
+        })));
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Shared Rules Tests
+ * The rules module in /shared is run by both the server and the client
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    SUITS, RANKS, CARD_VALUES, STANDARD_RULES,
+    createDeck, shuffleDeck, dealHands, needsRedeal, isValidDeal, isSameCard, getLeadSuit,
+    getValidCards, isValidPlay, beatsCard, determineTrickWinner, calculateRoundScores,
+    getNextRoundSeats, isGameOver, getGameWinner, sortCards
+} from '../../shared/rules.js';
+import { DEFAULT_GAME_RULES } from '../src/utils/gameRules.js';
+import { createSeededRandom } from '../src/utils/dealSeed.js';
+
+const card = (rank, suit) => ({ suit, rank });
+const plays = (...cards) => cards.map((c, index) => ({ playerId: `p${index + 1}`, card: c }));
+
+describe('Shared Rules', () => {
+    describe('Deck', () => {
+        it('should build 32 unique cards from 7 to Ace with their values', () => {
+            const deck = createDeck();
+
+            expect(deck).toHaveLength(32);
+            expect(new Set(deck.map(c => `${c.rank}${c.suit}`)).size).toBe(32);
+            expect(deck[0]).toEqual({ suit: 'Hearts', rank: '7', value: 7 });
+            expect(deck.every(c => c.value === CARD_VALUES[c.rank])).toBe(true);
+            expect(SUITS).toEqual(['Hearts', 'Diamonds', 'Clubs', 'Spades']);
+            expect(RANKS).toEqual(['7', '8', '9', '10', 'J', 'Q', 'K', 'A']);
+        });
+
+        it('should shuffle a copy and repeat the order for the same random source', () => {
+            const deck = createDeck();
+            const shuffled = shuffleDeck(deck, createSeededRandom('seed'));
+
+            expect(deck).toEqual(createDeck());
+            expect(shuffled).not.toEqual(deck);
+            expect([...shuffled].sort((a, b) => a.suit.localeCompare(b.suit) || a.value - b.value))
+                .toEqual([...deck].sort((a, b) => a.suit.localeCompare(b.suit) || a.value - b.value));
+            expect(shuffleDeck(deck, createSeededRandom('seed'))).toEqual(shuffled);
+        });
+
+        it('should deal consecutive blocks of 8 cards', () => {
+            const deck = createDeck();
+            const hands = dealHands(deck);
+
+            expect(hands).toHaveLength(4);
+            expect(hands[0]).toEqual(deck.slice(0, 8));
+            expect(hands[3]).toEqual(deck.slice(24, 32));
+        });
+    });
+
+    describe('Redeal Rule', () => {
+        it('should redeal a hand with 3 or more Aces or Sevens', () => {
+            const filler = [card('8', 'Hearts'), card('9', 'Hearts'), card('10', 'Hearts'), card('J', 'Hearts'), card('Q', 'Hearts')];
+
+            expect(needsRedeal([card('A', 'Hearts'), card('A', 'Clubs'), card('A', 'Spades'), ...filler])).toBe(true);
+            expect(needsRedeal([card('7', 'Hearts'), card('7', 'Clubs'), card('7', 'Spades'), ...filler])).toBe(true);
+            expect(needsRedeal([card('A', 'Hearts'), card('A', 'Clubs'), card('7', 'Spades'), card('7', 'Clubs'), ...filler.slice(1)])).toBe(false);
+        });
+
+        it('should check every hand of a deal, keyed or in seat order', () => {
+            const sortedHands = dealHands(createDeck());
+            const aces = [card('A', 'Hearts'), card('A', 'Diamonds'), card('A', 'Clubs')];
+
+            expect(isValidDeal(sortedHands)).toBe(true);
+            expect(isValidDeal({ north: sortedHands[0], east: [...aces, ...sortedHands[1].slice(3)] })).toBe(false);
+        });
+    });
+
+    describe('Legal Plays', () => {
+        const hand = [card('7', 'Hearts'), card('K', 'Hearts'), card('A', 'Spades')];
+
+        it('should allow any card when leading', () => {
+            expect(getLeadSuit([])).toBeNull();
+            expect(getValidCards(hand, null)).toEqual(hand);
+            expect(isValidPlay(hand, card('A', 'Spades'), null)).toBe(true);
+        });
+
+        it('should make a player follow the lead suit when they can', () => {
+            const leadSuit = getLeadSuit(plays(card('9', 'Hearts')));
+
+            expect(leadSuit).toBe('Hearts');
+            expect(getValidCards(hand, leadSuit)).toEqual(hand.slice(0, 2));
+            expect(isValidPlay(hand, card('A', 'Spades'), leadSuit)).toBe(false);
+            expect(isValidPlay(hand, card('K', 'Hearts'), leadSuit)).toBe(true);
+        });
+
+        it('should allow any card when void in the lead suit', () => {
+            expect(getValidCards(hand, 'Clubs')).toEqual(hand);
+            expect(isValidPlay(hand, card('A', 'Spades'), 'Clubs')).toBe(true);
+        });
+
+        it('should reject cards the player does not hold', () => {
+            expect(isValidPlay(hand, card('Q', 'Hearts'), null)).toBe(false);
+            expect(isSameCard(card('K', 'Hearts'), { suit: 'Hearts', rank: 'K', value: 13 })).toBe(true);
+        });
+    });
+
+    describe('Tricks', () => {
+        it('should give the trick to the highest card of the lead suit without trump', () => {
+            const trick = plays(card('K', 'Clubs'), card('A', 'Diamonds'), card('7', 'Clubs'), card('A', 'Spades'));
+
+            expect(determineTrickWinner(trick, 'Hearts')).toEqual(trick[0]);
+        });
+
+        it('should let the lowest trump beat the lead suit and the highest trump win', () => {
+            const trick = plays(card('A', 'Clubs'), card('7', 'Hearts'), card('K', 'Clubs'), card('8', 'Hearts'));
+
+            expect(determineTrickWinner(trick, 'Hearts').playerId).toBe('p4');
+            expect(determineTrickWinner(trick.slice(0, 3), 'Hearts').playerId).toBe('p2');
+        });
+
+        it('should only take the lead with a higher card of the same suit or a trump', () => {
+            expect(beatsCard(card('10', 'Clubs'), card('9', 'Clubs'), 'Hearts')).toBe(true);
+            expect(beatsCard(card('A', 'Spades'), card('9', 'Clubs'), 'Hearts')).toBe(false);
+            expect(beatsCard(card('7', 'Hearts'), card('A', 'Clubs'), 'Hearts')).toBe(true);
+            expect(beatsCard(card('A', 'Clubs'), card('7', 'Hearts'), 'Hearts')).toBe(false);
+        });
+    });
+
+    describe('Scoring', () => {
+        it('should score tricks only for teams that reach their minimum', () => {
+            expect(calculateRoundScores({ declaringTeamTricks: 5, challengingTeamTricks: 3 })).toEqual({
+                declaringTeamScore: 5,
+                challengingTeamScore: 0,
+                declaringTeamMadeContract: true,
+                challengingTeamMadeContract: false
+            });
+            expect(calculateRoundScores({ declaringTeamTricks: 4, challengingTeamTricks: 4 })).toMatchObject({
+                declaringTeamScore: 0,
+                challengingTeamScore: 4
+            });
+        });
+
+        it('should use house rule thresholds', () => {
+            const rules = { ...STANDARD_RULES, declaringTeamMinTricks: 4, challengingTeamMinTricks: 5 };
+
+            expect(calculateRoundScores({ declaringTeamTricks: 4, challengingTeamTricks: 4 }, rules)).toMatchObject({
+                declaringTeamScore: 4,
+                challengingTeamScore: 0
+            });
+        });
+
+        it('should be the defaults the server builds its rules on', () => {
+            expect(DEFAULT_GAME_RULES).toMatchObject(STANDARD_RULES);
+        });
+    });
+
+    describe('Crown Rule', () => {
+        it('should rotate the deal and keep the declarer after a made contract', () => {
+            expect(getNextRoundSeats({ dealerSeat: 3, declarerSeat: 0, crownRetained: true }))
+                .toEqual({ dealerSeat: 0, declarerSeat: 0 });
+        });
+
+        it('should pass the declaration to the current dealer\'s left after a failed contract', () => {
+            expect(getNextRoundSeats({ dealerSeat: 0, declarerSeat: 1, crownRetained: false }))
+                .toEqual({ dealerSeat: 1, declarerSeat: 1 });
+            expect(getNextRoundSeats({ dealerSeat: 3, declarerSeat: 2, crownRetained: false }))
+                .toEqual({ dealerSeat: 0, declarerSeat: 0 });
+        });
+    });
+
+    describe('Game End', () => {
+        it('should end the game once a team reaches the target score', () => {
+            expect(isGameOver({ team1: 51, team2: 40 })).toBe(false);
+            expect(isGameOver({ team1: 52, team2: 40 })).toBe(true);
+            expect(isGameOver({ team1: 20, team2: 12 }, 20)).toBe(true);
+        });
+
+        it('should name the leading team as winner and nobody on a tie', () => {
+            expect(getGameWinner({ team1: 50, team2: 56 })).toBe('team2');
+            expect(getGameWinner({ team1: 50, team2: 40 })).toBeNull();
+            expect(getGameWinner({ team1: 53, team2: 53 })).toBeNull();
+        });
+    });
+
+    it('should sort hands by Spades, Hearts, Diamonds, Clubs and then rank', () => {
+        const hand = [card('A', 'Clubs'), card('7', 'Hearts'), card('K', 'Spades'), card('10', 'Spades'), card('8', 'Diamonds')];
+
+        expect(sortCards(hand).map(c => `${c.rank}${c.suit[0]}`)).toEqual(['10S', 'KS', '7H', '8D', 'AC']);
+        expect(hand[0]).toEqual(card('A', 'Clubs'));
+    });
+});
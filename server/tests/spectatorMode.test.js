@@ -0,0 +1,141 @@
+/**
+ * Spectator Mode Tests
+ * Tests that spectators can watch rooms that allow them without taking a seat or seeing hands
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SocketManager from '../websocket/socketManager.js';
+import Room from '../src/models/Room.js';
+import { createMockIO, createMockSocket, PLAYER_IDS, createFourSeatRoom, cleanupSocketManager } from './helpers/socketFixtures.js';
+
+const createRoom = (overrides = {}) => {
+    const room = new Room({
+        room_id: 'spectator-room',
+        name: 'Spectator Room',
+        owner_id: 'north',
+        status: 'playing',
+        ...overrides
+    });
+    room.players = ['north', 'east', 'south', 'west'].map(id => ({ id, username: id }));
+    return room;
+};
+
+describe('Spectator Mode', () => {
+    describe('Room.canUserSpectate', () => {
+        it('should admit spectators to waiting and running rooms', () => {
+            expect(createRoom({ status: 'waiting' }).canUserSpectate('viewer')).toEqual({ canSpectate: true });
+            expect(createRoom({ status: 'playing' }).canUserSpectate('viewer')).toEqual({ canSpectate: true });
+        });
+
+        it('should reject spectators when the room disallows them, is finished or they hold a seat', () => {
+            const closedRoom = createRoom({
+                settings: { allowSpectators: false }
+            });
+            expect(closedRoom.canUserSpectate('viewer')).toMatchObject({ canSpectate: false, reason: 'This room does not allow spectators' });
+            expect(createRoom({ status: 'finished' }).canUserSpectate('viewer').canSpectate).toBe(false);
+            expect(createRoom().canUserSpectate('east')).toMatchObject({ canSpectate: false, reason: 'Players cannot spectate their own room' });
+        });
+
+        it('should point players turned away from a full room at spectating', () => {
+            expect(createRoom({ status: 'waiting' }).canUserJoin('viewer')).toEqual({
+                canJoin: false,
+                reason: 'Room is full',
+                canSpectate: true
+            });
+        });
+    });
+
+    describe('SocketManager spectators', () => {
+        const gameId = 'spectator-room';
+            let mockIO;
+        let socketManager;
+
+        beforeEach(() => {
+            process.env.NODE_ENV = 'test';
+            vi.useFakeTimers();
+
+            mockIO = createMockIO();
+            socketManager = new SocketManager(mockIO);
+            socketManager.gameStateManager.persistenceEnabled = false;
+
+            socketManager.gameStateManager.initializeGameState(gameId, {
+                status: 'in_progress',
+                phase: 'playing',
+                remainingDeck: [{ suit: 'Spades', rank: 'A' }],
+                players: Object.fromEntries(PLAYER_IDS.map(id => [id, {
+                    userId: id,
+                    username: id,
+                    hand: [{ suit: 'Hearts', rank: '7' }],
+                    handSize: 1
+                }]))
+            });
+
+            socketManager.gameRooms.set(gameId, createFourSeatRoom(gameId, { status: 'in_progress' }));
+
+            vi.spyOn(Room, 'findById').mockResolvedValue(createRoom());
+        });
+
+        afterEach(() => {
+            cleanupSocketManager(socketManager);
+            vi.useRealTimers();
+            vi.restoreAllMocks();
+            delete process.env.NODE_ENV;
+        });
+
+        it('should send spectators the public state without any hands', async () => {
+            const socket = createMockSocket('viewer', 'viewer');
+
+            await socketManager.handleJoinGameRoom(socket, { gameId, spectate: true });
+
+            expect(socket.join).toHaveBeenCalledWith(gameId);
+
+            const stateCall = socket.emit.mock.calls.find(([event]) => event === 'game:state_update');
+            expect(stateCall[1].isSpectator).toBe(true);
+            expect(stateCall[1].remainingDeck).toBeUndefined();
+            for (const player of Object.values(stateCall[1].players)) {
+                expect(player.hand).toBe(1);
+            }
+        });
+
+        it('should count spectators separately from the 4 seats', async () => {
+            const socket = createMockSocket('viewer', 'viewer');
+
+            await socketManager.handleJoinGameRoom(socket, { gameId, spectate: true });
+
+            const room = socketManager.gameRooms.get(gameId);
+            expect(room.players.size).toBe(4);
+            expect(socketManager.getSpectators(gameId)).toEqual([{ userId: 'viewer', username: 'viewer' }]);
+
+            const joinedCall = socket.emit.mock.calls.find(([event]) => event === 'spectator-joined');
+            expect(joinedCall[1]).toMatchObject({ playerCount: 4, maxPlayers: 4 });
+
+            const updateCall = mockIO.roomEmit.mock.calls.find(([event]) => event === 'spectators-updated');
+            expect(updateCall[1]).toMatchObject({ gameId, spectatorCount: 1 });
+
+            socketManager.handleLeaveGameRoom(socket, { gameId });
+            expect(socketManager.getSpectators(gameId)).toEqual([]);
+            expect(room.players.size).toBe(4);
+        });
+
+        it('should turn spectators away from rooms that do not allow them', async () => {
+            Room.findById.mockResolvedValue(createRoom({ settings: { allowSpectators: false } }));
+            const socket = createMockSocket('viewer', 'viewer');
+
+            await socketManager.handleJoinGameRoom(socket, { gameId, spectate: true });
+
+            expect(socket.join).not.toHaveBeenCalled();
+            expect(socket.emit).toHaveBeenCalledWith('error', { message: 'This room does not allow spectators' });
+            expect(socketManager.getSpectators(gameId)).toEqual([]);
+        });
+
+        it('should drop spectators when their socket disconnects', async () => {
+            const socket = createMockSocket('viewer', 'viewer');
+            await socketManager.handleJoinGameRoom(socket, { gameId, spectate: true });
+
+            socketManager.handleDisconnection(socket, 'transport close');
+
+            expect(socketManager.getSpectators(gameId)).toEqual([]);
+            expect(socketManager.gameRooms.get(gameId).players.size).toBe(4);
+        });
+    });
+});
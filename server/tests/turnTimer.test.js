@@ -0,0 +1,112 @@
+/**
+ * Turn Timer Tests
+ * Tests the server-side clock for trump declaration and card play, and auto-play on timeout
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SocketManager from '../websocket/socketManager.js';
+import { createMockIO, PLAYER_IDS, createFourSeatRoom, cleanupSocketManager } from './helpers/socketFixtures.js';
+
+describe('Turn Timer', () => {
+    const gameId = 'timer-game';
+    let mockIO;
+    let socketManager;
+
+    const emitted = (event) => mockIO.roomEmit.mock.calls.filter(([name]) => name === event).map(([, data]) => data);
+
+    const setGameState = (state) => {
+        socketManager.gameStateManager.initializeGameState(gameId, {
+            status: 'in_progress',
+            roundId: 'round-1',
+            rules: { trumpDeclarationTimeout: 20 },
+            turnTimeLimit: 30,
+            players: Object.fromEntries(PLAYER_IDS.map(id => [id, {
+                userId: id,
+                username: id,
+                hand: [
+                    { suit: 'Hearts', rank: 'A' },
+                    { suit: 'Hearts', rank: '8' },
+                    { suit: 'Spades', rank: '7' }
+                ]
+            }])),
+            ...state
+        });
+    };
+
+    beforeEach(() => {
+        process.env.NODE_ENV = 'test';
+        vi.useFakeTimers();
+
+        mockIO = createMockIO();
+        socketManager = new SocketManager(mockIO);
+        socketManager.gameStateManager.persistenceEnabled = false;
+
+        socketManager.gameRooms.set(gameId, createFourSeatRoom(gameId, { bots: ['west'], status: 'in_progress' }));
+    });
+
+    afterEach(() => {
+        cleanupSocketManager(socketManager);
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        delete process.env.NODE_ENV;
+    });
+
+    it('should broadcast the remaining time every second', () => {
+        setGameState({ phase: 'playing', trumpSuit: 'Hearts', currentTurnPlayer: 'east', currentTrick: { trickNumber: 1, cardsPlayed: [] } });
+
+        socketManager.scheduleTurnTimer(gameId);
+        expect(emitted('game:turn_timer')[0]).toMatchObject({ gameId, playerId: 'east', phase: 'playing', timeLimit: 30, remainingSeconds: 30 });
+
+        vi.advanceTimersByTime(3000);
+        expect(emitted('game:turn_timer').at(-1).remainingSeconds).toBe(27);
+
+        // Rescheduling the same pending turn keeps the clock running
+        socketManager.scheduleTurnTimer(gameId);
+        expect(emitted('game:turn_timer').at(-1).remainingSeconds).toBe(27);
+    });
+
+    it('should play the lowest legal card when the clock runs out', async () => {
+        setGameState({
+            phase: 'playing',
+            trumpSuit: 'Spades',
+            currentTurnPlayer: 'east',
+            currentTrick: { trickNumber: 1, cardsPlayed: [{ playerId: 'north', card: { suit: 'Hearts', rank: '10' } }] }
+        });
+        const playCard = vi.spyOn(socketManager, 'handlePlayCard').mockResolvedValue();
+
+        socketManager.scheduleTurnTimer(gameId);
+        await vi.advanceTimersByTimeAsync(30000);
+
+        // East must follow hearts, so the 8 goes rather than the lower spade
+        expect(playCard).toHaveBeenCalledWith(expect.objectContaining({ userId: 'east' }), { gameId, card: { suit: 'Hearts', rank: '8' } });
+        expect(emitted('game:turn_timeout')[0]).toMatchObject({ gameId, playerId: 'east', card: { suit: 'Hearts', rank: '8' }, timeoutSeconds: 30 });
+        expect(socketManager.turnTimers.has(gameId)).toBe(false);
+    });
+
+    it('should declare trump with BotAI when the declarer runs out of time', async () => {
+        setGameState({ phase: 'trump_declaration', trumpDeclarer: 'north', trumpSuit: null });
+        const declareTrump = vi.spyOn(socketManager, 'handleDeclareTrump').mockResolvedValue();
+
+        socketManager.scheduleTurnTimer(gameId);
+        expect(emitted('game:turn_timer')[0]).toMatchObject({ playerId: 'north', phase: 'trump_declaration', timeLimit: 20 });
+
+        await vi.advanceTimersByTimeAsync(20000);
+
+        expect(declareTrump).toHaveBeenCalledWith(expect.objectContaining({ userId: 'north' }), { gameId, trumpSuit: 'Hearts' });
+        expect(emitted('game:trump_timeout')[0]).toMatchObject({ playerId: 'north', trumpSuit: 'Hearts', timeoutSeconds: 20 });
+    });
+
+    it('should not run a clock for bots or when the turn has moved on', async () => {
+        setGameState({ phase: 'playing', trumpSuit: 'Hearts', currentTurnPlayer: 'west', currentTrick: { trickNumber: 1, cardsPlayed: [] } });
+        socketManager.scheduleTurnTimer(gameId);
+        expect(socketManager.turnTimers.has(gameId)).toBe(false);
+
+        const playCard = vi.spyOn(socketManager, 'handlePlayCard').mockResolvedValue();
+        socketManager.gameStateManager.getGameState(gameId).currentTurnPlayer = 'east';
+        socketManager.scheduleTurnTimer(gameId);
+        socketManager.gameStateManager.getGameState(gameId).currentTurnPlayer = 'south';
+
+        await vi.advanceTimersByTimeAsync(30000);
+        expect(playCard).not.toHaveBeenCalled();
+    });
+});
@@ -1,6 +1,9 @@
+import lokiConnection from '../database/loki-db.js';
+
 /**
  * Game State Manager
  * Handles real-time game state synchronization and broadcasting
+ * Live state is snapshotted into LokiJS so in-progress games survive a restart
  */
 
 class GameStateManager {
@@ -10,6 +13,7 @@ class GameStateManager {
         this.stateUpdateQueue = new Map(); // gameId -> array of pending updates
         this.maxQueueSize = 50;
         this.conflictResolutionEnabled = true;
+        this.persistenceEnabled = true;
     }
 
     /**
@@ -39,6 +43,8 @@ class GameStateManager {
         this.gameStates.set(gameId, gameState);
         this.stateUpdateQueue.set(gameId, []);
 
+        this.schedulePersist(gameId);
+
         console.log(`[GameStateManager] Initialized game state for ${gameId}`);
         return gameState;
     }
@@ -79,6 +85,9 @@ class GameStateManager {
         // Apply updates with conflict resolution
         const newState = this.applyStateUpdates(gameId);
 
+        // Snapshot the transition so the game can be resumed after a restart
+        this.schedulePersist(gameId);
+
         // Broadcast state update to all players
         this.broadcastStateUpdate(gameId, newState, updateSource);
 
@@ -246,6 +255,21 @@ class GameStateManager {
         return publicState;
     }
 
+    /**
+     * Filter game state for spectators (public state, no hands)
+     * @param {Object} gameState - Full game state
+     * @returns {Object} Spectator state
+     */
+    filterStateForSpectator(gameState) {
+        const { remainingDeck, ...publicState } = this.filterStateForBroadcast(gameState);
+
+        // The undealt cards would reveal the final hands
+        return {
+            ...publicState,
+            isSpectator: true
+        };
+    }
+
     /**
      * Filter game state for specific player (show their hand)
      * @param {Object} gameState - Full game state
@@ -274,15 +298,18 @@ class GameStateManager {
 
     /**
      * Synchronize game state from database
+     * Falls back to the persisted snapshot when the game is not held in memory
      * @param {string} gameId - Game ID
      * @returns {Object} Synchronized game state
      */
     async synchronizeFromDatabase(gameId) {
         try {
-            // This would typically fetch from database
-            // For now, we'll use the in-memory state
-            const currentState = this.gameStates.get(gameId);
-            
+            let currentState = this.gameStates.get(gameId);
+
+            if (!currentState) {
+                currentState = await this.restoreGameState(gameId);
+            }
+
             if (currentState) {
                 // Broadcast current state to ensure all clients are synchronized
                 this.broadcastStateUpdate(gameId, currentState, 'server');
@@ -295,6 +322,241 @@ class GameStateManager {
         }
     }
 
+    /**
+     * Queue a snapshot write for a game without blocking the caller
+     * @param {string} gameId - Game ID
+     */
+    schedulePersist(gameId) {
+        if (!this.persistenceEnabled || !lokiConnection.isReady()) {
+            return;
+        }
+
+        this.persistGameState(gameId).catch(error => {
+            console.error(`[GameStateManager] Failed to persist state for game ${gameId}:`, error.message);
+        });
+    }
+
+    /**
+     * Persist the live game state into the games and gameRounds collections
+     * Only games that already have a Game record are persisted
+     * @param {string} gameId - Game ID
+     * @returns {Promise<boolean>} True if a snapshot was written
+     */
+    async persistGameState(gameId) {
+        const { default: Game } = await import('../src/models/Game.js');
+        const { default: GameRound } = await import('../src/models/GameRound.js');
+
+        // Read the state after the imports resolve so the latest transition wins
+        const gameState = this.gameStates.get(gameId);
+        if (!gameState || !lokiConnection.isReady()) {
+            return false;
+        }
+
+        const gameModel = new Game();
+        const existingGame = await gameModel.findById(gameId);
+        if (!existingGame) {
+            return false;
+        }
+
+        const room = this.socketManager.gameRooms?.get(gameId);
+
+        await gameModel.updateById(gameId, {
+            live_state: this.serializeGameState(gameState),
+            live_room: room ? this.serializeRoom(room) : (existingGame.live_room || null),
+            live_state_version: gameState.version,
+            live_state_saved_at: new Date().toISOString()
+        });
+
+        if (gameState.roundId) {
+            const roundModel = new GameRound();
+            await roundModel.updateById(gameState.roundId, {
+                current_trick: gameState.currentTrick ? this.serializeGameState(gameState.currentTrick) : null,
+                trick_scores: { ...(gameState.scores || { team1: 0, team2: 0 }) }
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove the persisted snapshot for a game
+     * @param {string} gameId - Game ID
+     */
+    async clearPersistedState(gameId) {
+        if (!lokiConnection.isReady()) {
+            return;
+        }
+
+        try {
+            const { default: Game } = await import('../src/models/Game.js');
+            const gameModel = new Game();
+            await gameModel.updateById(gameId, {
+                live_state: null,
+                live_room: null,
+                live_state_saved_at: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`[GameStateManager] Failed to clear persisted state for game ${gameId}:`, error.message);
+        }
+    }
+
+    /**
+     * Deep copy a state object into a plain JSON structure for storage
+     * @param {Object} gameState - Game state
+     * @returns {Object} Serializable copy
+     */
+    serializeGameState(gameState) {
+        return JSON.parse(JSON.stringify(gameState));
+    }
+
+    /**
+     * Convert socket room data into a storable snapshot
+     * @param {Object} room - Room data from the socket manager
+     * @returns {Object} Serializable room snapshot
+     */
+    serializeRoom(room) {
+        return {
+            gameId: room.gameId,
+            roomId: room.roomId || null,
+            hostId: room.hostId,
+            status: room.status,
+            createdAt: room.createdAt,
+            startedAt: room.startedAt || null,
+            isDemo: Boolean(room.isDemo),
+            teams: {
+                team1: [...(room.teams?.team1 || [])],
+                team2: [...(room.teams?.team2 || [])]
+            },
+            players: Array.from(room.players.values()).map(({ socketId, ...player }) => ({ ...player }))
+        };
+    }
+
+    /**
+     * Restore a single game from its persisted snapshot
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object|null>} Restored game state or null if nothing to resume
+     */
+    async restoreGameState(gameId) {
+        if (this.gameStates.has(gameId)) {
+            return this.gameStates.get(gameId);
+        }
+
+        if (!lokiConnection.isReady()) {
+            return null;
+        }
+
+        const { default: Game } = await import('../src/models/Game.js');
+        const gameModel = new Game();
+        const game = await gameModel.findById(gameId);
+
+        if (!this.isResumable(game)) {
+            return null;
+        }
+
+        return this.rehydrateGame(game);
+    }
+
+    /**
+     * Restore every in-progress game that has a persisted snapshot
+     * @returns {Promise<Array<string>>} IDs of restored games
+     */
+    async restoreGameStates() {
+        if (!lokiConnection.isReady()) {
+            return [];
+        }
+
+        try {
+            const { default: Game } = await import('../src/models/Game.js');
+            const gameModel = new Game();
+            const games = await gameModel.find({ status: 'in_progress' });
+
+            const restoredIds = [];
+            for (const game of games) {
+                if (this.isResumable(game) && !this.gameStates.has(game.game_id)) {
+                    this.rehydrateGame(game);
+                    restoredIds.push(game.game_id);
+                }
+            }
+
+            console.log(`[GameStateManager] Restored ${restoredIds.length} in-progress games from database`);
+            return restoredIds;
+        } catch (error) {
+            console.error('[GameStateManager] Error restoring game states:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Check whether a stored game can be resumed
+     * @param {Object|null} game - Game document
+     * @returns {boolean} True if the snapshot should be restored
+     */
+    isResumable(game) {
+        return Boolean(
+            game &&
+            game.status === 'in_progress' &&
+            game.live_state &&
+            game.live_state.phase !== 'completed'
+        );
+    }
+
+    /**
+     * Rebuild in-memory game state and socket room data from a stored game
+     * Human players start disconnected until they rejoin; bots stay connected
+     * @param {Object} game - Game document with live_state and live_room
+     * @returns {Object} Restored game state
+     */
+    rehydrateGame(game) {
+        const gameId = game.game_id;
+        const snapshot = this.serializeGameState(game.live_state);
+        const roomSnapshot = game.live_room;
+        const botIds = new Set((roomSnapshot?.players || []).filter(p => p.isBot).map(p => p.userId));
+
+        const players = Object.fromEntries(
+            Object.entries(snapshot.players || {}).map(([playerId, player]) => [
+                playerId,
+                {
+                    ...player,
+                    socketId: null,
+                    isConnected: botIds.has(playerId)
+                }
+            ])
+        );
+
+        const gameState = {
+            ...snapshot,
+            gameId,
+            players,
+            restoredAt: new Date().toISOString()
+        };
+
+        this.gameStates.set(gameId, gameState);
+        this.stateUpdateQueue.set(gameId, []);
+
+        if (roomSnapshot && this.socketManager.gameRooms && !this.socketManager.gameRooms.has(gameId)) {
+            this.socketManager.gameRooms.set(gameId, {
+                ...roomSnapshot,
+                gameId,
+                teams: {
+                    team1: [...(roomSnapshot.teams?.team1 || [])],
+                    team2: [...(roomSnapshot.teams?.team2 || [])]
+                },
+                players: new Map(roomSnapshot.players.map(player => [
+                    player.userId,
+                    {
+                        ...player,
+                        socketId: null,
+                        isConnected: Boolean(player.isBot)
+                    }
+                ])),
+                awaitingResume: true
+            });
+        }
+
+        console.log(`[GameStateManager] Rehydrated game ${gameId} at phase ${gameState.phase} (version ${gameState.version})`);
+        return gameState;
+    }
+
     /**
      * Handle player disconnection - preserve state
      * @param {string} gameId - Game ID
@@ -361,6 +623,7 @@ class GameStateManager {
     cleanupGameState(gameId) {
         this.gameStates.delete(gameId);
         this.stateUpdateQueue.delete(gameId);
+        this.clearPersistedState(gameId);
         console.log(`[GameStateManager] Cleaned up state for game ${gameId}`);
     }
 
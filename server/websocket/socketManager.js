@@ -6,7 +6,21 @@ import EnhancedConnectionStatusManager from './enhancedConnectionStatusManager.j
 import ConnectionDiagnostics from './connectionDiagnostics.js';
 import WaitingRoomSocketHandler from '../src/websocket/WaitingRoomSocketHandler.js';
 // Room model will be imported dynamically to avoid initialization issues
-import { authenticateSocket } from '../src/middlewares/socketAuth.js';
+import { authenticateSocket, requireSocketRole } from '../src/middlewares/socketAuth.js';
+import { DEFAULT_GAME_RULES, normalizeGameRules } from '../src/utils/gameRules.js';
+import { getGameWinner } from '../../shared/rules.js';
+import BotAI from '../src/services/BotAI.js';
+import BotManager from '../src/services/BotManager.js';
+import BotTurnProcessor from '../src/services/BotTurnProcessor.js';
+import DemoGameService from '../src/services/DemoGameService.js';
+import RematchService from '../src/services/RematchService.js';
+import AdminService from '../src/services/AdminService.js';
+import AchievementService from '../src/services/AchievementService.js';
+import RatingService from '../src/services/RatingService.js';
+import MatchmakingService from '../src/services/MatchmakingService.js';
+
+const DEFAULT_TURN_TIME_LIMIT = 30; // Seconds, matches Room.settings.timeLimit
+const TURN_TIMER_TICK_MS = 1000;
 
 
 /**
@@ -19,6 +33,9 @@ class SocketManager {
     this.gameRooms = new Map(); // gameId -> room data
     this.userSockets = new Map(); // userId -> socket.id
     this.socketUsers = new Map(); // socket.id -> userId
+    this.pendingRoundStarts = new Set(); // gameIds currently dealing a new round
+    this.turnTimers = new Map(); // gameId -> turn clock for trump declaration or card play
+    this.substitutionTimers = new Map(); // `${gameId}:${userId}` -> grace period before a bot takes the seat
 
     // Initialize game state manager
     this.gameStateManager = new GameStateManager(this);
@@ -35,6 +52,27 @@ class SocketManager {
     // Initialize waiting room handler
     this.waitingRoomHandler = new WaitingRoomSocketHandler(this);
 
+    // Demo games (one human against three bots) and their cleanup job
+    this.demoGameService = new DemoGameService(this);
+
+    // Rematch votes on the game-over screen and best-of-N series
+    this.rematchService = new RematchService(this);
+
+    // Live game listing and admin actions for the admin console
+    this.adminService = new AdminService(this);
+
+    // Achievement progress evaluated as rounds and games finish
+    this.achievementService = new AchievementService(this);
+
+    // Skill ratings for the ranked ladder, updated when ranked games finish
+    this.ratingService = new RatingService(this);
+
+    // Quick-match queue that seats four players at a new table
+    this.matchmakingService = new MatchmakingService(this);
+
+    // Guard for debugging events that can change a game out of turn
+    this.requireAdminEvent = requireSocketRole('admin');
+
     // Note: ReactiveQueryManager removed during LokiJS migration
 
     // Note: ConflictResolutionService removed during LokiJS migration
@@ -149,6 +187,23 @@ class SocketManager {
       this.handlePlayCard(socket, data);
     });
 
+    socket.on('game:request_hint', (data) => {
+      this.handleRequestHint(socket, data);
+    });
+
+    socket.on('game:rematch_vote', (data) => {
+      this.handleRematchVote(socket, data);
+    });
+
+    // Quick-match queue
+    socket.on('matchmaking:join', (data) => {
+      this.handleMatchmakingJoin(socket, data);
+    });
+
+    socket.on('matchmaking:leave', () => {
+      this.handleMatchmakingLeave(socket);
+    });
+
     // New game state events
     socket.on('request-game-state', (data) => {
       this.handleGameStateRequest(socket, data);
@@ -182,6 +237,21 @@ class SocketManager {
     // Manual game initialization for testing
     socket.on('manual-init-game', async (data) => {
       const { gameId } = data;
+
+      let permissionError = null;
+      this.requireAdminEvent(socket, (error) => {
+        permissionError = error || null;
+      });
+      if (permissionError) {
+        socket.emit('manual-init-response', {
+          success: false,
+          message: permissionError.message,
+          gameId,
+          ...permissionError.data
+        });
+        return;
+      }
+
       console.log(`[WebSocket] Manual game initialization requested by ${username} for game ${gameId}`);
 
       const room = this.gameRooms.get(gameId);
@@ -239,10 +309,34 @@ class SocketManager {
       return;
     }
 
+    if (data.spectate) {
+      await this.handleJoinAsSpectator(socket, gameId, effectiveUserId, effectiveUsername);
+      return;
+    }
+
+    // Players removed by an admin cannot take their seat back from the bot
+    if (this.gameRooms.get(gameId)?.kickedUserIds?.has(effectiveUserId)) {
+      socket.emit('game:kicked', {
+        gameId,
+        reason: 'You were removed from this game by an admin',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
     try {
       // Join the Socket.IO room
       socket.join(gameId);
 
+      // Resume a persisted game (e.g. after a server restart) before creating a fresh room
+      if (!this.gameRooms.has(gameId)) {
+        try {
+          await this.gameStateManager.restoreGameState(gameId);
+        } catch (restoreError) {
+          console.error(`[WebSocket] Could not restore persisted state for game ${gameId}:`, restoreError.message);
+        }
+      }
+
       // Initialize room data if it doesn't exist
       if (!this.gameRooms.has(gameId)) {
         // Try to load room from database first to get the correct owner
@@ -362,6 +456,9 @@ class SocketManager {
         this.userSockets.set(effectiveUserId, socket.id);
         this.socketUsers.set(socket.id, effectiveUserId);
 
+        // Hand the seat back if a bot was covering for the player
+        this.restoreSubstitutedSeat(gameId, effectiveUserId);
+
         // Handle reconnection in game state
         this.gameStateManager.handlePlayerReconnection(gameId, effectiveUserId);
       } else {
@@ -452,6 +549,12 @@ class SocketManager {
         });
       }
 
+      // Pick up pending bot turns or trick evaluation for a game restored from the database
+      if (room.awaitingResume) {
+        delete room.awaitingResume;
+        this.resumeRestoredGame(gameId);
+      }
+
       // Check if all players have joined and initialize game if needed
       try {
         await this.checkAndInitializeGame(gameId, room);
@@ -465,6 +568,56 @@ class SocketManager {
     }
   }
 
+  /**
+   * Restore in-progress games persisted in LokiJS (called once at boot)
+   * @returns {Promise<Array<string>>} IDs of restored games
+   */
+  async restorePersistedGames() {
+    const restoredIds = await this.gameStateManager.restoreGameStates();
+    if (restoredIds.length > 0) {
+      console.log(`[WebSocket] Restored ${restoredIds.length} games awaiting players: ${restoredIds.join(', ')}`);
+    }
+    return restoredIds;
+  }
+
+  /**
+   * Continue a restored game from where its snapshot left off
+   * Timers are not persisted, so a completed trick or a pending bot turn is re-triggered here
+   * @param {string} gameId - Game ID
+   */
+  resumeRestoredGame(gameId) {
+    const gameState = this.gameStateManager.getGameState(gameId);
+    if (!gameState) {
+      return;
+    }
+
+    const currentTrick = gameState.currentTrick;
+    const phase = gameState.gamePhase || gameState.phase;
+
+    console.log(`[WebSocket] Resuming restored game ${gameId} at phase ${phase}`);
+
+    this.scheduleTurnTimer(gameId);
+
+    if (phase === 'playing' && currentTrick?.cardsPlayed?.length === 4) {
+      setTimeout(async () => {
+        try {
+          await this.evaluateTrick(gameId, currentTrick);
+        } catch (trickError) {
+          console.error(`[WebSocket] Error evaluating restored trick:`, trickError);
+        }
+      }, 2000);
+      return;
+    }
+
+    setTimeout(async () => {
+      try {
+        await this.processBotTurnsIfNeeded(gameId);
+      } catch (botError) {
+        console.error(`[WebSocket] Error processing bot turns for restored game:`, botError);
+      }
+    }, 2000);
+  }
+
   /**
    * Check if all players have joined and initialize game if needed
    */
@@ -547,10 +700,17 @@ class SocketManager {
           const gameModel = new Game();
           
           const existingGame = await gameModel.findOne({ game_id: gameId });
-          if (!existingGame) {
+          if (existingGame) {
+            // Rooms reuse their game record, so a finished game is reopened for the next one
+            const gameEngine = await this.getGameEngine();
+            await gameEngine.restartRoomGame(gameId);
+          } else {
             // Generate a unique game code
             const gameCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-            
+
+            // Live games share their ID with the room, which carries the house rules
+            const rules = await this.getRoomGameRules(gameId);
+
             await gameModel.create({
               game_id: gameId,
               game_code: gameCode,
@@ -558,7 +718,8 @@ class SocketManager {
               host_id: room.hostId,
               created_at: new Date().toISOString(),
               started_at: new Date().toISOString(),
-              target_score: 52,
+              target_score: rules.targetScore,
+              rules,
               is_demo_mode: false
             });
             
@@ -576,7 +737,7 @@ class SocketManager {
           const gamePlayerModel = new GamePlayer();
           
           // Check existing GamePlayer records to avoid duplicates
-          const existingGamePlayers = await gamePlayerModel.find({ game_id: gameId });
+          let existingGamePlayers = await gamePlayerModel.find({ game_id: gameId });
           const existingUserIds = new Set(existingGamePlayers.map(gp => gp.user_id));
           
           console.log(`[WebSocket] Found ${existingGamePlayers.length} existing GamePlayer records for game ${gameId}`);
@@ -666,8 +827,10 @@ class SocketManager {
         }
 
         // Initialize the actual game with GameEngine
-        const { default: GameEngine } = await import('../src/services/GameEngine.js');
-        const gameEngine = new GameEngine();
+        const gameEngine = await this.getGameEngine();
+
+        // Create Team records and seat partners opposite each other
+        await gameEngine.assignTeams(gameId, this.getSeatingTeams(room));
 
         // Deal initial 4 cards to each player
         console.log(`[WebSocket] Dealing initial cards for game ${gameId}`);
@@ -692,10 +855,13 @@ class SocketManager {
           gameId,
           1, // Round number
           dealResult.dealerUserId,
-          dealResult.firstPlayerUserId
+          dealResult.firstPlayerUserId,
+          dealResult
         );
 
         // Update game state with initial cards and round info
+        const rules = await gameEngine.getGameRules(gameId);
+        const turnTimeLimit = await this.getRoomTurnTimeLimit(gameId);
         const gameStateUpdate = {
           status: 'in_progress',
           phase: 'trump_declaration',
@@ -703,7 +869,12 @@ class SocketManager {
           roundId: roundId,
           dealerUserId: dealResult.dealerUserId,
           trumpDeclarer: dealResult.firstPlayerUserId,
+          crownHolder: dealResult.firstPlayerUserId,
+          rules,
+          turnTimeLimit,
+          dealSeedHash: dealResult.dealSeedHash,
           remainingDeck: dealResult.remainingDeck,
+          playedCards: [],
           players: {}
         };
 
@@ -718,6 +889,7 @@ class SocketManager {
 
         // Update game state manager
         this.gameStateManager.updateGameState(gameId, gameStateUpdate, 'server');
+        this.scheduleTurnTimer(gameId);
 
         console.log(`[WebSocket] Game ${gameId} initialized with trump declaration phase. Trump declarer: ${dealResult.firstPlayerUserId}`);
 
@@ -782,6 +954,84 @@ class SocketManager {
     }
   }
 
+  /**
+   * Handle a user watching a room or running game without taking a seat
+   * @param {Object} socket - Socket instance
+   * @param {string} gameId - Game/room ID
+   * @param {string} userId - Spectating user ID
+   * @param {string} username - Spectating username
+   */
+  async handleJoinAsSpectator(socket, gameId, userId, username) {
+    try {
+      const Room = (await import('../src/models/Room.js')).default;
+      const dbRoom = await Room.findById(gameId);
+      if (!dbRoom) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const spectateCheck = dbRoom.canUserSpectate(userId);
+      if (!spectateCheck.canSpectate) {
+        socket.emit('error', { message: spectateCheck.reason });
+        return;
+      }
+
+      // Resume a persisted game so late spectators can still follow it
+      if (!this.gameRooms.has(gameId)) {
+        try {
+          await this.gameStateManager.restoreGameState(gameId);
+        } catch (restoreError) {
+          console.error(`[WebSocket] Could not restore persisted state for game ${gameId}:`, restoreError.message);
+        }
+      }
+
+      const room = this.gameRooms.get(gameId);
+      if (!room) {
+        socket.emit('error', { message: 'Room is not active yet' });
+        return;
+      }
+
+      socket.join(gameId);
+      this.addSpectator(gameId, { userId, username, socketId: socket.id });
+
+      this.userSockets.set(userId, socket.id);
+      this.socketUsers.set(socket.id, userId);
+
+      console.log(`[WebSocket] ${username} (${userId}) is spectating game room: ${gameId}`);
+
+      socket.emit('spectator-joined', {
+        gameId,
+        players: Array.from(room.players.values()).map(p => ({
+          userId: p.userId,
+          username: p.username,
+          isReady: p.isReady,
+          teamAssignment: p.teamAssignment,
+          isConnected: p.isConnected
+        })),
+        teams: room.teams,
+        roomStatus: room.status,
+        hostId: room.hostId,
+        playerCount: room.players.size,
+        maxPlayers: 4,
+        spectators: this.getSpectators(gameId),
+        timestamp: new Date().toISOString()
+      });
+
+      const gameState = this.gameStateManager.getGameState(gameId);
+      if (gameState) {
+        socket.emit('game:state_update', {
+          ...this.gameStateManager.filterStateForSpectator(gameState),
+          gameId,
+          joinedRoom: true,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error('[WebSocket] Error joining game room as spectator:', error);
+      socket.emit('error', { message: 'Failed to spectate game room' });
+    }
+  }
+
   /**
    * Handle leaving a game room
    */
@@ -799,7 +1049,9 @@ class SocketManager {
       socket.leave(gameId);
 
       const room = this.gameRooms.get(gameId);
-      if (room && room.players.has(userId)) {
+      if (this.removeSpectator(gameId, userId)) {
+        console.log(`[WebSocket] Spectator ${username} left game room: ${gameId}`);
+      } else if (room && room.players.has(userId)) {
         // Remove player from room
         room.players.delete(userId);
 
@@ -820,6 +1072,8 @@ class SocketManager {
 
         console.log(`[WebSocket] ${username} left game room: ${gameId}`);
 
+        this.cancelRematchVote(gameId, userId, `${username} left the table`);
+
         // Broadcast player left to remaining players
         this.io.to(gameId).emit('player-left', {
           gameId,
@@ -841,6 +1095,7 @@ class SocketManager {
         // Clean up empty rooms
         if (room.players.size === 0) {
           this.gameRooms.delete(gameId);
+          this.waitingRoomHandler.clearChatHistory(gameId);
           console.log(`[WebSocket] Cleaned up empty room: ${gameId}`);
         }
       }
@@ -1486,8 +1741,15 @@ class SocketManager {
 
       // Initialize the actual game with GameEngine
       try {
-        const { default: GameEngine } = await import('../src/services/GameEngine.js');
-        const gameEngine = new GameEngine();
+        const gameEngine = await this.getGameEngine();
+
+        // Rooms reuse their game record, so a finished game is reopened for the next one
+        await gameEngine.restartRoomGame(gameId);
+
+        // Create Team records and seat partners opposite each other
+        if (room.players.size === 4) {
+          await gameEngine.assignTeams(gameId, this.getSeatingTeams(room));
+        }
 
         // Deal initial 4 cards to each player
         console.log(`[WebSocket] Dealing initial cards for game ${gameId}`);
@@ -1498,10 +1760,13 @@ class SocketManager {
           gameId,
           1, // Round number
           dealResult.dealerUserId,
-          dealResult.firstPlayerUserId
+          dealResult.firstPlayerUserId,
+          dealResult
         );
 
         // Update game state with initial cards and round info
+        const rules = await gameEngine.getGameRules(gameId);
+        const turnTimeLimit = await this.getRoomTurnTimeLimit(gameId);
         const gameStateUpdate = {
           status: 'in_progress',
           phase: 'trump_declaration',
@@ -1509,7 +1774,12 @@ class SocketManager {
           roundId: roundId,
           dealerUserId: dealResult.dealerUserId,
           trumpDeclarer: dealResult.firstPlayerUserId,
+          crownHolder: dealResult.firstPlayerUserId,
+          rules,
+          turnTimeLimit,
+          dealSeedHash: dealResult.dealSeedHash,
           remainingDeck: dealResult.remainingDeck,
+          playedCards: [],
           players: {}
         };
 
@@ -1524,6 +1794,7 @@ class SocketManager {
 
         // Update game state manager
         this.gameStateManager.updateGameState(gameId, gameStateUpdate, 'server');
+        this.scheduleTurnTimer(gameId);
 
         console.log(`[WebSocket] Game initialized with initial cards dealt. Trump declarer: ${dealResult.firstPlayerUserId}`);
 
@@ -1603,11 +1874,7 @@ class SocketManager {
     console.log(`[WebSocket] Trump declaration attempt by ${username}: ${trumpSuit} in game ${gameId}`);
 
     try {
-      // Import GameEngine if not already available
-      if (!this.gameEngine) {
-        const { default: GameEngine } = await import('../src/services/GameEngine.js');
-        this.gameEngine = new GameEngine();
-      }
+      const gameEngine = await this.getGameEngine();
 
       // Get current game state to find the round ID
       const gameState = this.gameStateManager.getGameState(gameId);
@@ -1617,10 +1884,10 @@ class SocketManager {
       }
 
       // Validate trump declaration through game engine
-      const trumpResult = await this.gameEngine.declareTrump(gameId, gameState.roundId, userId, trumpSuit);
+      const trumpResult = await gameEngine.declareTrump(gameId, gameState.roundId, userId, trumpSuit);
 
       // Deal final 4 cards to each player
-      const finalHands = await this.gameEngine.dealFinalCards(gameId, gameState.remainingDeck);
+      const finalHands = await gameEngine.dealFinalCards(gameId, gameState.remainingDeck);
 
       console.log(`[WebSocket] Final hands dealt:`, {
         gameId,
@@ -1630,6 +1897,7 @@ class SocketManager {
 
       // Determine who starts the first trick (trump declarer)
       const firstTrickPlayer = userId; // Trump declarer starts the first trick
+      const firstTrickId = await gameEngine.startFirstTrick(gameState.roundId, firstTrickPlayer);
 
       // Update game state with trump declaration and final hands
       const gameStateUpdate = {
@@ -1642,6 +1910,7 @@ class SocketManager {
         challengingTeam: trumpResult.challengingTeam,
         currentTurnPlayer: firstTrickPlayer, // Set the current turn player
         currentTrick: {
+          trickId: firstTrickId,
           trickNumber: 1,
           cardsPlayed: [],
           leadSuit: null,
@@ -1650,9 +1919,10 @@ class SocketManager {
         players: {}
       };
 
-      // Update player hands with final 8 cards
+      // Update player hands with final 8 cards, keeping each player's hints used this game
       for (const [playerId, hand] of Object.entries(finalHands)) {
         gameStateUpdate.players[playerId] = {
+          ...gameState.players?.[playerId],
           hand: hand,
           handSize: hand.length,
           tricksWon: 0
@@ -1662,6 +1932,7 @@ class SocketManager {
 
       // Update game state manager
       this.gameStateManager.updateGameState(gameId, gameStateUpdate, 'server');
+      this.scheduleTurnTimer(gameId);
 
       console.log(`[WebSocket] Trump declared successfully: ${trumpSuit} by ${username}. Game phase: playing`);
 
@@ -1719,202 +1990,681 @@ class SocketManager {
   }
 
   /**
-   * Handle card play with game engine integration
+   * Work out whose clock should be running from the live game state
+   * @param {string} gameId - Game ID
+   * @param {Object} gameState - Current game state
+   * @returns {Object|null} { playerId, phase, timeLimit, key } or null if no human is on the clock
    */
-  async handlePlayCard(socket, data) {
-    const { gameId, card, trickId, roundId, playerId } = data;
-    const { userId, username } = socket;
-
-    // Use playerId from data if provided, otherwise use socket userId
-    const effectiveUserId = playerId || userId;
+  getActiveTurn(gameId, gameState) {
+    if (!gameState || gameState.status === 'completed') {
+      return null;
+    }
 
-    console.log(`[WebSocket] Card play attempt by ${username}:`, card, `in game ${gameId}`);
+    const phase = gameState.gamePhase || gameState.phase;
+    let turn = null;
 
-    try {
-      // Get current game state to extract missing IDs if needed
-      const gameState = this.gameStateManager.getGameState(gameId);
-      if (!gameState) {
-        throw new Error('Game state not found');
-      }
+    if (phase === 'trump_declaration' && !gameState.trumpSuit && gameState.trumpDeclarer) {
+      turn = {
+        playerId: gameState.trumpDeclarer,
+        phase: 'trump_declaration',
+        timeLimit: (gameState.rules || DEFAULT_GAME_RULES).trumpDeclarationTimeout
+      };
+    } else if (phase === 'playing' && gameState.currentTurnPlayer) {
+      turn = {
+        playerId: gameState.currentTurnPlayer,
+        phase: 'playing',
+        timeLimit: gameState.turnTimeLimit ?? DEFAULT_TURN_TIME_LIMIT
+      };
+    }
 
-      // Extract roundId and trickId from game state if not provided
-      const effectiveRoundId = roundId || gameState.roundId || gameState.currentRound;
-      const effectiveTrickId = trickId || gameState.currentTrick?.trickId || 1;
+    // Bots take their turns through processBotTurnsIfNeeded
+    if (!turn || !turn.timeLimit || this.isBotControlled(this.gameRooms.get(gameId)?.players.get(turn.playerId))) {
+      return null;
+    }
 
-      console.log(`[WebSocket] Using IDs - roundId: ${effectiveRoundId}, trickId: ${effectiveTrickId}, userId: ${effectiveUserId}`);
+    const trick = gameState.currentTrick;
+    turn.key = [gameState.roundId, turn.phase, turn.playerId, trick?.trickId || trick?.trickNumber, trick?.cardsPlayed?.length || 0].join(':');
+    return turn;
+  }
 
-      // For now, let's handle card play without GameEngine to get basic functionality working
-      // We'll broadcast the card play and let the client handle the logic
+  /**
+   * Start the turn clock for whoever has to act next
+   * The clock keeps running if the same turn is still pending. When it runs out the
+   * turn is taken on the player's behalf: trump is chosen by BotAI, or a legal card is played.
+   * @param {string} gameId - Game ID
+   */
+  scheduleTurnTimer(gameId) {
+    const gameState = this.gameStateManager.getGameState(gameId);
+    const turn = this.getActiveTurn(gameId, gameState);
 
-      // Remove card from player's hand and update turn
-      if (gameState.players && gameState.players[effectiveUserId] && gameState.players[effectiveUserId].hand) {
-        const playerHand = gameState.players[effectiveUserId].hand;
-        const cardIndex = playerHand.findIndex(c => c.suit === card.suit && c.rank === card.rank);
-        if (cardIndex !== -1) {
-          // Create a new array without the played card instead of modifying the existing one
-          const newPlayerHand = playerHand.filter((c, index) => index !== cardIndex);
+    if (turn && this.turnTimers.get(gameId)?.key === turn.key) {
+      return;
+    }
 
-          // Determine next player in turn order
-          const room = this.gameRooms.get(gameId);
-          const playerIds = Array.from(room.players.keys());
-          const currentPlayerIndex = playerIds.indexOf(effectiveUserId);
-          const nextPlayerIndex = (currentPlayerIndex + 1) % playerIds.length;
-          const nextPlayerId = playerIds[nextPlayerIndex];
+    this.clearTurnTimer(gameId);
+    if (!turn) {
+      return;
+    }
 
-          console.log(`[WebSocket] Turn update: ${effectiveUserId} -> ${nextPlayerId}`);
+    const deadline = Date.now() + turn.timeLimit * 1000;
+    const broadcastRemaining = () => {
+      this.io.to(gameId).emit('game:turn_timer', {
+        gameId,
+        playerId: turn.playerId,
+        phase: turn.phase,
+        timeLimit: turn.timeLimit,
+        remainingSeconds: Math.max(0, Math.ceil((deadline - Date.now()) / 1000)),
+        deadline: new Date(deadline).toISOString(),
+        timestamp: new Date().toISOString()
+      });
+    };
 
-          // Add card to current trick
-          const currentTrick = gameState.currentTrick || { cardsPlayed: [], trickNumber: 1 };
-          const cardPlay = {
-            playerId: effectiveUserId,
-            playerName: username,
-            card: card
-          };
+    const ticker = setInterval(broadcastRemaining, TURN_TIMER_TICK_MS);
+    const timer = setTimeout(async () => {
+      this.clearTurnTimer(gameId);
 
-          // Add to trick if not already present
-          const existingCardIndex = currentTrick.cardsPlayed.findIndex(play =>
-            play.playerId === effectiveUserId
-          );
+      const currentTurn = this.getActiveTurn(gameId, this.gameStateManager.getGameState(gameId));
+      if (currentTurn?.key !== turn.key) {
+        return;
+      }
 
-          if (existingCardIndex === -1) {
-            currentTrick.cardsPlayed.push(cardPlay);
-          }
+      try {
+        await this.handleTurnTimeout(gameId, turn);
+      } catch (error) {
+        console.error(`[WebSocket] Error handling turn timeout for game ${gameId}:`, error);
+      }
+    }, turn.timeLimit * 1000);
 
-          // Set lead suit if this is the first card
-          if (currentTrick.cardsPlayed.length === 1) {
-            currentTrick.leadSuit = card.suit;
-          }
+    this.turnTimers.set(gameId, { key: turn.key, timer, ticker, deadline });
+    broadcastRemaining();
+  }
 
-          console.log(`[WebSocket] Trick progress: ${currentTrick.cardsPlayed.length}/4 cards played`);
-          console.log(`[WebSocket] Cards in trick:`, currentTrick.cardsPlayed.map(p => `${p.playerName}: ${p.card.rank} of ${p.card.suit}`));
+  /**
+   * Take an idle player's turn for them when their clock runs out
+   * @param {string} gameId - Game ID
+   * @param {Object} turn - Turn that timed out
+   */
+  async handleTurnTimeout(gameId, turn) {
+    const gameState = this.gameStateManager.getGameState(gameId);
+    const playerName = this.getPlayerName(gameId, turn.playerId);
+    const hand = gameState.players?.[turn.playerId]?.hand || [];
+    const botAI = new BotAI({ name: playerName, personality: 'conservative', decisionDelay: 0 });
 
-          // Update game state with new hand, turn, and trick
-          this.gameStateManager.updateGameState(gameId, {
-            currentTurnPlayer: nextPlayerId,
-            phase: gameState.phase || 'playing', // Preserve phase
-            gamePhase: gameState.gamePhase || gameState.phase || 'playing', // Ensure both properties
-            currentTrick: currentTrick,
-            players: {
-              [effectiveUserId]: {
-                ...gameState.players[effectiveUserId],
-                hand: newPlayerHand, // Use the new hand array
-                handSize: newPlayerHand.length // Use the new hand array length
-              }
-            }
-          }, effectiveUserId);
-        }
-      }
+    // Acting through a stand-in socket runs the same path as a real declaration or play
+    const playerSocket = {
+      userId: turn.playerId,
+      username: playerName,
+      emit: () => {}
+    };
 
-      // Get the updated game state to get the next player
-      const updatedGameState = this.gameStateManager.getGameState(gameId);
-      const nextPlayerId = updatedGameState.currentTurnPlayer;
+    if (turn.phase === 'trump_declaration') {
+      const trumpSuit = botAI.selectTrumpWithPersonality(botAI.analyzeSuitStrength(hand));
 
-      // Get updated game state to check trick completion
-      const finalGameState = this.gameStateManager.getGameState(gameId);
-      const finalTrick = finalGameState.currentTrick;
-      const trickComplete = finalTrick && finalTrick.cardsPlayed.length === 4;
+      console.log(`[WebSocket] Trump declaration timed out for ${playerName} in game ${gameId}, declaring ${trumpSuit}`);
 
-      // Broadcast card played event
-      this.io.to(gameId).emit('game:card_played', {
+      this.io.to(gameId).emit('game:trump_timeout', {
         gameId,
-        card: card,
-        playedBy: effectiveUserId,
-        playedByName: username,
-        trickId: effectiveTrickId,
-        roundId: effectiveRoundId,
-        cardsInTrick: finalTrick?.cardsPlayed || [],
-        nextPlayerId: trickComplete ? null : nextPlayerId, // No next player if trick is complete
-        trickComplete: trickComplete,
-        leadSuit: finalTrick?.leadSuit || null,
+        playerId: turn.playerId,
+        playerName,
+        trumpSuit,
+        timeoutSeconds: turn.timeLimit,
         timestamp: new Date().toISOString()
       });
 
-      console.log(`[WebSocket] Card play broadcasted for ${username} in game ${gameId}. Trick complete: ${trickComplete}`);
+      await this.handleDeclareTrump(playerSocket, { gameId, trumpSuit });
+      return;
+    }
 
-      if (trickComplete) {
-        // Evaluate trick after a short delay
-        setTimeout(async () => {
-          try {
-            await this.evaluateTrick(gameId, finalTrick);
-          } catch (trickError) {
-            console.error(`[WebSocket] Error evaluating trick:`, trickError);
-          }
-        }, 2000);
-      } else {
-        // After a human player plays, check if any bots need to play
-        setTimeout(async () => {
-          try {
-            console.log(`[WebSocket] Checking for bot turns after ${username} played ${card.rank} of ${card.suit}`);
-            await this.processBotTurnsIfNeeded(gameId);
-          } catch (botError) {
-            console.error(`[WebSocket] Error processing bot turns after card play:`, botError);
-          }
-        }, 1000); // Small delay to let the UI update
-      }
+    // Throw away the lowest legal card rather than guessing at the player's plan
+    const validCards = botAI.getValidCards(hand, { cardsPlayed: gameState.currentTrick?.cardsPlayed || [] });
+    if (validCards.length === 0) {
+      console.warn(`[WebSocket] Turn timed out for ${playerName} in game ${gameId} but they have no cards`);
+      return;
+    }
+    const card = botAI.getLowestCard(validCards);
 
-      /* 
-      // TODO: Re-enable GameEngine integration once we have proper game state setup
-      // Import GameEngine if not already available
-      if (!this.gameEngine) {
-        const { default: GameEngine } = await import('../src/services/GameEngine.js');
-        this.gameEngine = new GameEngine();
-      }
-      */
+    console.log(`[WebSocket] Turn timed out for ${playerName} in game ${gameId}, playing ${card.rank} of ${card.suit}`);
 
-      // Note: Old GameEngine integration removed - using simplified server-side logic
+    this.io.to(gameId).emit('game:turn_timeout', {
+      gameId,
+      playerId: turn.playerId,
+      playerName,
+      card,
+      timeoutSeconds: turn.timeLimit,
+      timestamp: new Date().toISOString()
+    });
 
-      console.log(`[WebSocket] Card play successful for ${username} in game ${gameId}`);
+    await this.handlePlayCard(playerSocket, { gameId, card });
+  }
 
-    } catch (error) {
-      console.error(`[WebSocket] Card play error for ${username}:`, error);
+  /**
+   * Stop the turn clock for a game
+   * @param {string} gameId - Game ID
+   */
+  clearTurnTimer(gameId) {
+    const turnTimer = this.turnTimers.get(gameId);
+    if (turnTimer) {
+      clearTimeout(turnTimer.timer);
+      clearInterval(turnTimer.ticker);
+      this.turnTimers.delete(gameId);
+    }
+  }
 
-      // Send structured error to the player
-      const errorResponse = {
-        type: error.type || 'card_play_error',
-        message: error.message || 'Invalid card play',
-        code: error.code || 'UNKNOWN_ERROR',
-        gameId,
-        card,
-        trickId: trickId || null,
-        roundId: roundId || null
-      };
+  /**
+   * Check whether the server plays a seat: a bot, or a bot covering for a disconnected player
+   * @param {Object} player - Player data from the game room
+   * @returns {boolean} True if bot turn processing should act for the seat
+   */
+  isBotControlled(player) {
+    return Boolean(player?.isBot || player?.botSubstitute);
+  }
 
-      socket.emit('game:error', errorResponse);
+  /**
+   * Start the grace period after which a bot plays for a disconnected player
+   * @param {string} gameId - Game ID
+   * @param {string} userId - Disconnected player ID
+   */
+  scheduleBotSubstitution(gameId, userId) {
+    const gameState = this.gameStateManager.getGameState(gameId);
+    const player = this.gameRooms.get(gameId)?.players.get(userId);
+    const delay = (gameState?.rules || DEFAULT_GAME_RULES).botSubstitutionDelay ?? DEFAULT_GAME_RULES.botSubstitutionDelay;
+
+    if (!gameState?.players?.[userId] || !player || this.isBotControlled(player) || !delay) {
+      return;
     }
+
+    this.clearBotSubstitution(gameId, userId);
+    this.substitutionTimers.set(`${gameId}:${userId}`, setTimeout(() => {
+      this.substitutionTimers.delete(`${gameId}:${userId}`);
+      this.substituteBot(gameId, userId);
+    }, delay * 1000));
+
+    console.log(`[WebSocket] A bot will take over for ${player.username} in game ${gameId} in ${delay}s`);
   }
 
   /**
-   * Process bot turns if needed
+   * Cancel a pending bot substitution
    * @param {string} gameId - Game ID
+   * @param {string} userId - Player ID
    */
-  async processBotTurnsIfNeeded(gameId) {
-        try {
-          const gameState = this.gameStateManager.getGameState(gameId);
-          console.log(`[WebSocket] processBotTurnsIfNeeded - gameState:`, {
-            hasGameState: !!gameState,
-            currentTurnPlayer: gameState?.currentTurnPlayer,
-            trumpDeclarer: gameState?.trumpDeclarer,
-            gamePhase: gameState?.gamePhase,
-            phase: gameState?.phase,
-            trumpSuit: gameState?.trumpSuit
-          });
+  clearBotSubstitution(gameId, userId) {
+    const timer = this.substitutionTimers.get(`${gameId}:${userId}`);
+    if (timer) {
+      clearTimeout(timer);
+      this.substitutionTimers.delete(`${gameId}:${userId}`);
+    }
+  }
 
-          // Fix phase consistency if needed
-          if (gameState && gameState.trumpSuit && !gameState.gamePhase && !gameState.phase) {
-            console.log(`[WebSocket] Fixing missing game phase - trump is declared so should be playing`);
-            this.gameStateManager.updateGameState(gameId, {
-              phase: 'playing',
-              gamePhase: 'playing'
-            }, 'server');
-            // Get updated state
-            const updatedGameState = this.gameStateManager.getGameState(gameId);
-            Object.assign(gameState, updatedGameState);
-          }
+  /**
+   * Let a BotPlayer play a disconnected player's hand until they come back
+   * @param {string} gameId - Game ID
+   * @param {string} userId - Disconnected player ID
+   */
+  substituteBot(gameId, userId) {
+    const room = this.gameRooms.get(gameId);
+    const player = room?.players.get(userId);
+    const gameState = this.gameStateManager.getGameState(gameId);
 
-          if (!gameState) {
-            console.log(`[WebSocket] No game state for game ${gameId}`);
-            return;
-          }
+    if (!player || player.isConnected || this.isBotControlled(player) || !gameState?.players?.[userId] ||
+      room.status === 'waiting' || gameState.status === 'completed') {
+      return;
+    }
+
+    BotManager.addSubstituteBot(gameId, {
+      id: userId,
+      name: player.username,
+      personality: 'balanced',
+      difficulty: 'medium'
+    });
+    player.botSubstitute = true;
+
+    this.gameStateManager.updateGameState(gameId, {
+      players: {
+        ...gameState.players,
+        [userId]: { ...gameState.players[userId], botSubstitute: true }
+      }
+    }, 'server');
+
+    // Bots have no turn clock, so this stops the player's clock if it was running
+    this.scheduleTurnTimer(gameId);
+
+    console.log(`[WebSocket] Bot took over ${player.username}'s seat in game ${gameId}`);
+    this.io.to(gameId).emit('game:seat_substituted', {
+      gameId,
+      playerId: userId,
+      playerName: player.username,
+      timestamp: new Date().toISOString()
+    });
+
+    this.processBotTurnsIfNeeded(gameId);
+  }
+
+  /**
+   * Give a reconnected player their seat back from the bot covering for them
+   * @param {string} gameId - Game ID
+   * @param {string} userId - Reconnected player ID
+   */
+  restoreSubstitutedSeat(gameId, userId) {
+    this.clearBotSubstitution(gameId, userId);
+
+    const player = this.gameRooms.get(gameId)?.players.get(userId);
+    if (!player?.botSubstitute) {
+      return;
+    }
+
+    delete player.botSubstitute;
+    BotManager.removeBotPlayer(gameId, userId);
+
+    const gameState = this.gameStateManager.getGameState(gameId);
+    if (gameState?.players?.[userId]) {
+      this.gameStateManager.updateGameState(gameId, {
+        players: {
+          ...gameState.players,
+          [userId]: { ...gameState.players[userId], botSubstitute: false }
+        }
+      }, 'server');
+    }
+
+    console.log(`[WebSocket] ${player.username} took their seat back from the bot in game ${gameId}`);
+    this.io.to(gameId).emit('game:seat_restored', {
+      gameId,
+      playerId: userId,
+      playerName: player.username,
+      timestamp: new Date().toISOString()
+    });
+
+    this.scheduleTurnTimer(gameId);
+  }
+
+  /**
+   * Handle a player asking which card (or trump suit) a bot would pick for their turn
+   * Hints use the hard BotAI, are limited per game by the hintsPerGame house rule and
+   * are never given in ranked rooms. Only the asking player sees the answer.
+   */
+  async handleRequestHint(socket, data) {
+    const { gameId } = data || {};
+    const { userId, username } = socket;
+
+    try {
+      const gameState = this.gameStateManager.getGameState(gameId);
+      const player = gameState?.players?.[userId];
+      if (!player) {
+        throw new Error('You are not playing in this game');
+      }
+
+      const rules = gameState.rules || DEFAULT_GAME_RULES;
+      if (rules.ranked) {
+        throw new Error('Hints are not available in ranked games');
+      }
+
+      const hintsPerGame = rules.hintsPerGame ?? DEFAULT_GAME_RULES.hintsPerGame;
+      const hintsUsed = player.hintsUsed || 0;
+      if (hintsUsed >= hintsPerGame) {
+        throw new Error(hintsPerGame > 0 ? 'You have used all your hints for this game' : 'Hints are turned off for this game');
+      }
+
+      const phase = gameState.gamePhase || gameState.phase;
+      const hand = player.hand || [];
+      const botAI = new BotAI({ name: 'Hint', personality: 'balanced', difficulty: 'hard', decisionDelay: 0 });
+      const hint = { gameId, phase };
+
+      if (phase === 'trump_declaration' && !gameState.trumpSuit && gameState.trumpDeclarer === userId) {
+        hint.trumpSuit = botAI.selectTrumpWithPersonality(botAI.analyzeSuitStrength(hand));
+        hint.explanation = botAI.getTrumpDeclarationExplanation(hand, hint.trumpSuit);
+      } else if (phase === 'playing' && gameState.currentTurnPlayer === userId && hand.length > 0) {
+        const gameContext = this.buildBotCardContext(gameId, userId, gameState);
+        hint.card = botAI.chooseCard(botAI.getValidCards(hand, gameContext.trickState), gameContext);
+        hint.explanation = botAI.getCardPlayExplanation(hint.card, gameContext);
+      } else {
+        throw new Error('Hints are only available on your turn');
+      }
+
+      this.gameStateManager.updateGameState(gameId, {
+        players: {
+          ...gameState.players,
+          [userId]: { ...player, hintsUsed: hintsUsed + 1 }
+        }
+      }, 'server');
+
+      console.log(`[WebSocket] Hint for ${username} in game ${gameId}: ${hint.explanation}`);
+      socket.emit('game:hint', {
+        ...hint,
+        hintsRemaining: hintsPerGame - hintsUsed - 1,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error(`[WebSocket] Hint error for ${username}:`, error.message);
+      const gameState = this.gameStateManager.getGameState(gameId);
+      const rules = { ...DEFAULT_GAME_RULES, ...gameState?.rules };
+      socket.emit('game:hint_error', {
+        gameId,
+        message: error.message,
+        hintsRemaining: rules.ranked ? 0 : Math.max(0, rules.hintsPerGame - (gameState?.players?.[userId]?.hintsUsed || 0))
+      });
+    }
+  }
+
+  /**
+   * Handle a rematch vote on the game-over screen
+   * Once every human at the table has accepted, the rematch game is created and the
+   * players are sent to it. A decline cancels the proposal for everyone.
+   */
+  async handleRematchVote(socket, data) {
+    const { gameId, accept, swapPartners, bestOf } = data || {};
+    const { userId, username } = socket;
+
+    let vote;
+    try {
+      vote = this.rematchService.castVote(gameId, userId, { accept, swapPartners, bestOf });
+    } catch (error) {
+      console.error(`[WebSocket] Rematch vote error for ${username}:`, error.message);
+      socket.emit('game:rematch_error', { gameId, message: error.message });
+      return;
+    }
+
+    if (vote.status === 'declined') {
+      console.log(`[WebSocket] ${username} declined a rematch of game ${gameId}`);
+      this.io.to(gameId).emit('game:rematch_cancelled', {
+        gameId,
+        playerId: userId,
+        message: `${username} declined the rematch`,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    this.io.to(gameId).emit('game:rematch_update', {
+      gameId,
+      ...vote,
+      timestamp: new Date().toISOString()
+    });
+
+    if (vote.status !== 'accepted') {
+      return;
+    }
+
+    try {
+      const rematch = await this.rematchService.createRematchGame(gameId, vote.proposal);
+      this.io.to(gameId).emit('game:rematch_start', {
+        gameId,
+        nextGameId: rematch.gameId,
+        isDemo: rematch.isDemo,
+        swapPartners: vote.proposal.swapPartners,
+        series: rematch.series,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`[WebSocket] Failed to start rematch of game ${gameId}:`, error);
+      this.io.to(gameId).emit('game:rematch_cancelled', {
+        gameId,
+        message: 'The rematch could not be started',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Handle a player joining the quick-match queue
+   * Queued players are told through matchmaking:queued; once a table is formed they
+   * receive matchmaking:matched with the room to join.
+   */
+  async handleMatchmakingJoin(socket, data) {
+    const { partner, ranked, allowBots } = data || {};
+    const { userId, username } = socket;
+
+    try {
+      const status = await this.matchmakingService.joinQueue({ userId, username }, { partner, ranked, allowBots });
+      if (status.status === 'waiting_for_partner') {
+        socket.emit('matchmaking:queued', { ...status, timestamp: new Date().toISOString() });
+      }
+    } catch (error) {
+      console.error(`[WebSocket] Matchmaking error for ${username}:`, error.message);
+      socket.emit('matchmaking:error', { message: error.message });
+    }
+  }
+
+  /**
+   * Handle a player leaving the quick-match queue
+   * A partner queued on the same ticket is dropped too and receives matchmaking:left.
+   */
+  handleMatchmakingLeave(socket) {
+    this.matchmakingService.leaveQueue(socket.userId);
+  }
+
+  /**
+   * Cancel a pending rematch proposal when a player leaves the table
+   * @param {string} gameId - Finished game ID
+   * @param {string} userId - Departing player ID
+   * @param {string} message - Reason shown to the table
+   */
+  cancelRematchVote(gameId, userId, message) {
+    if (!this.rematchService.cancelVote(gameId)) {
+      return;
+    }
+
+    this.io.to(gameId).emit('game:rematch_cancelled', {
+      gameId,
+      playerId: userId,
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Handle card play with game engine integration
+   */
+  async handlePlayCard(socket, data) {
+    const { gameId, card, trickId, roundId, playerId } = data;
+    const { userId, username } = socket;
+
+    // Use playerId from data if provided, otherwise use socket userId
+    const effectiveUserId = playerId || userId;
+
+    console.log(`[WebSocket] Card play attempt by ${username}:`, card, `in game ${gameId}`);
+
+    try {
+      const gameState = this.gameStateManager.getGameState(gameId);
+      if (!gameState) {
+        throw new Error('Game state not found');
+      }
+
+      // Cheap checks against the live state before touching the database
+      if (playerId && String(playerId) !== String(userId)) {
+        throw new Error('Cannot play a card for another player');
+      }
+
+      const phase = gameState.gamePhase || gameState.phase;
+      if (!gameState.trumpSuit || phase === 'trump_declaration') {
+        throw new Error('Trump must be declared before playing cards');
+      }
+
+      if (gameState.currentTurnPlayer !== effectiveUserId) {
+        throw new Error('Not your turn to play');
+      }
+
+      // GameEngine validates hand, suit following and turn order, then resolves the trick
+      const { result, trick } = await this.applyCardPlay(gameId, effectiveUserId, card);
+
+      console.log(`[WebSocket] Card play broadcasted for ${username} in game ${gameId}. Trick complete: ${result.trickComplete}`);
+
+      if (result.trickComplete) {
+        // Evaluate trick after a short delay
+        setTimeout(async () => {
+          try {
+            await this.evaluateTrick(gameId, trick, result);
+          } catch (trickError) {
+            console.error(`[WebSocket] Error evaluating trick:`, trickError);
+          }
+        }, 2000);
+      } else {
+        // After a human player plays, check if any bots need to play
+        setTimeout(async () => {
+          try {
+            console.log(`[WebSocket] Checking for bot turns after ${username} played ${card.rank} of ${card.suit}`);
+            await this.processBotTurnsIfNeeded(gameId);
+          } catch (botError) {
+            console.error(`[WebSocket] Error processing bot turns after card play:`, botError);
+          }
+        }, 1000); // Small delay to let the UI update
+      }
+
+      console.log(`[WebSocket] Card play successful for ${username} in game ${gameId}`);
+
+    } catch (error) {
+      console.error(`[WebSocket] Card play error for ${username}:`, error);
+      await this.rejectCardPlay(socket, gameId, effectiveUserId, card, error, { trickId, roundId });
+    }
+  }
+
+  /**
+   * Tell a player their card play was rejected and resync their hand and turn
+   * @param {Object} socket - Socket connection of the player
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player whose play was rejected
+   * @param {Object} card - Card the player tried to play
+   * @param {Object|Error} error - Structured GameEngine error or plain Error
+   * @param {Object} context - Trick and round IDs sent with the play
+   */
+  async rejectCardPlay(socket, gameId, playerId, card, error, context = {}) {
+    const gameEngine = await this.getGameEngine();
+    const gameState = this.gameStateManager.getGameState(gameId);
+    const message = error.message || 'Invalid card play';
+    const code = error.code && error.code !== 'UNKNOWN_ERROR' ? error.code : gameEngine.getErrorCode(message);
+
+    // Send structured error to the player
+    const errorResponse = {
+      type: error.type || 'card_play_error',
+      message,
+      code,
+      gameId,
+      card,
+      trickId: context.trickId || gameState?.currentTrick?.trickId || null,
+      roundId: context.roundId || gameState?.roundId || null
+    };
+
+    if (code === 'UNKNOWN_ERROR') {
+      socket.emit('game:error', errorResponse);
+      return;
+    }
+
+    // The client removes the card optimistically, so send back the authoritative hand
+    socket.emit('game:play_rejected', {
+      ...errorResponse,
+      hand: gameState?.players?.[playerId]?.hand || null,
+      currentTurnPlayer: gameState?.currentTurnPlayer || null,
+      leadSuit: gameState?.currentTrick?.leadSuit || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Play a card through the GameEngine and apply the result to the live game state
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player playing the card
+   * @param {Object} card - Card being played
+   * @returns {Promise<Object>} Engine play result and the updated trick
+   */
+  async applyCardPlay(gameId, playerId, card) {
+    const gameState = this.gameStateManager.getGameState(gameId);
+    if (!gameState) {
+      throw new Error('Game state not found');
+    }
+
+    const gameEngine = await this.getGameEngine();
+    const roundId = gameState.roundId;
+    const trickId = gameState.currentTrick?.trickId;
+
+    // Rounds pause for the round summary, so the next deal waits for handleStartNextRound
+    const result = await gameEngine.playCard(gameId, roundId, trickId, playerId, card, { autoStartNextRound: false });
+
+    const cardsPlayed = result.cardsInTrick.map(play => ({
+      playerId: play.playerId,
+      playerName: this.getPlayerName(gameId, play.playerId),
+      card: play.card
+    }));
+
+    const trick = {
+      ...gameState.currentTrick,
+      trickId,
+      cardsPlayed,
+      leadSuit: cardsPlayed[0].card.suit
+    };
+
+    const playerState = gameState.players?.[playerId] || {};
+    const newHand = (playerState.hand || []).filter(c => !(c.suit === card.suit && c.rank === card.rank));
+    const nextPlayerId = result.trickComplete ? null : result.nextPlayerId;
+
+    console.log(`[WebSocket] Turn update: ${playerId} -> ${nextPlayerId}`);
+    console.log(`[WebSocket] Trick progress: ${cardsPlayed.length}/4 cards played`);
+
+    // Update game state with new hand, turn, and trick
+    this.gameStateManager.updateGameState(gameId, {
+      currentTurnPlayer: nextPlayerId,
+      phase: gameState.phase || 'playing', // Preserve phase
+      gamePhase: gameState.gamePhase || gameState.phase || 'playing', // Ensure both properties
+      currentTrick: trick,
+      players: {
+        ...gameState.players,
+        [playerId]: {
+          ...playerState,
+          hand: newHand,
+          handSize: newHand.length
+        }
+      }
+    }, 'server');
+    this.scheduleTurnTimer(gameId);
+
+    // Broadcast card played event
+    this.io.to(gameId).emit('game:card_played', {
+      gameId,
+      card: card,
+      playedBy: playerId,
+      playedByName: this.getPlayerName(gameId, playerId),
+      trickId,
+      roundId,
+      cardsInTrick: cardsPlayed,
+      nextPlayerId, // No next player if trick is complete
+      trickComplete: result.trickComplete,
+      leadSuit: trick.leadSuit,
+      timestamp: new Date().toISOString()
+    });
+
+    return { result, trick };
+  }
+
+  /**
+   * Process bot turns if needed
+   * @param {string} gameId - Game ID
+   */
+  async processBotTurnsIfNeeded(gameId) {
+        try {
+          const gameState = this.gameStateManager.getGameState(gameId);
+          console.log(`[WebSocket] processBotTurnsIfNeeded - gameState:`, {
+            hasGameState: !!gameState,
+            currentTurnPlayer: gameState?.currentTurnPlayer,
+            trumpDeclarer: gameState?.trumpDeclarer,
+            gamePhase: gameState?.gamePhase,
+            phase: gameState?.phase,
+            trumpSuit: gameState?.trumpSuit
+          });
+
+          // Fix phase consistency if needed
+          if (gameState && gameState.trumpSuit && !gameState.gamePhase && !gameState.phase) {
+            console.log(`[WebSocket] Fixing missing game phase - trump is declared so should be playing`);
+            this.gameStateManager.updateGameState(gameId, {
+              phase: 'playing',
+              gamePhase: 'playing'
+            }, 'server');
+            // Get updated state
+            const updatedGameState = this.gameStateManager.getGameState(gameId);
+            Object.assign(gameState, updatedGameState);
+          }
+
+          if (!gameState) {
+            console.log(`[WebSocket] No game state for game ${gameId}`);
+            return;
+          }
 
           const room = this.gameRooms.get(gameId);
           if (!room) {
@@ -1924,7 +2674,7 @@ class SocketManager {
 
           // For trump declaration phase, check trump declarer instead of currentTurnPlayer
           let playerToCheck = gameState.currentTurnPlayer;
-          if (gameState.gamePhase === 'trump_declaration' && gameState.trumpDeclarer) {
+          if ((gameState.gamePhase || gameState.phase) === 'trump_declaration' && gameState.trumpDeclarer) {
             playerToCheck = gameState.trumpDeclarer;
             console.log(`[WebSocket] Trump declaration phase - checking trump declarer: ${playerToCheck}`);
           }
@@ -1942,97 +2692,43 @@ class SocketManager {
             isBot: currentPlayer?.isBot
           });
 
-          if (!currentPlayer || !currentPlayer.isBot) {
+          if (!this.isBotControlled(currentPlayer)) {
             console.log(`[WebSocket] Player is not a bot or not found. IsBot: ${currentPlayer?.isBot}, Player: ${currentPlayer?.username}`);
             return;
           }
 
           console.log(`[WebSocket] Processing bot turn for ${currentPlayer.username} in game ${gameId}`);
 
-          // For now, use a simple bot card play system
-          // TODO: Replace with full BotTurnProcessor integration later
-          const botResult = await this.processSimpleBotTurn(gameId, playerToCheck, currentPlayer);
+          // A bot covering a disconnected seat plays through BotTurnProcessor; table bots
+          // still use the simple bot card play system
+          // TODO: Move table bots onto BotTurnProcessor too
+          const botResult = currentPlayer.botSubstitute
+            ? await BotTurnProcessor.processBotTurnIfNeeded(gameId, playerToCheck, {
+              gameState,
+              cardContext: this.buildBotCardContext(gameId, playerToCheck, gameState)
+            })
+            : await this.processSimpleBotTurn(gameId, playerToCheck, currentPlayer);
+
+          // The player may have come back while the bot was thinking
+          if (botResult && !this.isBotControlled(currentPlayer)) {
+            console.log(`[WebSocket] ${currentPlayer.username} reconnected, dropping the bot's ${botResult.actionType}`);
+            return;
+          }
 
           if (botResult) {
             console.log(`[WebSocket] Bot ${currentPlayer.username} completed action: ${botResult.actionType}`);
 
-            // If bot played a card, broadcast it
+            // If bot played a card, play it through the engine and broadcast it
             if (botResult.actionType === 'play_card' && botResult.card) {
-              // Update bot's hand and trick in game state
-              const updatedGameState = this.gameStateManager.getGameState(gameId);
-              if (updatedGameState.players && updatedGameState.players[playerToCheck]) {
-                const botPlayer = updatedGameState.players[playerToCheck];
-                if (botPlayer.hand) {
-                  const cardIndex = botPlayer.hand.findIndex(c =>
-                    c.suit === botResult.card.suit && c.rank === botResult.card.rank
-                  );
-                  if (cardIndex !== -1) {
-                    const newBotHand = botPlayer.hand.filter((c, index) => index !== cardIndex);
-                    botPlayer.hand = newBotHand;
-                    botPlayer.handSize = newBotHand.length;
-                  }
-                }
-              }
-
-              // Add bot's card to current trick
-              const currentTrick = updatedGameState.currentTrick || { cardsPlayed: [], trickNumber: 1 };
-              const cardPlay = {
-                playerId: playerToCheck,
-                playerName: currentPlayer.username,
-                card: botResult.card
-              };
-
-              const existingCardIndex = currentTrick.cardsPlayed.findIndex(play =>
-                play.playerId === playerToCheck
-              );
-
-              if (existingCardIndex === -1) {
-                currentTrick.cardsPlayed.push(cardPlay);
-              }
+              const { result, trick } = await this.applyCardPlay(gameId, playerToCheck, botResult.card);
 
-              // Set lead suit if this is the first card
-              if (currentTrick.cardsPlayed.length === 1) {
-                currentTrick.leadSuit = botResult.card.suit;
-              }
-
-              // Determine next player in turn order
-              const room = this.gameRooms.get(gameId);
-              const playerIds = Array.from(room.players.keys());
-              const currentPlayerIndex = playerIds.indexOf(playerToCheck);
-              const nextPlayerIndex = (currentPlayerIndex + 1) % playerIds.length;
-              const nextPlayerId = playerIds[nextPlayerIndex];
-
-              const trickComplete = currentTrick.cardsPlayed.length === 4;
-
-              // Update game state with next turn player and updated trick
-              this.gameStateManager.updateGameState(gameId, {
-                currentTurnPlayer: trickComplete ? null : nextPlayerId,
-                currentTrick: currentTrick,
-                players: updatedGameState.players
-              }, 'server');
-
-              // Broadcast bot card play
-              this.io.to(gameId).emit('game:card_played', {
-                gameId,
-                card: botResult.card,
-                playedBy: playerToCheck,
-                playedByName: currentPlayer.username,
-                trickId: gameState.currentTrick?.trickId || 1,
-                roundId: gameState.roundId || gameState.currentRound,
-                cardsInTrick: currentTrick.cardsPlayed,
-                nextPlayerId: trickComplete ? null : nextPlayerId,
-                trickComplete: trickComplete,
-                leadSuit: currentTrick.leadSuit,
-                timestamp: new Date().toISOString()
-              });
+              console.log(`[WebSocket] Bot ${currentPlayer.username} played ${botResult.card.rank} of ${botResult.card.suit}. Trick: ${trick.cardsPlayed.length}/4`);
 
-              console.log(`[WebSocket] Bot ${currentPlayer.username} played ${botResult.card.rank} of ${botResult.card.suit}. Trick: ${currentTrick.cardsPlayed.length}/4`);
-
-              if (trickComplete) {
+              if (result.trickComplete) {
                 // Evaluate trick after delay
                 setTimeout(async () => {
                   try {
-                    await this.evaluateTrick(gameId, currentTrick);
+                    await this.evaluateTrick(gameId, trick, result);
                   } catch (trickError) {
                     console.error(`[WebSocket] Error evaluating trick after bot play:`, trickError);
                   }
@@ -2096,9 +2792,9 @@ class SocketManager {
 
           // Check if bot needs to declare trump
           if ((currentPhase === 'trump_declaration' || !gameState.trumpSuit) && gameState.trumpDeclarer === botPlayerId) {
-            // Simple trump declaration - choose a random suit
-            const trumpSuits = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-            const chosenTrump = trumpSuits[Math.floor(Math.random() * trumpSuits.length)];
+            const botAI = this.getBotAI(gameId, botPlayerId, botPlayer);
+            const botHand = gameState.players?.[botPlayerId]?.hand || [];
+            const chosenTrump = botAI.selectTrumpWithPersonality(botAI.analyzeSuitStrength(botHand));
 
             console.log(`[WebSocket] Bot ${botPlayer.username} declaring trump: ${chosenTrump}`);
 
@@ -2124,8 +2820,9 @@ class SocketManager {
               return null;
             }
 
-            // Simple card selection - play the first valid card
-            const chosenCard = botHand[0];
+            const botAI = this.getBotAI(gameId, botPlayerId, botPlayer);
+            const gameContext = this.buildBotCardContext(gameId, botPlayerId, gameState);
+            const chosenCard = botAI.chooseCard(botAI.getValidCards(botHand, gameContext.trickState), gameContext);
 
             console.log(`[WebSocket] Bot ${botPlayer.username} playing card: ${chosenCard.rank} of ${chosenCard.suit}`);
 
@@ -2153,12 +2850,54 @@ class SocketManager {
         }
       }
 
+  /**
+   * Get the AI for a bot seat, falling back to a balanced one at the seat's difficulty
+   * if the bot was not created in this process (e.g. the game was restored after a restart)
+   * @param {string} gameId - Game ID
+   * @param {string} botPlayerId - Bot player ID
+   * @param {Object} botPlayer - Bot player data from the game room
+   * @returns {BotAI} Bot AI instance
+   */
+  getBotAI(gameId, botPlayerId, botPlayer) {
+    return BotManager.getBotPlayer(gameId, botPlayerId)?.ai ||
+      new BotAI({ name: botPlayer.username, personality: 'balanced', difficulty: botPlayer.botDifficulty, decisionDelay: 0 });
+  }
+
+  /**
+   * Build the card play context a bot sees: its hand, the trick, the cards already
+   * played this round and where its team stands against the contract
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Bot player ID
+   * @param {Object} gameState - Current game state
+   * @returns {Object} Game context for BotAI.chooseCard
+   */
+  buildBotCardContext(gameId, playerId, gameState) {
+    const room = this.gameRooms.get(gameId);
+    const team = this.getPlayerTeam(gameId, playerId);
+    const partnerId = room
+      ? [...room.players.keys()].find(id => id !== playerId && this.getPlayerTeam(gameId, id) === team)
+      : null;
+
+    return {
+      hand: gameState.players?.[playerId]?.hand || [],
+      trickState: { cardsPlayed: gameState.currentTrick?.cardsPlayed || [] },
+      trumpSuit: gameState.trumpSuit,
+      playedCards: gameState.playedCards || [],
+      partnerId,
+      isDeclaringTeam: this.getPlayerTeam(gameId, gameState.trumpDeclarer) === team,
+      teamTricks: gameState.scores?.[`team${team}`] || 0,
+      opponentTricks: gameState.scores?.[`team${team === 1 ? 2 : 1}`] || 0,
+      rules: gameState.rules || DEFAULT_GAME_RULES
+    };
+  }
+
   /**
    * Evaluate trick to determine winner
    * @param {string} gameId - Game ID
    * @param {Object} trick - Trick data with cards played
+   * @param {Object} trickResult - GameEngine result for the completed trick
    */
-  async evaluateTrick(gameId, trick) {
+  async evaluateTrick(gameId, trick, trickResult = null) {
         try {
           console.log(`[WebSocket] Evaluating trick for game ${gameId}:`, trick);
 
@@ -2168,18 +2907,24 @@ class SocketManager {
             return;
           }
 
-          // Determine trick winner using simple logic
-          const winner = this.determineTrickWinner(trick.cardsPlayed, trick.leadSuit, gameState.trumpSuit);
+          // GameEngine resolved the trick when the fourth card was played
+          const result = trickResult || await this.loadTrickResult(trick);
 
-          if (!winner) {
+          if (!result) {
             console.error(`[WebSocket] Could not determine trick winner`);
             return;
           }
 
+          const winner = {
+            playerId: result.winner,
+            playerName: this.getPlayerName(gameId, result.winner),
+            card: trick.cardsPlayed.find(play => play.playerId === result.winner)?.card || result.winningCard
+          };
+
           console.log(`[WebSocket] Trick winner: ${winner.playerName} with ${winner.card.rank} of ${winner.card.suit}`);
 
-          // Update scores (simple: 1 point per trick)
-          const currentScores = gameState.scores || { team1: 0, team2: 0 };
+          // Update trick counts per team
+          const currentScores = { ...(gameState.scores || { team1: 0, team2: 0 }) };
           const winnerTeam = this.getPlayerTeam(gameId, winner.playerId);
           const teamKey = `team${winnerTeam}`;
           currentScores[teamKey] += 1;
@@ -2197,7 +2942,7 @@ class SocketManager {
 
           // Clear trick and set up next trick after delay
           setTimeout(async () => {
-            await this.startNextTrick(gameId, winner.playerId, currentScores);
+            await this.startNextTrick(gameId, winner.playerId, currentScores, result);
           }, 3000);
 
         } catch (error) {
@@ -2206,59 +2951,51 @@ class SocketManager {
       }
 
       /**
-       * Determine trick winner
-       * @param {Array} cardsPlayed - Cards played in trick
-       * @param {string} leadSuit - Lead suit
-       * @param {string} trumpSuit - Trump suit
-       * @returns {Object} Winner info
+       * Load the engine's resolution of a completed trick, e.g. after a restart
+       * @param {Object} trick - Trick data with trickId
+       * @returns {Promise<Object|null>} Trick result in GameEngine.completeTrick shape
        */
-      determineTrickWinner(cardsPlayed, leadSuit, trumpSuit) {
-        if (!cardsPlayed || cardsPlayed.length === 0) return null;
+      async loadTrickResult(trick) {
+        const { default: GameTrick } = await import('../src/models/GameTrick.js');
+        const { default: GameRound } = await import('../src/models/GameRound.js');
 
-        let winningPlay = cardsPlayed[0];
-        const rankValues = {
-          '7': 1, '8': 2, '9': 3, '10': 4,
-          'J': 5, 'Q': 6, 'K': 7, 'A': 8
-        };
+        const trickRecord = trick.trickId ? await GameTrick.findById(trick.trickId) : null;
+        if (!trickRecord || !trickRecord.completed_at) {
+          return null;
+        }
 
-        for (const play of cardsPlayed) {
-          const currentCard = play.card;
-          const winningCard = winningPlay.card;
+        const result = {
+          trickId: trickRecord.trick_id,
+          winner: trickRecord.winning_player_id,
+          cardsPlayed: trickRecord.cards_played,
+          trickComplete: true
+        };
 
-          // Trump cards beat non-trump cards
-          const isCurrentTrump = currentCard.suit === trumpSuit;
-          const isWinningTrump = winningCard.suit === trumpSuit;
+        const round = await GameRound.findById(trickRecord.round_id);
+        if (round?.round_completed_at) {
+          const gameEngine = await this.getGameEngine();
+          const teamTricks = {
+            declaringTeamTricks: round.declaring_team_tricks_won,
+            challengingTeamTricks: round.challenging_team_tricks_won,
+            declaringTeamId: round.declaring_team_id
+          };
 
-          if (isCurrentTrump && !isWinningTrump) {
-            winningPlay = play;
-          } else if (!isCurrentTrump && isWinningTrump) {
-            // Winning card remains trump
-            continue;
-          } else if (isCurrentTrump && isWinningTrump) {
-            // Both trump - higher rank wins
-            if (rankValues[currentCard.rank] > rankValues[winningCard.rank]) {
-              winningPlay = play;
-            }
-          } else {
-            // Neither trump - must follow lead suit
-            const isCurrentLeadSuit = currentCard.suit === leadSuit;
-            const isWinningLeadSuit = winningCard.suit === leadSuit;
-
-            if (isCurrentLeadSuit && !isWinningLeadSuit) {
-              winningPlay = play;
-            } else if (isCurrentLeadSuit && isWinningLeadSuit) {
-              // Both lead suit - higher rank wins
-              if (rankValues[currentCard.rank] > rankValues[winningCard.rank]) {
-                winningPlay = play;
-              }
-            }
-          }
+          return {
+            ...result,
+            roundComplete: true,
+            teamTricks,
+            scores: gameEngine.calculateRoundScores(teamTricks, await gameEngine.getGameRules(round.game_id)),
+            dealSeed: round.deal_seed,
+            dealSeedHash: round.deal_seed_hash
+          };
         }
 
+        const nextTrick = await GameTrick.findCurrentTrick(trickRecord.round_id);
         return {
-          playerId: winningPlay.playerId,
-          playerName: winningPlay.playerName,
-          card: winningPlay.card
+          ...result,
+          roundComplete: false,
+          nextTrickId: nextTrick?.trick_id,
+          nextLeaderId: trickRecord.winning_player_id
         };
       }
 
@@ -2267,16 +3004,17 @@ class SocketManager {
    * @param {string} gameId - Game ID
    * @param {string} leaderId - Player who leads next trick
    * @param {Object} scores - Updated scores
+   * @param {Object} trickResult - GameEngine result for the trick just completed
    */
-  async startNextTrick(gameId, leaderId, scores) {
+  async startNextTrick(gameId, leaderId, scores, trickResult = null) {
         try {
           const gameState = this.gameStateManager.getGameState(gameId);
           const currentTrickNumber = (gameState.currentTrick?.trickNumber || 1) + 1;
 
           // Check if round is complete (8 tricks played)
-          if (currentTrickNumber > 8) {
+          if (trickResult?.roundComplete || currentTrickNumber > 8) {
             console.log(`[WebSocket] Round complete for game ${gameId}. Final scores:`, scores);
-            await this.handleRoundComplete(gameId, scores);
+            await this.handleRoundComplete(gameId, scores, trickResult);
             return;
           }
 
@@ -2284,12 +3022,19 @@ class SocketManager {
           this.gameStateManager.updateGameState(gameId, {
             currentTurnPlayer: leaderId,
             currentTrick: {
+              trickId: trickResult?.nextTrickId || null,
               trickNumber: currentTrickNumber,
               cardsPlayed: [],
               leadSuit: null
             },
+            // Cards seen so far this round, so bots can count what is still out
+            playedCards: [
+              ...(gameState.playedCards || []),
+              ...(gameState.currentTrick?.cardsPlayed || []).map(play => play.card)
+            ],
             scores: scores
           }, 'server');
+          this.scheduleTurnTimer(gameId);
 
           console.log(`[WebSocket] Starting trick ${currentTrickNumber}, leader: ${leaderId}`);
 
@@ -2317,30 +3062,78 @@ class SocketManager {
    * Handle round completion
    * @param {string} gameId - Game ID
    * @param {Object} scores - Final trick scores
+   * @param {Object} roundResult - GameEngine round completion result
    */
-  async handleRoundComplete(gameId, scores) {
+  async handleRoundComplete(gameId, scores, roundResult = null) {
         try {
           const gameState = this.gameStateManager.getGameState(gameId);
+          const gameEngine = await this.getGameEngine();
+
+          const rules = gameState.rules || await gameEngine.getGameRules(gameId);
+          const declaringTeamNumber = this.getPlayerTeam(gameId, gameState.trumpDeclarer);
+          const declaringTeamKey = `team${declaringTeamNumber}`;
+          const challengingTeamKey = `team${declaringTeamNumber === 1 ? 2 : 1}`;
+
+          // GameEngine has already scored rounds it resolved; restored games fall back to the same rules
+          const roundScoring = roundResult?.scores || gameEngine.calculateRoundScores({
+            declaringTeamTricks: scores[declaringTeamKey] || 0,
+            challengingTeamTricks: scores[challengingTeamKey] || 0
+          }, rules);
+
+          const roundPoints = {
+            [declaringTeamKey]: roundScoring.declaringTeamScore,
+            [challengingTeamKey]: roundScoring.challengingTeamScore
+          };
 
-          // Determine round winner based on trump declaring team rules
-          const roundWinner = this.determineRoundWinner(gameId, scores, gameState.trumpDeclarer);
-
-          if (!roundWinner) {
-            console.error(`[WebSocket] Could not determine round winner`);
-            return;
-          }
+          const previousTotals = gameState.roundScores || { team1: 0, team2: 0 };
+          const currentRoundScores = {
+            team1: previousTotals.team1 + roundPoints.team1,
+            team2: previousTotals.team2 + roundPoints.team2
+          };
 
+          const roundWinner = this.determineRoundWinner(roundPoints, declaringTeamKey, roundScoring, rules);
           console.log(`[WebSocket] Round winner: ${roundWinner.teamName} (${roundWinner.reason})`);
 
-          // Update round scores (accumulate tricks won by winning team)
-          const currentRoundScores = gameState.roundScores || { team1: 0, team2: 0 };
-          const tricksWon = scores[roundWinner.teamKey];
-          currentRoundScores[roundWinner.teamKey] += tricksWon;
+          // Crown Rule: the declarer keeps trump rights when the declaring team makes its contract
+          const crownRetained = Boolean(roundScoring.declaringTeamMadeContract);
+
+          const ledgerEntry = {
+            roundNumber: gameState.currentRound || 1,
+            roundId: gameState.roundId || null,
+            trumpSuit: gameState.trumpSuit || null,
+            trumpDeclarer: gameState.trumpDeclarer || null,
+            declaringTeam: declaringTeamKey,
+            tricks: roundResult?.teamTricks ? {
+              [declaringTeamKey]: roundResult.teamTricks.declaringTeamTricks,
+              [challengingTeamKey]: roundResult.teamTricks.challengingTeamTricks
+            } : { team1: scores.team1 || 0, team2: scores.team2 || 0 },
+            points: roundPoints,
+            totals: currentRoundScores,
+            declaringTeamMadeContract: Boolean(roundScoring.declaringTeamMadeContract),
+            challengingTeamMadeContract: Boolean(roundScoring.challengingTeamMadeContract)
+          };
+          const scoreHistory = [...(gameState.scoreHistory || []), ledgerEntry];
+
+          // Rounds resolved by GameEngine were checked against the game's target score already
+          const completion = roundResult
+            ? roundResult
+            : await gameEngine.checkGameComplete(gameId);
+          const gameComplete = Boolean(roundResult ? roundResult.gameComplete : completion.isComplete);
+          const targetScore = completion.targetScore || rules.targetScore;
 
           // Update game state with round completion
           this.gameStateManager.updateGameState(gameId, {
+            scores: scores,
             roundScores: currentRoundScores,
-            lastRoundWinner: roundWinner
+            scoreHistory,
+            targetScore,
+            lastRoundWinner: roundWinner,
+            lastRoundResult: {
+              roundId: gameState.roundId,
+              scores: roundScoring,
+              teamTricks: roundResult?.teamTricks || null,
+              gameComplete
+            }
           }, 'server');
 
           // Broadcast round completion
@@ -2348,58 +3141,64 @@ class SocketManager {
             gameId,
             roundWinner: roundWinner,
             trickScores: scores,
+            roundPoints,
             roundScores: currentRoundScores,
-            tricksWon: tricksWon,
+            scoreHistory,
+            targetScore,
+            tricksWon: scores[roundWinner.teamKey],
+            crownHolder: gameState.crownHolder || gameState.trumpDeclarer,
+            crownRetained,
+            gameComplete,
             currentRound: gameState.currentRound || 1,
+            // Reveal the shuffle seed so players can check it against the hash sent with the deal
+            dealSeed: roundResult?.dealSeed || null,
+            dealSeedHash: roundResult?.dealSeedHash || gameState.dealSeedHash || null,
             timestamp: new Date().toISOString()
           });
 
           console.log(`[WebSocket] Round complete broadcasted. Updated round scores:`, currentRoundScores);
 
+          await this.achievementService.evaluateRound(gameId, ledgerEntry, scoreHistory);
+
+          if (gameComplete) {
+            if (!roundResult) {
+              await gameEngine.completeGame(gameId, completion.winningTeamId);
+            }
+            await this.handleGameComplete(gameId, currentRoundScores, completion);
+          }
+
         } catch (error) {
           console.error(`[WebSocket] Error handling round completion:`, error);
         }
       }
 
       /**
-       * Determine round winner based on trump declaring team rules
-       * @param {string} gameId - Game ID
-       * @param {Object} scores - Trick scores
-       * @param {string} trumpDeclarer - Player who declared trump
+       * Describe which team scored a round under Contract Crown rules
+       * @param {Object} roundPoints - Points scored this round ({ team1, team2 })
+       * @param {string} declaringTeamKey - Team key of the trump declaring team
+       * @param {Object} roundScoring - GameEngine round scores
+       * @param {Object} rules - Game rules with the contract thresholds
        * @returns {Object} Round winner information
        */
-      determineRoundWinner(gameId, scores, trumpDeclarer) {
-        // Determine which team declared trump
-        const trumpDeclaringTeam = this.getPlayerTeam(gameId, trumpDeclarer);
-        const nonDeclaringTeam = trumpDeclaringTeam === 1 ? 2 : 1;
-
-        const declaringTeamKey = `team${trumpDeclaringTeam}`;
-        const nonDeclaringTeamKey = `team${nonDeclaringTeam}`;
-
-        const declaringTeamScore = scores[declaringTeamKey];
-        const nonDeclaringTeamScore = scores[nonDeclaringTeamKey];
+      determineRoundWinner(roundPoints, declaringTeamKey, roundScoring, rules = DEFAULT_GAME_RULES) {
+        const challengingTeamKey = declaringTeamKey === 'team1' ? 'team2' : 'team1';
+        const teamName = (teamKey) => `Team ${teamKey.replace('team', '')}`;
 
-        // Trump declaring team needs more than 4 tricks (5 or more) to win
-        // Non-declaring team needs 4 or more tricks to win
-        if (declaringTeamScore >= 5) {
+        // Declaring team needs 5+ tricks to score, challengers need 4+ (unless house rules differ)
+        if (roundScoring.declaringTeamMadeContract) {
           return {
             teamKey: declaringTeamKey,
-            teamName: `Team ${trumpDeclaringTeam}`,
-            reason: `Trump declaring team won ${declaringTeamScore} tricks (needed 5+)`
-          };
-        } else if (nonDeclaringTeamScore >= 4) {
-          return {
-            teamKey: nonDeclaringTeamKey,
-            teamName: `Team ${nonDeclaringTeam}`,
-            reason: `Non-declaring team won ${nonDeclaringTeamScore} tricks (needed 4+)`
+            teamName: teamName(declaringTeamKey),
+            points: roundPoints[declaringTeamKey],
+            reason: `Trump declaring team won ${roundPoints[declaringTeamKey]} tricks (needed ${rules.declaringTeamMinTricks}+)`
           };
         }
 
-        // Fallback (shouldn't happen in an 8-trick game)
         return {
-          teamKey: declaringTeamScore > nonDeclaringTeamScore ? declaringTeamKey : nonDeclaringTeamKey,
-          teamName: declaringTeamScore > nonDeclaringTeamScore ? `Team ${trumpDeclaringTeam}` : `Team ${nonDeclaringTeam}`,
-          reason: 'Won by having more tricks'
+          teamKey: challengingTeamKey,
+          teamName: teamName(challengingTeamKey),
+          points: roundPoints[challengingTeamKey],
+          reason: `Challenging team won ${roundPoints[challengingTeamKey]} tricks (needed ${rules.challengingTeamMinTricks}+)`
         };
       }
 
@@ -2409,7 +3208,7 @@ class SocketManager {
    * @param {Object} data - Next round data
    */
   async handleStartNextRound(socket, data) {
-        const { gameId, previousRoundWinner } = data;
+        const { gameId } = data;
         const { userId, username } = socket;
 
         console.log(`[WebSocket] Starting next round for game ${gameId} requested by ${username}`);
@@ -2421,70 +3220,47 @@ class SocketManager {
             return;
           }
 
-          // Check if game is complete (first to 52 points wins)
-          const roundScores = gameState.roundScores || { team1: 0, team2: 0 };
-          const pointsToWin = 52;
-
-          if (roundScores.team1 >= pointsToWin || roundScores.team2 >= pointsToWin) {
-            console.log(`[WebSocket] Game complete! Final scores:`, roundScores);
-            await this.handleGameComplete(gameId, roundScores);
+          // Completed games were already announced when their last round was scored
+          if (gameState.status === 'completed' || gameState.lastRoundResult?.gameComplete) {
+            console.log(`[WebSocket] Game ${gameId} is complete, not starting another round`);
             return;
           }
 
-          // Determine next trump declarer
-          let nextTrumpDeclarer;
-          if (previousRoundWinner) {
-            // If the trump declaring team won, they declare again
-            // If they lost, next player in clockwise order declares
-            const room = this.gameRooms.get(gameId);
-            const playerIds = Array.from(room.players.keys());
-            const currentDeclarerIndex = playerIds.indexOf(gameState.trumpDeclarer);
-
-            const currentDeclarerTeam = this.getPlayerTeam(gameId, gameState.trumpDeclarer);
-            const winnerTeamNumber = parseInt(previousRoundWinner.teamKey.replace('team', ''));
-
-            if (winnerTeamNumber === currentDeclarerTeam) {
-              // Same team won, same player declares trump again
-              nextTrumpDeclarer = gameState.trumpDeclarer;
-            } else {
-              // Other team won, next player in clockwise order declares
-              const nextDeclarerIndex = (currentDeclarerIndex + 1) % playerIds.length;
-              nextTrumpDeclarer = playerIds[nextDeclarerIndex];
-            }
-          } else {
-            // Fallback to next player in order
-            const room = this.gameRooms.get(gameId);
-            const playerIds = Array.from(room.players.keys());
-            const currentDeclarerIndex = playerIds.indexOf(gameState.trumpDeclarer);
-            const nextDeclarerIndex = (currentDeclarerIndex + 1) % playerIds.length;
-            nextTrumpDeclarer = playerIds[nextDeclarerIndex];
+          // Every client asks for the next round once its summary closes; only the first request deals
+          if (gameState.lastRoundResult?.roundId !== gameState.roundId || this.pendingRoundStarts.has(gameId)) {
+            console.log(`[WebSocket] Round ${gameState.currentRound} of game ${gameId} is not awaiting a new round, ignoring request from ${username}`);
+            return;
           }
 
-          console.log(`[WebSocket] Next trump declarer: ${nextTrumpDeclarer}`);
-
-          // Deal new cards for the new round
-          const { default: GameEngine } = await import('../src/services/GameEngine.js');
-          const gameEngine = new GameEngine();
-          const dealResult = await gameEngine.dealInitialCards(gameId);
+          // GameEngine rotates the dealer and applies the Crown Rule to pick the next declarer
+          let nextRound;
+          this.pendingRoundStarts.add(gameId);
+          try {
+            const gameEngine = await this.getGameEngine();
+            nextRound = await gameEngine.startNextRound(
+              gameId,
+              gameState.roundId,
+              gameState.lastRoundResult.scores
+            );
+          } finally {
+            this.pendingRoundStarts.delete(gameId);
+          }
+          const nextTrumpDeclarer = nextRound.firstPlayerUserId;
+          const nextRoundNumber = nextRound.roundNumber;
 
-          // Create new round
-          const nextRoundNumber = (gameState.currentRound || 1) + 1;
-          const roundId = await gameEngine.createGameRound(
-            gameId,
-            nextRoundNumber,
-            dealResult.dealerUserId,
-            nextTrumpDeclarer
-          );
+          console.log(`[WebSocket] Next trump declarer: ${nextTrumpDeclarer} (crown ${nextRound.crownRetained ? 'retained' : 'passed'})`);
 
           // Reset game state for new round
           const gameStateUpdate = {
             currentRound: nextRoundNumber,
-            roundId: roundId,
+            roundId: nextRound.roundId,
             phase: 'trump_declaration',
             gamePhase: 'trump_declaration',
             trumpSuit: null,
             trumpDeclarer: nextTrumpDeclarer,
-            dealerUserId: dealResult.dealerUserId,
+            crownHolder: nextTrumpDeclarer,
+            dealerUserId: nextRound.dealerUserId,
+            dealSeedHash: nextRound.dealSeedHash,
             scores: { team1: 0, team2: 0 }, // Reset trick scores
             currentTrick: {
               trickNumber: 1,
@@ -2492,11 +3268,12 @@ class SocketManager {
               leadSuit: null
             },
             currentTurnPlayer: null,
+            playedCards: [],
             players: {}
           };
 
           // Update player hands with new cards
-          for (const [playerId, hand] of Object.entries(dealResult.playerHands)) {
+          for (const [playerId, hand] of Object.entries(nextRound.playerHands)) {
             gameStateUpdate.players[playerId] = {
               ...gameState.players[playerId],
               hand: hand,
@@ -2507,6 +3284,7 @@ class SocketManager {
 
           // Update game state
           this.gameStateManager.updateGameState(gameId, gameStateUpdate, 'server');
+          this.scheduleTurnTimer(gameId);
 
           console.log(`[WebSocket] Round ${nextRoundNumber} started. Trump declarer: ${nextTrumpDeclarer}`);
 
@@ -2516,7 +3294,12 @@ class SocketManager {
             roundNumber: nextRoundNumber,
             trumpDeclarer: nextTrumpDeclarer,
             trumpDeclarerName: this.getPlayerName(gameId, nextTrumpDeclarer),
-            dealerUserId: dealResult.dealerUserId,
+            crownHolder: nextTrumpDeclarer,
+            crownRetained: nextRound.crownRetained,
+            previousDeclarer: nextRound.previousDeclarerUserId,
+            dealerUserId: nextRound.dealerUserId,
+            dealerName: this.getPlayerName(gameId, nextRound.dealerUserId),
+            dealSeedHash: nextRound.dealSeedHash,
             timestamp: new Date().toISOString()
           });
 
@@ -2541,24 +3324,53 @@ class SocketManager {
   /**
    * Handle game completion
    * @param {string} gameId - Game ID
-   * @param {Object} finalScores - Final game scores
+   * @param {Object} finalScores - Final game scores ({ team1, team2 })
+   * @param {Object} completion - GameEngine completion result with the winning team
    */
-  async handleGameComplete(gameId, finalScores) {
+  async handleGameComplete(gameId, finalScores, completion = {}) {
         try {
-          const winner = finalScores.team1 > finalScores.team2 ? 'Team 1' : 'Team 2';
+          const gameState = this.gameStateManager.getGameState(gameId);
+          const targetScore = completion.targetScore || gameState?.rules?.targetScore || DEFAULT_GAME_RULES.targetScore;
+          // A tie at or over the target ends the game as a draw
+          const winningTeam = completion.winningTeamNumber
+            ? `team${completion.winningTeamNumber}`
+            : getGameWinner(finalScores, targetScore);
+          const winner = winningTeam ? `Team ${winningTeam.replace('team', '')}` : null;
           const finalScore = `${finalScores.team1} - ${finalScores.team2}`;
+          const scoreHistory = gameState?.scoreHistory || [];
+
+          console.log(`[WebSocket] Game ${gameId} complete! ${winner ? `${winner} wins` : 'Draw'} with ${finalScore} points`);
+
+          this.gameStateManager.updateGameState(gameId, {
+            status: 'completed',
+            phase: 'game_over',
+            gamePhase: 'game_over',
+            winningTeam,
+            currentTurnPlayer: null
+          }, 'server');
 
-          console.log(`[WebSocket] Game ${gameId} complete! ${winner} wins with ${finalScore} points`);
+          // Players at the table can now vote for a rematch
+          this.rematchService.openVote(gameId);
+          const series = this.rematchService.getFinishedSeries(this.gameStateManager.getGameState(gameId));
 
           // Broadcast game completion
           this.io.to(gameId).emit('game:complete', {
             gameId,
             winner: winner,
+            winningTeam,
+            winningTeamId: completion.winningTeamId || null,
             finalScores: finalScores,
             finalScore: finalScore,
+            targetScore,
+            roundsPlayed: scoreHistory.length,
+            scoreHistory,
+            series,
             timestamp: new Date().toISOString()
           });
 
+          await this.ratingService.rateGame(gameId, winningTeam);
+          await this.achievementService.evaluateGame(gameId, winningTeam, finalScores);
+
         } catch (error) {
           console.error(`[WebSocket] Error handling game completion:`, error);
         }
@@ -2592,6 +3404,81 @@ class SocketManager {
         return `Player ${playerId}`;
       }
 
+      /**
+       * Build the two partnerships for a game room from player team assignments
+       * Players without an assignment fill whichever team still has an open seat.
+       * @param {Object} room - Game room
+       * @returns {Object} Player IDs per team ({ team1: [], team2: [] })
+       */
+      getSeatingTeams(room) {
+        const teams = { team1: [], team2: [] };
+        const unassigned = [];
+
+        for (const [playerId, player] of room.players.entries()) {
+          const teamKey = `team${player.teamAssignment}`;
+          if (teams[teamKey] && teams[teamKey].length < 2) {
+            teams[teamKey].push(playerId);
+          } else {
+            unassigned.push([playerId, player]);
+          }
+        }
+
+        for (const [playerId, player] of unassigned) {
+          const teamNumber = teams.team1.length < 2 ? 1 : 2;
+          teams[`team${teamNumber}`].push(playerId);
+          player.teamAssignment = teamNumber;
+        }
+
+        room.teams = teams;
+        return teams;
+      }
+
+      /**
+       * Get the house rules configured on a room
+       * @param {string} roomId - Room ID
+       * @returns {Promise<Object>} Complete rules configuration
+       */
+      async getRoomGameRules(roomId) {
+        const { default: Room } = await import('../src/models/Room.js');
+        const roomRecord = await Room.findById(roomId);
+        return roomRecord ? roomRecord.getGameRules() : normalizeGameRules();
+      }
+
+      /**
+       * Get the per-turn time limit configured on a room
+       * Demo games have no room record and are played at the human player's own pace.
+       * Rematch games use the settings of the room they were played from.
+       * @param {string} roomId - Room ID
+       * @returns {Promise<number>} Seconds per turn, 0 disables the turn clock
+       */
+      async getRoomTurnTimeLimit(roomId) {
+        const room = this.gameRooms.get(roomId);
+        if (room?.isDemo) {
+          return 0;
+        }
+
+        try {
+          const { default: Room } = await import('../src/models/Room.js');
+          const roomRecord = await Room.findById(room?.roomId || roomId);
+          return roomRecord?.settings?.timeLimit ?? DEFAULT_TURN_TIME_LIMIT;
+        } catch (error) {
+          console.warn(`[WebSocket] Could not load turn time limit for room ${roomId}:`, error.message);
+          return DEFAULT_TURN_TIME_LIMIT;
+        }
+      }
+
+      /**
+       * Get the shared GameEngine instance
+       * @returns {Promise<Object>} GameEngine instance
+       */
+      async getGameEngine() {
+        if (!this.gameEngine) {
+          const { default: GameEngine } = await import('../src/services/GameEngine.js');
+          this.gameEngine = new GameEngine();
+        }
+        return this.gameEngine;
+      }
+
       /**
        * Get socket ID for a user
        * @param {string} userId - User ID
@@ -2617,8 +3504,10 @@ class SocketManager {
           return;
         }
 
-        // Send player-specific game state
-        const playerState = this.gameStateManager.filterStateForPlayer(gameState, userId);
+        // Spectators only ever see the public state
+        const playerState = this.isSpectator(gameId, userId)
+          ? this.gameStateManager.filterStateForSpectator(gameState)
+          : this.gameStateManager.filterStateForPlayer(gameState, userId);
         socket.emit('game:state_update', {
           ...playerState,
           requestedBy: userId,
@@ -2711,6 +3600,7 @@ class SocketManager {
             room.completedAt = new Date().toISOString();
 
             // Clean up game state
+            this.clearTurnTimer(gameId);
             this.gameStateManager.cleanupGameState(gameId);
 
             // Remove room after delay to allow final messages
@@ -2772,6 +3662,9 @@ class SocketManager {
         this.userSockets.delete(userId);
         this.socketUsers.delete(socket.id);
 
+        // A player who closes the lobby gives up their place in the quick-match queue
+        this.matchmakingService.leaveQueue(userId, 'Your partner disconnected');
+
         // Note: Reactive subscriptions cleanup removed during LokiJS migration
 
         // Handle disconnection through enhanced connection status manager
@@ -2780,6 +3673,11 @@ class SocketManager {
 
         // Find and update any game rooms the user was in
         for (const [gameId, room] of this.gameRooms.entries()) {
+          if (room.spectators?.get(String(userId))?.socketId === socket.id) {
+            this.removeSpectator(gameId, userId);
+            continue;
+          }
+
           if (room.players.has(userId)) {
             const player = room.players.get(userId);
 
@@ -2797,10 +3695,14 @@ class SocketManager {
             } else {
               // Update game state for disconnection in active games
               this.gameStateManager.handlePlayerDisconnection(gameId, userId);
+              this.scheduleBotSubstitution(gameId, userId);
 
               // Set up cleanup timer for disconnected players (remove after 5 minutes for games)
+              // Seats a bot has taken over stay in the game until the player returns, and demo
+              // games keep their only human seat until the demo cleanup job expires the game
               setTimeout(() => {
-                if (room.players.has(userId) && !room.players.get(userId).isConnected) {
+                const seat = room.players.get(userId);
+                if (seat && !seat.isConnected && !seat.botSubstitute && !room.isDemo) {
                   this.handlePlayerTimeout(gameId, userId, username);
                 }
               }, 5 * 60 * 1000); // 5 minutes for games
@@ -2840,6 +3742,8 @@ class SocketManager {
           room.hostId = newHostId;
         }
 
+        this.cancelRematchVote(gameId, userId, `${username} left the table`);
+
         // Broadcast player removal
         this.io.to(gameId).emit('player-removed', {
           gameId,
@@ -2862,6 +3766,7 @@ class SocketManager {
         // Clean up empty rooms
         if (room.players.size === 0) {
           this.gameRooms.delete(gameId);
+          this.waitingRoomHandler.clearChatHistory(gameId);
           console.log(`[WebSocket] Cleaned up empty room after timeout: ${gameId}`);
         }
       }
@@ -2887,6 +3792,84 @@ class SocketManager {
         return this.gameRooms.get(gameId);
       }
 
+      /**
+       * Add a spectator to a room, separate from the 4 seats
+       * @param {string} gameId - Game/room ID
+       * @param {Object} spectator - { userId, username, socketId }
+       */
+      addSpectator(gameId, spectator) {
+        const room = this.gameRooms.get(gameId);
+        if (!room) {
+          return;
+        }
+
+        if (!room.spectators) {
+          room.spectators = new Map();
+        }
+
+        room.spectators.set(String(spectator.userId), {
+          userId: String(spectator.userId),
+          username: spectator.username,
+          socketId: spectator.socketId,
+          joinedAt: new Date().toISOString()
+        });
+
+        this.broadcastSpectatorsUpdate(gameId);
+      }
+
+      /**
+       * Remove a spectator from a room
+       * @param {string} gameId - Game/room ID
+       * @param {string} userId - Spectating user ID
+       * @returns {boolean} True if the user was spectating
+       */
+      removeSpectator(gameId, userId) {
+        const room = this.gameRooms.get(gameId);
+        if (!room?.spectators?.delete(String(userId))) {
+          return false;
+        }
+
+        this.broadcastSpectatorsUpdate(gameId);
+        return true;
+      }
+
+      /**
+       * Check whether a user is spectating a room
+       */
+      isSpectator(gameId, userId) {
+        return Boolean(this.gameRooms.get(gameId)?.spectators?.has(String(userId)));
+      }
+
+      /**
+       * Get the spectator list for a room
+       * @param {string} gameId - Game/room ID
+       * @returns {Array} Spectators as { userId, username }
+       */
+      getSpectators(gameId) {
+        const room = this.gameRooms.get(gameId);
+        if (!room?.spectators) {
+          return [];
+        }
+
+        return Array.from(room.spectators.values()).map(s => ({
+          userId: s.userId,
+          username: s.username
+        }));
+      }
+
+      /**
+       * Broadcast the spectator list to everyone in the room
+       */
+      broadcastSpectatorsUpdate(gameId) {
+        const spectators = this.getSpectators(gameId);
+        this.io.to(gameId).emit('spectators-updated', {
+          gameId,
+          spectators,
+          spectatorCount: spectators.length,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       /**
        * Broadcast message to specific game room
        */
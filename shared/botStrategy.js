@@ -0,0 +1,154 @@
+/**
+ * Contract Crown bot card strategy shared by the server BotAI and the offline client engine
+ * Pure functions over a "situation" describing the bot's view of the round:
+ * { hand, cardsPlayed, trumpSuit, isDeclaringTeam, partnerId, seenCards, aggressiveness, riskiness }
+ * where seenCards are the cards played this round that the bot remembers.
+ */
+
+import { RANKS, CARD_VALUES, beatsCard, determineTrickWinner } from './rules.js';
+
+/**
+ * Get the lowest card
+ * @param {Array} cards - Cards to choose from
+ * @returns {Object|null} Lowest card, or null if there are none
+ */
+export function getLowestCard(cards) {
+    if (!cards || cards.length === 0) return null;
+
+    return cards.reduce((lowest, card) =>
+        CARD_VALUES[card.rank] < CARD_VALUES[lowest.rank] ? card : lowest
+    );
+}
+
+/**
+ * Get the highest card
+ * @param {Array} cards - Cards to choose from
+ * @returns {Object|null} Highest card, or null if there are none
+ */
+export function getHighestCard(cards) {
+    if (!cards || cards.length === 0) return null;
+
+    return cards.reduce((highest, card) =>
+        CARD_VALUES[card.rank] > CARD_VALUES[highest.rank] ? card : highest
+    );
+}
+
+/**
+ * Check whether every higher card in the suit is already played or in the bot's hand
+ * @param {Object} card - Card to check
+ * @param {Object} situation - Bot's view of the round
+ * @returns {boolean} True if no other player can beat the card in its suit
+ */
+export function isMasterCard(card, { seenCards, hand }) {
+    const accounted = [...seenCards, ...hand]
+        .filter(c => c.suit === card.suit)
+        .map(c => c.rank);
+
+    return RANKS
+        .filter(rank => CARD_VALUES[rank] > CARD_VALUES[card.rank])
+        .every(rank => accounted.includes(rank));
+}
+
+/**
+ * Count cards of a suit that are neither played nor in the bot's hand
+ * @param {string} suit - Suit to count
+ * @param {Object} situation - Bot's view of the round
+ * @returns {number} Cards of the suit other players may still hold
+ */
+export function countUnseenCards(suit, { seenCards, hand }) {
+    const accounted = [...seenCards, ...hand].filter(card => card.suit === suit).length;
+    return RANKS.length - accounted;
+}
+
+/**
+ * Pick the least useful card to throw away, keeping trump and master cards if possible
+ * @param {Array} cards - Cards to choose from
+ * @param {Object} situation - Bot's view of the round
+ * @returns {Object} Card to discard
+ */
+export function getDiscard(cards, situation) {
+    const expendable = cards.filter(card =>
+        card.suit !== situation.trumpSuit && !isMasterCard(card, situation)
+    );
+    return getLowestCard(expendable.length > 0 ? expendable : cards);
+}
+
+/**
+ * Choose a card to lead a trick
+ * The declaring side draws out trump while opponents still hold it, then cashes
+ * master cards, otherwise leads low from its longest side suit.
+ * @param {Array} validCards - Cards the bot may lead
+ * @param {Object} situation - Bot's view of the round
+ * @returns {Object} Chosen card
+ */
+export function chooseLeadCard(validCards, situation) {
+    const { trumpSuit, isDeclaringTeam, aggressiveness } = situation;
+    const trumps = validCards.filter(card => card.suit === trumpSuit);
+    const sideCards = validCards.filter(card => card.suit !== trumpSuit);
+
+    if (isDeclaringTeam && trumps.length > 0 && countUnseenCards(trumpSuit, situation) > 0) {
+        const topTrump = getHighestCard(trumps);
+        if (isMasterCard(topTrump, situation)) {
+            return topTrump;
+        }
+        if (trumps.length >= 2 && aggressiveness >= 0.5) {
+            return getLowestCard(trumps);
+        }
+    }
+
+    const sideMasters = sideCards.filter(card => isMasterCard(card, situation));
+    if (sideMasters.length > 0) {
+        return getHighestCard(sideMasters);
+    }
+
+    if (sideCards.length === 0) {
+        return getLowestCard(trumps);
+    }
+
+    const suitLength = (suit) => sideCards.filter(card => card.suit === suit).length;
+    const longestLength = Math.max(...sideCards.map(card => suitLength(card.suit)));
+    return getLowestCard(sideCards.filter(card => suitLength(card.suit) === longestLength));
+}
+
+/**
+ * Choose a card when following in a trick
+ * Leaves tricks the partner is safely winning, wins as cheaply as possible
+ * and otherwise throws away the least useful card.
+ * @param {Array} validCards - Cards the bot may play
+ * @param {Object} situation - Bot's view of the round
+ * @returns {Object} Chosen card
+ */
+export function chooseFollowCard(validCards, situation) {
+    const { cardsPlayed, trumpSuit, partnerId, riskiness } = situation;
+    const leadSuit = cardsPlayed[0].card.suit;
+    const winningPlay = determineTrickWinner(cardsPlayed, trumpSuit);
+    const isLastToPlay = cardsPlayed.length === 3;
+
+    const winners = validCards.filter(card => beatsCard(card, winningPlay.card, trumpSuit));
+    const masterWinners = winners.filter(card => isMasterCard(card, situation));
+
+    if (partnerId && winningPlay.playerId === partnerId) {
+        // Only take over from the partner to make sure the trick stays with the team
+        const partnerIsSafe = isLastToPlay || isMasterCard(winningPlay.card, situation);
+        if (!partnerIsSafe && masterWinners.length > 0) {
+            return getLowestCard(masterWinners);
+        }
+        return getDiscard(validCards, situation);
+    }
+
+    if (winners.length === 0) {
+        return getDiscard(validCards, situation);
+    }
+
+    // Last to play or ruffing: the cheapest winner takes the trick
+    if (isLastToPlay || (leadSuit !== trumpSuit && winners[0].suit === trumpSuit)) {
+        return getLowestCard(winners);
+    }
+
+    if (masterWinners.length > 0) {
+        return getLowestCard(masterWinners);
+    }
+
+    // Nothing safe: take a chance on the highest winner or duck and keep it
+    return riskiness >= 0.5 ? getHighestCard(winners) : getDiscard(validCards, situation);
+}
@@ -0,0 +1,236 @@
+/**
+ * Contract Crown rules shared by the client and the server
+ * Pure functions with no dependencies so the Vite client and the Node server run the same
+ * rules: the 32-card deck, the redeal rule, suit following, trick resolution, contract
+ * scoring and the Crown Rule. Nothing here touches the DOM, the database or sockets.
+ */
+
+export const SUITS = Object.freeze(['Hearts', 'Diamonds', 'Clubs', 'Spades']);
+export const RANKS = Object.freeze(['7', '8', '9', '10', 'J', 'Q', 'K', 'A']);
+
+// Card values for comparison (higher value wins)
+export const CARD_VALUES = Object.freeze({
+    '7': 7, '8': 8, '9': 9, '10': 10,
+    'J': 11, 'Q': 12, 'K': 13, 'A': 14
+});
+
+export const PLAYERS_PER_GAME = 4;
+export const CARDS_PER_PLAYER = 8;
+export const TRICKS_PER_ROUND = 8;
+export const TRUMP_DECLARATION_CARDS = 4;
+
+// Order hands are shown in
+const DISPLAY_SUIT_ORDER = ['Spades', 'Hearts', 'Diamonds', 'Clubs'];
+
+export const STANDARD_RULES = Object.freeze({
+    targetScore: 52,
+    declaringTeamMinTricks: 5,
+    challengingTeamMinTricks: 4,
+    redealRule: true // Redeal when a player holds 3+ Aces or 3+ Sevens
+});
+
+/**
+ * Generate a complete 32-card deck, ordered by suit then rank
+ * @returns {Array} Cards { suit, rank, value }
+ */
+export function createDeck() {
+    return SUITS.flatMap(suit => RANKS.map(rank => ({ suit, rank, value: CARD_VALUES[rank] })));
+}
+
+/**
+ * Shuffle a deck with three Fisher-Yates passes
+ * @param {Array} deck - Cards to shuffle, left unchanged
+ * @param {Function} random - Random number source, seeded for reproducible deals
+ * @returns {Array} Shuffled copy of the deck
+ */
+export function shuffleDeck(deck, random = Math.random) {
+    const shuffled = [...deck];
+
+    for (let pass = 0; pass < 3; pass++) {
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+    }
+
+    return shuffled;
+}
+
+/**
+ * Deal a deck in consecutive blocks of 8 cards
+ * @param {Array} deck - Shuffled deck
+ * @param {number} players - Number of hands to deal
+ * @returns {Array} Hands in seat order
+ */
+export function dealHands(deck, players = PLAYERS_PER_GAME) {
+    return Array.from({ length: players }, (_, seat) =>
+        deck.slice(seat * CARDS_PER_PLAYER, (seat + 1) * CARDS_PER_PLAYER)
+    );
+}
+
+/**
+ * Check a hand against the redeal rule
+ * @param {Array} hand - Full 8-card hand
+ * @returns {boolean} True if the hand holds 3+ Aces or 3+ Sevens
+ */
+export function needsRedeal(hand) {
+    const aces = hand.filter(card => card.rank === 'A').length;
+    const sevens = hand.filter(card => card.rank === '7').length;
+    return aces >= 3 || sevens >= 3;
+}
+
+/**
+ * Check a whole deal against the redeal rule
+ * @param {Object|Array} hands - Hands keyed by player ID, or in seat order
+ * @returns {boolean} True if no hand needs a redeal
+ */
+export function isValidDeal(hands) {
+    return Object.values(hands).every(hand => !needsRedeal(hand));
+}
+
+/**
+ * Compare two cards by suit and rank
+ * @param {Object} a - Card
+ * @param {Object} b - Card
+ * @returns {boolean} True if they are the same card
+ */
+export function isSameCard(a, b) {
+    return a.suit === b.suit && a.rank === b.rank;
+}
+
+/**
+ * Get the suit led in a trick
+ * @param {Array} cardsPlayed - Plays so far [{ playerId, card }]
+ * @returns {string|null} Lead suit, null before the first card
+ */
+export function getLeadSuit(cardsPlayed) {
+    return cardsPlayed?.[0]?.card.suit || null;
+}
+
+/**
+ * Get the cards a player may play: the lead suit if they hold it, otherwise anything
+ * @param {Array} hand - Player's hand
+ * @param {string|null} leadSuit - Suit led in the trick, null when leading
+ * @returns {Array} Playable cards
+ */
+export function getValidCards(hand, leadSuit) {
+    const cardsOfLeadSuit = leadSuit ? hand.filter(card => card.suit === leadSuit) : [];
+    return cardsOfLeadSuit.length > 0 ? cardsOfLeadSuit : [...hand];
+}
+
+/**
+ * Check whether playing a card keeps to the suit-following rule
+ * @param {Array} hand - Player's hand, including the card
+ * @param {Object} card - Card to play
+ * @param {string|null} leadSuit - Suit led in the trick, null when leading
+ * @returns {boolean} True if the card may be played
+ */
+export function isValidPlay(hand, card, leadSuit) {
+    return getValidCards(hand, leadSuit).some(valid => isSameCard(valid, card));
+}
+
+/**
+ * Check whether a card beats the card currently winning a trick
+ * A card of the same suit wins if it ranks higher; a card of another suit only wins if it is trump.
+ * @param {Object} card - Challenging card
+ * @param {Object} winningCard - Card currently winning
+ * @param {string} trumpSuit - Declared trump suit
+ * @returns {boolean} True if the card would take the lead
+ */
+export function beatsCard(card, winningCard, trumpSuit) {
+    if (card.suit === winningCard.suit) {
+        return CARD_VALUES[card.rank] > CARD_VALUES[winningCard.rank];
+    }
+    return card.suit === trumpSuit;
+}
+
+/**
+ * Find the play winning a trick: the highest trump, otherwise the highest card of the lead suit
+ * Works on partial tricks too, giving the play currently winning.
+ * @param {Array} cardsPlayed - Plays in order [{ playerId, card }]
+ * @param {string} trumpSuit - Declared trump suit
+ * @returns {Object} Winning play
+ */
+export function determineTrickWinner(cardsPlayed, trumpSuit) {
+    return cardsPlayed.reduce((winning, play) =>
+        beatsCard(play.card, winning.card, trumpSuit) ? play : winning
+    );
+}
+
+/**
+ * Score a round: each team scores its tricks only if it reached its minimum
+ * @param {Object} teamTricks - { declaringTeamTricks, challengingTeamTricks }
+ * @param {Object} rules - Game rules with the contract thresholds
+ * @returns {Object} Points and whether each team made its target
+ */
+export function calculateRoundScores(teamTricks, rules = STANDARD_RULES) {
+    const { declaringTeamTricks, challengingTeamTricks } = teamTricks;
+    const { declaringTeamMinTricks, challengingTeamMinTricks } = rules;
+
+    const declaringTeamMadeContract = declaringTeamTricks >= declaringTeamMinTricks;
+    const challengingTeamMadeContract = challengingTeamTricks >= challengingTeamMinTricks;
+
+    return {
+        declaringTeamScore: declaringTeamMadeContract ? declaringTeamTricks : 0,
+        challengingTeamScore: challengingTeamMadeContract ? challengingTeamTricks : 0,
+        declaringTeamMadeContract,
+        challengingTeamMadeContract
+    };
+}
+
+/**
+ * Apply the Crown Rule to find the seats for the next round
+ * The deal moves one seat to the left. A declaring team that made its contract keeps the
+ * declaration; otherwise it passes to the player on the current dealer's left.
+ * @param {Object} round - Finished round
+ * @param {number} round.dealerSeat - Seat that dealt the round
+ * @param {number} round.declarerSeat - Seat that declared trump
+ * @param {boolean} round.crownRetained - Whether the declaring team made its contract
+ * @param {number} players - Number of seats
+ * @returns {Object} { dealerSeat, declarerSeat } for the next round
+ */
+export function getNextRoundSeats({ dealerSeat, declarerSeat, crownRetained }, players = PLAYERS_PER_GAME) {
+    const dealersLeft = (dealerSeat + 1) % players;
+    return {
+        dealerSeat: dealersLeft,
+        declarerSeat: crownRetained ? declarerSeat : dealersLeft
+    };
+}
+
+/**
+ * Check whether any team has reached the target score
+ * @param {Object} scores - Game scores keyed by team
+ * @param {number} targetScore - Points needed to win
+ * @returns {boolean} True if the game is over
+ */
+export function isGameOver(scores, targetScore = STANDARD_RULES.targetScore) {
+    return Object.values(scores).some(score => score >= targetScore);
+}
+
+/**
+ * Find the team that has won the game
+ * @param {Object} scores - Game scores keyed by team
+ * @param {number} targetScore - Points needed to win
+ * @returns {string|null} Leading team at or over the target, null while the game goes on or on a tie
+ */
+export function getGameWinner(scores, targetScore = STANDARD_RULES.targetScore) {
+    const ranked = Object.entries(scores).sort(([, a], [, b]) => b - a);
+    const [leader, runnerUp] = ranked;
+
+    if (!leader || leader[1] < targetScore || (runnerUp && runnerUp[1] === leader[1])) {
+        return null;
+    }
+    return leader[0];
+}
+
+/**
+ * Sort cards for display by suit (Spades, Hearts, Diamonds, Clubs), then by rank
+ * @param {Array} cards - Cards to sort, left unchanged
+ * @returns {Array} Sorted cards
+ */
+export function sortCards(cards) {
+    return [...cards].sort((a, b) =>
+        DISPLAY_SUIT_ORDER.indexOf(a.suit) - DISPLAY_SUIT_ORDER.indexOf(b.suit) ||
+        RANKS.indexOf(a.rank) - RANKS.indexOf(b.rank)
+    );
+}